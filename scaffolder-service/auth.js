@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { createRemoteJWKSet, jwtVerify } = require('jose');
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'creator', 'admin'];
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function assertRole(role, where) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role '${role}' in ${where}, expected one of: ${ROLES.join(', ')}`);
+  }
+}
+
+/**
+ * Parse static tokens of the form token:role:subject, separated by commas
+ * (e.g. "s3cret:admin:user:default/alice"). Tokens are kept hashed.
+ */
+function parseStaticTokens(value) {
+  const tokens = new Map();
+  for (const entry of parseList(value)) {
+    const [token, role, ...subject] = entry.split(':');
+    if (!token || !role || subject.length === 0) {
+      throw new Error('AUTH_STATIC_TOKENS entries must look like token:role:subject');
+    }
+    assertRole(role, 'AUTH_STATIC_TOKENS');
+    tokens.set(hashToken(token), { subject: subject.join(':'), role, ownership: [] });
+  }
+  return tokens;
+}
+
+// Name part of an entity ref: user:default/alice -> alice
+function refName(ref) {
+  return String(ref).split('/').pop().split(':').pop();
+}
+
+// Full entity ref with the default namespace: group:team-a -> group:default/team-a
+function normalizeRef(ref) {
+  if (!String(ref).includes(':')) return String(ref);
+  const [kind, rest] = String(ref).split(':');
+  return rest.includes('/') ? `${kind}:${rest}` : `${kind}:default/${rest}`;
+}
+
+/**
+ * Entity ref a service owner value stands for. Bare names (k8s label safe, as
+ * in owner parameters) are groups in the default namespace, as in Backstage;
+ * services owned by their requester record the requester's ref instead.
+ */
+function ownerRef(owner) {
+  if (!owner) return null;
+  return String(owner).includes(':') ? normalizeRef(owner) : `group:default/${owner}`;
+}
+
+/**
+ * Create the authentication layer. Tokens are Backstage-issued JWTs checked
+ * against a JWKS, or static tokens for local use. One of them is required
+ * unless disabled is set, in which case every request is allowed.
+ *
+ * Roles of JWT users come from the admins/creators lists, which match the
+ * token subject or any ownership ref in its `ent` claim; others get defaultRole.
+ */
+function createAuth({ jwksUrl, issuer, audience, staticTokens, admins, creators, defaultRole = 'viewer', disabled = false } = {}) {
+  const tokens = parseStaticTokens(staticTokens);
+  const jwks = jwksUrl ? createRemoteJWKSet(new URL(jwksUrl)) : null;
+  const adminRefs = new Set(parseList(admins).map(normalizeRef));
+  const creatorRefs = new Set(parseList(creators).map(normalizeRef));
+  assertRole(defaultRole, 'AUTH_DEFAULT_ROLE');
+
+  const enabled = !disabled;
+  if (enabled && !jwks && tokens.size === 0) {
+    throw new Error('No authentication configured: set AUTH_JWKS_URL or AUTH_STATIC_TOKENS, or AUTH_DISABLED=true to allow every request');
+  }
+
+  function roleFor(refs) {
+    if (refs.some(ref => adminRefs.has(ref))) return 'admin';
+    if (refs.some(ref => creatorRefs.has(ref))) return 'creator';
+    return defaultRole;
+  }
+
+  async function verify(token) {
+    const staticUser = tokens.get(hashToken(token));
+    if (staticUser) return staticUser;
+    if (!jwks) return null;
+
+    try {
+      const { payload } = await jwtVerify(token, jwks, { issuer: issuer || undefined, audience: audience || undefined });
+      if (!payload.sub) return null;
+      const ownership = Array.isArray(payload.ent) ? payload.ent.map(String) : [];
+      const refs = [payload.sub, ...ownership].map(normalizeRef);
+      return { subject: payload.sub, role: roleFor(refs), ownership };
+    } catch (error) {
+      console.warn(`[AUTH] Rejected token: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Express middleware: resolve req.user from the bearer token. EventSource
+   * cannot send headers, so GET requests may pass ?access_token= instead.
+   */
+  async function authenticate(req, res, next) {
+    req.user = null;
+    if (!enabled) return next();
+
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim()
+      : req.method === 'GET' && typeof req.query.access_token === 'string' ? req.query.access_token
+      : null;
+    if (!token) return next();
+
+    const user = await verify(token);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    req.user = user;
+    next();
+  }
+
+  function hasRole(user, role) {
+    if (!enabled) return true;
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  /**
+   * Express middleware: require an authenticated user with at least this role
+   */
+  function requireRole(role) {
+    assertRole(role, 'requireRole');
+    return (req, res, next) => {
+      if (!enabled) return next();
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (!hasRole(req.user, role)) {
+        return res.status(403).json({ error: `Forbidden: ${role} role required` });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Whether the user owns a service owner value (see ownerRef): its subject or
+   * one of its ownership refs is that ref, kind and namespace included
+   */
+  function isOwner(user, owner) {
+    if (!user || !owner) return false;
+    const target = ownerRef(owner);
+    return [user.subject, ...user.ownership].some(ref => normalizeRef(ref) === target);
+  }
+
+  /**
+   * Admins may modify any service, creators only the services they own
+   */
+  function canModify(user, owner) {
+    if (!enabled) return true;
+    if (hasRole(user, 'admin')) return true;
+    return hasRole(user, 'creator') && isOwner(user, owner);
+  }
+
+  return {
+    enabled,
+    authenticate,
+    requireRole,
+    hasRole,
+    isOwner,
+    canModify,
+    // Default owner for services created by this user (a k8s label safe name)
+    defaultOwner: (user) => (user ? refName(user.subject) : undefined),
+    // The ref that default owner stands for: the user, not a group of that name
+    defaultOwnerRef: (user) => (user ? normalizeRef(user.subject) : undefined)
+  };
+}
+
+module.exports = {
+  ROLES,
+  refName,
+  ownerRef,
+  createAuth
+};
@@ -0,0 +1,281 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { run: runCommand, formatCommand } = require('./command-runner');
+
+// Where service images are built and how the cluster gets them
+const BUILD_BACKENDS = ['docker', 'registry', 'kaniko', 'fake'];
+// Image builds and loads may take a while on a cold cache
+const IMAGE_BUILD_TIMEOUT_MS = 10 * 60 * 1000;
+const DEFAULT_KANIKO_IMAGE = 'gcr.io/kaniko-project/executor:v1.23.2';
+// ConfigMaps hold at most 1MiB; the build context is passed in one
+const MAX_CONTEXT_BYTES = 900 * 1024;
+// Tag of images in the generated manifests and of images built by hand.
+// Deployments by the scaffolder use the immutable tag of each build instead.
+const DEFAULT_TAG = 'latest';
+
+/**
+ * Immutable tag of a service's build: its build number, plus the short commit
+ * SHA when the project is a git repository (e.g. b7-3f9c2a1)
+ */
+function imageTag(buildNumber, commit) {
+  return commit ? `b${buildNumber}-${commit}` : `b${buildNumber}`;
+}
+
+/**
+ * An image build that failed. logs holds the build output when the backend
+ * captured it (e.g. the Kaniko pod's log).
+ */
+class BuildError extends Error {
+  constructor(message, { backend, image, logs = null } = {}) {
+    super(message);
+    this.name = 'BuildError';
+    this.backend = backend;
+    this.image = image;
+    this.logs = logs;
+  }
+}
+
+/**
+ * Build on the local Docker daemon and load the image into Minikube. The
+ * image only exists on the node, so it must never be pulled.
+ */
+function createDockerBackend({ run }) {
+  const imageFor = (serviceName, tag = DEFAULT_TAG) => `${serviceName}:${tag}`;
+  return {
+    name: 'docker',
+    pullPolicy: 'Never',
+    repositoryFor: (serviceName) => serviceName,
+    imageFor,
+    plan: (serviceName, projectDir, namespace, tag) => {
+      const image = imageFor(serviceName, tag);
+      return [
+        { type: 'docker_build', target: image, description: 'Build the service image', command: formatCommand('docker', ['build', '-t', image, projectDir]) },
+        { type: 'image_load', target: image, description: 'Load the image into Minikube', command: formatCommand('minikube', ['image', 'load', image]) }
+      ];
+    },
+    manualSteps: (serviceName) => [`docker build -t ${imageFor(serviceName)} .`, `minikube image load ${imageFor(serviceName)}`],
+    async build({ serviceName, projectDir, tag, log }) {
+      const image = imageFor(serviceName, tag);
+      log(`Building ${image} with the local Docker daemon`);
+      await run('docker', ['build', '-t', image, projectDir], { timeout: IMAGE_BUILD_TIMEOUT_MS });
+      log('Loading image into Minikube');
+      await run('minikube', ['image', 'load', image], { timeout: IMAGE_BUILD_TIMEOUT_MS });
+      return { image };
+    }
+  };
+}
+
+/**
+ * Build on the local Docker daemon and push to a registry. Tags are rebuilt
+ * in place, so nodes always pull.
+ */
+function createRegistryBackend({ run, registry }) {
+  const repositoryFor = (serviceName) => `${registry}/${serviceName}`;
+  const imageFor = (serviceName, tag = DEFAULT_TAG) => `${repositoryFor(serviceName)}:${tag}`;
+  return {
+    name: 'registry',
+    pullPolicy: 'Always',
+    repositoryFor,
+    imageFor,
+    plan: (serviceName, projectDir, namespace, tag) => {
+      const image = imageFor(serviceName, tag);
+      return [
+        { type: 'docker_build', target: image, description: 'Build the service image', command: formatCommand('docker', ['build', '-t', image, projectDir]) },
+        { type: 'image_push', target: image, description: `Push the image to ${registry}`, command: formatCommand('docker', ['push', image]) }
+      ];
+    },
+    manualSteps: (serviceName) => [`docker build -t ${imageFor(serviceName)} .`, `docker push ${imageFor(serviceName)}`],
+    async build({ serviceName, projectDir, tag, log }) {
+      const image = imageFor(serviceName, tag);
+      log(`Building ${image} with the local Docker daemon`);
+      await run('docker', ['build', '-t', image, projectDir], { timeout: IMAGE_BUILD_TIMEOUT_MS });
+      log(`Pushing ${image}`);
+      await run('docker', ['push', image], { timeout: IMAGE_BUILD_TIMEOUT_MS });
+      return { image };
+    }
+  };
+}
+
+/**
+ * Build in the cluster with a Kaniko Job that pushes to a registry, so the
+ * service needs no Docker daemon. The build context (the project without
+ * .git) is passed to the Job in a ConfigMap. pushSecret names a
+ * kubernetes.io/dockerconfigjson Secret with the registry credentials.
+ */
+function createKanikoBackend({ run, kube, registry, namespace: buildNamespace, pushSecret, kanikoImage = DEFAULT_KANIKO_IMAGE }) {
+  const repositoryFor = (serviceName) => `${registry}/${serviceName}`;
+  const imageFor = (serviceName, tag = DEFAULT_TAG) => `${repositoryFor(serviceName)}:${tag}`;
+
+  async function contextArchive(projectDir) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-context-'));
+    const archivePath = path.join(dir, 'context.tar.gz');
+    try {
+      await run('tar', ['-czf', archivePath, '--exclude', './.git', '-C', projectDir, '.']);
+      return fs.readFileSync(archivePath);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  function buildJob(name, serviceName, namespace, image) {
+    const volumes = [{ name: 'context', configMap: { name } }];
+    const volumeMounts = [{ name: 'context', mountPath: '/workspace' }];
+    if (pushSecret) {
+      volumes.push({ name: 'registry-credentials', secret: { secretName: pushSecret, items: [{ key: '.dockerconfigjson', path: 'config.json' }] } });
+      volumeMounts.push({ name: 'registry-credentials', mountPath: '/kaniko/.docker' });
+    }
+
+    return {
+      apiVersion: 'batch/v1',
+      kind: 'Job',
+      metadata: { name, namespace, labels: { 'build-for': serviceName } },
+      spec: {
+        backoffLimit: 0,
+        ttlSecondsAfterFinished: 3600,
+        template: {
+          metadata: { labels: { 'build-for': serviceName } },
+          spec: {
+            restartPolicy: 'Never',
+            containers: [{
+              name: 'kaniko',
+              image: kanikoImage,
+              args: ['--context=tar:///workspace/context.tar.gz', '--dockerfile=Dockerfile', `--destination=${image}`],
+              volumeMounts
+            }],
+            volumes
+          }
+        }
+      }
+    };
+  }
+
+  async function jobLogs(name, namespace) {
+    try {
+      const pods = await kube.list('Pod', namespace, { labelSelector: `job-name=${name}` });
+      const pod = pods.items[0];
+      return pod ? await kube.podLogs(pod.metadata.name, namespace, { tailLines: 50 }) : null;
+    } catch (error) {
+      return `Could not read logs: ${error.message}`;
+    }
+  }
+
+  return {
+    name: 'kaniko',
+    pullPolicy: 'Always',
+    repositoryFor,
+    imageFor,
+    plan: (serviceName, projectDir, namespace, tag) => [{
+      type: 'k8s_job',
+      target: `${buildNamespace || namespace}/${serviceName}-build`,
+      description: `Build ${imageFor(serviceName, tag)} with a Kaniko Job in ${buildNamespace || namespace} and push it`
+    }],
+    manualSteps: (serviceName) => [`docker build -t ${imageFor(serviceName)} .`, `docker push ${imageFor(serviceName)}`],
+    async build({ serviceName, projectDir, tag, namespace, log }) {
+      const image = imageFor(serviceName, tag);
+      const jobNamespace = buildNamespace || namespace;
+      const name = `${serviceName.slice(0, 40).replace(/-$/, '')}-build-${crypto.randomBytes(3).toString('hex')}`;
+
+      const archive = await contextArchive(projectDir);
+      if (archive.length > MAX_CONTEXT_BYTES) {
+        throw new BuildError(`Build context of ${serviceName} is ${Math.round(archive.length / 1024)}KiB, more than a ConfigMap can hold`, {
+          backend: 'kaniko', image
+        });
+      }
+
+      log(`Building ${image} with Kaniko Job ${jobNamespace}/${name}`);
+      await kube.apply({
+        apiVersion: 'v1',
+        kind: 'ConfigMap',
+        metadata: { name, namespace: jobNamespace, labels: { 'build-for': serviceName } },
+        binaryData: { 'context.tar.gz': archive.toString('base64') }
+      }, { namespace: jobNamespace });
+
+      try {
+        await kube.apply(buildJob(name, serviceName, jobNamespace, image), { namespace: jobNamespace });
+        let job;
+        try {
+          job = await kube.waitFor('Job', jobNamespace, { fieldSelector: `metadata.name=${name}` },
+            (candidate) => Boolean(candidate.status && (candidate.status.succeeded || candidate.status.failed)),
+            { timeoutMs: IMAGE_BUILD_TIMEOUT_MS });
+        } catch (error) {
+          if (error.reason !== 'Timeout') throw error;
+          throw new BuildError(`Kaniko build of ${image} did not finish within ${IMAGE_BUILD_TIMEOUT_MS / 60000} minutes`, {
+            backend: 'kaniko', image, logs: await jobLogs(name, jobNamespace)
+          });
+        }
+        if (!job.status.succeeded) {
+          throw new BuildError(`Kaniko build of ${image} failed (Job ${jobNamespace}/${name})`, {
+            backend: 'kaniko', image, logs: await jobLogs(name, jobNamespace)
+          });
+        }
+        log(`Pushed ${image}`);
+        // Failed Jobs are kept for inspection until their TTL expires
+        await kube.delete('Job', name, jobNamespace);
+      } finally {
+        await kube.delete('ConfigMap', name, jobNamespace).catch(() => {});
+      }
+      return { image };
+    }
+  };
+}
+
+/**
+ * Build nothing and report the image as built, for tests and for clusters
+ * where images are provided some other way. Builds are recorded in builds.
+ */
+function createFakeBackend() {
+  const imageFor = (serviceName, tag = DEFAULT_TAG) => `${serviceName}:${tag}`;
+  const builds = [];
+  return {
+    name: 'fake',
+    pullPolicy: 'IfNotPresent',
+    repositoryFor: (serviceName) => serviceName,
+    imageFor,
+    builds,
+    plan: (serviceName, projectDir, namespace, tag) => [{ type: 'image_build', target: imageFor(serviceName, tag), description: 'Record a fake build (no image is built)' }],
+    manualSteps: (serviceName) => [`docker build -t ${imageFor(serviceName)} .`],
+    async build({ serviceName, projectDir, tag, log }) {
+      const image = imageFor(serviceName, tag);
+      builds.push({ serviceName, projectDir, image, builtAt: new Date().toISOString() });
+      log(`Fake build of ${image}, no image was built`);
+      return { image };
+    }
+  };
+}
+
+/**
+ * Create the build backend of the given type. registry is required by the
+ * registry and kaniko backends; namespace (default: the deploy namespace),
+ * pushSecret and kanikoImage configure the Kaniko Job.
+ */
+function createBuildBackend({ type = 'docker', registry, namespace, pushSecret, kanikoImage, kube, run = runCommand } = {}) {
+  if (!BUILD_BACKENDS.includes(type)) {
+    throw new Error(`Unknown BUILD_BACKEND '${type}', expected one of ${BUILD_BACKENDS.join(', ')}`);
+  }
+  if ((type === 'registry' || type === 'kaniko') && !registry) {
+    throw new Error(`BUILD_BACKEND ${type} requires BUILD_REGISTRY`);
+  }
+  const normalizedRegistry = registry ? registry.replace(/\/+$/, '') : registry;
+
+  switch (type) {
+    case 'registry':
+      return createRegistryBackend({ run, registry: normalizedRegistry });
+    case 'kaniko':
+      return createKanikoBackend({ run, kube, registry: normalizedRegistry, namespace, pushSecret, kanikoImage: kanikoImage || undefined });
+    case 'fake':
+      return createFakeBackend();
+    default:
+      return createDockerBackend({ run });
+  }
+}
+
+module.exports = {
+  BUILD_BACKENDS,
+  IMAGE_BUILD_TIMEOUT_MS,
+  DEFAULT_TAG,
+  BuildError,
+  imageTag,
+  createBuildBackend
+};
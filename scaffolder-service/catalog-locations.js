@@ -0,0 +1,222 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { run: runCommand } = require('./command-runner');
+const { validateEntity } = require('./catalog-validation');
+
+const CATALOG_FILES = ['catalog-info.yaml', 'catalog-info.yml'];
+const SKIPPED_DIRECTORIES = new Set(['.git', 'node_modules']);
+// How deep Location entities pointing at further locations are followed
+const MAX_LOCATION_DEPTH = 5;
+const CLONE_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * A location that cannot be read at all: a missing path or a failed clone
+ */
+class LocationError extends Error {
+  constructor(message, { target } = {}) {
+    super(message);
+    this.name = 'LocationError';
+    this.target = target;
+  }
+}
+
+const isGitUrl = (target) => /^(https?|ssh|git):\/\//.test(target) || /^\w[\w.-]*@[\w.-]+:/.test(target);
+const isMapping = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Type of a location target: git for repository URLs, otherwise directory or
+ * file depending on the local path
+ */
+function locationType(target) {
+  if (isGitUrl(target)) return 'git';
+  if (!path.isAbsolute(target)) {
+    throw new LocationError(`Location ${target} must be a git URL or an absolute path`, { target });
+  }
+  if (!fs.existsSync(target)) {
+    throw new LocationError(`Location ${target} does not exist`, { target });
+  }
+  return fs.statSync(target).isDirectory() ? 'directory' : 'file';
+}
+
+// Targets a Location entity points at
+function locationTargets(entity) {
+  const { target, targets } = entity.spec || {};
+  return [].concat(target || [], targets || []).filter(item => typeof item === 'string');
+}
+
+/**
+ * Parse the documents of a catalog file into { entities, errors }; errors
+ * name the source and document of each invalid entity
+ */
+function parseCatalogFile(content, source) {
+  let documents;
+  try {
+    documents = yaml.loadAll(content);
+  } catch (error) {
+    return { entities: [], errors: [{ source, message: `Invalid YAML: ${error.message}` }] };
+  }
+
+  const entities = [];
+  const errors = [];
+  documents.forEach((entity, index) => {
+    if (entity === null || entity === undefined) return;
+    const problems = validateEntity(entity);
+    if (problems.length > 0) {
+      errors.push({ source, document: index, errors: problems, message: problems.map(p => `${p.field || 'entity'} ${p.message}`).join('; ') });
+    } else {
+      entities.push(entity);
+    }
+  });
+  return { entities, errors };
+}
+
+// Catalog files below a directory. Symlinked directories are not followed;
+// symlinked catalog files are returned, for readLocation to check where they lead.
+function findCatalogFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory() && !SKIPPED_DIRECTORIES.has(entry.name)) {
+      files.push(...findCatalogFiles(entryPath));
+    } else if ((entry.isFile() || entry.isSymbolicLink()) && CATALOG_FILES.includes(entry.name)) {
+      files.push(entryPath);
+    }
+  }
+  return files.sort();
+}
+
+// Whether a real path is root or below it
+function isWithin(root, target) {
+  const relative = path.relative(root, target);
+  return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+/**
+ * Read the entities of a location ({ type, target }) as { entities, errors }.
+ * Each entity comes with its source (file:/path or git:url#path). Location
+ * entities are followed: relative targets within the same location, git URLs
+ * by cloning. Files and targets are checked by their real path, so symlinks
+ * cannot lead out of a location (or a checkout). Throws a LocationError when
+ * the location itself cannot be read.
+ */
+async function readLocation(location, { run = runCommand, env } = {}) {
+  const entities = [];
+  const errors = [];
+  const visited = new Set();
+  const checkouts = [];
+  // Targets of Location entities, read breadth first
+  const pending = [];
+
+  // Read a file or directory below root (a real path); label gives the
+  // source of a file
+  function readPath(target, root, label, depth) {
+    const files = fs.statSync(target).isDirectory() ? findCatalogFiles(target) : [target];
+    for (const file of files) {
+      let real;
+      try {
+        real = fs.realpathSync(file);
+      } catch (error) {
+        errors.push({ source: label(file), message: `Catalog file ${file} cannot be resolved: ${error.message}` });
+        continue;
+      }
+      if (!isWithin(root, real)) {
+        errors.push({ source: label(file), message: `Catalog file ${file} links outside its location` });
+        continue;
+      }
+      if (visited.has(real)) continue;
+      visited.add(real);
+
+      const parsed = parseCatalogFile(fs.readFileSync(real, 'utf8'), label(file));
+      errors.push(...parsed.errors);
+      for (const entity of parsed.entities) {
+        entities.push({ entity, source: label(file) });
+        if (entity.kind === 'Location') {
+          pending.push(...locationTargets(entity).map(next => ({ next, file: real, root, label, depth: depth + 1, source: label(file) })));
+        }
+      }
+    }
+  }
+
+  async function readTarget(type, target, depth) {
+    if (visited.has(`${type}:${target}`)) return;
+    visited.add(`${type}:${target}`);
+
+    if (type !== 'git') {
+      if (!fs.existsSync(target)) {
+        throw new LocationError(`Location ${target} does not exist`, { target });
+      }
+      const root = fs.realpathSync(fs.statSync(target).isDirectory() ? target : path.dirname(target));
+      return readPath(target, root, (file) => `file:${file}`, depth);
+    }
+
+    // Targets come from cloned repositories too: never let one pass for an option
+    if (target.startsWith('-')) {
+      throw new LocationError(`Location ${target} must not start with '-'`, { target });
+    }
+    const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-location-')));
+    checkouts.push(dir);
+    try {
+      await run('git', ['clone', '--quiet', '--depth', '1', '--no-tags', '--', target, dir], { env, timeout: CLONE_TIMEOUT_MS });
+    } catch (error) {
+      throw new LocationError(`Cloning ${target} failed: ${error.message}`, { target });
+    }
+    readPath(dir, dir, (file) => `git:${target}#${path.relative(dir, file)}`, depth);
+  }
+
+  try {
+    await readTarget(location.type, location.target, 0);
+
+    while (pending.length > 0) {
+      const { next, file, root, label, depth, source } = pending.shift();
+      if (depth > MAX_LOCATION_DEPTH) {
+        errors.push({ source, message: `Location target ${next} is nested deeper than ${MAX_LOCATION_DEPTH} locations` });
+        continue;
+      }
+      try {
+        if (isGitUrl(next)) {
+          await readTarget('git', next, depth);
+          continue;
+        }
+        const resolved = path.resolve(path.dirname(file), next);
+        if (path.isAbsolute(next) || !isWithin(root, resolved)) {
+          throw new LocationError(`Location target ${next} is outside its location`, { target: next });
+        }
+        if (!fs.existsSync(resolved)) {
+          throw new LocationError(`Location target ${next} does not exist`, { target: next });
+        }
+        // Symlinks below the root may still lead out of it
+        if (!isWithin(root, fs.realpathSync(resolved))) {
+          throw new LocationError(`Location target ${next} links outside its location`, { target: next });
+        }
+        readPath(resolved, root, label, depth);
+      } catch (error) {
+        errors.push({ source, message: error.message });
+      }
+    }
+  } finally {
+    for (const dir of checkouts) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  return { entities, errors };
+}
+
+// JSON with sorted keys, to compare entities regardless of key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (isMapping(value)) {
+    return `{${Object.keys(value).filter(key => value[key] !== undefined).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = {
+  LocationError,
+  locationType,
+  parseCatalogFile,
+  readLocation,
+  canonicalJson
+};
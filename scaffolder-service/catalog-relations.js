@@ -0,0 +1,107 @@
+// Catalog entity references are stored as namespace/kind:name with the kind
+// lowercased; spec fields use the Backstage form [kind:][namespace/]name
+const ENTITY_REF = /^(?:([A-Za-z][A-Za-z0-9]*):)?(?:([a-z0-9]([-a-z0-9]*[a-z0-9])?)\/)?([a-z0-9]([a-z0-9-]*[a-z0-9])?)$/;
+
+// Relations derived from spec fields, with the kind of targets that name none
+const SPEC_RELATIONS = [
+  { field: 'owner', type: 'ownedBy', kind: 'Group' },
+  { field: 'system', type: 'partOf', kind: 'System' },
+  { field: 'domain', type: 'partOf', kind: 'Domain' },
+  { field: 'subcomponentOf', type: 'partOf', kind: 'Component' },
+  { field: 'dependsOn', type: 'dependsOn', kind: 'Component' },
+  { field: 'providesApis', type: 'providesApi', kind: 'API' },
+  { field: 'consumesApis', type: 'consumesApi', kind: 'API' }
+];
+
+// Only the relations an entity declares are stored; the other direction is
+// derived from them when relations are read
+const INVERSE_RELATIONS = {
+  ownedBy: 'ownerOf',
+  partOf: 'hasPart',
+  dependsOn: 'dependencyOf',
+  providesApi: 'apiProvidedBy',
+  consumesApi: 'apiConsumedBy'
+};
+for (const [type, inverse] of Object.entries(INVERSE_RELATIONS)) {
+  INVERSE_RELATIONS[inverse] = type;
+}
+
+/**
+ * A spec field or relation naming an entity in a form that cannot be parsed
+ */
+class EntityRefError extends Error {
+  constructor(message, { ref, field = null } = {}) {
+    super(message);
+    this.name = 'EntityRefError';
+    this.ref = ref;
+    this.field = field;
+  }
+}
+
+function toEntityRef({ kind, namespace = 'default', name }) {
+  return `${namespace}/${kind.toLowerCase()}:${name}`;
+}
+
+/**
+ * Parse a Backstage entity reference ([kind:][namespace/]name) into
+ * { kind, namespace, name }
+ */
+function parseEntityRef(ref, { defaultKind, defaultNamespace = 'default' } = {}) {
+  const match = typeof ref === 'string' ? ENTITY_REF.exec(ref.trim()) : null;
+  if (!match) {
+    throw new EntityRefError(`Invalid entity reference '${ref}', expected [kind:][namespace/]name`, { ref });
+  }
+  const kind = match[1] || defaultKind;
+  if (!kind) {
+    throw new EntityRefError(`Entity reference '${ref}' needs a kind`, { ref });
+  }
+  return { kind: kind.toLowerCase(), namespace: match[2] || defaultNamespace, name: match[4] };
+}
+
+// Stored reference of a relation target; either already in stored form or
+// a Backstage reference relative to the entity
+function targetRef(ref, defaults) {
+  if (typeof ref === 'string' && /^[^/:]+\/[^/:]+:[^/:]+$/.test(ref)) return ref.toLowerCase();
+  return toEntityRef(parseEntityRef(ref, defaults));
+}
+
+/**
+ * Relations an entity declares: those derived from its spec plus explicit
+ * { type, targetRef } entries, without duplicates
+ */
+function entityRelations({ namespace = 'default', spec = {}, relations = [] }) {
+  const result = new Map();
+  const add = (type, ref) => result.set(`${type} ${ref}`, { type, targetRef: ref });
+
+  for (const { field, type, kind } of SPEC_RELATIONS) {
+    for (const ref of [].concat(spec[field] || [])) {
+      try {
+        add(type, targetRef(ref, { defaultKind: kind, defaultNamespace: namespace }));
+      } catch (error) {
+        throw new EntityRefError(`spec.${field}: ${error.message}`, { ref, field: `spec.${field}` });
+      }
+    }
+  }
+
+  for (const relation of relations) {
+    if (!relation || !relation.type || !relation.targetRef) {
+      throw new EntityRefError('Relations need a type and a targetRef', { ref: relation && relation.targetRef, field: 'relations' });
+    }
+    add(relation.type, targetRef(relation.targetRef, { defaultNamespace: namespace }));
+  }
+
+  return [...result.values()];
+}
+
+// The relation type as seen from its target (dependsOn -> dependencyOf)
+function inverseRelation(type) {
+  return INVERSE_RELATIONS[type] || `${type}Inverse`;
+}
+
+module.exports = {
+  EntityRefError,
+  toEntityRef,
+  parseEntityRef,
+  entityRelations,
+  inverseRelation
+};
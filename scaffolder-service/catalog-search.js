@@ -0,0 +1,102 @@
+// Spec fields that can be filtered on and are counted as facets
+const SEARCH_FACETS = ['owner', 'lifecycle', 'type'];
+const DEFAULT_SEARCH_LIMIT = 25;
+const MAX_SEARCH_LIMIT = 100;
+// Query parameters filtering on any label or annotation: label.<key>=<value>
+const KEYED_FILTERS = { 'label.': 'labels', 'annotation.': 'annotations' };
+
+// Query parameter values as a list; repeated parameters match any of them
+const valuesOf = (value) => [].concat(value === undefined ? [] : value).map(String);
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Read the search parameters of a request query: q, limit, kind, namespace,
+ * owner, lifecycle, type, tag, label.<key> and annotation.<key>. A label or
+ * annotation parameter without a value matches entities that have the key.
+ * Repeated parameters, tags included, match any of their values.
+ * Returns { q, limit, filters, errors }.
+ */
+function parseSearchParams(query = {}) {
+  const errors = [];
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+
+  const limit = query.limit === undefined ? DEFAULT_SEARCH_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+    errors.push({ field: 'limit', message: `must be an integer between 1 and ${MAX_SEARCH_LIMIT}` });
+  }
+
+  const filters = { kind: valuesOf(query.kind), namespace: valuesOf(query.namespace), tag: valuesOf(query.tag), labels: {}, annotations: {} };
+  for (const facet of SEARCH_FACETS) {
+    filters[facet] = valuesOf(query[facet]);
+  }
+  for (const [param, value] of Object.entries(query)) {
+    for (const [prefix, field] of Object.entries(KEYED_FILTERS)) {
+      if (param.startsWith(prefix) && param.length > prefix.length) {
+        filters[field][param.slice(prefix.length)] = valuesOf(value);
+      }
+    }
+  }
+
+  return { q, limit, filters, errors };
+}
+
+/**
+ * SQL for a search over the entities table: the WHERE clause, its
+ * parameters and the rank of each row. With facet, the filter on that spec
+ * field is left out (so the facet counts its alternatives) and rows without
+ * the field are skipped.
+ */
+function searchQuery({ q, filters }, { facet = null } = {}) {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = [];
+  // Values of one filter match any of them, filters all have to match
+  const anyOf = (values, toSql) => {
+    if (values.length > 0) conditions.push(`(${values.map(toSql).join(' OR ')})`);
+  };
+
+  let rank = '0';
+  if (q) {
+    // Fuzzy (pg_trgm) or substring matches on the name, description or title
+    const text = `${param(q)}::text`;
+    const like = param(`%${escapeLike(q)}%`);
+    const description = `COALESCE(metadata->>'description', '')`;
+    conditions.push(`(name % ${text} OR ${text} <% ${description} OR name ILIKE ${like} ` +
+      `OR ${description} ILIKE ${like} OR metadata->>'title' ILIKE ${like})`);
+    // Exact names first, then by name and description similarity
+    rank = `(CASE WHEN name = lower(${text}) THEN 1 ELSE 0 END + similarity(name, ${text}) ` +
+      `+ 0.5 * word_similarity(${text}, ${description}))`;
+  }
+
+  anyOf(filters.kind, kind => `lower(kind) = lower(${param(kind)})`);
+  anyOf(filters.namespace, namespace => `namespace = ${param(namespace)}`);
+  for (const field of SEARCH_FACETS.filter(field => field !== facet)) {
+    anyOf(filters[field], value => `spec @> ${param(JSON.stringify({ [field]: value }))}::jsonb`);
+  }
+  anyOf(filters.tag, tag => `metadata @> ${param(JSON.stringify({ tags: [tag] }))}::jsonb`);
+  for (const field of Object.values(KEYED_FILTERS)) {
+    for (const [key, values] of Object.entries(filters[field])) {
+      anyOf(values, value => value === ''
+        ? `metadata->'${field}' ? ${param(key)}`
+        : `metadata @> ${param(JSON.stringify({ [field]: { [key]: value } }))}::jsonb`);
+    }
+  }
+  if (facet) {
+    conditions.push(`spec->>'${facet}' IS NOT NULL`);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+    rank
+  };
+}
+
+module.exports = {
+  SEARCH_FACETS,
+  parseSearchParams,
+  searchQuery
+};
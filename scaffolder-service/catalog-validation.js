@@ -0,0 +1,256 @@
+const { parseEntityRef } = require('./catalog-relations');
+
+// What the entities table accepts
+const ENTITY_KINDS = ['Component', 'API', 'Resource', 'System', 'Domain', 'Group', 'User', 'Location'];
+const ENTITY_API_VERSION = /^backstage\.io\/v1(alpha1|beta1)$/;
+// Names and namespaces are DNS labels (the entities table checks the same)
+const DNS_LABEL = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+const DNS_SUBDOMAIN = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*$/;
+// Label and annotation keys are [prefix/]name as in Kubernetes
+const KEY_NAME = /^[A-Za-z0-9]([-A-Za-z0-9_.]*[A-Za-z0-9])?$/;
+const LABEL_VALUE = /^([A-Za-z0-9]([-A-Za-z0-9_.]*[A-Za-z0-9])?)?$/;
+const TAG = /^[a-z0-9:+#]+(-[a-z0-9:+#]+)*$/;
+const MAX_NAME_LENGTH = 63;
+const MAX_PREFIX_LENGTH = 253;
+
+// Spec fields of each kind: those required and the type of every known field.
+// ref(s) are entity references; unknown fields are allowed.
+const SPEC_RULES = {
+  Component: {
+    required: ['type', 'lifecycle', 'owner'],
+    fields: { type: 'string', lifecycle: 'string', owner: 'ref', system: 'ref', subcomponentOf: 'ref', providesApis: 'refs', consumesApis: 'refs', dependsOn: 'refs' }
+  },
+  API: {
+    required: ['type', 'lifecycle', 'owner', 'definition'],
+    fields: { type: 'string', lifecycle: 'string', owner: 'ref', system: 'ref', definition: 'string' }
+  },
+  Resource: {
+    required: ['type', 'owner'],
+    fields: { type: 'string', owner: 'ref', system: 'ref', dependsOn: 'refs' }
+  },
+  System: { required: ['owner'], fields: { owner: 'ref', domain: 'ref' } },
+  Domain: { required: ['owner'], fields: { owner: 'ref' } },
+  Group: {
+    required: ['type', 'children'],
+    fields: { type: 'string', profile: 'object', parent: 'ref', children: 'refs', members: 'refs' }
+  },
+  User: { required: ['memberOf'], fields: { profile: 'object', memberOf: 'refs' } },
+  Location: { required: [], fields: { type: 'string', target: 'string', targets: 'strings', presence: 'string' } }
+};
+
+/**
+ * An entity that does not pass validation; errors lists { field, message }
+ */
+class EntityValidationError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'EntityValidationError';
+    this.errors = errors;
+  }
+}
+
+const isMapping = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Problem with a label or annotation key, or null
+function keyProblem(key) {
+  const slash = key.lastIndexOf('/');
+  const prefix = slash === -1 ? null : key.slice(0, slash);
+  const name = key.slice(slash + 1);
+  if (prefix !== null && (prefix.length > MAX_PREFIX_LENGTH || !DNS_SUBDOMAIN.test(prefix))) {
+    return `prefix of key '${key}' must be a DNS subdomain of at most ${MAX_PREFIX_LENGTH} characters`;
+  }
+  if (name.length > MAX_NAME_LENGTH || !KEY_NAME.test(name)) {
+    return `key '${key}' must be alphanumeric with '-', '_' or '.' inside, at most ${MAX_NAME_LENGTH} characters after the prefix`;
+  }
+  return null;
+}
+
+function validateMetadata(metadata, error) {
+  if (!isMapping(metadata)) {
+    error('metadata', 'must be a mapping');
+    return;
+  }
+
+  for (const field of ['name', 'namespace']) {
+    const value = metadata[field];
+    if (value === undefined && field === 'namespace') continue;
+    if (typeof value !== 'string' || value.length > MAX_NAME_LENGTH || !DNS_LABEL.test(value)) {
+      error(`metadata.${field}`, `must be a DNS label: lowercase alphanumeric with hyphens, at most ${MAX_NAME_LENGTH} characters`);
+    }
+  }
+  for (const field of ['title', 'description']) {
+    if (metadata[field] !== undefined && typeof metadata[field] !== 'string') {
+      error(`metadata.${field}`, 'must be a string');
+    }
+  }
+
+  for (const field of ['labels', 'annotations']) {
+    const entries = metadata[field];
+    if (entries === undefined) continue;
+    if (!isMapping(entries)) {
+      error(`metadata.${field}`, 'must be a mapping');
+      continue;
+    }
+    for (const [key, value] of Object.entries(entries)) {
+      const problem = keyProblem(key);
+      if (problem) error(`metadata.${field}.${key}`, problem);
+      if (typeof value !== 'string') {
+        error(`metadata.${field}.${key}`, 'must be a string');
+      } else if (field === 'labels' && (value.length > MAX_NAME_LENGTH || !LABEL_VALUE.test(value))) {
+        error(`metadata.${field}.${key}`, `value must be alphanumeric with '-', '_' or '.' inside, at most ${MAX_NAME_LENGTH} characters`);
+      }
+    }
+  }
+
+  if (metadata.tags !== undefined) {
+    if (!Array.isArray(metadata.tags)) {
+      error('metadata.tags', 'must be a list');
+    } else {
+      metadata.tags.forEach((tag, index) => {
+        if (typeof tag !== 'string' || tag.length > MAX_NAME_LENGTH || !TAG.test(tag)) {
+          error(`metadata.tags[${index}]`, `must be lowercase alphanumeric words joined by '-', at most ${MAX_NAME_LENGTH} characters`);
+        }
+      });
+    }
+  }
+
+  if (metadata.links !== undefined) {
+    if (!Array.isArray(metadata.links)) {
+      error('metadata.links', 'must be a list');
+    } else {
+      metadata.links.forEach((link, index) => {
+        if (!isMapping(link) || !isString(link.url)) error(`metadata.links[${index}].url`, 'is required');
+      });
+    }
+  }
+}
+
+function validateSpecField(field, kind, value, error) {
+  const ref = (item, path) => {
+    try {
+      parseEntityRef(item, { defaultKind: 'unspecified' });
+    } catch (refError) {
+      error(path, refError.message);
+    }
+  };
+
+  switch (kind) {
+    case 'string':
+      if (!isString(value)) error(field, 'must be a non-empty string');
+      break;
+    case 'object':
+      if (!isMapping(value)) error(field, 'must be a mapping');
+      break;
+    case 'ref':
+      if (!isString(value)) error(field, 'must be an entity reference');
+      else ref(value, field);
+      break;
+    case 'refs':
+    case 'strings':
+      if (!Array.isArray(value)) {
+        error(field, 'must be a list');
+        break;
+      }
+      value.forEach((item, index) => {
+        if (!isString(item)) error(`${field}[${index}]`, 'must be a non-empty string');
+        else if (kind === 'refs') ref(item, `${field}[${index}]`);
+      });
+      break;
+  }
+}
+
+/**
+ * Validate a Backstage entity: the envelope (apiVersion, kind, metadata,
+ * spec, relations), DNS-safe names, label and annotation keys, and the spec
+ * rules of its kind. Returns a list of { field, message } errors.
+ */
+function validateEntity(entity) {
+  if (!isMapping(entity)) {
+    return [{ field: '', message: 'must be a mapping' }];
+  }
+  const errors = [];
+  const error = (field, message) => errors.push({ field, message });
+
+  if (typeof entity.apiVersion !== 'string' || !ENTITY_API_VERSION.test(entity.apiVersion)) {
+    error('apiVersion', 'must be backstage.io/v1alpha1 or backstage.io/v1beta1');
+  }
+  if (!ENTITY_KINDS.includes(entity.kind)) {
+    error('kind', `must be one of: ${ENTITY_KINDS.join(', ')}`);
+  }
+  validateMetadata(entity.metadata, error);
+
+  const { spec } = entity;
+  if (!isMapping(spec)) {
+    error('spec', 'must be a mapping');
+  } else if (SPEC_RULES[entity.kind]) {
+    const { required, fields } = SPEC_RULES[entity.kind];
+    for (const field of required) {
+      if (spec[field] === undefined || spec[field] === null) error(`spec.${field}`, `is required for ${entity.kind} entities`);
+    }
+    for (const [field, kind] of Object.entries(fields)) {
+      if (spec[field] !== undefined && spec[field] !== null) validateSpecField(`spec.${field}`, kind, spec[field], error);
+    }
+    if (entity.kind === 'Location' && spec.target === undefined && spec.targets === undefined) {
+      error('spec.target', 'Location entities need spec.target or spec.targets');
+    }
+  }
+
+  if (entity.relations !== undefined) {
+    if (!Array.isArray(entity.relations)) {
+      error('relations', 'must be a list');
+    } else {
+      entity.relations.forEach((relation, index) => {
+        if (!isMapping(relation) || !isString(relation.type)) error(`relations[${index}].type`, 'is required');
+        if (!isMapping(relation) || !isString(relation.targetRef)) error(`relations[${index}].targetRef`, 'is required');
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * The Backstage entity stored for entity data ({ name, kind, namespace,
+ * metadata, spec, relations }); name and namespace may be given at the top
+ * level, in metadata or both
+ */
+function entityEnvelope({ apiVersion = 'backstage.io/v1alpha1', kind, name, namespace = 'default', metadata = {}, spec = {}, relations }) {
+  return {
+    apiVersion,
+    kind,
+    metadata: { name, namespace, ...metadata },
+    spec,
+    ...(relations === undefined ? {} : { relations })
+  };
+}
+
+/**
+ * Validate entity data as written to the catalog: its envelope, plus top-level
+ * name and namespace, which must agree with metadata when both are given.
+ * Returns a list of { field, message } errors.
+ */
+function validateEntityData(entityData) {
+  if (!isMapping(entityData)) {
+    return [{ field: '', message: 'must be a mapping' }];
+  }
+  const errors = [];
+  if (entityData.metadata !== undefined && !isMapping(entityData.metadata)) {
+    return [{ field: 'metadata', message: 'must be a mapping' }];
+  }
+  for (const field of ['name', 'namespace']) {
+    const value = entityData[field];
+    const inMetadata = (entityData.metadata || {})[field];
+    if (value !== undefined && inMetadata !== undefined && value !== inMetadata) {
+      errors.push({ field, message: `conflicts with metadata.${field}` });
+    }
+  }
+  return [...errors, ...validateEntity(entityEnvelope(entityData))];
+}
+
+module.exports = {
+  EntityValidationError,
+  entityEnvelope,
+  validateEntity,
+  validateEntityData
+};
@@ -0,0 +1,110 @@
+const { execFile } = require('child_process');
+
+// Commands that do not set their own timeout are killed after two minutes
+const DEFAULT_TIMEOUT_MS = 120000;
+// Enough for kubectl get -o json and docker build output
+const MAX_BUFFER = 32 * 1024 * 1024;
+
+/**
+ * A command that could not start, exited non-zero or timed out. stdout and
+ * stderr hold whatever the command printed before failing.
+ */
+class CommandError extends Error {
+  constructor(message, { command, args, code = null, signal = null, timedOut = false, stdout = '', stderr = '' }) {
+    super(message);
+    this.name = 'CommandError';
+    this.command = command;
+    this.args = args;
+    this.code = code;
+    this.signal = signal;
+    this.timedOut = timedOut;
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+}
+
+// Printable form of a command for logs and error messages. Arguments listed in
+// options.redact (tokens, passwords) are masked.
+function formatCommand(command, args = [], redact = []) {
+  return [command, ...args]
+    .map(arg => redact.includes(arg) ? '[redacted]' : arg)
+    .map(arg => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, `'\\''`)}'`)
+    .join(' ');
+}
+
+function toText(output) {
+  return output === undefined || output === null ? '' : output.toString();
+}
+
+function commandError(command, args, options, error) {
+  const stdout = toText(error.stdout);
+  const stderr = toText(error.stderr);
+  const printable = formatCommand(command, args, options.redact);
+  const timedOut = Boolean(error.killed) || error.code === 'ETIMEDOUT';
+  const code = typeof error.code === 'number' ? error.code : null;
+
+  let message;
+  if (error.code === 'ENOENT') {
+    message = `Command not found: ${command}`;
+  } else if (timedOut) {
+    message = `Command timed out after ${options.timeout}ms: ${printable}`;
+  } else {
+    message = `Command failed: ${printable} (exit code ${code === null ? error.signal || 'unknown' : code})`;
+  }
+  if (stderr.trim()) {
+    message += `\n${stderr.trim()}`;
+  }
+
+  return new CommandError(message, {
+    command, args, code, signal: error.signal || null, timedOut, stdout, stderr
+  });
+}
+
+function execOptions(options) {
+  return {
+    cwd: options.cwd,
+    env: options.env ? { ...process.env, ...options.env } : process.env,
+    timeout: options.timeout,
+    maxBuffer: MAX_BUFFER,
+    encoding: 'utf8',
+    windowsHide: true
+  };
+}
+
+function withDefaults(options = {}) {
+  return { timeout: DEFAULT_TIMEOUT_MS, redact: [], ...options };
+}
+
+/**
+ * Run a command with an argument array (no shell involved, so arguments are
+ * never interpreted). options: cwd, env (merged into process.env), input
+ * (written to stdin), timeout in ms and redact (arguments masked in errors).
+ * Resolves to { stdout, stderr }; rejects with a CommandError.
+ */
+function run(command, args = [], options = {}) {
+  const opts = withDefaults(options);
+
+  return new Promise((resolve, reject) => {
+    const child = execFile(command, args, execOptions(opts), (error, stdout, stderr) => {
+      if (error) {
+        error.stdout = stdout;
+        error.stderr = stderr;
+        return reject(commandError(command, args, opts, error));
+      }
+      resolve({ stdout: toText(stdout), stderr: toText(stderr) });
+    });
+
+    if (child.stdin) {
+      // A command that exits without reading its input must not crash the service
+      child.stdin.on('error', () => {});
+      child.stdin.end(opts.input);
+    }
+  });
+}
+
+module.exports = {
+  CommandError,
+  DEFAULT_TIMEOUT_MS,
+  formatCommand,
+  run
+};
@@ -0,0 +1,100 @@
+// Promotion order and namespaces used when ENVIRONMENTS is not set
+const DEFAULT_ENVIRONMENTS = 'development:development,stage:stage,production:backstage-prod';
+const DNS_LABEL = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse environments of the form name:namespace, separated by commas and in
+ * promotion order (e.g. "development:development,production:prod")
+ */
+function parseEnvironments(value) {
+  const environments = parseList(value).map(entry => {
+    const [name, namespace = name] = entry.split(':').map(part => part.trim());
+    if (!DNS_LABEL.test(name) || !DNS_LABEL.test(namespace)) {
+      throw new Error(`Invalid environment '${entry}' in ENVIRONMENTS, expected name:namespace`);
+    }
+    return { name, namespace };
+  });
+
+  if (environments.length === 0) {
+    throw new Error('ENVIRONMENTS must define at least one environment');
+  }
+  for (const key of ['name', 'namespace']) {
+    const values = environments.map(environment => environment[key]);
+    const duplicate = values.find((value, index) => values.indexOf(value) !== index);
+    if (duplicate) {
+      throw new Error(`Environment ${key} '${duplicate}' is defined twice in ENVIRONMENTS`);
+    }
+  }
+  return environments;
+}
+
+/**
+ * Create the environment model: the ordered environments services are
+ * promoted through, and the ones whose promotions need approval (by default
+ * production, if defined).
+ */
+function createEnvironments({ definitions = DEFAULT_ENVIRONMENTS, approvalRequired } = {}) {
+  const environments = parseEnvironments(definitions);
+  const gated = new Set(approvalRequired === undefined
+    ? environments.filter(environment => environment.name === 'production').map(environment => environment.name)
+    : parseList(approvalRequired));
+  for (const name of gated) {
+    if (!environments.some(environment => environment.name === name)) {
+      throw new Error(`PROMOTION_APPROVAL_ENVIRONMENTS names unknown environment '${name}'`);
+    }
+  }
+
+  const describe = (environment) => ({ ...environment, requiresApproval: gated.has(environment.name) });
+
+  function get(name) {
+    const environment = environments.find(candidate => candidate.name === name);
+    return environment ? describe(environment) : null;
+  }
+
+  // Environment deployed to a namespace; namespaces outside the configured
+  // environments are treated as an environment of the same name
+  function forNamespace(namespace) {
+    const environment = environments.find(candidate => candidate.namespace === namespace);
+    return environment ? describe(environment) : { name: namespace, namespace, requiresApproval: false };
+  }
+
+  // Environment a promotion to name starts from by default
+  function previous(name) {
+    const index = environments.findIndex(environment => environment.name === name);
+    return index > 0 ? describe(environments[index - 1]) : null;
+  }
+
+  /**
+   * Per-environment state of a service from its scaffold metadata. Metadata
+   * written before environments existed has a single namespace field.
+   */
+  function statesOf(meta = {}) {
+    if (meta.environments) return meta.environments;
+    if (!meta.namespace) return {};
+    return { [forNamespace(meta.namespace).name]: { namespace: meta.namespace, status: 'unknown' } };
+  }
+
+  return {
+    list: () => environments.map(describe),
+    get,
+    forNamespace,
+    previous,
+    statesOf,
+    // Namespaces a service is present in
+    namespacesOf: (meta) => Object.values(statesOf(meta)).map(state => state.namespace),
+    // environment label of k8s objects in a namespace
+    labelFor: (namespace) => {
+      const environment = environments.find(candidate => candidate.namespace === namespace);
+      return environment ? environment.name : 'other';
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_ENVIRONMENTS,
+  createEnvironments
+};
@@ -0,0 +1,147 @@
+const axios = require('axios');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * An error response from the Gitea API (or a failure to reach it). status is
+ * the HTTP status, null when the API could not be reached.
+ */
+class GiteaError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message);
+    this.name = 'GiteaError';
+    this.status = status;
+  }
+}
+
+function toGiteaError(error, action) {
+  if (error instanceof GiteaError) return error;
+
+  const response = error.response;
+  if (!response) {
+    return new GiteaError(`${action} failed: ${error.message}`);
+  }
+  const body = response.data && typeof response.data === 'object' ? response.data : {};
+  return new GiteaError(`${action} failed: ${body.message || response.statusText || `HTTP ${response.status}`}`, {
+    status: response.status
+  });
+}
+
+/**
+ * Create a client for the API of a Gitea (or Forgejo) instance, e.g.
+ * http://localhost:3000/api/v1
+ */
+function createGiteaClient({ token, apiUrl, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const client = axios.create({
+    baseURL: apiUrl.replace(/\/+$/, ''),
+    timeout: timeoutMs,
+    headers: token ? { Authorization: `token ${token}` } : {}
+  });
+
+  async function request(action, requestConfig) {
+    try {
+      const { data } = await client.request(requestConfig);
+      return data;
+    } catch (error) {
+      throw toGiteaError(error, action);
+    }
+  }
+
+  // Resolve to null instead of throwing when the API answers 404
+  async function optional(promise) {
+    try {
+      return await promise;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  const getRepo = (owner, name) => optional(request(`Lookup of repository ${owner}/${name}`, { method: 'GET', url: `/repos/${owner}/${name}` }));
+  const getOrg = (owner) => optional(request(`Lookup of organization ${owner}`, { method: 'GET', url: `/orgs/${owner}` }));
+
+  /**
+   * Create an empty repository in an organization or, for the authenticated
+   * user's own account, below /user
+   */
+  async function createRepo(owner, name, { description, private: isPrivate = false } = {}) {
+    const organization = await getOrg(owner);
+    return request(`Creation of repository ${owner}/${name}`, {
+      method: 'POST',
+      url: organization ? `/orgs/${owner}/repos` : '/user/repos',
+      data: { name, description, private: isPrivate, auto_init: false, default_branch: 'main' }
+    });
+  }
+
+  // Delete a repository; false if it did not exist
+  async function deleteRepo(owner, name) {
+    const deleted = await optional(request(`Deletion of repository ${owner}/${name}`, { method: 'DELETE', url: `/repos/${owner}/${name}` }));
+    return deleted !== null;
+  }
+
+  // Team of an organization by name, or null
+  async function getTeam(org, teamName) {
+    const result = await optional(request(`Lookup of team ${org}/${teamName}`, {
+      method: 'GET', url: `/orgs/${org}/teams/search`, params: { q: teamName }
+    }));
+    return (result && result.data || []).find(team => team.name === teamName) || null;
+  }
+
+  // Teams get the permission configured on the team itself
+  function addTeam(owner, name, teamName) {
+    return request(`Adding team ${teamName} to ${owner}/${name}`, { method: 'PUT', url: `/repos/${owner}/${name}/teams/${teamName}` });
+  }
+
+  /**
+   * Allow changes to a branch only through pull requests with reviews
+   */
+  function protectBranch(owner, name, branch, { requiredReviews = 1 } = {}) {
+    return request(`Protection of branch ${branch} of ${owner}/${name}`, {
+      method: 'POST',
+      url: `/repos/${owner}/${name}/branch_protections`,
+      data: {
+        rule_name: branch,
+        branch_name: branch,
+        enable_push: false,
+        required_approvals: requiredReviews,
+        block_on_rejected_reviews: true,
+        dismiss_stale_approvals: true
+      }
+    });
+  }
+
+  function createPullRequest(owner, name, { title, body, head, base }) {
+    return request(`Pull request ${head} -> ${base} in ${owner}/${name}`, {
+      method: 'POST',
+      url: `/repos/${owner}/${name}/pulls`,
+      data: { title, body, head, base }
+    });
+  }
+
+  // Open pull request from a branch of the same repository, or null
+  async function findPullRequest(owner, name, head) {
+    const pulls = await request(`Lookup of pull requests in ${owner}/${name}`, {
+      method: 'GET',
+      url: `/repos/${owner}/${name}/pulls`,
+      params: { state: 'open' }
+    });
+    return pulls.find(pull => pull.head && pull.head.ref === head) || null;
+  }
+
+  return {
+    getRepo,
+    getOrg,
+    createRepo,
+    deleteRepo,
+    getTeam,
+    addTeam,
+    protectBranch,
+    createPullRequest,
+    findPullRequest
+  };
+}
+
+module.exports = {
+  GiteaError,
+  createGiteaClient
+};
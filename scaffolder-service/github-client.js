@@ -0,0 +1,169 @@
+const axios = require('axios');
+
+const DEFAULT_API_URL = 'https://api.github.com';
+const DEFAULT_TIMEOUT_MS = 30000;
+// Repository visibilities; internal needs an organization on GitHub Enterprise
+const VISIBILITIES = ['public', 'private', 'internal'];
+
+/**
+ * An error response from the GitHub API (or a failure to reach it). status is
+ * the HTTP status, null when the API could not be reached.
+ */
+class GitHubError extends Error {
+  constructor(message, { status = null, errors = null } = {}) {
+    super(message);
+    this.name = 'GitHubError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+function toGitHubError(error, action) {
+  if (error instanceof GitHubError) return error;
+
+  const response = error.response;
+  if (!response) {
+    return new GitHubError(`${action} failed: ${error.message}`);
+  }
+  const body = response.data && typeof response.data === 'object' ? response.data : {};
+  const details = (body.errors || []).map(item => item.message || item.code).filter(Boolean);
+  const message = `${action} failed: ${body.message || response.statusText || `HTTP ${response.status}`}` +
+    (details.length > 0 ? ` (${details.join('; ')})` : '');
+  return new GitHubError(message, { status: response.status, errors: body.errors || null });
+}
+
+/**
+ * Create a client for the GitHub REST API. apiUrl points it at GitHub
+ * Enterprise or a local fake of the API.
+ */
+function createGitHubClient({ token, apiUrl = DEFAULT_API_URL, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const client = axios.create({
+    baseURL: apiUrl.replace(/\/+$/, ''),
+    timeout: timeoutMs,
+    headers: {
+      Accept: 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    }
+  });
+
+  async function request(action, requestConfig) {
+    try {
+      const { data } = await client.request(requestConfig);
+      return data;
+    } catch (error) {
+      throw toGitHubError(error, action);
+    }
+  }
+
+  // Resolve to null instead of throwing when the API answers 404
+  async function optional(promise) {
+    try {
+      return await promise;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  const getRepo = (owner, name) => optional(request(`Lookup of repository ${owner}/${name}`, { method: 'GET', url: `/repos/${owner}/${name}` }));
+
+  // True if owner is an organization, false for a user account
+  async function isOrganization(owner) {
+    const account = await request(`Lookup of account ${owner}`, { method: 'GET', url: `/users/${owner}` });
+    return account.type === 'Organization';
+  }
+
+  /**
+   * Create an empty repository in an organization or, for the authenticated
+   * user's own account, below /user
+   */
+  async function createRepo(owner, name, { description, visibility = 'public' } = {}) {
+    if (!VISIBILITIES.includes(visibility)) {
+      throw new Error(`Unknown repository visibility '${visibility}', expected one of ${VISIBILITIES.join(', ')}`);
+    }
+    const organization = await isOrganization(owner);
+    if (visibility === 'internal' && !organization) {
+      throw new Error(`Internal repositories need an organization; ${owner} is a user`);
+    }
+    return request(`Creation of repository ${owner}/${name}`, {
+      method: 'POST',
+      url: organization ? `/orgs/${owner}/repos` : '/user/repos',
+      data: { name, description, visibility, private: visibility !== 'public', auto_init: false }
+    });
+  }
+
+  // Delete a repository; false if it did not exist
+  async function deleteRepo(owner, name) {
+    const deleted = await optional(request(`Deletion of repository ${owner}/${name}`, { method: 'DELETE', url: `/repos/${owner}/${name}` }));
+    return deleted !== null;
+  }
+
+  /**
+   * Require pull requests with reviews for a branch. Code owner reviews are
+   * required too when requireCodeOwnerReviews is set.
+   */
+  function protectBranch(owner, name, branch, { requiredReviews = 1, requireCodeOwnerReviews = true } = {}) {
+    return request(`Protection of branch ${branch} of ${owner}/${name}`, {
+      method: 'PUT',
+      url: `/repos/${owner}/${name}/branches/${branch}/protection`,
+      data: {
+        required_status_checks: null,
+        enforce_admins: false,
+        required_pull_request_reviews: {
+          required_approving_review_count: requiredReviews,
+          require_code_owner_reviews: requireCodeOwnerReviews,
+          dismiss_stale_reviews: true
+        },
+        restrictions: null
+      }
+    });
+  }
+
+  // Team of an organization by slug, or null
+  const getTeam = (org, slug) => optional(request(`Lookup of team ${org}/${slug}`, { method: 'GET', url: `/orgs/${org}/teams/${slug}` }));
+
+  function grantTeam(org, slug, owner, name, permission) {
+    return request(`Grant of ${permission} on ${owner}/${name} to team ${slug}`, {
+      method: 'PUT',
+      url: `/orgs/${org}/teams/${slug}/repos/${owner}/${name}`,
+      data: { permission }
+    });
+  }
+
+  function createPullRequest(owner, name, { title, body, head, base }) {
+    return request(`Pull request ${head} -> ${base} in ${owner}/${name}`, {
+      method: 'POST',
+      url: `/repos/${owner}/${name}/pulls`,
+      data: { title, body, head, base }
+    });
+  }
+
+  // Open pull request from a branch of the same repository, or null
+  async function findPullRequest(owner, name, head) {
+    const pulls = await request(`Lookup of pull requests from ${head} in ${owner}/${name}`, {
+      method: 'GET',
+      url: `/repos/${owner}/${name}/pulls`,
+      params: { head: `${owner}:${head}`, state: 'open' }
+    });
+    return pulls[0] || null;
+  }
+
+  return {
+    getRepo,
+    isOrganization,
+    createRepo,
+    deleteRepo,
+    protectBranch,
+    getTeam,
+    grantTeam,
+    createPullRequest,
+    findPullRequest
+  };
+}
+
+module.exports = {
+  VISIBILITIES,
+  GitHubError,
+  createGitHubClient
+};
@@ -0,0 +1,177 @@
+const axios = require('axios');
+
+const DEFAULT_API_URL = 'https://gitlab.com/api/v4';
+const DEFAULT_TIMEOUT_MS = 30000;
+// Access levels of GitLab roles
+const ACCESS_LEVELS = { none: 0, guest: 10, reporter: 20, developer: 30, maintainer: 40 };
+
+/**
+ * An error response from the GitLab API (or a failure to reach it). status is
+ * the HTTP status, null when the API could not be reached.
+ */
+class GitLabError extends Error {
+  constructor(message, { status = null } = {}) {
+    super(message);
+    this.name = 'GitLabError';
+    this.status = status;
+  }
+}
+
+// GitLab reports validation errors as { message: { field: [problems] } }
+function errorMessage(body) {
+  const message = body.message || body.error;
+  if (message && typeof message === 'object') {
+    return Object.entries(message).map(([field, problems]) => `${field} ${[].concat(problems).join(', ')}`).join('; ');
+  }
+  return message;
+}
+
+function toGitLabError(error, action) {
+  if (error instanceof GitLabError) return error;
+
+  const response = error.response;
+  if (!response) {
+    return new GitLabError(`${action} failed: ${error.message}`);
+  }
+  const body = response.data && typeof response.data === 'object' ? response.data : {};
+  return new GitLabError(`${action} failed: ${errorMessage(body) || response.statusText || `HTTP ${response.status}`}`, {
+    status: response.status
+  });
+}
+
+/**
+ * Create a client for the GitLab REST API (gitlab.com or a self-managed
+ * instance). Projects and groups are addressed by their full path.
+ */
+function createGitLabClient({ token, apiUrl = DEFAULT_API_URL, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const client = axios.create({
+    baseURL: apiUrl.replace(/\/+$/, ''),
+    timeout: timeoutMs,
+    headers: token ? { 'PRIVATE-TOKEN': token } : {}
+  });
+  const id = (fullPath) => encodeURIComponent(fullPath);
+
+  async function request(action, requestConfig) {
+    try {
+      const { data } = await client.request(requestConfig);
+      return data;
+    } catch (error) {
+      throw toGitLabError(error, action);
+    }
+  }
+
+  // Resolve to null instead of throwing when the API answers 404
+  async function optional(promise) {
+    try {
+      return await promise;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  const getProject = (fullPath) => optional(request(`Lookup of project ${fullPath}`, { method: 'GET', url: `/projects/${id(fullPath)}` }));
+  // User or group namespace by path, or null
+  const getNamespace = (fullPath) => optional(request(`Lookup of namespace ${fullPath}`, { method: 'GET', url: `/namespaces/${id(fullPath)}` }));
+  const getGroup = (fullPath) => optional(request(`Lookup of group ${fullPath}`, { method: 'GET', url: `/groups/${id(fullPath)}` }));
+
+  /**
+   * Create an empty project in a user or group namespace
+   */
+  async function createProject(namespace, name, { description, visibility = 'public' } = {}) {
+    const target = await getNamespace(namespace);
+    if (!target) {
+      throw new GitLabError(`Creation of project ${namespace}/${name} failed: namespace ${namespace} not found`, { status: 404 });
+    }
+    return request(`Creation of project ${namespace}/${name}`, {
+      method: 'POST',
+      url: '/projects',
+      data: {
+        name, path: name, namespace_id: target.id, description, visibility,
+        initialize_with_readme: false, default_branch: 'main'
+      }
+    });
+  }
+
+  // Delete a project; false if it did not exist
+  async function deleteProject(fullPath) {
+    const deleted = await optional(request(`Deletion of project ${fullPath}`, { method: 'DELETE', url: `/projects/${id(fullPath)}` }));
+    return deleted !== null;
+  }
+
+  async function shareProject(fullPath, groupPath, accessLevel) {
+    const group = await getGroup(groupPath);
+    if (!group) {
+      throw new GitLabError(`Sharing of ${fullPath} with group ${groupPath} failed: group not found`, { status: 404 });
+    }
+    return request(`Sharing of ${fullPath} with group ${groupPath}`, {
+      method: 'POST',
+      url: `/projects/${id(fullPath)}/share`,
+      data: { group_id: group.id, group_access: accessLevel }
+    });
+  }
+
+  /**
+   * Allow changes to a branch only through merge requests. The first push
+   * protects the default branch for maintainers, so an existing rule is
+   * replaced. Required approvals are an approval rule, which needs GitLab
+   * Premium; code owner approval is part of the branch rule.
+   */
+  async function protectBranch(fullPath, branch, { requiredReviews = 1, requireCodeOwnerReviews = true } = {}) {
+    await optional(request(`Unprotection of branch ${branch} of ${fullPath}`, {
+      method: 'DELETE', url: `/projects/${id(fullPath)}/protected_branches/${encodeURIComponent(branch)}`
+    }));
+    await request(`Protection of branch ${branch} of ${fullPath}`, {
+      method: 'POST',
+      url: `/projects/${id(fullPath)}/protected_branches`,
+      data: {
+        name: branch,
+        push_access_level: ACCESS_LEVELS.none,
+        merge_access_level: ACCESS_LEVELS.developer,
+        allow_force_push: false,
+        code_owner_approval_required: requireCodeOwnerReviews
+      }
+    });
+    return request(`Approval rule of ${fullPath}`, {
+      method: 'POST',
+      url: `/projects/${id(fullPath)}/approval_rules`,
+      data: { name: 'Reviewers', approvals_required: requiredReviews }
+    });
+  }
+
+  function createMergeRequest(fullPath, { title, description, sourceBranch, targetBranch }) {
+    return request(`Merge request ${sourceBranch} -> ${targetBranch} in ${fullPath}`, {
+      method: 'POST',
+      url: `/projects/${id(fullPath)}/merge_requests`,
+      data: { title, description, source_branch: sourceBranch, target_branch: targetBranch }
+    });
+  }
+
+  // Open merge request from a branch, or null
+  async function findMergeRequest(fullPath, sourceBranch) {
+    const mergeRequests = await request(`Lookup of merge requests from ${sourceBranch} in ${fullPath}`, {
+      method: 'GET',
+      url: `/projects/${id(fullPath)}/merge_requests`,
+      params: { source_branch: sourceBranch, state: 'opened' }
+    });
+    return mergeRequests[0] || null;
+  }
+
+  return {
+    getProject,
+    getNamespace,
+    getGroup,
+    createProject,
+    deleteProject,
+    shareProject,
+    protectBranch,
+    createMergeRequest,
+    findMergeRequest
+  };
+}
+
+module.exports = {
+  ACCESS_LEVELS,
+  GitLabError,
+  createGitLabClient
+};
@@ -0,0 +1,379 @@
+const fs = require('fs');
+const path = require('path');
+const { run } = require('./command-runner');
+const { parseManifest } = require('./kube-client');
+const { databaseName, databaseSecretName, generateDatabaseManifests } = require('./persistence-providers');
+
+// Layouts the Kubernetes resources of a generated service can be written in:
+// plain manifests in k8s/, a Helm chart in k8s/chart or a kustomize base in
+// k8s/base with one overlay per environment in k8s/overlays
+const K8S_FORMATS = ['manifests', 'helm', 'kustomize'];
+
+// helm template and kubectl kustomize only read local files
+const RENDER_TIMEOUT_MS = 60000;
+
+// Replicas of each environment in values files and overlays; other environments get 2
+const ENVIRONMENT_REPLICAS = { development: 1, production: 3 };
+
+function replicasFor(environment) {
+  return ENVIRONMENT_REPLICAS[environment] || 2;
+}
+
+// Format of a generated k8s directory
+function detectK8sFormat(k8sDir) {
+  if (fs.existsSync(path.join(k8sDir, 'chart', 'Chart.yaml'))) return 'helm';
+  if (fs.existsSync(path.join(k8sDir, 'base', 'kustomization.yaml'))) return 'kustomize';
+  return 'manifests';
+}
+
+/**
+ * Render a Helm chart for a service as { path, content } project files below
+ * k8s/chart. Object names match the plain manifests (the release name is not
+ * used), so cleanup, rotation and rollout checks find them the same way.
+ * exposure describes the Ingress or HTTPRoute of an exposed service: its kind,
+ * ingressClass, gateway and the route of each environment. image is the
+ * repository and pull policy of the service image.
+ */
+function generateHelmChart({ serviceName, description, owner, port, persistenceProvider, environments, exposure = null, image = { repository: serviceName, pullPolicy: 'Never' } }) {
+  const dir = 'k8s/chart';
+  const database = persistenceProvider.database;
+  const files = [];
+  const add = (filePath, content) => files.push({ path: `${dir}/${filePath}`, content });
+
+  add('Chart.yaml', `apiVersion: v2
+name: ${serviceName}
+description: ${JSON.stringify(description || serviceName)}
+type: application
+version: 0.1.0
+appVersion: "v1"
+`);
+
+  const databaseValues = database ? `
+# ${persistenceProvider.title} deployed next to the service. When disabled,
+# create the ${databaseSecretName(persistenceProvider, serviceName)} secret yourself and point host at your database.
+database:
+  enabled: true
+  image: ${database.image}
+  storage: 1Gi
+  host: ${databaseName(persistenceProvider, serviceName)}
+` : '';
+
+  const firstRoute = exposure ? exposure.routes[environments[0].name] : null;
+  const exposureValues = !exposure ? '' : exposure.kind === 'Ingress' ? `
+ingress:
+  enabled: true
+  className: ${JSON.stringify(exposure.ingressClass || '')}
+  host: ${firstRoute.host}
+  # TLS secret of the host; empty for plain HTTP
+  tlsSecret: ${JSON.stringify(firstRoute.tlsSecret || '')}
+` : `
+httpRoute:
+  enabled: true
+  gateway:
+    name: ${exposure.gateway.name}
+    namespace: ${JSON.stringify(exposure.gateway.namespace || '')}
+  host: ${firstRoute.host}
+`;
+
+  add('values.yaml', `replicaCount: 2
+
+image:
+  repository: ${image.repository}
+  tag: latest
+  pullPolicy: ${image.pullPolicy}
+
+service:
+  type: ${exposure ? 'ClusterIP' : 'NodePort'}
+  port: ${port}
+${exposureValues}
+resources:
+  requests:
+    memory: "256Mi"
+    cpu: "250m"
+  limits:
+    memory: "512Mi"
+    cpu: "500m"
+
+# environment label of all objects, set by the values-<environment>.yaml files
+environment: ""
+${databaseValues}`);
+
+  for (const environment of environments) {
+    const route = exposure ? exposure.routes[environment.name] : null;
+    const routeValues = !route ? '' : exposure.kind === 'Ingress' ? `ingress:
+  host: ${route.host}
+  tlsSecret: ${JSON.stringify(route.tlsSecret || '')}
+` : `httpRoute:
+  host: ${route.host}
+`;
+    add(`values-${environment.name}.yaml`, `environment: ${environment.name}
+replicaCount: ${replicasFor(environment.name)}
+${routeValues}`);
+  }
+
+  add('templates/_helpers.tpl', `{{- define "service.labels" -}}
+app: ${serviceName}
+owner: ${owner}
+{{- with .Values.environment }}
+environment: {{ . }}
+{{- end }}
+{{- end }}
+`);
+
+  const databaseEnvVars = database ? `
+        {{- if .Values.database.enabled }}
+        env:
+        - name: DB_HOST
+          value: {{ .Values.database.host | quote }}
+        - name: DB_PORT
+          value: "${database.port}"
+        - name: DB_NAME
+          value: "${serviceName}"
+        - name: DB_USER
+          valueFrom:
+            secretKeyRef:
+              name: ${databaseSecretName(persistenceProvider, serviceName)}
+              key: username
+        - name: DB_PASSWORD
+          valueFrom:
+            secretKeyRef:
+              name: ${databaseSecretName(persistenceProvider, serviceName)}
+              key: password
+        {{- end }}` : '';
+
+  add('templates/deployment.yaml', `apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: ${serviceName}
+  labels:
+    {{- include "service.labels" . | nindent 4 }}
+spec:
+  replicas: {{ .Values.replicaCount }}
+  selector:
+    matchLabels:
+      app: ${serviceName}
+  template:
+    metadata:
+      labels:
+        {{- include "service.labels" . | nindent 8 }}
+    spec:
+      containers:
+      - name: ${serviceName}
+        image: "{{ .Values.image.repository }}:{{ .Values.image.tag }}"
+        imagePullPolicy: {{ .Values.image.pullPolicy }}
+        ports:
+        - containerPort: {{ .Values.service.port }}
+          name: http${databaseEnvVars}
+        livenessProbe:
+          httpGet:
+            path: /actuator/health/liveness
+            port: {{ .Values.service.port }}
+          initialDelaySeconds: 30
+          periodSeconds: 10
+          timeoutSeconds: 5
+        readinessProbe:
+          httpGet:
+            path: /actuator/health/readiness
+            port: {{ .Values.service.port }}
+          initialDelaySeconds: 15
+          periodSeconds: 5
+          timeoutSeconds: 3
+        resources:
+          {{- toYaml .Values.resources | nindent 10 }}
+`);
+
+  add('templates/service.yaml', `apiVersion: v1
+kind: Service
+metadata:
+  name: ${serviceName}-service
+  labels:
+    app: ${serviceName}
+    {{- with .Values.environment }}
+    environment: {{ . }}
+    {{- end }}
+spec:
+  type: {{ .Values.service.type }}
+  ports:
+  - port: {{ .Values.service.port }}
+    targetPort: {{ .Values.service.port }}
+    protocol: TCP
+    name: http
+  selector:
+    app: ${serviceName}
+`);
+
+  if (exposure && exposure.kind === 'Ingress') {
+    add('templates/ingress.yaml', `{{- if .Values.ingress.enabled }}
+apiVersion: networking.k8s.io/v1
+kind: Ingress
+metadata:
+  name: ${serviceName}
+  labels:
+    app: ${serviceName}
+    {{- with .Values.environment }}
+    environment: {{ . }}
+    {{- end }}
+spec:
+  {{- with .Values.ingress.className }}
+  ingressClassName: {{ . }}
+  {{- end }}
+  {{- if .Values.ingress.tlsSecret }}
+  tls:
+  - hosts:
+    - {{ .Values.ingress.host }}
+    secretName: {{ .Values.ingress.tlsSecret }}
+  {{- end }}
+  rules:
+  - host: {{ .Values.ingress.host }}
+    http:
+      paths:
+      - path: /
+        pathType: Prefix
+        backend:
+          service:
+            name: ${serviceName}-service
+            port:
+              number: {{ .Values.service.port }}
+{{- end }}
+`);
+  } else if (exposure) {
+    add('templates/httproute.yaml', `{{- if .Values.httpRoute.enabled }}
+apiVersion: gateway.networking.k8s.io/v1
+kind: HTTPRoute
+metadata:
+  name: ${serviceName}
+  labels:
+    app: ${serviceName}
+    {{- with .Values.environment }}
+    environment: {{ . }}
+    {{- end }}
+spec:
+  parentRefs:
+  - name: {{ .Values.httpRoute.gateway.name }}
+    {{- with .Values.httpRoute.gateway.namespace }}
+    namespace: {{ . }}
+    {{- end }}
+  hostnames:
+  - {{ .Values.httpRoute.host }}
+  rules:
+  - matches:
+    - path:
+        type: PathPrefix
+        value: /
+    backendRefs:
+    - name: ${serviceName}-service
+      port: {{ .Values.service.port }}
+{{- end }}
+`);
+  }
+
+  // Database manifests as templates behind the database.enabled toggle
+  for (const file of generateDatabaseManifests(persistenceProvider, serviceName, null, '{{ .Values.environment | quote }}')) {
+    const content = file.content
+      .replace(`image: ${database.image}`, 'image: {{ .Values.database.image }}')
+      .replace('storage: 1Gi', 'storage: {{ .Values.database.storage }}');
+    add(`templates/${path.basename(file.path)}`, `{{- if .Values.database.enabled }}\n${content}{{- end }}\n`);
+  }
+
+  return files;
+}
+
+// JSON patch operations pointing the base's Ingress or HTTPRoute at a route
+function routePatch(kind, route) {
+  const operations = kind === 'Ingress'
+    ? [['/spec/rules/0/host', route.host], ...(route.tlsSecret ? [['/spec/tls/0/hosts/0', route.host], ['/spec/tls/0/secretName', route.tlsSecret]] : [])]
+    : [['/spec/hostnames/0', route.host]];
+  return operations.map(([pointer, value]) => `    - op: replace
+      path: ${pointer}
+      value: ${value}`).join('\n');
+}
+
+/**
+ * Render the kustomization of a base (the given k8s file names, written
+ * without namespace or environment label) and one overlay per environment.
+ * With an exposure (see generateHelmChart), each overlay sets its host.
+ */
+function generateKustomization({ serviceName, resources, environments, exposure = null }) {
+  const files = [{
+    path: 'k8s/base/kustomization.yaml',
+    content: `apiVersion: kustomize.config.k8s.io/v1beta1
+kind: Kustomization
+resources:
+${resources.map(resource => `- ${resource}`).join('\n')}
+`
+  }];
+
+  for (const environment of environments) {
+    files.push({
+      path: `k8s/overlays/${environment.name}/kustomization.yaml`,
+      content: `apiVersion: kustomize.config.k8s.io/v1beta1
+kind: Kustomization
+namespace: ${environment.namespace}
+resources:
+- ../../base
+labels:
+- pairs:
+    environment: ${environment.name}
+  includeTemplates: true
+replicas:
+- name: ${serviceName}
+  count: ${replicasFor(environment.name)}
+${exposure ? `patches:
+- target:
+    kind: ${exposure.kind}
+    name: ${serviceName}
+  patch: |-
+${routePatch(exposure.kind, exposure.routes[environment.name])}
+` : ''}`
+    });
+  }
+
+  return files;
+}
+
+/**
+ * The command rendering a k8s directory of the given format for an
+ * environment, or null for plain manifests. exists checks for the optional
+ * values file or overlay (for directories not written yet).
+ */
+function renderCommand(k8sDir, format, { releaseName, namespace, environment, exists = fs.existsSync }) {
+  if (format === 'helm') {
+    const chartDir = path.join(k8sDir, 'chart');
+    const valuesFile = environment ? path.join(chartDir, `values-${environment}.yaml`) : null;
+    const args = ['template', releaseName, chartDir, ...(namespace ? ['--namespace', namespace] : [])];
+    return { command: 'helm', args: valuesFile && exists(valuesFile) ? [...args, '--values', valuesFile] : args };
+  }
+  if (format === 'kustomize') {
+    // Environments without an overlay get the base as-is
+    const overlayDir = environment ? path.join(k8sDir, 'overlays', environment) : null;
+    return { command: 'kubectl', args: ['kustomize', overlayDir && exists(overlayDir) ? overlayDir : path.join(k8sDir, 'base')] };
+  }
+  return null;
+}
+
+/**
+ * Kubernetes objects of a generated k8s directory for an environment: the
+ * plain manifests as written, or the output of helm template / kubectl kustomize
+ */
+async function renderK8sObjects(k8sDir, options) {
+  const format = detectK8sFormat(k8sDir);
+  const command = renderCommand(k8sDir, format, options);
+  if (!command) {
+    return fs.readdirSync(k8sDir)
+      .filter(file => file.endsWith('.yaml') && file !== 'build-instructions.yaml')
+      .sort()
+      .flatMap(file => parseManifest(fs.readFileSync(path.join(k8sDir, file), 'utf8')));
+  }
+
+  const { stdout } = await run(command.command, command.args, { timeout: RENDER_TIMEOUT_MS });
+  return parseManifest(stdout);
+}
+
+module.exports = {
+  K8S_FORMATS,
+  detectK8sFormat,
+  generateHelmChart,
+  generateKustomization,
+  renderCommand,
+  renderK8sObjects
+};
@@ -0,0 +1,580 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const axios = require('axios');
+const yaml = require('js-yaml');
+const WebSocket = require('ws');
+
+// Mounted into every pod that runs with a ServiceAccount
+const SERVICE_ACCOUNT_DIR = '/var/run/secrets/kubernetes.io/serviceaccount';
+// Field manager recorded for server-side apply
+const FIELD_MANAGER = 'scaffolder-service';
+const DEFAULT_TIMEOUT_MS = 30000;
+// Exec stream channels; v5 adds a close message, which ends the command's stdin
+const EXEC_PROTOCOL = 'v5.channel.k8s.io';
+const EXEC_CHANNELS = { stdin: 0, stdout: 1, stderr: 2, error: 3, close: 255 };
+
+// Resources this service manages. Other kinds are looked up through API discovery.
+const RESOURCES = [
+  { kind: 'Namespace', apiVersion: 'v1', plural: 'namespaces', namespaced: false, shortNames: ['ns'] },
+  { kind: 'Pod', apiVersion: 'v1', plural: 'pods', namespaced: true, shortNames: ['po'] },
+  { kind: 'Service', apiVersion: 'v1', plural: 'services', namespaced: true, shortNames: ['svc'] },
+  { kind: 'Secret', apiVersion: 'v1', plural: 'secrets', namespaced: true, shortNames: [] },
+  { kind: 'ConfigMap', apiVersion: 'v1', plural: 'configmaps', namespaced: true, shortNames: ['cm'] },
+  { kind: 'PersistentVolumeClaim', apiVersion: 'v1', plural: 'persistentvolumeclaims', namespaced: true, shortNames: ['pvc'] },
+  { kind: 'ServiceAccount', apiVersion: 'v1', plural: 'serviceaccounts', namespaced: true, shortNames: ['sa'] },
+  { kind: 'Event', apiVersion: 'v1', plural: 'events', namespaced: true, shortNames: ['ev'] },
+  { kind: 'Deployment', apiVersion: 'apps/v1', plural: 'deployments', namespaced: true, shortNames: ['deploy'] },
+  { kind: 'StatefulSet', apiVersion: 'apps/v1', plural: 'statefulsets', namespaced: true, shortNames: ['sts'] },
+  { kind: 'ReplicaSet', apiVersion: 'apps/v1', plural: 'replicasets', namespaced: true, shortNames: ['rs'] },
+  { kind: 'Job', apiVersion: 'batch/v1', plural: 'jobs', namespaced: true, shortNames: [] },
+  { kind: 'Ingress', apiVersion: 'networking.k8s.io/v1', plural: 'ingresses', namespaced: true, shortNames: ['ing'] },
+  { kind: 'HTTPRoute', apiVersion: 'gateway.networking.k8s.io/v1', plural: 'httproutes', namespaced: true, shortNames: [] }
+];
+
+/**
+ * An error response from the API server (or a failure to reach it). reason is
+ * the Kubernetes Status reason, e.g. NotFound, Forbidden, AlreadyExists.
+ */
+class KubernetesError extends Error {
+  constructor(message, { status = null, reason = 'Unknown', details = null } = {}) {
+    super(message);
+    this.name = 'KubernetesError';
+    this.status = status;
+    this.reason = reason;
+    this.details = details;
+  }
+}
+
+class NotFoundError extends KubernetesError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+class ForbiddenError extends KubernetesError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ForbiddenError';
+  }
+}
+
+function toKubernetesError(error, action) {
+  if (error instanceof KubernetesError) return error;
+
+  const response = error.response;
+  if (!response) {
+    return new KubernetesError(`${action} failed: ${error.message}`, { reason: error.code || 'Unavailable' });
+  }
+
+  const body = response.data && typeof response.data === 'object' ? response.data : {};
+  const message = `${action} failed: ${body.message || response.statusText || `HTTP ${response.status}`}`;
+  const options = { status: response.status, reason: body.reason || 'Unknown', details: body.details || null };
+  if (response.status === 404) return new NotFoundError(message, { ...options, reason: 'NotFound' });
+  if (response.status === 403) return new ForbiddenError(message, { ...options, reason: 'Forbidden' });
+  return new KubernetesError(message, options);
+}
+
+// Inline data wins over file paths, which are relative to the kubeconfig
+function readConfigData(data, file, baseDir) {
+  if (data) return Buffer.from(data, 'base64');
+  if (file) return fs.readFileSync(path.resolve(baseDir, file));
+  return undefined;
+}
+
+function loadInClusterConfig() {
+  const host = process.env.KUBERNETES_SERVICE_HOST;
+  const port = process.env.KUBERNETES_SERVICE_PORT || '443';
+  const tokenFile = path.join(SERVICE_ACCOUNT_DIR, 'token');
+  const namespaceFile = path.join(SERVICE_ACCOUNT_DIR, 'namespace');
+
+  return {
+    source: 'in-cluster',
+    server: `https://${host.includes(':') ? `[${host}]` : host}:${port}`,
+    ca: fs.readFileSync(path.join(SERVICE_ACCOUNT_DIR, 'ca.crt')),
+    // Projected tokens are rotated, so the file is re-read on every request
+    tokenFile,
+    namespace: fs.existsSync(namespaceFile) ? fs.readFileSync(namespaceFile, 'utf8').trim() : 'default'
+  };
+}
+
+function loadKubeconfigFile(file, contextName) {
+  const config = yaml.load(fs.readFileSync(file, 'utf8')) || {};
+  const baseDir = path.dirname(file);
+  const find = (list, name) => ((list || []).find(entry => entry.name === name) || {});
+
+  const currentContext = contextName || config['current-context'];
+  const context = find(config.contexts, currentContext).context;
+  if (!context) {
+    throw new KubernetesError(`Context '${currentContext}' not found in ${file}`, { reason: 'InvalidConfiguration' });
+  }
+  const cluster = find(config.clusters, context.cluster).cluster || {};
+  const user = find(config.users, context.user).user || {};
+
+  if (!cluster.server) {
+    throw new KubernetesError(`Cluster '${context.cluster}' in ${file} has no server`, { reason: 'InvalidConfiguration' });
+  }
+  if (user.exec || user['auth-provider']) {
+    throw new KubernetesError(`User '${context.user}' in ${file} uses an auth plugin, which is not supported`, {
+      reason: 'InvalidConfiguration'
+    });
+  }
+
+  return {
+    source: `kubeconfig:${file}`,
+    server: cluster.server.replace(/\/$/, ''),
+    ca: readConfigData(cluster['certificate-authority-data'], cluster['certificate-authority'], baseDir),
+    insecureSkipTlsVerify: Boolean(cluster['insecure-skip-tls-verify']),
+    cert: readConfigData(user['client-certificate-data'], user['client-certificate'], baseDir),
+    key: readConfigData(user['client-key-data'], user['client-key'], baseDir),
+    token: user.token,
+    tokenFile: user.tokenFile ? path.resolve(baseDir, user.tokenFile) : undefined,
+    username: user.username,
+    password: user.password,
+    namespace: context.namespace || 'default'
+  };
+}
+
+/**
+ * Connection settings for the API server: the in-cluster ServiceAccount when
+ * running in a pod, otherwise the first file in KUBECONFIG (or ~/.kube/config)
+ */
+function loadKubeConfig({ kubeconfig = process.env.KUBECONFIG, context = process.env.KUBE_CONTEXT } = {}) {
+  const kubeconfigFile = kubeconfig ? kubeconfig.split(path.delimiter)[0] : path.join(os.homedir(), '.kube', 'config');
+
+  if (!kubeconfig && process.env.KUBERNETES_SERVICE_HOST && fs.existsSync(path.join(SERVICE_ACCOUNT_DIR, 'token'))) {
+    return loadInClusterConfig();
+  }
+  if (fs.existsSync(kubeconfigFile)) {
+    return loadKubeconfigFile(kubeconfigFile, context);
+  }
+  throw new KubernetesError('No Kubernetes configuration found (not running in a cluster and no kubeconfig)', {
+    reason: 'InvalidConfiguration'
+  });
+}
+
+// Parse the objects of a (multi-document) YAML manifest
+function parseManifest(manifest) {
+  return yaml.loadAll(manifest).filter(object => object && object.kind);
+}
+
+/**
+ * Create a Kubernetes API client. Configuration is loaded on first use, so the
+ * service starts without a cluster; options.config bypasses loadKubeConfig.
+ */
+function createKubeClient(options = {}) {
+  let config = options.config || null;
+  let http = null;
+  const discovered = new Map();
+
+  function connection() {
+    if (!http) {
+      config = config || loadKubeConfig(options);
+      http = axios.create({
+        baseURL: config.server,
+        timeout: options.timeout || DEFAULT_TIMEOUT_MS,
+        httpsAgent: new https.Agent({
+          ca: config.ca,
+          cert: config.cert,
+          key: config.key,
+          rejectUnauthorized: !config.insecureSkipTlsVerify
+        }),
+        auth: config.username ? { username: config.username, password: config.password } : undefined,
+        maxContentLength: 32 * 1024 * 1024
+      });
+      console.log(`[KUBE] Using API server ${config.server} (${config.source})`);
+    }
+    return http;
+  }
+
+  function authHeaders() {
+    const token = config.tokenFile ? fs.readFileSync(config.tokenFile, 'utf8').trim() : config.token;
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  async function request(action, requestConfig) {
+    const client = connection();
+    try {
+      return await client.request({ ...requestConfig, headers: { ...authHeaders(), ...requestConfig.headers } });
+    } catch (error) {
+      throw toKubernetesError(error, action);
+    }
+  }
+
+  // Find a resource by kind, plural, short name or kubectl-style "kind.group"
+  async function resolveResource(kindOrResource, apiVersion) {
+    const name = String(kindOrResource).toLowerCase();
+    const [bare, ...group] = name.split('.');
+    const known = RESOURCES.find(resource =>
+      (resource.kind.toLowerCase() === bare || resource.plural === bare || resource.shortNames.includes(bare)) &&
+      (group.length === 0 || resource.apiVersion.startsWith(`${group.join('.')}/`)) &&
+      (!apiVersion || resource.apiVersion === apiVersion));
+    if (known) return known;
+
+    if (!apiVersion) {
+      throw new KubernetesError(`Unknown resource type '${kindOrResource}'`, { reason: 'NotFound' });
+    }
+    if (!discovered.has(apiVersion)) {
+      const url = apiVersion.includes('/') ? `/apis/${apiVersion}` : `/api/${apiVersion}`;
+      const { data } = await request(`Discovery of ${apiVersion}`, { method: 'GET', url });
+      discovered.set(apiVersion, data.resources.filter(resource => !resource.name.includes('/')));
+    }
+    const resource = discovered.get(apiVersion).find(entry => entry.kind.toLowerCase() === name);
+    if (!resource) {
+      throw new KubernetesError(`Kind ${kindOrResource} is not served by ${apiVersion}`, { reason: 'NotFound' });
+    }
+    return { kind: resource.kind, apiVersion, plural: resource.name, namespaced: resource.namespaced, shortNames: [] };
+  }
+
+  function resourcePath(resource, namespace, name) {
+    const prefix = resource.apiVersion.includes('/') ? `/apis/${resource.apiVersion}` : `/api/${resource.apiVersion}`;
+    const ns = resource.namespaced ? `/namespaces/${encodeURIComponent(namespace || config.namespace)}` : '';
+    return `${prefix}${ns}/${resource.plural}${name ? `/${encodeURIComponent(name)}` : ''}`;
+  }
+
+  async function target(kind, namespace, name, apiVersion) {
+    connection();
+    const resource = await resolveResource(kind, apiVersion);
+    return { resource, url: resourcePath(resource, namespace, name) };
+  }
+
+  /**
+   * Server-side apply every object of a manifest (YAML string or objects).
+   * Resolves to [{ kind, resource, name, namespace, created }]; onCreated is
+   * called for each object the apply created.
+   */
+  async function apply(manifest, { namespace, onCreated } = {}) {
+    const objects = typeof manifest === 'string' ? parseManifest(manifest) : [].concat(manifest);
+    const results = [];
+
+    for (const object of objects) {
+      const { resource, url } = await target(object.kind, namespace || (object.metadata && object.metadata.namespace),
+        object.metadata.name, object.apiVersion);
+      const objectNamespace = resource.namespaced ? (namespace || object.metadata.namespace || config.namespace) : null;
+      const body = resource.namespaced ? { ...object, metadata: { ...object.metadata, namespace: objectNamespace } } : object;
+
+      const response = await request(`Apply of ${resource.kind} ${object.metadata.name}`, {
+        method: 'PATCH',
+        url,
+        params: { fieldManager: FIELD_MANAGER, force: true },
+        headers: { 'Content-Type': 'application/apply-patch+yaml' },
+        data: JSON.stringify(body)
+      });
+
+      const applied = {
+        kind: resource.kind,
+        resource: resource.kind.toLowerCase(),
+        name: object.metadata.name,
+        namespace: objectNamespace,
+        created: response.status === 201
+      };
+      if (applied.created && onCreated) onCreated(applied);
+      results.push(applied);
+    }
+
+    return results;
+  }
+
+  // Apply a manifest file, like kubectl apply -f
+  function applyFile(filePath, options) {
+    return apply(fs.readFileSync(filePath, 'utf8'), options);
+  }
+
+  async function get(kind, name, namespace) {
+    const { resource, url } = await target(kind, namespace, name);
+    const { data } = await request(`Get of ${resource.kind} ${name}`, { method: 'GET', url });
+    return data;
+  }
+
+  // Whether an object exists; other errors (e.g. Forbidden) are thrown
+  async function exists(kind, name, namespace) {
+    try {
+      await get(kind, name, namespace);
+      return true;
+    } catch (error) {
+      if (error instanceof NotFoundError) return false;
+      throw error;
+    }
+  }
+
+  async function list(kind, namespace, { labelSelector, fieldSelector } = {}) {
+    const { resource, url } = await target(kind, namespace);
+    const { data } = await request(`List of ${resource.plural}`, { method: 'GET', url, params: { labelSelector, fieldSelector } });
+    return data;
+  }
+
+  /**
+   * Delete an object; resolves to false if it did not exist. Dependents
+   * (ReplicaSets, Pods) are removed in the background, as kubectl does.
+   */
+  async function remove(kind, name, namespace) {
+    const { resource, url } = await target(kind, namespace, name);
+    try {
+      await request(`Delete of ${resource.kind} ${name}`, {
+        method: 'DELETE',
+        url,
+        data: { kind: 'DeleteOptions', apiVersion: 'v1', propagationPolicy: 'Background' }
+      });
+      return true;
+    } catch (error) {
+      if (error instanceof NotFoundError) return false;
+      throw error;
+    }
+  }
+
+  // Delete every object matching a label selector
+  async function removeCollection(kind, namespace, { labelSelector }) {
+    const { resource, url } = await target(kind, namespace);
+    await request(`Delete of ${resource.plural} ${labelSelector}`, { method: 'DELETE', url, params: { labelSelector } });
+  }
+
+  // Restart a Deployment's pods, like kubectl rollout restart
+  async function restartDeployment(name, namespace) {
+    const { url } = await target('Deployment', namespace, name);
+    const patch = { spec: { template: { metadata: { annotations: { 'kubectl.kubernetes.io/restartedAt': new Date().toISOString() } } } } };
+    const { data } = await request(`Restart of Deployment ${name}`, {
+      method: 'PATCH',
+      url,
+      headers: { 'Content-Type': 'application/strategic-merge-patch+json' },
+      data: patch
+    });
+    return data;
+  }
+
+  // Set the image of one container of a Deployment, which starts a rollout
+  async function setDeploymentImage(name, namespace, container, image) {
+    const { url } = await target('Deployment', namespace, name);
+    const patch = { spec: { template: { spec: { containers: [{ name: container, image }] } } } };
+    const { data } = await request(`Image update of Deployment ${name}`, {
+      method: 'PATCH',
+      url,
+      headers: { 'Content-Type': 'application/strategic-merge-patch+json' },
+      data: patch
+    });
+    return data;
+  }
+
+  // Logs of a pod's container; previous: true reads the last terminated instance
+  async function podLogs(name, namespace, { container, tailLines, previous } = {}) {
+    const { url } = await target('Pod', namespace, name);
+    const { data } = await request(`Logs of Pod ${name}`, {
+      method: 'GET',
+      url: `${url}/log`,
+      params: { container, tailLines, previous },
+      responseType: 'text'
+    });
+    return data;
+  }
+
+  /**
+   * Run command (argv) in a container of a pod through the exec API. input is
+   * written to the command's stdin, which is then closed. Resolves to
+   * { stdout, stderr }; a command that exits non-zero rejects with a
+   * KubernetesError whose reason is NonZeroExitCode.
+   */
+  async function exec(name, namespace, command, { container, input, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const { url } = await target('Pod', namespace, name);
+    const action = `Exec in Pod ${name}`;
+    const params = new URLSearchParams({ stdout: 'true', stderr: 'true', stdin: String(input !== undefined) });
+    if (container) params.set('container', container);
+    for (const arg of command) params.append('command', arg);
+
+    const basic = config.username ? { Authorization: `Basic ${Buffer.from(`${config.username}:${config.password}`).toString('base64')}` } : {};
+    const socket = new WebSocket(`${config.server.replace(/^http/, 'ws')}${url}/exec?${params}`, EXEC_PROTOCOL, {
+      headers: { ...basic, ...authHeaders() },
+      ca: config.ca,
+      cert: config.cert,
+      key: config.key,
+      rejectUnauthorized: !config.insecureSkipTlsVerify,
+      handshakeTimeout: timeoutMs
+    });
+
+    return new Promise((resolve, reject) => {
+      const output = { stdout: [], stderr: [] };
+      let status = null;
+      const fail = (error) => {
+        clearTimeout(timer);
+        socket.terminate();
+        reject(error);
+      };
+      const timer = setTimeout(() => fail(new KubernetesError(`${action} timed out after ${timeoutMs}ms`, { reason: 'Timeout' })), timeoutMs);
+
+      socket.on('unexpected-response', (req, response) => {
+        let body = '';
+        response.on('data', (chunk) => { body += chunk; });
+        response.on('end', () => {
+          let data = body;
+          try {
+            data = JSON.parse(body);
+          } catch (parseError) {
+            // Not a Status object; the status line is reported instead
+          }
+          fail(toKubernetesError({ response: { status: response.statusCode, statusText: response.statusMessage, data } }, action));
+        });
+      });
+      socket.on('open', () => {
+        if (socket.protocol !== EXEC_PROTOCOL) {
+          return fail(new KubernetesError(`${action} failed: the API server does not support ${EXEC_PROTOCOL}`, { reason: 'NotAcceptable' }));
+        }
+        if (input !== undefined) {
+          socket.send(Buffer.concat([Buffer.from([EXEC_CHANNELS.stdin]), Buffer.from(input)]));
+          socket.send(Buffer.from([EXEC_CHANNELS.close, EXEC_CHANNELS.stdin]));
+        }
+      });
+      socket.on('message', (message) => {
+        const data = Buffer.from(message);
+        const channel = data[0];
+        if (channel === EXEC_CHANNELS.stdout) output.stdout.push(data.subarray(1));
+        if (channel === EXEC_CHANNELS.stderr) output.stderr.push(data.subarray(1));
+        if (channel === EXEC_CHANNELS.error) status = JSON.parse(data.subarray(1).toString('utf8'));
+      });
+      socket.on('error', (error) => fail(toKubernetesError(error, action)));
+      socket.on('close', () => {
+        clearTimeout(timer);
+        const result = { stdout: Buffer.concat(output.stdout).toString('utf8'), stderr: Buffer.concat(output.stderr).toString('utf8') };
+        if (status && status.status !== 'Success') {
+          const detail = result.stderr.trim() || status.message;
+          return reject(new KubernetesError(`${action} failed: ${detail}`, { reason: status.reason || 'Unknown', details: status.details || null }));
+        }
+        resolve(result);
+      });
+    });
+  }
+
+  /**
+   * Watch objects from resourceVersion on, calling onEvent({ type, object })
+   * for each change. Resolves when the watch ends: the server closed it,
+   * onEvent returned true, or the returned promise's stop() was called.
+   */
+  function watch(kind, namespace, { labelSelector, fieldSelector, resourceVersion, timeoutSeconds } = {}, onEvent) {
+    const controller = new AbortController();
+    let stopped = false;
+    const stop = () => {
+      stopped = true;
+      controller.abort();
+    };
+
+    const done = (async () => {
+      const { resource, url } = await target(kind, namespace);
+      const response = await request(`Watch of ${resource.plural}`, {
+        method: 'GET',
+        url,
+        params: { watch: true, labelSelector, fieldSelector, resourceVersion, timeoutSeconds, allowWatchBookmarks: true },
+        responseType: 'stream',
+        timeout: 0,
+        signal: controller.signal
+      });
+
+      await new Promise((resolve, reject) => {
+        let buffer = '';
+        response.data.on('data', (chunk) => {
+          buffer += chunk.toString('utf8');
+          let newline;
+          while (!stopped && (newline = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (!line) continue;
+
+            // Settle before stopping: aborting closes the stream, which resolves
+            const event = JSON.parse(line);
+            if (event.type === 'ERROR') {
+              reject(toKubernetesError({ response: { status: event.object.code, data: event.object } }, `Watch of ${resource.plural}`));
+              return stop();
+            }
+            if (event.type !== 'BOOKMARK' && onEvent(event) === true) {
+              resolve();
+              return stop();
+            }
+          }
+        });
+        response.data.on('end', resolve);
+        response.data.on('close', resolve);
+        response.data.on('error', (error) => (stopped ? resolve() : reject(toKubernetesError(error, `Watch of ${resource.plural}`))));
+      });
+    })().catch((error) => {
+      if (stopped && (error.reason === 'ERR_CANCELED' || axios.isCancel(error))) return;
+      throw error;
+    });
+
+    done.stop = stop;
+    return done;
+  }
+
+  /**
+   * Resolve with the first object matching a label selector for which
+   * predicate(object) is true: listed now, or seen by a watch within timeoutMs.
+   * onUpdate is called with every object seen while waiting.
+   */
+  async function waitFor(kind, namespace, { labelSelector, fieldSelector }, predicate, { timeoutMs = 60000, onUpdate } = {}) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      const current = await list(kind, namespace, { labelSelector, fieldSelector });
+      for (const object of current.items) {
+        if (onUpdate) onUpdate(object);
+        if (predicate(object)) return object;
+      }
+
+      let match = null;
+      const watcher = watch(kind, namespace, {
+        labelSelector,
+        fieldSelector,
+        resourceVersion: current.metadata.resourceVersion,
+        timeoutSeconds: Math.max(1, Math.ceil((deadline - Date.now()) / 1000))
+      }, ({ type, object }) => {
+        if (type === 'DELETED') return false;
+        if (onUpdate) onUpdate(object);
+        if (predicate(object)) {
+          match = object;
+          return true;
+        }
+        return false;
+      });
+      const timer = setTimeout(watcher.stop, Math.max(0, deadline - Date.now()));
+      try {
+        await watcher;
+      } catch (error) {
+        // An expired resourceVersion (410 Gone) means list again and re-watch
+        if (error.status !== 410) throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+      if (match) return match;
+    }
+
+    throw new KubernetesError(`Timed out after ${timeoutMs}ms waiting for ${kind} ${labelSelector || fieldSelector}`, {
+      reason: 'Timeout'
+    });
+  }
+
+  return {
+    get namespace() {
+      connection();
+      return config.namespace;
+    },
+    apply,
+    applyFile,
+    get,
+    exists,
+    list,
+    delete: remove,
+    deleteCollection: removeCollection,
+    restartDeployment,
+    setDeploymentImage,
+    podLogs,
+    exec,
+    watch,
+    waitFor
+  };
+}
+
+module.exports = {
+  KubernetesError,
+  NotFoundError,
+  ForbiddenError,
+  createKubeClient,
+  loadKubeConfig,
+  parseManifest
+};
@@ -0,0 +1,181 @@
+// Fields listings can be ordered by, each ascending or descending
+const ORDER_FIELDS = ['name', 'kind', 'createdAt', 'updatedAt'];
+const ORDER_DIRECTIONS = ['asc', 'desc'];
+const DEFAULT_ORDER = 'createdAt:desc';
+const DEFAULT_PAGE_LIMIT = 100;
+const MAX_PAGE_LIMIT = 500;
+
+// Query parameter values as a list of comma-separated items
+const itemsOf = (value) => [].concat(value === undefined ? [] : value)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const orderString = ({ field, direction }) => `${field}:${direction}`;
+
+// Timestamps as the database prints them (2024-01-31 12:00:00.123+00) or as ISO strings
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)$/;
+const isTimestamp = (value) => typeof value === 'string' && TIMESTAMP.test(value) && !Number.isNaN(Date.parse(value));
+const isString = (value) => typeof value === 'string';
+
+// What the order value of a cursor must be for each order field; anything
+// else would only fail once compared in the query
+const ORDER_VALUE_CHECKS = {
+  name: isString,
+  kind: isString,
+  createdAt: isTimestamp,
+  updatedAt: isTimestamp
+};
+
+/**
+ * Cursors carry the order they were made for, plus the order value and the
+ * unique key of the last item of a page. The next page starts after that
+ * item, so it stays stable when items are added or removed in between.
+ */
+function encodeCursor(orderBy, value, key) {
+  return Buffer.from(JSON.stringify([orderString(orderBy), value, key])).toString('base64url');
+}
+
+function decodeCursor(cursor, orderBy) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'is not a valid cursor' };
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 3 || typeof decoded[2] !== 'string') {
+    return { error: 'is not a valid cursor' };
+  }
+  if (decoded[0] !== orderString(orderBy)) {
+    return { error: `was made for orderBy=${decoded[0]}` };
+  }
+  const check = ORDER_VALUE_CHECKS[orderBy.field];
+  if (check && !check(decoded[1])) {
+    return { error: 'is not a valid cursor' };
+  }
+  return { after: { value: decoded[1], key: decoded[2] } };
+}
+
+/**
+ * Read the paging parameters of a request query: limit, cursor,
+ * orderBy (field or field:asc|desc) and fields (comma-separated paths such as
+ * metadata.name). Returns { limit, orderBy, after, fields, errors }.
+ */
+function parsePageParams(query = {}) {
+  const errors = [];
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+    errors.push({ field: 'limit', message: `must be an integer between 1 and ${MAX_PAGE_LIMIT}` });
+  }
+
+  const [field, direction = 'asc'] = String(query.orderBy || DEFAULT_ORDER).split(':');
+  const orderBy = { field, direction };
+  if (!ORDER_FIELDS.includes(field) || !ORDER_DIRECTIONS.includes(direction)) {
+    errors.push({ field: 'orderBy', message: `must be one of ${ORDER_FIELDS.join(', ')}, optionally followed by :asc or :desc` });
+  }
+
+  let after = null;
+  if (query.cursor !== undefined) {
+    const decoded = decodeCursor(String(query.cursor), orderBy);
+    if (decoded.error) errors.push({ field: 'cursor', message: decoded.error });
+    else after = decoded.after;
+  }
+
+  let fields = null;
+  if (query.fields !== undefined) {
+    fields = itemsOf(query.fields);
+    if (fields.length === 0) errors.push({ field: 'fields', message: 'must list at least one field' });
+  }
+
+  return { limit, orderBy, after, fields, errors };
+}
+
+/**
+ * SQL paging a table by an order column and a unique key column: the
+ * condition for rows after the cursor (or null), its parameters, numbered
+ * from firstParam, and the ORDER BY clause. Text is compared bytewise, as the
+ * in-memory pages do.
+ */
+function pageSql({ orderBy, after }, { column, type, key, firstParam = 1 }) {
+  const orderColumn = type === 'text' ? `${column} COLLATE "C"` : column;
+  const keyColumn = `${key} COLLATE "C"`;
+  const direction = orderBy.direction.toUpperCase();
+
+  return {
+    condition: after
+      ? `(${orderColumn}, ${keyColumn}) ${direction === 'ASC' ? '>' : '<'} ($${firstParam}::${type}, $${firstParam + 1})`
+      : null,
+    params: after ? [after.value, after.key] : [],
+    orderBy: `${orderColumn} ${direction}, ${keyColumn} ${direction}`
+  };
+}
+
+/**
+ * Split rows fetched with one more than the page limit into the page and the
+ * cursor of the next one (null on the last page)
+ */
+function pageOf(rows, page, { valueOf, keyOf }) {
+  const items = rows.slice(0, page.limit);
+  const last = items[items.length - 1];
+  return {
+    items,
+    nextCursor: rows.length > page.limit ? encodeCursor(page.orderBy, valueOf(last), keyOf(last)) : null
+  };
+}
+
+/**
+ * Page a list held in memory the same way pageSql pages a table. valueOf
+ * gives the order value of an item, keyOf its unique key.
+ */
+function pageItems(list, page, { valueOf, keyOf }) {
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  const sign = page.orderBy.direction === 'desc' ? -1 : 1;
+  const position = (value, key) => (item) =>
+    sign * (compare(valueOf(item) ?? '', value ?? '') || compare(keyOf(item), key));
+
+  const sorted = [...list].sort((a, b) => position(valueOf(b), keyOf(b))(a));
+  const rest = page.after ? sorted.filter(item => position(page.after.value, page.after.key)(item) > 0) : sorted;
+  return {
+    ...pageOf(rest.slice(0, page.limit + 1), page, { valueOf, keyOf }),
+    totalItems: list.length
+  };
+}
+
+/**
+ * Keep only the given fields (dotted paths) of an item; all of it without
+ * fields
+ */
+function projectFields(item, fields) {
+  if (!fields) return item;
+  const projected = {};
+  for (const field of fields) {
+    const parts = field.split('.');
+    let source = item;
+    for (const part of parts) {
+      source = source !== null && typeof source === 'object' ? source[part] : undefined;
+    }
+    if (source === undefined) continue;
+
+    let target = projected;
+    for (const part of parts.slice(0, -1)) {
+      target = target[part] = target[part] || {};
+    }
+    target[parts[parts.length - 1]] = source;
+  }
+  return projected;
+}
+
+// Whether the fields of a request include field (all of them without fields)
+function wantsField(fields, field) {
+  return !fields || fields.some(item => item === field || item.startsWith(`${field}.`));
+}
+
+module.exports = {
+  parsePageParams,
+  pageSql,
+  pageOf,
+  pageItems,
+  projectFields,
+  wantsField
+};
@@ -0,0 +1,419 @@
+const crypto = require('crypto');
+
+// Persistence options for generated Spring Boot services. Each provider
+// describes its dependencies, Spring properties, schema migrations and the
+// backing database deployed next to the service (if any).
+
+// environment label line at the given indent; omitted without an environment
+// (kustomize bases get theirs from the overlays)
+function environmentLabel(environment, indent) {
+  return environment ? `${indent}environment: ${environment}\n` : '';
+}
+
+const flywayProperties = `
+
+# Flyway Configuration
+spring.flyway.enabled=true
+spring.flyway.locations=classpath:db/migration
+spring.flyway.baseline-on-migrate=true
+spring.flyway.baseline-version=0`;
+
+const NONE = {
+  name: 'none',
+  title: 'None',
+  store: null,
+  dependencies: [],
+  flyway: null,
+  properties: () => '',
+  initialSchema: null,
+  database: null
+};
+
+const POSTGRESQL = {
+  name: 'postgresql',
+  title: 'PostgreSQL',
+  label: 'PostgreSQL + Flyway',
+  store: 'jpa',
+  dependencies: [
+    { groupId: 'org.springframework.boot', artifactId: 'spring-boot-starter-data-jpa' },
+    { groupId: 'org.postgresql', artifactId: 'postgresql', scope: 'runtime' },
+    { groupId: 'org.flywaydb', artifactId: 'flyway-core' }
+  ],
+  flyway: { scheme: 'postgresql', port: 5432 },
+  properties: (serviceName) => `
+
+# PostgreSQL Database Configuration
+spring.datasource.url=jdbc:postgresql://\${DB_HOST:${serviceName}-postgres}:\${DB_PORT:5432}/\${DB_NAME:${serviceName}}
+spring.datasource.username=\${DB_USER:${serviceName}}
+spring.datasource.password=\${DB_PASSWORD}
+spring.datasource.driver-class-name=org.postgresql.Driver
+
+# JPA Configuration
+spring.jpa.hibernate.ddl-auto=validate
+spring.jpa.show-sql=false
+spring.jpa.properties.hibernate.dialect=org.hibernate.dialect.PostgreSQLDialect
+spring.jpa.properties.hibernate.format_sql=true${flywayProperties}`,
+  initialSchema: () => `CREATE TABLE hello_world (
+    id BIGSERIAL PRIMARY KEY,
+    nickname VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on nickname for faster lookups
+CREATE INDEX idx_hello_world_nickname ON hello_world(nickname);
+
+-- Add a trigger to update the updated_at column
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER update_hello_world_updated_at
+    BEFORE UPDATE ON hello_world
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+`,
+  database: {
+    suffix: 'postgres',
+    image: 'postgres:15.4',
+    port: 5432,
+    dataPath: '/var/lib/postgresql/data',
+    passwordKeys: ['password'],
+    // Local socket connections inside the postgres container are trusted
+    changePassword: {
+      shell: 'psql -v ON_ERROR_STOP=1 -U "$POSTGRES_USER" -d "$POSTGRES_DB"',
+      script: (username, password) => `ALTER USER "${username}" WITH PASSWORD '${password}';\n`
+    },
+    env: (serviceName) => [
+      { name: 'POSTGRES_DB', value: serviceName },
+      { name: 'POSTGRES_USER', secretKey: 'username' },
+      { name: 'POSTGRES_PASSWORD', secretKey: 'password' },
+      { name: 'PGDATA', value: '/var/lib/postgresql/data/pgdata' }
+    ]
+  }
+};
+
+const MYSQL = {
+  name: 'mysql',
+  title: 'MySQL',
+  label: 'MySQL + Flyway',
+  store: 'jpa',
+  dependencies: [
+    { groupId: 'org.springframework.boot', artifactId: 'spring-boot-starter-data-jpa' },
+    { groupId: 'com.mysql', artifactId: 'mysql-connector-j', scope: 'runtime' },
+    { groupId: 'org.flywaydb', artifactId: 'flyway-core' },
+    { groupId: 'org.flywaydb', artifactId: 'flyway-mysql' }
+  ],
+  flyway: { scheme: 'mysql', port: 3306 },
+  properties: (serviceName) => `
+
+# MySQL Database Configuration
+spring.datasource.url=jdbc:mysql://\${DB_HOST:${serviceName}-mysql}:\${DB_PORT:3306}/\${DB_NAME:${serviceName}}
+spring.datasource.username=\${DB_USER:${serviceName}}
+spring.datasource.password=\${DB_PASSWORD}
+spring.datasource.driver-class-name=com.mysql.cj.jdbc.Driver
+
+# JPA Configuration
+spring.jpa.hibernate.ddl-auto=validate
+spring.jpa.show-sql=false
+spring.jpa.properties.hibernate.dialect=org.hibernate.dialect.MySQLDialect
+spring.jpa.properties.hibernate.format_sql=true${flywayProperties}`,
+  initialSchema: () => `CREATE TABLE hello_world (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    nickname VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Create index on nickname for faster lookups
+CREATE INDEX idx_hello_world_nickname ON hello_world(nickname);
+`,
+  database: {
+    suffix: 'mysql',
+    image: 'mysql:8.0',
+    port: 3306,
+    dataPath: '/var/lib/mysql',
+    passwordKeys: ['password', 'root-password'],
+    changePassword: {
+      shell: 'mysql -uroot -p"$MYSQL_ROOT_PASSWORD"',
+      script: (username, password) => `ALTER USER '${username}'@'%' IDENTIFIED BY '${password}';\n`
+    },
+    env: (serviceName) => [
+      { name: 'MYSQL_DATABASE', value: serviceName },
+      { name: 'MYSQL_USER', secretKey: 'username' },
+      { name: 'MYSQL_PASSWORD', secretKey: 'password' },
+      { name: 'MYSQL_ROOT_PASSWORD', secretKey: 'root-password' }
+    ]
+  }
+};
+
+const MONGODB = {
+  name: 'mongodb',
+  title: 'MongoDB',
+  label: 'MongoDB',
+  store: 'mongodb',
+  dependencies: [
+    { groupId: 'org.springframework.boot', artifactId: 'spring-boot-starter-data-mongodb' }
+  ],
+  flyway: null,
+  // The root user is created in the admin database by the mongo image
+  properties: (serviceName) => `
+
+# MongoDB Configuration
+spring.data.mongodb.host=\${DB_HOST:${serviceName}-mongodb}
+spring.data.mongodb.port=\${DB_PORT:27017}
+spring.data.mongodb.database=\${DB_NAME:${serviceName}}
+spring.data.mongodb.username=\${DB_USER:${serviceName}}
+spring.data.mongodb.password=\${DB_PASSWORD}
+spring.data.mongodb.authentication-database=admin`,
+  initialSchema: null,
+  database: {
+    suffix: 'mongodb',
+    image: 'mongo:7.0',
+    port: 27017,
+    dataPath: '/data/db',
+    passwordKeys: ['password'],
+    changePassword: {
+      shell: 'mongosh --quiet admin -u "$MONGO_INITDB_ROOT_USERNAME" -p "$MONGO_INITDB_ROOT_PASSWORD"',
+      script: (username, password) => `db.changeUserPassword("${username}", "${password}")\n`
+    },
+    env: (serviceName) => [
+      { name: 'MONGO_INITDB_DATABASE', value: serviceName },
+      { name: 'MONGO_INITDB_ROOT_USERNAME', secretKey: 'username' },
+      { name: 'MONGO_INITDB_ROOT_PASSWORD', secretKey: 'password' }
+    ]
+  }
+};
+
+// In-memory database inside the service itself, for demos
+const H2 = {
+  name: 'h2',
+  title: 'H2',
+  label: 'H2 (in-memory) + Flyway',
+  store: 'jpa',
+  dependencies: [
+    { groupId: 'org.springframework.boot', artifactId: 'spring-boot-starter-data-jpa' },
+    { groupId: 'com.h2database', artifactId: 'h2', scope: 'runtime' },
+    { groupId: 'org.flywaydb', artifactId: 'flyway-core' }
+  ],
+  flyway: null,
+  properties: (serviceName) => `
+
+# H2 In-Memory Database Configuration (data is lost on restart)
+spring.datasource.url=jdbc:h2:mem:\${DB_NAME:${serviceName}};DB_CLOSE_DELAY=-1
+spring.datasource.username=sa
+spring.datasource.password=
+spring.datasource.driver-class-name=org.h2.Driver
+spring.h2.console.enabled=true
+
+# JPA Configuration
+spring.jpa.hibernate.ddl-auto=validate
+spring.jpa.show-sql=false
+spring.jpa.properties.hibernate.format_sql=true${flywayProperties}`,
+  initialSchema: () => `CREATE TABLE hello_world (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    nickname VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on nickname for faster lookups
+CREATE INDEX idx_hello_world_nickname ON hello_world(nickname);
+`,
+  database: null
+};
+
+const PERSISTENCE_PROVIDERS = new Map([NONE, POSTGRESQL, MYSQL, MONGODB, H2].map(provider => [provider.name, provider]));
+
+function getPersistenceProvider(name) {
+  return PERSISTENCE_PROVIDERS.get(name || 'none') || null;
+}
+
+function listPersistenceProviders() {
+  return [...PERSISTENCE_PROVIDERS.values()];
+}
+
+/**
+ * Name of the backing database workload for a service (e.g. orders-postgres)
+ */
+function databaseName(provider, serviceName) {
+  return `${serviceName}-${provider.database.suffix}`;
+}
+
+function databaseSecretName(provider, serviceName) {
+  return `${databaseName(provider, serviceName)}-secret`;
+}
+
+/**
+ * Manifest file names of a provider's backing database, in apply order.
+ * The Secret is not among them: it is created in the cluster at deploy time.
+ */
+function databaseManifestFiles(provider) {
+  const { suffix } = provider.database;
+  return [`${suffix}-service.yaml`, `${suffix}-statefulset.yaml`];
+}
+
+/**
+ * Random password safe to embed in SQL, shell and YAML (base64url alphabet)
+ */
+function generatePassword() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Fresh credentials for a service's database: the service name as user and
+ * a random password for every password key of the provider
+ */
+function generateDatabaseCredentials(provider, serviceName) {
+  const credentials = { username: serviceName };
+  for (const key of provider.database.passwordKeys) {
+    credentials[key] = generatePassword();
+  }
+  return credentials;
+}
+
+/**
+ * Kubernetes objects created for a provider's backing database, for cleanup
+ */
+function databaseResources(provider, serviceName) {
+  const name = databaseName(provider, serviceName);
+  return [
+    { kind: 'statefulset', name },
+    { kind: 'service', name },
+    { kind: 'secret', name: databaseSecretName(provider, serviceName) },
+    // StatefulSet PVCs follow pattern: {volume}-{statefulset-name}-{ordinal}
+    { kind: 'pvc', name: `${provider.database.suffix}-storage-${name}-0` }
+  ];
+}
+
+/**
+ * Secret manifest holding the database credentials. Never written to the
+ * project directory, so it cannot end up in the pushed repository.
+ */
+function generateDatabaseSecret(provider, serviceName, namespace, credentials, environment) {
+  const nsBlock = namespace ? `  namespace: ${namespace}\n` : '';
+  const name = databaseName(provider, serviceName);
+  const data = Object.entries(credentials)
+    .map(([key, value]) => `  ${key}: ${Buffer.from(value).toString('base64')}`)
+    .join('\n');
+
+  return `apiVersion: v1
+kind: Secret
+metadata:
+  name: ${databaseSecretName(provider, serviceName)}
+${nsBlock}  labels:
+    app: ${name}
+${environmentLabel(environment, '    ')}type: Opaque
+data:
+${data}
+`;
+}
+
+function generateDatabaseStatefulSet(provider, serviceName, namespace, environment) {
+  const nsBlock = namespace ? `  namespace: ${namespace}\n` : '';
+  const { suffix, image, port, dataPath } = provider.database;
+  const name = databaseName(provider, serviceName);
+  const env = provider.database.env(serviceName).map(variable => variable.secretKey ? `        - name: ${variable.name}
+          valueFrom:
+            secretKeyRef:
+              name: ${databaseSecretName(provider, serviceName)}
+              key: ${variable.secretKey}` : `        - name: ${variable.name}
+          value: "${variable.value}"`).join('\n');
+
+  return `apiVersion: apps/v1
+kind: StatefulSet
+metadata:
+  name: ${name}
+${nsBlock}  labels:
+    app: ${name}
+${environmentLabel(environment, '    ')}spec:
+  serviceName: ${name}
+  replicas: 1
+  selector:
+    matchLabels:
+      app: ${name}
+  template:
+    metadata:
+      labels:
+        app: ${name}
+${environmentLabel(environment, '        ')}    spec:
+      containers:
+      - name: ${suffix}
+        image: ${image}
+        env:
+${env}
+        ports:
+        - containerPort: ${port}
+          name: ${suffix}
+        volumeMounts:
+        - name: ${suffix}-storage
+          mountPath: ${dataPath}
+        resources:
+          requests:
+            memory: "256Mi"
+            cpu: "250m"
+          limits:
+            memory: "512Mi"
+            cpu: "500m"
+  volumeClaimTemplates:
+  - metadata:
+      name: ${suffix}-storage
+    spec:
+      accessModes:
+      - ReadWriteOnce
+      resources:
+        requests:
+          storage: 1Gi
+`;
+}
+
+function generateDatabaseService(provider, serviceName, namespace, environment) {
+  const nsBlock = namespace ? `  namespace: ${namespace}\n` : '';
+  const { suffix, port } = provider.database;
+  const name = databaseName(provider, serviceName);
+
+  return `apiVersion: v1
+kind: Service
+metadata:
+  name: ${name}
+${nsBlock}  labels:
+    app: ${name}
+${environmentLabel(environment, '    ')}spec:
+  type: ClusterIP
+  ports:
+  - port: ${port}
+    targetPort: ${port}
+    protocol: TCP
+    name: ${suffix}
+  selector:
+    app: ${name}
+`;
+}
+
+/**
+ * Render the backing database manifests (except the Secret) as { path, content } project files
+ */
+function generateDatabaseManifests(provider, serviceName, namespace, environment) {
+  if (!provider.database) return [];
+  const { suffix } = provider.database;
+  return [
+    { path: `k8s/${suffix}-statefulset.yaml`, content: generateDatabaseStatefulSet(provider, serviceName, namespace, environment) },
+    { path: `k8s/${suffix}-service.yaml`, content: generateDatabaseService(provider, serviceName, namespace, environment) }
+  ];
+}
+
+module.exports = {
+  getPersistenceProvider,
+  listPersistenceProviders,
+  databaseName,
+  databaseSecretName,
+  databaseManifestFiles,
+  databaseResources,
+  generateDatabaseCredentials,
+  generateDatabaseSecret,
+  generateDatabaseManifests
+};
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const { run: runCommand } = require('./command-runner');
+const { refName } = require('./auth');
+const { TEMPLATE_BRANCH } = require('./template-upgrade');
+const { createGitHubClient, VISIBILITIES: GITHUB_VISIBILITIES } = require('./github-client');
+const { createGitLabClient, ACCESS_LEVELS } = require('./gitlab-client');
+const { createGiteaClient } = require('./gitea-client');
+
+// Where the source of scaffolded services is published
+const PUBLISHERS = ['github', 'gitlab', 'gitea'];
+// push: the render is pushed to main; pull-request: main starts empty and the
+// render is opened as a pull (merge) request from INITIAL_BRANCH
+const PUBLISH_MODES = ['push', 'pull-request'];
+const INITIAL_BRANCH = 'scaffolder/initial';
+// Repository permissions a team can be granted, in GitHub's terms
+const TEAM_PERMISSIONS = ['pull', 'triage', 'push', 'maintain', 'admin'];
+// GitLab roles of the same permissions; owner cannot be shared
+const GITLAB_ACCESS = {
+  pull: ACCESS_LEVELS.reporter,
+  triage: ACCESS_LEVELS.reporter,
+  push: ACCESS_LEVELS.developer,
+  maintain: ACCESS_LEVELS.maintainer,
+  admin: ACCESS_LEVELS.maintainer
+};
+const GIT_COMMITTER = ['Backstage Scaffolder', 'scaffolder@backstage.io'];
+
+/**
+ * Parse team permissions of the form team:permission, separated by commas
+ * (e.g. "platform:admin,developers:push")
+ */
+function parseTeamPermissions(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [team, permission = 'push'] = entry.split(':').map(part => part.trim());
+    if (!team || !TEAM_PERMISSIONS.includes(permission)) {
+      throw new Error(`Invalid team permission '${entry}' in REPO_TEAM_PERMISSIONS, expected team:${TEAM_PERMISSIONS.join('|')}`);
+    }
+    return { team, permission };
+  });
+}
+
+// Git configuration (as environment variables) that authenticates HTTPS
+// requests below baseUrl with basic auth. The credentials never show up in
+// process listings or in a project's .git/config.
+function basicAuthEnv(baseUrl, username, password) {
+  const credentials = Buffer.from(`${username}:${password}`).toString('base64');
+  return {
+    GIT_CONFIG_COUNT: '1',
+    GIT_CONFIG_KEY_0: `http.${baseUrl}/.extraheader`,
+    GIT_CONFIG_VALUE_0: `AUTHORIZATION: basic ${credentials}`,
+    GIT_TERMINAL_PROMPT: '0'
+  };
+}
+
+// Git author of commits made for a user (user:default/alice -> alice), or
+// {} to author them as the scaffolder
+function gitAuthorEnv(subject, emailDomain) {
+  if (!subject) return {};
+  const name = refName(subject);
+  return { GIT_AUTHOR_NAME: name, GIT_AUTHOR_EMAIL: `${name}@${emailDomain}` };
+}
+
+/**
+ * Commit a project and push it to its new repository. In push mode the commit
+ * goes to main; in pull-request mode main gets an empty first commit and the
+ * project is opened as a pull request from INITIAL_BRANCH. Either way the
+ * untouched render is pushed to TEMPLATE_BRANCH, the merge base of later
+ * template upgrades. Commits are authored by requestedBy (a user ref) and
+ * committed by the scaffolder. Resolves to { url, pullRequest }.
+ */
+async function pushProject(publisher, projectDir, repoName, commitMessage, {
+  mode = 'push', requestedBy = null, authorEmailDomain = publisher.noreplyDomain, log = () => {}, run = runCommand
+} = {}) {
+  const remoteUrl = publisher.cloneUrl(repoName);
+  const git = (...args) => run('git', args, { cwd: projectDir, env: gitAuthorEnv(requestedBy, authorEmailDomain) });
+  const push = (...refs) => run('git', ['push', 'origin', ...refs], { cwd: projectDir, env: publisher.authEnv() });
+
+  await git('init', '--initial-branch=main');
+  await git('config', 'user.name', GIT_COMMITTER[0]);
+  await git('config', 'user.email', GIT_COMMITTER[1]);
+  await git('remote', 'add', 'origin', remoteUrl);
+
+  if (mode === 'pull-request') {
+    await git('commit', '--allow-empty', '-m', `Create ${repoName}`);
+    await git('checkout', '-b', INITIAL_BRANCH);
+  }
+
+  await git('add', '.');
+  const { stdout: staged } = await git('diff', '--staged', '--name-only');
+  if (!staged.trim()) {
+    throw new Error(`No files were staged for commit in ${projectDir} (contents: ${fs.readdirSync(projectDir).join(', ')}) - check .gitignore or file permissions`);
+  }
+  await git('commit', '-m', commitMessage);
+
+  if (mode !== 'pull-request') {
+    await push('main', `main:refs/heads/${TEMPLATE_BRANCH}`);
+    log(`Pushed ${commitMessage} to main of ${remoteUrl}`);
+    return { url: remoteUrl, pullRequest: null };
+  }
+
+  await push('main', INITIAL_BRANCH, `${INITIAL_BRANCH}:refs/heads/${TEMPLATE_BRANCH}`);
+  log(`Pushed ${commitMessage} to ${INITIAL_BRANCH} of ${remoteUrl}`);
+  const pullRequest = await publisher.openPullRequest(repoName, {
+    title: commitMessage,
+    head: INITIAL_BRANCH,
+    base: 'main',
+    body: [
+      `Initial code of \`${repoName}\`, generated by Backstage Scaffolder${requestedBy ? ` for ${requestedBy}` : ''}.`,
+      '',
+      `Merge it with a merge commit (not squash or rebase): \`${TEMPLATE_BRANCH}\` points at this commit, and template upgrades need it in the history of main.`
+    ].join('\n')
+  });
+  log(`Opened ${pullRequest}`);
+  return { url: remoteUrl, pullRequest };
+}
+
+/**
+ * Repositories on GitHub or GitHub Enterprise, owned by a user or an
+ * organization. CODEOWNERS teams are organization teams.
+ */
+function createGitHubPublisher({ token, owner, url, apiUrl }) {
+  const github = createGitHubClient({ token, apiUrl });
+  const webUrl = (repoName) => `${url}/${owner}/${repoName}`;
+  return {
+    name: 'github',
+    label: 'GitHub',
+    visibilities: GITHUB_VISIBILITIES,
+    noreplyDomain: 'users.noreply.github.com',
+    codeOwnersPath: '.github/CODEOWNERS',
+    webUrl,
+    annotations: (repoName) => ({ 'github.com/project-slug': `${owner}/${repoName}` }),
+    authEnv: () => basicAuthEnv(url, 'x-access-token', token),
+    exists: async (repoName) => (await github.getRepo(owner, repoName)) !== null,
+    create: async (repoName, options) => (await github.createRepo(owner, repoName, options)).html_url || webUrl(repoName),
+    delete: (repoName) => github.deleteRepo(owner, repoName),
+    teamHandle: async (team) => (await github.isOrganization(owner) && await github.getTeam(owner, team) ? `@${owner}/${team}` : null),
+    grantTeam: (repoName, team, permission) => github.grantTeam(owner, team, owner, repoName, permission),
+    protectBranch: (repoName, branch, options) => github.protectBranch(owner, repoName, branch, options),
+    async openPullRequest(repoName, pullRequest) {
+      const existing = await github.findPullRequest(owner, repoName, pullRequest.head);
+      return (existing || await github.createPullRequest(owner, repoName, pullRequest)).html_url;
+    }
+  };
+}
+
+/**
+ * Projects on gitlab.com or a self-managed GitLab, in a user namespace or a
+ * group. CODEOWNERS teams are subgroups of that group; teams in
+ * REPO_TEAM_PERMISSIONS are group paths relative to it (or full paths).
+ */
+function createGitLabPublisher({ token, owner, url, apiUrl }) {
+  const gitlab = createGitLabClient({ token, apiUrl });
+  const projectPath = (repoName) => `${owner}/${repoName}`;
+  const groupPath = (team) => (team.includes('/') ? team : `${owner}/${team}`);
+  const host = new URL(url).host;
+  return {
+    name: 'gitlab',
+    label: 'GitLab',
+    visibilities: ['public', 'private', 'internal'],
+    noreplyDomain: `users.noreply.${host}`,
+    codeOwnersPath: '.gitlab/CODEOWNERS',
+    webUrl: (repoName) => `${url}/${projectPath(repoName)}`,
+    annotations: (repoName) => ({
+      'gitlab.com/project-slug': projectPath(repoName),
+      ...(host !== 'gitlab.com' ? { 'gitlab.com/instance': host } : {})
+    }),
+    authEnv: () => basicAuthEnv(url, 'oauth2', token),
+    exists: async (repoName) => (await gitlab.getProject(projectPath(repoName))) !== null,
+    create: async (repoName, options) => (await gitlab.createProject(owner, repoName, options)).web_url,
+    delete: (repoName) => gitlab.deleteProject(projectPath(repoName)),
+    teamHandle: async (team) => ((await gitlab.getGroup(groupPath(team))) ? `@${groupPath(team)}` : null),
+    grantTeam: (repoName, team, permission) => gitlab.shareProject(projectPath(repoName), groupPath(team), GITLAB_ACCESS[permission]),
+    protectBranch: (repoName, branch, options) => gitlab.protectBranch(projectPath(repoName), branch, options),
+    async openPullRequest(repoName, { title, body, head, base }) {
+      const existing = await gitlab.findMergeRequest(projectPath(repoName), head);
+      return (existing || await gitlab.createMergeRequest(projectPath(repoName), {
+        title, description: body, sourceBranch: head, targetBranch: base
+      })).web_url;
+    }
+  };
+}
+
+/**
+ * Repositories on a Gitea (or Forgejo) instance, owned by a user or an
+ * organization. Teams keep the permission configured on the team, and code
+ * owner reviews are not enforced by branch protection.
+ */
+function createGiteaPublisher({ token, owner, url, apiUrl }) {
+  const gitea = createGiteaClient({ token, apiUrl });
+  const webUrl = (repoName) => `${url}/${owner}/${repoName}`;
+  return {
+    name: 'gitea',
+    label: 'Gitea',
+    visibilities: ['public', 'private'],
+    noreplyDomain: `noreply.${new URL(url).hostname}`,
+    codeOwnersPath: '.gitea/CODEOWNERS',
+    webUrl,
+    annotations: () => ({}),
+    // Gitea takes the token as the basic auth user name
+    authEnv: () => basicAuthEnv(url, token, 'x-oauth-basic'),
+    exists: async (repoName) => (await gitea.getRepo(owner, repoName)) !== null,
+    create: async (repoName, { description, visibility }) =>
+      (await gitea.createRepo(owner, repoName, { description, private: visibility === 'private' })).html_url || webUrl(repoName),
+    delete: (repoName) => gitea.deleteRepo(owner, repoName),
+    teamHandle: async (team) => (await gitea.getOrg(owner) && await gitea.getTeam(owner, team) ? `@${owner}/${team}` : null),
+    grantTeam: (repoName, team) => gitea.addTeam(owner, repoName, team),
+    protectBranch: (repoName, branch, options) => gitea.protectBranch(owner, repoName, branch, options),
+    async openPullRequest(repoName, pullRequest) {
+      const existing = await gitea.findPullRequest(owner, repoName, pullRequest.head);
+      return (existing || await gitea.createPullRequest(owner, repoName, pullRequest)).html_url;
+    }
+  };
+}
+
+const DEFAULT_URLS = { github: 'https://github.com', gitlab: 'https://gitlab.com' };
+
+// REST API of an instance when not configured: api.github.com for github.com,
+// the instance's API path elsewhere
+function defaultApiUrl(type, url) {
+  if (type === 'github') return url === DEFAULT_URLS.github ? undefined : `${url}/api/v3`;
+  return type === 'gitlab' ? `${url}/api/v4` : `${url}/api/v1`;
+}
+
+/**
+ * Create the publisher of the given type for repositories of owner (a user,
+ * organization or group). url is the web and git base URL of the instance
+ * (required for Gitea) and apiUrl its REST API, derived from url by default.
+ *
+ * Besides the operations of each implementation, a publisher can push a
+ * project (see pushProject), and its catalog annotations include
+ * backstage.io/source-location.
+ */
+function createPublisher({ type, token, owner, url, apiUrl, run = runCommand } = {}) {
+  if (!PUBLISHERS.includes(type)) {
+    throw new Error(`Unknown publisher '${type}', expected one of ${PUBLISHERS.join(', ')}`);
+  }
+  const prefix = type.toUpperCase();
+  if (!owner) {
+    throw new Error(`The ${type} publisher requires ${prefix}_OWNER`);
+  }
+  if (!url && !DEFAULT_URLS[type]) {
+    throw new Error(`The ${type} publisher requires ${prefix}_URL`);
+  }
+  const baseUrl = (url || DEFAULT_URLS[type]).replace(/\/+$/, '');
+  const config = { token, owner, url: baseUrl, apiUrl: apiUrl || defaultApiUrl(type, baseUrl) };
+
+  const backend = type === 'gitlab' ? createGitLabPublisher(config)
+    : type === 'gitea' ? createGiteaPublisher(config) : createGitHubPublisher(config);
+  const publisher = {
+    ...backend,
+    owner,
+    slug: (repoName) => `${owner}/${repoName}`,
+    cloneUrl: (repoName) => `${backend.webUrl(repoName)}.git`,
+    annotations: (repoName) => ({
+      ...backend.annotations(repoName),
+      'backstage.io/source-location': `url:${backend.webUrl(repoName)}/`
+    }),
+    push: (projectDir, repoName, commitMessage, options = {}) =>
+      pushProject(publisher, projectDir, repoName, commitMessage, { run, ...options })
+  };
+  return publisher;
+}
+
+module.exports = {
+  PUBLISHERS,
+  PUBLISH_MODES,
+  INITIAL_BRANCH,
+  parseTeamPermissions,
+  gitAuthorEnv,
+  createPublisher
+};
@@ -0,0 +1,212 @@
+// Container states that will not recover without a change to the deployment
+const FATAL_WAITING_REASONS = [
+  'CrashLoopBackOff',
+  'ImagePullBackOff',
+  'ErrImagePull',
+  'ErrImageNeverPull',
+  'InvalidImageName',
+  'CreateContainerConfigError',
+  'CreateContainerError'
+];
+// Re-check at least this often, so probe failures are noticed between pod updates
+const RECHECK_INTERVAL_MS = 10000;
+
+/**
+ * A rollout that failed or did not finish in time. pod, container, reason
+ * and logs describe the failing container when one was found.
+ */
+class RolloutError extends Error {
+  constructor(message, { reason, pod = null, container = null, logs = null, timedOut = false } = {}) {
+    super(message);
+    this.name = 'RolloutError';
+    this.reason = reason;
+    this.pod = pod;
+    this.container = container;
+    this.logs = logs;
+    this.timedOut = timedOut;
+  }
+}
+
+function labelSelector(matchLabels = {}) {
+  return Object.entries(matchLabels).map(([key, value]) => `${key}=${value}`).join(',');
+}
+
+/**
+ * Rollout state of a Deployment, following kubectl rollout status: done once
+ * the new spec is observed and all desired replicas are updated and available
+ */
+function deploymentRolloutStatus(deployment) {
+  const spec = deployment.spec || {};
+  const status = deployment.status || {};
+  const desired = spec.replicas === undefined ? 1 : spec.replicas;
+  const updated = status.updatedReplicas || 0;
+  const available = status.availableReplicas || 0;
+  const total = status.replicas || 0;
+  const progress = { desired, updated, available };
+
+  if ((deployment.metadata.generation || 0) > (status.observedGeneration || 0)) {
+    return { ...progress, done: false, message: 'Waiting for the deployment spec update to be observed' };
+  }
+
+  const progressing = (status.conditions || []).find(condition => condition.type === 'Progressing');
+  if (progressing && progressing.reason === 'ProgressDeadlineExceeded') {
+    return { ...progress, done: false, failed: true, message: `Deployment exceeded its progress deadline: ${progressing.message}` };
+  }
+  if (updated < desired) {
+    return { ...progress, done: false, message: `${updated} of ${desired} updated replicas created` };
+  }
+  if (total > updated) {
+    return { ...progress, done: false, message: `${total - updated} old replicas are pending termination` };
+  }
+  if (available < desired) {
+    return { ...progress, done: false, message: `${available} of ${desired} updated replicas are available` };
+  }
+  return { ...progress, done: true, message: `${available} of ${desired} replicas available` };
+}
+
+/**
+ * Containers of a pod that are failing: a fatal waiting state, or running but
+ * not ready (reported as ReadinessProbeFailed once a probe has failed)
+ */
+function podProblems(pod) {
+  const problems = [];
+  const statuses = [
+    ...((pod.status && pod.status.initContainerStatuses) || []),
+    ...((pod.status && pod.status.containerStatuses) || [])
+  ];
+
+  for (const container of statuses) {
+    const waiting = container.state && container.state.waiting;
+    if (waiting && FATAL_WAITING_REASONS.includes(waiting.reason)) {
+      const terminated = container.lastState && container.lastState.terminated;
+      problems.push({
+        pod: pod.metadata.name,
+        container: container.name,
+        reason: waiting.reason,
+        message: waiting.message || (terminated ? `Last exit code ${terminated.exitCode} (${terminated.reason})` : ''),
+        restarts: container.restartCount || 0,
+        fatal: true
+      });
+    } else if (container.state && container.state.running && !container.ready) {
+      problems.push({
+        pod: pod.metadata.name,
+        container: container.name,
+        reason: 'NotReady',
+        message: 'Container is running but not ready',
+        restarts: container.restartCount || 0,
+        fatal: false
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Wait for a Deployment rollout to finish. Fails fast when a pod of the new
+ * ReplicaSet is crash looping or cannot pull its image, and on timeout reports
+ * the container that kept it from becoming available, with its last log lines.
+ * onProgress receives a message whenever the rollout state changes.
+ */
+async function waitForRollout(kube, name, namespace, { timeoutMs = 300000, logLines = 20, onProgress = () => {} } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let lastMessage = null;
+  let lastProblem = null;
+  const report = (message) => {
+    if (message !== lastMessage) {
+      lastMessage = message;
+      onProgress(message);
+    }
+  };
+
+  // The pod-template-hash of the ReplicaSet for the current revision
+  async function currentPodTemplateHash(deployment, selector) {
+    const revision = (deployment.metadata.annotations || {})['deployment.kubernetes.io/revision'];
+    if (!revision) return null;
+    const replicaSets = await kube.list('ReplicaSet', namespace, { labelSelector: selector });
+    const current = replicaSets.items.find(rs => (rs.metadata.annotations || {})['deployment.kubernetes.io/revision'] === revision);
+    return current ? (current.metadata.labels || {})['pod-template-hash'] : null;
+  }
+
+  async function readinessFailure(problem) {
+    const events = await kube.list('Event', namespace, {
+      fieldSelector: `involvedObject.kind=Pod,involvedObject.name=${problem.pod},reason=Unhealthy`
+    });
+    const failures = events.items.filter(event => /readiness probe failed/i.test(event.message || ''));
+    const latest = failures[failures.length - 1];
+    return latest ? { ...problem, reason: 'ReadinessProbeFailed', message: latest.message.trim() } : null;
+  }
+
+  async function failWith(problem, message, extra = {}) {
+    let logs = null;
+    try {
+      logs = await kube.podLogs(problem.pod, namespace, {
+        container: problem.container,
+        tailLines: logLines,
+        // A crash looping container's useful output is in its previous run
+        previous: problem.reason === 'CrashLoopBackOff' && problem.restarts > 0 ? true : undefined
+      });
+    } catch (error) {
+      logs = `Could not read logs: ${error.message}`;
+    }
+    throw new RolloutError(message, { ...extra, reason: problem.reason, pod: problem.pod, container: problem.container, logs });
+  }
+
+  while (true) {
+    const deployment = await kube.get('Deployment', name, namespace);
+    const status = deploymentRolloutStatus(deployment);
+    report(status.message);
+    if (status.done) return status;
+
+    const selector = labelSelector(deployment.spec.selector && deployment.spec.selector.matchLabels);
+    const podTemplateHash = await currentPodTemplateHash(deployment, selector);
+    const pods = await kube.list('Pod', namespace, { labelSelector: selector });
+    const currentPods = pods.items.filter(pod => !pod.metadata.deletionTimestamp &&
+      (!podTemplateHash || (pod.metadata.labels || {})['pod-template-hash'] === podTemplateHash));
+
+    for (const problem of currentPods.flatMap(podProblems)) {
+      if (problem.fatal) {
+        await failWith(problem, `Rollout of ${name} failed: container ${problem.container} in pod ${problem.pod} is in ${problem.reason}${problem.message ? `: ${problem.message}` : ''}`);
+      }
+      const failure = await readinessFailure(problem);
+      if (failure && !(lastProblem && lastProblem.pod === failure.pod && lastProblem.message === failure.message)) {
+        onProgress(`Readiness probe failing for container ${failure.container} in pod ${failure.pod}: ${failure.message}`);
+      }
+      if (failure) lastProblem = failure;
+    }
+
+    if (status.failed) {
+      if (lastProblem) await failWith(lastProblem, `Rollout of ${name} failed: ${status.message}`);
+      throw new RolloutError(`Rollout of ${name} failed: ${status.message}`, { reason: 'ProgressDeadlineExceeded' });
+    }
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      const message = `Timed out after ${Math.round(timeoutMs / 1000)}s waiting for rollout of ${name}: ${status.message}`;
+      if (lastProblem) await failWith(lastProblem, message, { timedOut: true });
+      throw new RolloutError(message, { reason: 'Timeout', timedOut: true });
+    }
+
+    // Wait for the deployment or one of its pods to change
+    const waitMs = Math.min(remaining, RECHECK_INTERVAL_MS);
+    const watchers = [
+      kube.watch('Deployment', namespace, { fieldSelector: `metadata.name=${name}`, resourceVersion: deployment.metadata.resourceVersion }, () => true),
+      kube.watch('Pod', namespace, { labelSelector: selector, resourceVersion: pods.metadata.resourceVersion }, () => true)
+    ];
+    const timer = setTimeout(() => watchers.forEach(watcher => watcher.stop()), waitMs);
+    try {
+      await Promise.race(watchers.map(watcher => watcher.catch(() => {})));
+    } finally {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.stop());
+      await Promise.allSettled(watchers);
+    }
+  }
+}
+
+module.exports = {
+  RolloutError,
+  deploymentRolloutStatus,
+  podProblems,
+  waitForRollout
+};
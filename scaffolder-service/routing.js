@@ -0,0 +1,113 @@
+// How a generated service is reachable from outside the cluster: not at all
+// (port-forward to its NodePort Service), through an Ingress or through a
+// Gateway API HTTPRoute
+const EXPOSE_OPTIONS = ['none', 'ingress', 'httproute'];
+const DEFAULT_HOST_PATTERN = '{service}.{env}.apps.example.com';
+const DNS_NAME = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*$/;
+
+// Replace {service}, {env} and {namespace} in a host or secret name pattern
+function fillPattern(pattern, serviceName, environment) {
+  return pattern
+    .replace(/\{service\}/g, serviceName)
+    .replace(/\{env\}/g, environment.name)
+    .replace(/\{namespace\}/g, environment.namespace);
+}
+
+/**
+ * Create the routing configuration: the hostname pattern of exposed services,
+ * the TLS secret pattern (none for plain HTTP), the IngressClass and the
+ * Gateway HTTPRoutes attach to.
+ */
+function createRouting({ hostPattern = DEFAULT_HOST_PATTERN, tlsSecret, ingressClass, gatewayName = 'gateway', gatewayNamespace } = {}) {
+  if (!hostPattern.includes('{service}')) {
+    throw new Error(`ROUTE_HOST_PATTERN '${hostPattern}' must contain {service}`);
+  }
+
+  /**
+   * Host, TLS secret and URL of a service in an environment
+   */
+  function route(serviceName, environment) {
+    const host = fillPattern(hostPattern, serviceName, environment);
+    if (!DNS_NAME.test(host) || host.length > 253) {
+      throw new Error(`ROUTE_HOST_PATTERN gives invalid host '${host}' for ${serviceName} in ${environment.name}`);
+    }
+    const secretName = tlsSecret ? fillPattern(tlsSecret, serviceName, environment) : null;
+    return { host, tlsSecret: secretName, url: `${secretName ? 'https' : 'http'}://${host}` };
+  }
+
+  function generateIngress(serviceName, port, namespace, environmentLabel, { host, tlsSecret: secretName }) {
+    const nsBlock = namespace ? `  namespace: ${namespace}\n` : '';
+    const labelBlock = environmentLabel ? `\n    environment: ${environmentLabel}` : '';
+    const classBlock = ingressClass ? `\n  ingressClassName: ${ingressClass}` : '';
+    const tlsBlock = secretName ? `
+  tls:
+  - hosts:
+    - ${host}
+    secretName: ${secretName}` : '';
+
+    return `apiVersion: networking.k8s.io/v1
+kind: Ingress
+metadata:
+  name: ${serviceName}
+${nsBlock}  labels:
+    app: ${serviceName}${labelBlock}
+spec:${classBlock}${tlsBlock}
+  rules:
+  - host: ${host}
+    http:
+      paths:
+      - path: /
+        pathType: Prefix
+        backend:
+          service:
+            name: ${serviceName}-service
+            port:
+              number: ${port}
+`;
+  }
+
+  // TLS of an HTTPRoute is terminated by the Gateway listener, which holds the certificate
+  function generateHTTPRoute(serviceName, port, namespace, environmentLabel, { host }) {
+    const nsBlock = namespace ? `  namespace: ${namespace}\n` : '';
+    const labelBlock = environmentLabel ? `\n    environment: ${environmentLabel}` : '';
+    const gatewayNamespaceBlock = gatewayNamespace ? `\n    namespace: ${gatewayNamespace}` : '';
+
+    return `apiVersion: gateway.networking.k8s.io/v1
+kind: HTTPRoute
+metadata:
+  name: ${serviceName}
+${nsBlock}  labels:
+    app: ${serviceName}${labelBlock}
+spec:
+  parentRefs:
+  - name: ${gatewayName}${gatewayNamespaceBlock}
+  hostnames:
+  - ${host}
+  rules:
+  - matches:
+    - path:
+        type: PathPrefix
+        value: /
+    backendRefs:
+    - name: ${serviceName}-service
+      port: ${port}
+`;
+  }
+
+  // Fail at startup on a pattern that cannot give valid hosts
+  route('service', { name: 'environment', namespace: 'namespace' });
+
+  return {
+    ingressClass: ingressClass || null,
+    gateway: { name: gatewayName, namespace: gatewayNamespace || null },
+    route,
+    generateIngress,
+    generateHTTPRoute
+  };
+}
+
+module.exports = {
+  EXPOSE_OPTIONS,
+  DEFAULT_HOST_PATTERN,
+  createRouting
+};
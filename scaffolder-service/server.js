@@ -2,12 +2,38 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { execSync, exec } = require('child_process');
-const { promisify } = require('util');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const { Pool } = require('pg');
-
-const execAsync = promisify(exec);
+const { createTemplateRegistry, validateTemplateValues, describeTemplate } = require('./template-registry');
+const { createAuth, refName, ownerRef } = require('./auth');
+const { createEnvironments } = require('./environments');
+const { EXPOSE_OPTIONS, createRouting } = require('./routing');
+const { run, formatCommand } = require('./command-runner');
+const { createKubeClient, parseManifest, NotFoundError, ForbiddenError } = require('./kube-client');
+const { createBuildBackend, BuildError, imageTag } = require('./build-backends');
+const { waitForRollout, RolloutError } = require('./rollout');
+const { TEMPLATE_BRANCH, upgradeRepository } = require('./template-upgrade');
+const { PUBLISHERS, PUBLISH_MODES, INITIAL_BRANCH, parseTeamPermissions, gitAuthorEnv, createPublisher } = require('./publishers');
+const { EntityRefError, toEntityRef, parseEntityRef, entityRelations, inverseRelation } = require('./catalog-relations');
+const { LocationError, locationType, readLocation, canonicalJson } = require('./catalog-locations');
+const { EntityValidationError, entityEnvelope, validateEntityData } = require('./catalog-validation');
+const { SEARCH_FACETS, parseSearchParams, searchQuery } = require('./catalog-search');
+const { parsePageParams, pageSql, pageOf, pageItems, projectFields, wantsField } = require('./pagination');
+const { K8S_FORMATS, detectK8sFormat, generateHelmChart, generateKustomization, renderCommand, renderK8sObjects } = require('./k8s-formats');
+const {
+  getPersistenceProvider,
+  listPersistenceProviders,
+  databaseName,
+  databaseSecretName,
+  databaseManifestFiles,
+  databaseResources,
+  generateDatabaseCredentials,
+  generateDatabaseSecret,
+  generateDatabaseManifests
+} = require('./persistence-providers');
 
 const app = express();
 app.use(cors({
@@ -29,16 +55,76 @@ app.use((req, res, next) => {
   // Log all requests
   const timestamp = new Date().toISOString();
   const clientIP = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
-  console.log(`[${timestamp}] ${req.method} ${req.url} from ${clientIP}`);
+  const url = req.url.replace(/access_token=[^&]*/, 'access_token=[redacted]');
+  console.log(`[${timestamp}] ${req.method} ${url} from ${clientIP}`);
   
   next();
 });
 
 app.use(bodyParser.json());
 
+// Bearer token authentication: Backstage-issued JWTs checked against a JWKS,
+// or static tokens (token:role:subject) for local use
+const auth = createAuth({
+  jwksUrl: process.env.AUTH_JWKS_URL,
+  issuer: process.env.AUTH_JWT_ISSUER,
+  audience: process.env.AUTH_JWT_AUDIENCE,
+  staticTokens: process.env.AUTH_STATIC_TOKENS,
+  admins: process.env.AUTH_ADMINS,
+  creators: process.env.AUTH_CREATORS,
+  defaultRole: process.env.AUTH_DEFAULT_ROLE || 'viewer',
+  disabled: process.env.AUTH_DISABLED === 'true'
+});
+if (!auth.enabled) {
+  console.warn('[AUTH] ⚠️ AUTH_DISABLED=true - authentication disabled, every request is allowed');
+}
+app.use(auth.authenticate);
+
+// Environments services are promoted through, in order (name:namespace pairs).
+// Promotions into gated environments wait for an admin's approval.
+const environments = createEnvironments({
+  definitions: process.env.ENVIRONMENTS || undefined,
+  approvalRequired: process.env.PROMOTION_APPROVAL_ENVIRONMENTS
+});
+
+// Hostnames ({service}, {env} and {namespace} placeholders) and TLS secrets of
+// services exposed through an Ingress or HTTPRoute
+const routing = createRouting({
+  hostPattern: process.env.ROUTE_HOST_PATTERN || undefined,
+  tlsSecret: process.env.ROUTE_TLS_SECRET || undefined,
+  ingressClass: process.env.INGRESS_CLASS_NAME || undefined,
+  gatewayName: process.env.GATEWAY_NAME || undefined,
+  gatewayNamespace: process.env.GATEWAY_NAMESPACE || undefined
+});
+
 const PROJECTS_DIR = '/projects/scaffolded-projects';
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN || '';
-const GITHUB_OWNER = process.env.GITHUB_OWNER || 'felipeazv';
+// Directories holding additional templates (template.yaml + skeleton), separated by ':'
+const TEMPLATES_DIRS = (process.env.TEMPLATES_DIR || '/templates').split(path.delimiter).filter(Boolean);
+// How often template directories are scanned again for new or changed templates
+const TEMPLATES_RESCAN_SECONDS = process.env.TEMPLATES_RESCAN_SECONDS === undefined
+  ? 30 : parseInt(process.env.TEMPLATES_RESCAN_SECONDS, 10) || 0;
+// Settings of new service repositories, whichever publisher hosts them
+const PUBLISH_MODE = process.env.PUBLISH_MODE || 'push';
+if (!PUBLISH_MODES.includes(PUBLISH_MODE)) {
+  throw new Error(`Unknown PUBLISH_MODE '${PUBLISH_MODE}', expected one of ${PUBLISH_MODES.join(', ')}`);
+}
+const REPO_VISIBILITY = process.env.REPO_VISIBILITY || 'public';
+// Teams of the publisher's owner granted access to every new repository
+const REPO_TEAM_PERMISSIONS = parseTeamPermissions(process.env.REPO_TEAM_PERMISSIONS);
+const REPO_BRANCH_PROTECTION = process.env.REPO_BRANCH_PROTECTION !== 'false';
+const REPO_REQUIRED_REVIEWS = parseInt(process.env.REPO_REQUIRED_REVIEWS, 10) || 1;
+// Commits are authored by the requesting user as <name>@GIT_AUTHOR_EMAIL_DOMAIN
+// (default: the no-reply domain of the publisher)
+const GIT_AUTHOR_EMAIL_DOMAIN = process.env.GIT_AUTHOR_EMAIL_DOMAIN || undefined;
+// How long a deploy waits for the Deployment rollout to finish
+const ROLLOUT_TIMEOUT_SECONDS = parseInt(process.env.ROLLOUT_TIMEOUT_SECONDS, 10) || 300;
+// System of scaffolded services whose request names none (default: none)
+const CATALOG_DEFAULT_SYSTEM = process.env.CATALOG_DEFAULT_SYSTEM || null;
+// How many hops the relations endpoint follows at most
+const MAX_RELATION_DEPTH = 5;
+// How often registered catalog locations are read again (0 disables)
+const CATALOG_REFRESH_INTERVAL_SECONDS = process.env.CATALOG_REFRESH_INTERVAL_SECONDS === undefined
+  ? 300 : parseInt(process.env.CATALOG_REFRESH_INTERVAL_SECONDS, 10) || 0;
 
 // Database connection configuration
 const DB_CONFIG = {
@@ -55,6 +141,40 @@ const DB_CONFIG = {
 // Create PostgreSQL connection pool
 const db = new Pool(DB_CONFIG);
 
+// Kubernetes API client (in-cluster ServiceAccount or kubeconfig, loaded on first use)
+const kube = createKubeClient();
+
+// Where service images are built (docker, registry, kaniko or fake) and the
+// image reference and pull policy generated manifests use
+const buildBackend = createBuildBackend({
+  type: process.env.BUILD_BACKEND || 'docker',
+  registry: process.env.BUILD_REGISTRY,
+  namespace: process.env.BUILD_NAMESPACE,
+  pushSecret: process.env.BUILD_PUSH_SECRET,
+  kanikoImage: process.env.KANIKO_IMAGE,
+  kube
+});
+
+// Where service repositories are published: each publisher is enabled by its
+// token, and scaffolds that name none use PUBLISHER (default: the first one)
+const PUBLISHER_CONFIG = {
+  github: { token: process.env.GITHUB_TOKEN, owner: process.env.GITHUB_OWNER || 'felipeazv', url: process.env.GITHUB_URL, apiUrl: process.env.GITHUB_API_URL },
+  gitlab: { token: process.env.GITLAB_TOKEN, owner: process.env.GITLAB_OWNER, url: process.env.GITLAB_URL, apiUrl: process.env.GITLAB_API_URL },
+  gitea: { token: process.env.GITEA_TOKEN, owner: process.env.GITEA_OWNER, url: process.env.GITEA_URL, apiUrl: process.env.GITEA_API_URL }
+};
+const publishers = new Map(PUBLISHERS
+  .filter(type => PUBLISHER_CONFIG[type].token)
+  .map(type => [type, createPublisher({ type, ...PUBLISHER_CONFIG[type] })]));
+const DEFAULT_PUBLISHER = process.env.PUBLISHER || publishers.keys().next().value || null;
+if (DEFAULT_PUBLISHER && !publishers.has(DEFAULT_PUBLISHER)) {
+  throw new Error(`PUBLISHER ${DEFAULT_PUBLISHER} is not configured, set ${DEFAULT_PUBLISHER.toUpperCase()}_TOKEN`);
+}
+for (const publisher of publishers.values()) {
+  if (!publisher.visibilities.includes(REPO_VISIBILITY)) {
+    throw new Error(`${publisher.label} repositories cannot be ${REPO_VISIBILITY}, REPO_VISIBILITY must be one of ${publisher.visibilities.join(', ')}`);
+  }
+}
+
 // Database connection test and initialization
 async function initializeDatabase() {
   try {
@@ -66,6 +186,19 @@ async function initializeDatabase() {
   } catch (error) {
     console.error('[DATABASE] ❌ Failed to connect to PostgreSQL:', error.message);
     console.error('[DATABASE] Falling back to file-based storage');
+    return;
+  }
+
+  try {
+    await ensureTaskTable();
+  } catch (error) {
+    console.error('[TASKS] Failed to prepare scaffold_tasks table:', error.message);
+  }
+
+  try {
+    await ensureLocationTable();
+  } catch (error) {
+    console.error('[LOCATIONS] Failed to prepare catalog_locations table:', error.message);
   }
 }
 
@@ -77,37 +210,37 @@ initializeDatabase();
 // ===============================
 
 /**
- * Create or update a catalog entity in the database
+ * Create or update a catalog entity in the database, replacing the relations
+ * it declares (derived from its spec plus explicit relations). Throws an
+ * EntityValidationError for entities that are not valid.
  */
 async function createOrUpdateEntity(entityData) {
-  try {
-    const client = await db.connect();
-    
-    const {
-      name,
-      kind = 'Component',
-      namespace = 'default',
-      metadata = {},
-      spec = {},
-      relations = [],
-      originatingLocation = { type: 'scaffolder', target: 'local-generation' }
-    } = entityData;
+  const errors = validateEntityData(entityData);
+  const { kind, originatingLocation = { type: 'scaffolder', target: 'local-generation' } } = entityData;
+  const entity = entityEnvelope(entityData);
+  // The validated metadata names the entity, whichever way it was given
+  const { name, namespace } = entity.metadata;
+  if (errors.length > 0) {
+    throw new EntityValidationError(
+      `Invalid entity ${namespace}/${kind || 'unknown'}:${name}: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`, errors);
+  }
 
-    const entityRef = `${namespace}/${kind.toLowerCase()}:${name}`;
-    const finalEntity = {
-      apiVersion: 'backstage.io/v1alpha1',
-      kind,
-      metadata: { name, namespace, ...metadata },
-      spec,
-      relations
-    };
+  const entityRef = toEntityRef({ kind, namespace, name });
+  const { apiVersion, spec } = entity;
+  const relations = entityRelations({ namespace, spec, relations: entityData.relations || [] });
+  const finalEntity = { ...entity, relations };
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
 
     // Insert or update entity
     const query = `
-      INSERT INTO entities (entity_ref, kind, namespace, name, metadata, spec, relations, final_entity, originating_location)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      INSERT INTO entities (entity_ref, kind, namespace, name, metadata, spec, relations, final_entity, originating_location, api_version)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       ON CONFLICT (entity_ref) 
       DO UPDATE SET 
+        api_version = EXCLUDED.api_version,
         metadata = EXCLUDED.metadata,
         spec = EXCLUDED.spec,
         relations = EXCLUDED.relations,
@@ -122,69 +255,143 @@ async function createOrUpdateEntity(entityData) {
       JSON.stringify(finalEntity.spec),
       JSON.stringify(relations),
       JSON.stringify(finalEntity),
-      JSON.stringify(originatingLocation)
+      JSON.stringify(originatingLocation),
+      apiVersion
     ]);
 
-    // Insert entity location
+    await client.query('DELETE FROM entity_relations WHERE source_entity_ref = $1', [entityRef]);
+    if (relations.length > 0) {
+      await client.query(`
+        INSERT INTO entity_relations (source_entity_ref, target_entity_ref, relation_type)
+        SELECT $1, target, type FROM unnest($2::text[], $3::text[]) AS relation(target, type)
+      `, [entityRef, relations.map(relation => relation.targetRef), relations.map(relation => relation.type)]);
+    }
+
+    // Insert entity location (the table has no unique constraint to conflict on)
     await client.query(`
       INSERT INTO entity_locations (entity_ref, location_type, location_target)
-      VALUES ($1, $2, $3)
-      ON CONFLICT DO NOTHING
+      SELECT $1, $2, $3
+      WHERE NOT EXISTS (
+        SELECT 1 FROM entity_locations WHERE entity_ref = $1 AND location_type = $2 AND location_target = $3
+      )
     `, [entityRef, originatingLocation.type, originatingLocation.target]);
 
-    client.release();
+    await client.query('COMMIT');
     return result.rows[0];
   } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
     console.error('[CATALOG] Error creating/updating entity:', error);
     throw error;
+  } finally {
+    client.release();
   }
 }
 
+// Entity columns for each order field of a listing (see parsePageParams)
+const ENTITY_ORDER_COLUMNS = {
+  name: { column: 'name', type: 'text' },
+  kind: { column: 'kind', type: 'text' },
+  createdAt: { column: 'created_at', type: 'timestamptz' },
+  updatedAt: { column: 'updated_at', type: 'timestamptz' }
+};
+
 /**
- * Get all entities from catalog
+ * One page of catalog entities (see parsePageParams) matching the filters,
+ * with the total number of matches and the cursor of the next page
  */
-async function getAllEntities(filters = {}) {
+async function getAllEntities(filters = {}, page) {
+  const client = await db.connect();
   try {
-    const client = await db.connect();
-    
-    let query = 'SELECT * FROM entities';
     const conditions = [];
     const params = [];
-    let paramCount = 1;
 
     if (filters.kind) {
-      conditions.push(`kind = $${paramCount++}`);
       params.push(filters.kind);
+      conditions.push(`kind = $${params.length}`);
     }
-    
+
     if (filters.namespace) {
-      conditions.push(`namespace = $${paramCount++}`);
       params.push(filters.namespace);
+      conditions.push(`namespace = $${params.length}`);
     }
 
     if (filters.owner) {
-      conditions.push(`spec->>'owner' = $${paramCount++}`);
       params.push(filters.owner);
+      conditions.push(`spec->>'owner' = $${params.length}`);
     }
 
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
-    }
+    const where = (extra) => {
+      const all = [...conditions, ...extra.filter(Boolean)];
+      return all.length > 0 ? ` WHERE ${all.join(' AND ')}` : '';
+    };
+    const total = await client.query(`SELECT COUNT(*) AS count FROM entities${where([])}`, params);
+
+    // The order value comes back as text, so cursors keep its full precision
+    const order = ENTITY_ORDER_COLUMNS[page.orderBy.field];
+    const paging = pageSql(page, { ...order, key: 'entity_ref', firstParam: params.length + 1 });
+    const result = await client.query(
+      `SELECT *, ${order.column}::text AS order_value FROM entities${where([paging.condition])}
+       ORDER BY ${paging.orderBy} LIMIT ${page.limit + 1}`,
+      [...params, ...paging.params]
+    );
+
+    const { items, nextCursor } = pageOf(result.rows, page, { valueOf: row => row.order_value, keyOf: row => row.entity_ref });
+    return {
+      items: items.map(row => ({
+        ...row.final_entity,
+        entityRef: row.entity_ref,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      })),
+      totalItems: parseInt(total.rows[0].count, 10),
+      nextCursor
+    };
+  } finally {
+    client.release();
+  }
+}
 
-    query += ' ORDER BY created_at DESC';
+/**
+ * Search the catalog (see parseSearchParams): the best ranked entities
+ * matching q and the filters, how many match in total, and for each facet
+ * the number of matching entities per value
+ */
+async function searchEntities(search) {
+  const client = await db.connect();
+  try {
+    const { where, params, rank } = searchQuery(search);
+    const result = await client.query(
+      `SELECT *, ${rank} AS rank FROM entities ${where}
+       ORDER BY rank DESC, name, entity_ref
+       LIMIT $${params.length + 1}`,
+      [...params, search.limit]
+    );
+    const total = await client.query(`SELECT COUNT(*) AS count FROM entities ${where}`, params);
+
+    const facets = {};
+    for (const facet of SEARCH_FACETS) {
+      const facetQuery = searchQuery(search, { facet });
+      const counts = await client.query(
+        `SELECT spec->>'${facet}' AS value, COUNT(*) AS count FROM entities ${facetQuery.where}
+         GROUP BY value ORDER BY count DESC, value`,
+        facetQuery.params
+      );
+      facets[facet] = counts.rows.map(row => ({ value: row.value, count: parseInt(row.count, 10) }));
+    }
 
-    const result = await client.query(query, params);
+    return {
+      items: result.rows.map(row => ({
+        ...row.final_entity,
+        entityRef: row.entity_ref,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        score: Math.round(Number(row.rank) * 1000) / 1000
+      })),
+      totalItems: parseInt(total.rows[0].count, 10),
+      facets
+    };
+  } finally {
     client.release();
-    
-    return result.rows.map(row => ({
-      ...row.final_entity,
-      entityRef: row.entity_ref,
-      createdAt: row.created_at,
-      updatedAt: row.updated_at
-    }));
-  } catch (error) {
-    console.error('[CATALOG] Error fetching entities:', error);
-    return [];
   }
 }
 
@@ -227,6 +434,69 @@ async function deleteEntity(entityRef) {
   }
 }
 
+/**
+ * Relations around an entity up to depth hops away, in both directions: a
+ * stored relation is seen from its target as the inverse type (dependsOn ->
+ * dependencyOf). types limits which relations (as seen when followed) are
+ * traversed. Returns the reached entities with their distance and the
+ * relations between them.
+ */
+async function getRelationGraph(entityRef, { depth = 1, types = null } = {}) {
+  const client = await db.connect();
+  try {
+    const distances = new Map([[entityRef, 0]]);
+    const relations = new Map();
+    let frontier = [entityRef];
+
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+      const result = await client.query(`
+        SELECT source_entity_ref, target_entity_ref, relation_type
+        FROM entity_relations
+        WHERE source_entity_ref = ANY($1) OR target_entity_ref = ANY($1)
+      `, [frontier]);
+
+      const next = [];
+      const follow = (from, type, to, key) => {
+        if (types && !types.includes(type)) return;
+        if (!relations.has(key)) relations.set(key, { source: from, type, target: to });
+        if (!distances.has(to)) {
+          distances.set(to, level);
+          next.push(to);
+        }
+      };
+      for (const row of result.rows) {
+        const key = `${row.source_entity_ref} ${row.relation_type} ${row.target_entity_ref}`;
+        if (frontier.includes(row.source_entity_ref)) {
+          follow(row.source_entity_ref, row.relation_type, row.target_entity_ref, key);
+        }
+        if (frontier.includes(row.target_entity_ref)) {
+          follow(row.target_entity_ref, inverseRelation(row.relation_type), row.source_entity_ref, key);
+        }
+      }
+      frontier = next;
+    }
+
+    // Targets need not be registered (e.g. owner groups)
+    const registered = await client.query(
+      'SELECT entity_ref, kind, namespace, name, metadata FROM entities WHERE entity_ref = ANY($1)',
+      [[...distances.keys()]]
+    );
+    const rows = new Map(registered.rows.map(row => [row.entity_ref, row]));
+
+    return {
+      entities: [...distances].map(([ref, distance]) => {
+        const row = rows.get(ref);
+        return row
+          ? { entityRef: ref, depth: distance, registered: true, kind: row.kind, namespace: row.namespace, name: row.name, title: row.metadata.title || null }
+          : { entityRef: ref, depth: distance, registered: false };
+      }),
+      relations: [...relations.values()]
+    };
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Check if database is available
  */
@@ -241,490 +511,1750 @@ async function isDatabaseAvailable() {
   }
 }
 
-// Constants already declared earlier in the file
-
-// Namespace safety
-const FORBIDDEN_NAMESPACES = new Set(['kube-system', 'kube-public', 'kube-node-lease']);
+// ===============================
+// CATALOG LOCATION FUNCTIONS
+// ===============================
 
-function validateNamespace(ns) {
-  if (!ns) return false;
-  // Kubernetes namespace regex (DNS-1123)
-  if (!/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(ns)) return false;
-  if (FORBIDDEN_NAMESPACES.has(ns)) return false;
-  return true;
-}
+// Entities that disappear from their location stay in the catalog, flagged
+const ORPHAN_ANNOTATION = 'backstage.io/orphan';
 
-// Ensure projects directory exists
-if (!fs.existsSync(PROJECTS_DIR)) {
-  fs.mkdirSync(PROJECTS_DIR, { recursive: true });
-}
+let locationTableReady = false;
+// Location ID -> refresh in progress, so a location is never read twice at once
+const locationRefreshes = new Map();
 
-// Check if GitHub is configured
-const GITHUB_ENABLED = !!GITHUB_TOKEN;
-if (GITHUB_ENABLED) {
-  console.log('[GITHUB] GitHub integration enabled for owner:', GITHUB_OWNER);
-  // Configure gh CLI with token
+/**
+ * Create the catalog_locations table if needed. entity_refs holds the
+ * entities the last read of a location produced.
+ */
+async function ensureLocationTable() {
+  const client = await db.connect();
   try {
-    execSync(`echo "${GITHUB_TOKEN}" | gh auth login --with-token`, { stdio: 'pipe' });
-    console.log('[GITHUB] GitHub CLI authenticated successfully');
-  } catch (error) {
-    console.error('[GITHUB] Failed to authenticate with GitHub CLI:', error.message);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS catalog_locations (
+        id UUID PRIMARY KEY,
+        type VARCHAR(20) NOT NULL,
+        target TEXT UNIQUE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        entity_refs JSONB NOT NULL DEFAULT '[]',
+        errors JSONB NOT NULL DEFAULT '[]',
+        refreshed_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+    locationTableReady = true;
+  } finally {
+    client.release();
   }
-} else {
-  console.warn('[GITHUB] GitHub integration disabled - GITHUB_TOKEN not configured');
 }
 
-// Helper function to check if GitHub repo exists
-async function checkGitHubRepoExists(repoName) {
-  if (!GITHUB_ENABLED) return false;
-  
-  try {
-    console.log(`[GITHUB] Checking if repository exists: ${GITHUB_OWNER}/${repoName}`);
-    // Add timeout to prevent hanging
-    const { stdout } = await execAsync(`timeout 10 gh repo view ${GITHUB_OWNER}/${repoName}`, { 
-      timeout: 15000 // 15 second timeout
-    });
-    console.log(`[GITHUB] Repository ${GITHUB_OWNER}/${repoName} exists`);
-    return true;
-  } catch (error) {
-    console.log(`[GITHUB] Repository ${GITHUB_OWNER}/${repoName} does not exist or check failed: ${error.message}`);
-    return false;
-  }
+function rowToLocation(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    target: row.target,
+    status: row.status,
+    entityRefs: row.entity_refs,
+    errors: row.errors,
+    refreshedAt: row.refreshed_at,
+    createdAt: row.created_at
+  };
 }
 
-// Helper function to create GitHub repo
-async function createGitHubRepo(repoName, description) {
-  if (!GITHUB_ENABLED) {
-    throw new Error('GitHub integration not configured');
+async function queryLocations(sql, params = []) {
+  if (!locationTableReady) {
+    await ensureLocationTable();
   }
-  
+  const client = await db.connect();
   try {
-    console.log(`[GITHUB] Creating repository: ${GITHUB_OWNER}/${repoName}`);
-    const { stdout } = await execAsync(
-      `gh repo create ${GITHUB_OWNER}/${repoName} --public --description "${description}" --clone=false`
-    );
-    console.log(`[GITHUB] Repository created successfully`);
-    return `https://github.com/${GITHUB_OWNER}/${repoName}`;
-  } catch (error) {
-    console.error('[GITHUB] Failed to create repository:', error.message);
-    throw new Error(`Failed to create GitHub repository: ${error.message}`);
+    const result = await client.query(sql, params);
+    return result.rows.map(rowToLocation);
+  } finally {
+    client.release();
   }
 }
 
-// Helper function to initialize git and push to GitHub
-async function pushToGitHub(projectDir, repoName, commitMessage) {
-  if (!GITHUB_ENABLED) {
-    console.log('[GITHUB] Skipping git push - GitHub integration disabled');
-    return null;
-  }
-  
+const listLocations = () => queryLocations('SELECT * FROM catalog_locations ORDER BY created_at');
+
+async function getLocation(id) {
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) return null;
+  const [location] = await queryLocations('SELECT * FROM catalog_locations WHERE id = $1', [id]);
+  return location || null;
+}
+
+/**
+ * Flag entities as orphaned unless another location still produces them.
+ * Returns the number of entities newly flagged.
+ */
+async function markEntitiesOrphaned(entityRefs, locationId) {
+  if (entityRefs.length === 0) return 0;
+  const client = await db.connect();
   try {
-    // Use token in the URL for authentication
-    const repoUrl = `https://${GITHUB_TOKEN}@github.com/${GITHUB_OWNER}/${repoName}.git`;
-    const publicUrl = `https://github.com/${GITHUB_OWNER}/${repoName}.git`;
-    console.log(`[GITHUB] Initializing git in ${projectDir}`);
-    
-    // Initialize git repo and configure user
-    execSync('git init', { cwd: projectDir, stdio: 'pipe' });
-    execSync('git config user.name "Backstage Scaffolder"', { cwd: projectDir, stdio: 'pipe' });
-    execSync('git config user.email "scaffolder@backstage.io"', { cwd: projectDir, stdio: 'pipe' });
-    
-    // Check if there are any files to add
-    const gitStatusOutput = execSync('git status --porcelain', { cwd: projectDir, encoding: 'utf8' });
-    console.log(`[GITHUB] Git status output: ${gitStatusOutput.trim()}`);
-    
-    if (!gitStatusOutput.trim()) {
-      console.log('[GITHUB] Warning: No files to commit - directory might be empty');
-      // List files in the directory for debugging
-      const files = fs.readdirSync(projectDir);
-      console.log(`[GITHUB] Directory contents: ${files.join(', ')}`);
-    }
-    
-    // Add all files and commit
-    execSync('git add .', { cwd: projectDir, stdio: 'pipe' });
-    
-    // Verify files were added (use git diff --staged for better compatibility)
-    const gitAddStatus = execSync('git diff --staged --name-only', { cwd: projectDir, encoding: 'utf8' });
-    console.log(`[GITHUB] Files staged for commit: ${gitAddStatus.trim()}`);
-    
-    if (!gitAddStatus.trim()) {
-      throw new Error('No files were staged for commit - check .gitignore or file permissions');
-    }
-    
-    execSync(`git commit -m "${commitMessage}"`, { cwd: projectDir, stdio: 'pipe' });
-    
-    // Add remote and push
-    execSync(`git remote add origin ${repoUrl}`, { cwd: projectDir, stdio: 'pipe' });
-    execSync('git branch -M main', { cwd: projectDir, stdio: 'pipe' });
-    
-    console.log(`[GITHUB] Pushing to ${publicUrl}`);
-    execSync(`git push -u origin main`, { 
-      cwd: projectDir, 
-      stdio: 'pipe'
-    });
-    
-    console.log(`[GITHUB] Successfully pushed to GitHub`);
-    return publicUrl;
-  } catch (error) {
-    console.error('[GITHUB] Failed to push to GitHub:', error.message);
-    console.error('[GITHUB] Error details:', error.stderr?.toString() || error.stdout?.toString());
-    throw new Error(`Failed to push to GitHub: ${error.message}`);
+    const flag = JSON.stringify({ [ORPHAN_ANNOTATION]: 'true' });
+    const result = await client.query(`
+      UPDATE entities SET
+        metadata = jsonb_set(metadata, '{annotations}', COALESCE(metadata->'annotations', '{}') || $3::jsonb),
+        final_entity = jsonb_set(final_entity, '{metadata,annotations}', COALESCE(final_entity->'metadata'->'annotations', '{}') || $3::jsonb),
+        updated_at = NOW()
+      WHERE entity_ref = ANY($1)
+        AND NOT COALESCE(metadata->'annotations' ? '${ORPHAN_ANNOTATION}', false)
+        AND NOT EXISTS (SELECT 1 FROM catalog_locations WHERE id <> $2 AND entity_refs ? entities.entity_ref)
+    `, [entityRefs, locationId, flag]);
+    return result.rowCount;
+  } finally {
+    client.release();
   }
 }
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', service: 'scaffolder' });
-});
+/**
+ * Upsert the entities read from a location and flag those its previous read
+ * produced that are gone. Entities whose content did not change are left
+ * alone, entities another location provides are reported as conflicts.
+ * Returns the updated location and how many entities changed.
+ */
+async function applyLocationEntities(location, { entities, errors }) {
+  const problems = [...errors];
+  const seen = [];
+  const changes = { created: 0, updated: 0, unchanged: 0, orphaned: 0 };
+  const claimed = new Map();
+  for (const other of await listLocations()) {
+    if (other.id === location.id) continue;
+    for (const ref of other.entityRefs) claimed.set(ref, other.target);
+  }
 
-// Main scaffolding endpoint
-app.post('/api/scaffold', async (req, res) => {
-  const startTime = Date.now();
-  const clientIP = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
-  console.log(`[SCAFFOLD] Request started from ${clientIP} at ${new Date().toISOString()}`);
-  
-  // Set a timeout for the entire request (5 minutes)
-  req.setTimeout(300000, () => {
-    console.error('[SCAFFOLD] Request timeout - operation took longer than 5 minutes');
-    if (!res.headersSent) {
-      res.status(504).json({ 
-        error: 'Scaffolding operation timed out after 5 minutes',
-        details: 'The service creation process took too long to complete'
-      });
+  for (const { entity, source } of entities) {
+    const { name, namespace = 'default', ...metadata } = entity.metadata;
+    const entityRef = toEntityRef({ kind: entity.kind, namespace, name });
+    if (claimed.has(entityRef)) {
+      problems.push({ source, entityRef, message: `${entityRef} is already provided by location ${claimed.get(entityRef)}` });
+      continue;
     }
-  });
-  
-  try {
-    const {
-      component_id,
-      description: userDescription,
-      owner,
-      port: userPort,
-      java_version,
-      persistence,
-      include_docker,
-      include_k8s,
-      target_namespace
-    } = req.body;
-
-    // Use user description or default
-    const description = userDescription || 'A Spring Boot microservice created with Backstage and Scaffolder';
-    // Default port to 8080 if not provided
-    const port = userPort || 8080;
-
-    console.log(`[SCAFFOLD] Creating service: ${component_id}`);
-
-    // Validate input
-    if (!component_id || !/^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(component_id)) {
-      return res.status(400).json({ 
-        error: 'Invalid component_id. Must be lowercase alphanumeric with hyphens.' 
-      });
+    if (seen.includes(entityRef)) {
+      problems.push({ source, entityRef, message: `${entityRef} is defined more than once in this location` });
+      continue;
     }
+    seen.push(entityRef);
 
-    // Check if GitHub repo already exists (name conflict validation)
-    if (GITHUB_ENABLED) {
-      const repoExists = await checkGitHubRepoExists(component_id);
-      if (repoExists) {
-        return res.status(409).json({ 
-          error: `GitHub repository ${GITHUB_OWNER}/${component_id} already exists`,
-          conflictType: 'github_repo'
-        });
+    const entityData = {
+      apiVersion: entity.apiVersion,
+      kind: entity.kind,
+      name,
+      namespace,
+      metadata: {
+        ...metadata,
+        annotations: {
+          ...metadata.annotations,
+          'backstage.io/managed-by-location': source,
+          'backstage.io/managed-by-origin-location': `${location.type}:${location.target}`
+        }
+      },
+      spec: entity.spec,
+      originatingLocation: { type: location.type, target: location.target }
+    };
+
+    try {
+      const existing = await getEntityByRef(entityRef);
+      const unchanged = existing && canonicalJson([existing.apiVersion, existing.metadata, existing.spec]) ===
+        canonicalJson([entityData.apiVersion, { name, namespace, ...entityData.metadata }, entityData.spec]);
+      if (unchanged) {
+        changes.unchanged++;
+        continue;
       }
+      await createOrUpdateEntity(entityData);
+      changes[existing ? 'updated' : 'created']++;
+    } catch (error) {
+      problems.push({ source, entityRef, message: error.message });
     }
+  }
 
-    const projectDir = path.join(PROJECTS_DIR, component_id);
-    let githubRepoUrl = null;
-    let githubError = null;
-    
-    if (fs.existsSync(projectDir)) {
-      return res.status(409).json({ 
-        error: `Project ${component_id} already exists in local storage`,
-        conflictType: 'local_directory'
-      });
-    }
+  changes.orphaned = await markEntitiesOrphaned(location.entityRefs.filter(ref => !seen.includes(ref)), location.id);
 
-    // Create project structure
-    const packageName = `com.example.${component_id.replace(/-/g, '')}`;
-    const packagePath = packageName.split('.').join('/');
-    
-    const srcDir = path.join(projectDir, 'src', 'main', 'java', packagePath);
-    const resourcesDir = path.join(projectDir, 'src', 'main', 'resources');
-    const k8sDir = path.join(projectDir, 'k8s');
+  const [updated] = await queryLocations(`
+    UPDATE catalog_locations
+    SET status = $2, entity_refs = $3, errors = $4, refreshed_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [location.id, problems.length > 0 ? 'warning' : 'ok', JSON.stringify(seen), JSON.stringify(problems)]);
+  return { location: updated || location, changes };
+}
 
-    [srcDir, resourcesDir, k8sDir].forEach(dir => {
-      fs.mkdirSync(dir, { recursive: true });
-    });
+/**
+ * Read a location again and apply its entities. A location that cannot be
+ * read is marked failed and its entities are kept as they are.
+ */
+function refreshLocation(location) {
+  if (locationRefreshes.has(location.id)) {
+    return locationRefreshes.get(location.id);
+  }
 
-    // Persist initial scaffold metadata early so deploy can read namespace even
-    // if later steps fail. Use environment variable or default to development.
-    const FORCED_TARGET_NAMESPACE = process.env.TARGET_NAMESPACE || 'development';
-    console.log(`[DEBUG] FORCED_TARGET_NAMESPACE value: ${FORCED_TARGET_NAMESPACE}`);
-    console.log(`[DEBUG] Environment TARGET_NAMESPACE: ${process.env.TARGET_NAMESPACE || 'not set, using default'}`);
-    
-    // Use original component name - no prefix needed with labels
-    let prefixedComponentId = component_id;
-    console.log(`[SCAFFOLD] Using component name: ${component_id} for namespace: ${FORCED_TARGET_NAMESPACE}`);
-    
-    // Validate and override namespace to configured target
-    if (target_namespace && target_namespace !== FORCED_TARGET_NAMESPACE) {
-      console.log(`[SCAFFOLD] Warning: Requested namespace '${target_namespace}' overridden to '${FORCED_TARGET_NAMESPACE}'`);
-    }
-    
-    const initialMeta = { 
-      namespace: FORCED_TARGET_NAMESPACE,
-      owner: owner || 'unknown',
-      description: description || 'A Spring Boot microservice generated by Backstage Scaffolder',
-      lifecycle: 'production',
-      createdAt: new Date().toISOString(),
-      port: port || 8080,
-      javaVersion: java_version || '21',
-    };
-    console.log(`[DEBUG] initialMeta.namespace value: ${initialMeta.namespace}`);
-    console.log(`[SCAFFOLD] Deploying to namespace: ${FORCED_TARGET_NAMESPACE}`);
+  const refresh = (async () => {
+    let read;
     try {
-      const metaPath = path.join(projectDir, 'scaffold-metadata.json');
-      fs.writeFileSync(metaPath, JSON.stringify(initialMeta, null, 2));
-      const fdInit = fs.openSync(metaPath, 'r');
-      fs.fsyncSync(fdInit);
-      fs.closeSync(fdInit);
-      console.log(`[SCAFFOLD] Wrote initial scaffold metadata to ${metaPath}: ${JSON.stringify(initialMeta)}`);
-    } catch (err) {
-      console.error('[SCAFFOLD] Failed to write initial scaffold-metadata.json:', err.message);
-    }
-
-    // Generate pom.xml
-    const pomXml = generatePomXml(component_id, packageName, java_version, persistence);
-    fs.writeFileSync(path.join(projectDir, 'pom.xml'), pomXml);
-
-    // Generate application.properties
-    const appProperties = generateApplicationProperties(port, component_id, persistence);
-    fs.writeFileSync(path.join(resourcesDir, 'application.properties'), appProperties);
-
-    // Generate Spring Boot Application class
-    const appClassName = component_id
-      .split('-')
-      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
-      .join('') + 'Application';
-    
-    const appJava = generateApplicationClass(packageName, appClassName);
-    fs.writeFileSync(path.join(srcDir, `${appClassName}.java`), appJava);
-
-    // Generate REST Controller
-    const controllerClassName = appClassName.replace('Application', 'Controller');
-    const controllerJava = generateController(packageName, controllerClassName, prefixedComponentId, persistence);
-    fs.writeFileSync(path.join(srcDir, `${controllerClassName}.java`), controllerJava);
-    
-    // Generate JPA entity and repository if PostgreSQL is enabled
-    if (persistence === 'postgresql') {
-      const helloWorldEntity = generateHelloWorldEntity(packageName, java_version);
-      fs.writeFileSync(path.join(srcDir, 'HelloWorld.java'), helloWorldEntity);
-      
-      const helloWorldRepository = generateHelloWorldRepository(packageName);
-      fs.writeFileSync(path.join(srcDir, 'HelloWorldRepository.java'), helloWorldRepository);
+      read = await readLocation(location);
+    } catch (error) {
+      const [failed] = await queryLocations(`
+        UPDATE catalog_locations SET status = 'failed', errors = $2, refreshed_at = NOW() WHERE id = $1 RETURNING *
+      `, [location.id, JSON.stringify([{ message: error.message }])]);
+      return { location: failed || location, changes: null };
     }
+    return applyLocationEntities(location, read);
+  })().finally(() => locationRefreshes.delete(location.id));
 
-    // Generate Dockerfile
-    if (include_docker) {
-      const dockerfile = generateDockerfile(prefixedComponentId, java_version);
-      fs.writeFileSync(path.join(projectDir, 'Dockerfile'), dockerfile);
+  locationRefreshes.set(location.id, refresh);
+  return refresh;
+}
+
+// Refresh every registered location, one after the other
+async function refreshAllLocations() {
+  if (!(await isDatabaseAvailable())) return;
+
+  for (const location of await listLocations()) {
+    const { location: refreshed, changes } = await refreshLocation(location);
+    if (!changes) {
+      console.error(`[LOCATIONS] ❌ Reading ${location.target} failed: ${refreshed.errors[0].message}`);
+    } else if (changes.created + changes.updated + changes.orphaned > 0) {
+      console.log(`[LOCATIONS] Refreshed ${location.target}: ${changes.created} created, ` +
+        `${changes.updated} updated, ${changes.orphaned} orphaned`);
     }
+  }
+}
 
-    // Generate K8s manifests
-    if (include_k8s) {
-      const numericPort = parseInt(port) || 8080;
-      const deployment = generateK8sDeployment(prefixedComponentId, component_id, owner, numericPort, FORCED_TARGET_NAMESPACE, persistence);
-      fs.writeFileSync(path.join(k8sDir, 'deployment.yaml'), deployment);
+if (CATALOG_REFRESH_INTERVAL_SECONDS > 0) {
+  setInterval(() => {
+    refreshAllLocations().catch(error => console.error('[LOCATIONS] Refresh failed:', error.message));
+  }, CATALOG_REFRESH_INTERVAL_SECONDS * 1000);
+}
 
-      const service = generateK8sService(prefixedComponentId, numericPort, FORCED_TARGET_NAMESPACE);
-      fs.writeFileSync(path.join(k8sDir, 'service.yaml'), service);
-      
-      // Generate PostgreSQL resources if persistence is enabled
-      if (persistence === 'postgresql') {
-        const postgresSecret = generatePostgreSQLSecret(prefixedComponentId, FORCED_TARGET_NAMESPACE);
-        fs.writeFileSync(path.join(k8sDir, 'postgres-secret.yaml'), postgresSecret);
-        
-        const postgresStatefulSet = generatePostgreSQLStatefulSet(prefixedComponentId, FORCED_TARGET_NAMESPACE);
-        fs.writeFileSync(path.join(k8sDir, 'postgres-statefulset.yaml'), postgresStatefulSet);
-        
-        const postgresService = generatePostgreSQLService(prefixedComponentId, FORCED_TARGET_NAMESPACE);
-        fs.writeFileSync(path.join(k8sDir, 'postgres-service.yaml'), postgresService);
+// ===============================
+// SCAFFOLD TASK FUNCTIONS
+// ===============================
+
+// Steps every scaffold task goes through, in order
+const SCAFFOLD_TASK_STEPS = ['generate', 'catalog', 'publish', 'deploy'];
+
+// Tasks known to this process; the database copy survives restarts
+const tasks = new Map();
+// How long finished tasks stay in memory; later reads go to the database
+const FINISHED_TASK_TTL_MS = 10 * 60 * 1000;
+// Replica running this process (the pod name in Kubernetes); tasks record it
+// so a restart only fails the tasks it interrupted
+const INSTANCE_ID = process.env.HOSTNAME || os.hostname();
+// Unfinished tasks of other replicas not updated for this long are orphans of
+// a pod that is gone (replaced pods get new names)
+const ORPHANED_TASK_AGE = '1 hour';
+// Task progress events, keyed by task ID (consumed by the SSE endpoint)
+const taskEvents = new EventEmitter();
+taskEvents.setMaxListeners(0);
+// component_id -> task ID for scaffolds currently running
+const activeScaffolds = new Map();
+// Pending database writes per task, so updates land in order
+const taskWrites = new Map();
+
+let taskTableReady = false;
+
+/**
+ * Create the scaffold_tasks table if needed and fail tasks interrupted by a
+ * restart of this replica, or orphaned by one that is gone
+ */
+async function ensureTaskTable() {
+  const client = await db.connect();
+  try {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS scaffold_tasks (
+        id UUID PRIMARY KEY,
+        status VARCHAR(20) NOT NULL,
+        parameters JSONB NOT NULL,
+        steps JSONB NOT NULL,
+        result JSONB,
+        error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      ALTER TABLE scaffold_tasks
+        ADD COLUMN IF NOT EXISTS journal JSONB,
+        ADD COLUMN IF NOT EXISTS rollback JSONB,
+        ADD COLUMN IF NOT EXISTS instance_id VARCHAR(255)
+    `);
+
+    if (!taskTableReady) {
+      const interrupted = await client.query(`
+        UPDATE scaffold_tasks
+        SET status = 'failed', error = 'Interrupted by scaffolder service restart', updated_at = NOW()
+        WHERE status IN ('pending', 'processing')
+          AND (instance_id = $1 OR instance_id IS NULL OR updated_at < NOW() - $2::interval)
+      `, [INSTANCE_ID, ORPHANED_TASK_AGE]);
+      if (interrupted.rowCount > 0) {
+        console.log(`[TASKS] Marked ${interrupted.rowCount} interrupted task(s) as failed`);
       }
     }
-    
-    // Generate Flyway migrations if PostgreSQL is enabled
-    if (persistence === 'postgresql') {
-      const migrationDir = path.join(resourcesDir, 'db', 'migration');
-      fs.mkdirSync(migrationDir, { recursive: true });
-      
-      // Generate initial schema migration with hello-world table
-      const initialMigration = generateInitialMigration();
-      fs.writeFileSync(path.join(migrationDir, 'V1__Initial_schema.sql'), initialMigration);
-      
-      // Generate sample data migration
-      const sampleDataMigration = generateSampleDataMigration();
-      fs.writeFileSync(path.join(migrationDir, 'V2__Sample_data.sql'), sampleDataMigration);
-    }
 
-    // Generate catalog-info.yaml
-    const catalogInfo = generateCatalogInfo(component_id, owner, description);
-    fs.writeFileSync(path.join(projectDir, 'catalog-info.yaml'), catalogInfo);
+    taskTableReady = true;
+  } finally {
+    client.release();
+  }
+}
+
+function rowToTask(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    parameters: row.parameters,
+    steps: row.steps,
+    result: row.result,
+    error: row.error,
+    journal: row.journal || [],
+    rollback: row.rollback,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
 
-    // Generate README
-    const readme = generateReadme(component_id, description, port, java_version);
-    fs.writeFileSync(path.join(projectDir, 'README.md'), readme);
+function isTaskFinished(task) {
+  return task.status === 'completed' || task.status === 'failed';
+}
 
-    // Generate .gitignore
-    const gitignore = generateGitignore();
-    fs.writeFileSync(path.join(projectDir, '.gitignore'), gitignore);
+function publishTaskEvent(task, event) {
+  taskEvents.emit(task.id, { taskId: task.id, timestamp: new Date().toISOString(), ...event });
+}
 
-    console.log(`[SUCCESS] Project created at ${projectDir}`);
+/**
+ * Persist the current state of a task (no-op when the database is unavailable)
+ */
+function saveTask(task) {
+  task.updatedAt = new Date().toISOString();
+  if (!taskTableReady) return Promise.resolve();
 
-    // Register entity in Backstage catalog database
-    if (await isDatabaseAvailable()) {
+  const snapshot = JSON.parse(JSON.stringify(task));
+  const previous = taskWrites.get(task.id) || Promise.resolve();
+  const write = previous.then(async () => {
+    try {
+      const client = await db.connect();
       try {
-        const entityData = {
-          name: component_id,
-          kind: 'Component',
-          namespace: FORCED_TARGET_NAMESPACE,
-          metadata: {
-            name: component_id,
-            description: description || `A Spring Boot microservice generated by Backstage Scaffolder`,
-            annotations: {
-              'github.com/project-slug': GITHUB_ENABLED ? `${GITHUB_OWNER}/${component_id}` : `${owner}/${component_id}`,
-              'backstage.io/kubernetes-label-selector': `app=${component_id}`,
-              'backstage.io/kubernetes-namespace': FORCED_TARGET_NAMESPACE
-            },
-            labels: {
-              'backstage.io/scaffolder-task-id': 'manual-scaffold',
-              'java-version': java_version || '21',
-              'spring-boot': 'true'
-            }
-          },
-          spec: {
-            type: 'service',
-            owner: owner || 'unknown',
-            lifecycle: 'production',
-            system: 'backend-services'
-          },
-          originatingLocation: {
-            type: 'scaffolder',
-            target: `scaffolder-service:${component_id}`
-          }
-        };
-
-        const catalogEntity = await createOrUpdateEntity(entityData);
-        console.log(`[CATALOG] ✅ Registered entity in catalog: ${catalogEntity.entity_ref}`);
-      } catch (error) {
-        console.error('[CATALOG] ❌ Failed to register entity in catalog:', error.message);
-        // Continue - don't fail scaffolding due to catalog issues
+        await client.query(`
+          INSERT INTO scaffold_tasks (id, status, parameters, steps, result, error, journal, rollback, instance_id, created_at, updated_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+          ON CONFLICT (id)
+          DO UPDATE SET
+            status = EXCLUDED.status,
+            steps = EXCLUDED.steps,
+            result = EXCLUDED.result,
+            error = EXCLUDED.error,
+            journal = EXCLUDED.journal,
+            rollback = EXCLUDED.rollback,
+            updated_at = EXCLUDED.updated_at
+        `, [
+          snapshot.id, snapshot.status,
+          JSON.stringify(snapshot.parameters),
+          JSON.stringify(snapshot.steps),
+          snapshot.result ? JSON.stringify(snapshot.result) : null,
+          snapshot.error,
+          JSON.stringify(snapshot.journal),
+          snapshot.rollback ? JSON.stringify(snapshot.rollback) : null,
+          INSTANCE_ID,
+          snapshot.createdAt, snapshot.updatedAt
+        ]);
+      } finally {
+        client.release();
       }
-    } else {
-      console.log('[CATALOG] ⚠️ Database not available, skipping catalog registration');
+    } catch (error) {
+      console.error(`[TASKS] Failed to persist task ${snapshot.id}:`, error.message);
     }
+  });
 
-    // Create GitHub repository and push code
-    if (GITHUB_ENABLED) {
-      try {
-        githubRepoUrl = await createGitHubRepo(component_id, description);
-        await pushToGitHub(projectDir, component_id, `Initial commit: ${component_id} service scaffolded by Backstage`);
-        console.log(`[GITHUB] Code pushed to ${githubRepoUrl}`);
-      } catch (error) {
-        console.error('[GITHUB] GitHub integration failed:', error.message);
-        githubError = error.message;
-        // Continue without GitHub - don't fail the entire scaffolding
-      }
+  taskWrites.set(task.id, write);
+  write.then(() => {
+    if (taskWrites.get(task.id) === write) taskWrites.delete(task.id);
+  });
+  return write;
+}
+
+/**
+ * Create a new task for the given request parameters. Scaffolds go through
+ * SCAFFOLD_TASK_STEPS; deployment tasks (promotions, rollbacks) through
+ * 'deploy' and template upgrades through 'upgrade'.
+ */
+async function createTask(parameters, stepNames = SCAFFOLD_TASK_STEPS) {
+  if (!taskTableReady) {
+    try {
+      await ensureTaskTable();
+    } catch (error) {
+      console.warn('[TASKS] Task persistence unavailable, keeping task in memory only:', error.message);
     }
+  }
+
+  const now = new Date().toISOString();
+  const task = {
+    id: crypto.randomUUID(),
+    status: 'pending',
+    parameters,
+    steps: stepNames.map(name => ({
+      name,
+      status: 'pending',
+      startedAt: null,
+      completedAt: null,
+      durationMs: null,
+      output: [],
+      error: null
+    })),
+    result: null,
+    error: null,
+    journal: [],
+    rollback: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  tasks.set(task.id, task);
+  await saveTask(task);
+  return task;
+}
+
+/**
+ * Drop a finished task from memory once its TTL is over; getTask reads it
+ * from the database after that
+ */
+function forgetTask(task) {
+  setTimeout(() => tasks.delete(task.id), FINISHED_TASK_TTL_MS).unref();
+}
+
+/**
+ * Get a task by ID, from memory or from the database
+ */
+async function getTask(id) {
+  if (tasks.has(id)) return tasks.get(id);
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) return null;
+  if (!(await isDatabaseAvailable())) return null;
+
+  const client = await db.connect();
+  try {
+    const result = await client.query('SELECT * FROM scaffold_tasks WHERE id = $1', [id]);
+    return result.rows.length > 0 ? rowToTask(result.rows[0]) : null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Run one step of a task, recording its state, timing and output
+ */
+async function runTaskStep(task, name, fn) {
+  const step = task.steps.find(s => s.name === name);
+  const log = (message) => {
+    console.log(`[TASK ${task.id}] [${name}] ${message}`);
+    step.output.push(message);
+    publishTaskEvent(task, { type: 'log', step: name, message });
+  };
+
+  step.status = 'processing';
+  step.startedAt = new Date().toISOString();
+  await saveTask(task);
+  publishTaskEvent(task, { type: 'step', step });
+
+  try {
+    const value = await fn(log);
+    step.status = 'completed';
+    return value;
+  } catch (error) {
+    step.status = 'failed';
+    step.error = error.message;
+    log(`Failed: ${error.message}`);
+    throw error;
+  } finally {
+    step.completedAt = new Date().toISOString();
+    step.durationMs = Date.parse(step.completedAt) - Date.parse(step.startedAt);
+    await saveTask(task);
+    publishTaskEvent(task, { type: 'step', step });
+  }
+}
+
+async function skipTaskStep(task, name, reason) {
+  const step = task.steps.find(s => s.name === name);
+  step.status = 'skipped';
+  step.output.push(reason);
+  console.log(`[TASK ${task.id}] [${name}] Skipped: ${reason}`);
+  await saveTask(task);
+  publishTaskEvent(task, { type: 'step', step });
+}
+
+// ===============================
+// SCAFFOLD STEP JOURNAL
+// ===============================
+
+// Compensating action for each type of journaled side effect
+const JOURNAL_COMPENSATIONS = {
+  directory: async ({ path: dir }) => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  },
+  catalog_entity: async ({ entityRef }) => {
+    await deleteEntity(entityRef);
+  },
+  repository: async ({ publisher, repoName }) => {
+    await publishers.get(publisher).delete(repoName);
+  },
+  k8s_object: async ({ resource, name, namespace }) => {
+    await kube.delete(resource, name, namespace);
+    // PVCs created from volumeClaimTemplates outlive their StatefulSet and
+    // carry its selector labels
+    if (resource.startsWith('statefulset')) {
+      await kube.deleteCollection('PersistentVolumeClaim', namespace, { labelSelector: `app=${name}` });
+    }
+  }
+};
+
+/**
+ * Record a side effect of a task so it can be compensated on failure
+ */
+function recordSideEffect(task, type, target, details = {}) {
+  const entry = { type, target, details, status: 'applied', recordedAt: new Date().toISOString() };
+  task.journal.push(entry);
+  publishTaskEvent(task, { type: 'journal', entry });
+  return entry;
+}
+
+/**
+ * Compensate the journaled side effects of a task in reverse order
+ */
+async function rollbackTask(task) {
+  const actions = [];
+
+  for (const entry of [...task.journal].reverse()) {
+    if (entry.status !== 'applied') continue;
+
+    try {
+      await JOURNAL_COMPENSATIONS[entry.type](entry.details);
+      entry.status = 'compensated';
+      console.log(`[ROLLBACK] Task ${task.id}: undid ${entry.type} ${entry.target}`);
+    } catch (error) {
+      entry.status = 'compensation_failed';
+      entry.error = error.message;
+      console.error(`[ROLLBACK] Task ${task.id}: failed to undo ${entry.type} ${entry.target}:`, error.message);
+    }
+
+    actions.push({ type: entry.type, target: entry.target, status: entry.status, error: entry.error || null });
+    publishTaskEvent(task, { type: 'rollback', entry });
+  }
+
+  return {
+    status: actions.every(action => action.status === 'compensated') ? 'completed' : 'partial',
+    actions
+  };
+}
+
+// Constants already declared earlier in the file
+
+// Namespace safety
+const FORBIDDEN_NAMESPACES = new Set(['kube-system', 'kube-public', 'kube-node-lease']);
+
+function validateNamespace(ns) {
+  if (!ns) return false;
+  // Kubernetes namespace regex (DNS-1123)
+  if (!/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(ns)) return false;
+  if (FORBIDDEN_NAMESPACES.has(ns)) return false;
+  return true;
+}
+
+// Ensure projects directory exists
+if (!fs.existsSync(PROJECTS_DIR)) {
+  fs.mkdirSync(PROJECTS_DIR, { recursive: true });
+}
+
+const PUBLISHING_DISABLED = 'Repository publishing disabled - no GITHUB_TOKEN, GITLAB_TOKEN or GITEA_TOKEN configured';
+
+// Log which publishers are configured
+if (publishers.size > 0) {
+  for (const publisher of publishers.values()) {
+    console.log(`[PUBLISH] ${publisher.label} publishing enabled for owner:`, publisher.owner);
+  }
+  console.log(`[PUBLISH] Default publisher: ${DEFAULT_PUBLISHER} (${REPO_VISIBILITY} repositories, publish mode: ${PUBLISH_MODE})`);
+} else {
+  console.warn(`[PUBLISH] ${PUBLISHING_DISABLED}`);
+}
+
+// Publisher hosting a service's repository, as recorded in its metadata
+// (GitHub for services scaffolded before publishers were recorded); null when
+// the service has no repository or its publisher is not configured
+function servicePublisher(serviceName) {
+  const meta = readServiceMetadata(serviceName);
+  const name = meta.publisher !== undefined ? meta.publisher : 'github';
+  return publishers.get(name) || null;
+}
+
+// Catalog annotations locating a service's repository at its publisher; the
+// GitHub slug under the service owner when it is not published
+function sourceAnnotations(publisherName, serviceName, owner) {
+  const publisher = publishers.get(publisherName);
+  return publisher ? publisher.annotations(serviceName) : { 'github.com/project-slug': `${owner}/${serviceName}` };
+}
+
+// Helper function to check if a repository exists
+async function checkRepoExists(publisher, repoName) {
+  try {
+    console.log(`[PUBLISH] Checking if ${publisher.label} repository exists: ${publisher.slug(repoName)}`);
+    const exists = await publisher.exists(repoName);
+    console.log(`[PUBLISH] Repository ${publisher.slug(repoName)} ${exists ? 'exists' : 'does not exist'}`);
+    return exists;
+  } catch (error) {
+    console.log(`[PUBLISH] Repository check of ${publisher.slug(repoName)} failed: ${error.message}`);
+    return false;
+  }
+}
+
+// Helper function to create a repository
+async function createRepo(publisher, repoName, description) {
+  try {
+    console.log(`[PUBLISH] Creating ${REPO_VISIBILITY} ${publisher.label} repository: ${publisher.slug(repoName)}`);
+    const url = await publisher.create(repoName, { description, visibility: REPO_VISIBILITY });
+    console.log(`[PUBLISH] Repository created successfully`);
+    return url;
+  } catch (error) {
+    console.error('[PUBLISH] Failed to create repository:', error.message);
+    throw new Error(`Failed to create ${publisher.label} repository: ${error.message}`);
+  }
+}
+
+/**
+ * CODEOWNERS owner of a service from its owner ref: for a group, the team of
+ * the same name when the publisher's owner has one (group:default/team-a ->
+ * @org/team-a), else the user of that name. team is the team name, null for
+ * a user.
+ */
+async function resolveCodeOwner(publisher, ref) {
+  const name = refName(ref);
+  if (String(ref).startsWith('group:')) {
+    try {
+      const handle = await publisher.teamHandle(name);
+      if (handle) return { handle, team: name };
+    } catch (error) {
+      console.warn(`[PUBLISH] Could not look up team ${publisher.owner}/${name}: ${error.message}`);
+    }
+  }
+  return { handle: `@${name}`, team: null };
+}
+
+// Write the publisher's CODEOWNERS file making the service owner review every
+// change, unless the template generated one
+function writeCodeOwners(projectDir, publisher, owner, codeOwner) {
+  const filePath = path.join(projectDir, publisher.codeOwnersPath);
+  if (fs.existsSync(filePath)) return false;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `# Generated by Backstage Scaffolder from the service owner (${owner})\n* ${codeOwner.handle}\n`);
+  return true;
+}
+
+/**
+ * Grant teams access to a new repository and protect its main branch. The
+ * owner team gets push on top of REPO_TEAM_PERMISSIONS. Failures do not fail
+ * the scaffold; they are returned as warnings.
+ */
+async function configureRepository(publisher, repoName, { ownerTeam = null, log = () => {} } = {}) {
+  const warnings = [];
+  const grants = [...REPO_TEAM_PERMISSIONS];
+  if (ownerTeam && !grants.some(grant => grant.team === ownerTeam)) {
+    grants.push({ team: ownerTeam, permission: 'push' });
+  }
+
+  for (const { team, permission } of grants) {
+    try {
+      await publisher.grantTeam(repoName, team, permission);
+      log(`Granted ${permission} to team ${team}`);
+    } catch (error) {
+      console.warn(`[PUBLISH] ${error.message}`);
+      warnings.push(error.message);
+    }
+  }
+
+  if (REPO_BRANCH_PROTECTION) {
+    try {
+      await publisher.protectBranch(repoName, 'main', { requiredReviews: REPO_REQUIRED_REVIEWS });
+      log(`Protected main: changes need ${REPO_REQUIRED_REVIEWS} approving review(s)`);
+    } catch (error) {
+      // e.g. private repositories of free GitHub accounts, approval rules on GitLab Free
+      console.warn(`[PUBLISH] ${error.message}`);
+      warnings.push(error.message);
+    }
+  }
+  return warnings;
+}
+
+// Scaffold metadata of a service ({} if missing or unreadable)
+function readServiceMetadata(serviceName) {
+  try {
+    const metaPath = path.join(PROJECTS_DIR, serviceName, 'scaffold-metadata.json');
+    return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+function writeServiceMetadata(serviceName, meta) {
+  const metaPath = path.join(PROJECTS_DIR, serviceName, 'scaffold-metadata.json');
+  fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2));
+}
+
+/**
+ * Merge changes into the state of one environment of a service. Metadata with
+ * a single namespace field is converted to per-environment state on the way.
+ */
+function updateEnvironmentState(serviceName, environmentName, changes) {
+  const { namespace, ...meta } = readServiceMetadata(serviceName);
+  const states = environments.statesOf({ ...meta, namespace });
+  states[environmentName] = { ...states[environmentName], ...changes, updatedAt: new Date().toISOString() };
+  writeServiceMetadata(serviceName, { ...meta, environments: states });
+  return states[environmentName];
+}
+
+// Builds and deployments kept in a service's version history
+const VERSION_HISTORY_LIMIT = 50;
+
+// Append an entry to a history list of a service's metadata, dropping the oldest
+function appendHistory(serviceName, key, entry) {
+  const meta = readServiceMetadata(serviceName);
+  writeServiceMetadata(serviceName, { ...meta, [key]: [...(meta[key] || []), entry].slice(-VERSION_HISTORY_LIMIT) });
+}
+
+// Reserve the next build number of a service. Numbers are never reused, not
+// even those of failed builds.
+function nextBuildNumber(serviceName) {
+  const meta = readServiceMetadata(serviceName);
+  const buildNumber = (meta.lastBuildNumber || 0) + 1;
+  writeServiceMetadata(serviceName, { ...meta, lastBuildNumber: buildNumber });
+  return buildNumber;
+}
+
+// Tag part of an image reference (null for digests and untagged images)
+function tagOfImage(image) {
+  const match = /:([\w][\w.-]*)$/.exec(image || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Record that image now runs in an environment: its state becomes deployed
+ * and the deployment is appended to the service's history. action is deploy,
+ * promote or rollback; other changes are merged into the environment state.
+ */
+function recordDeployment(serviceName, environmentName, image, { action = 'deploy', by = null, ...changes } = {}) {
+  const deployedAt = new Date().toISOString();
+  const state = updateEnvironmentState(serviceName, environmentName, {
+    ...changes, status: 'deployed', image, deployedAt, error: null
+  });
+  appendHistory(serviceName, 'deployments', {
+    environment: environmentName, namespace: state.namespace, image, tag: tagOfImage(image), action, by, deployedAt
+  });
+  return state;
+}
+
+// Namespace a service was scaffolded into: its first environment
+function primaryNamespace(meta) {
+  return environments.namespacesOf(meta)[0] || scaffoldTargetNamespace();
+}
+
+// Namespaces of every environment a service was deployed to
+function serviceNamespaces(serviceName) {
+  const namespaces = environments.namespacesOf(readServiceMetadata(serviceName));
+  return namespaces.length > 0 ? namespaces : [scaffoldTargetNamespace()];
+}
+
+// Catalog refs a service's entity may have: it is registered in the namespace
+// the service was scaffolded into, one of its own or of a configured
+// environment (default for entities registered without one)
+function serviceEntityRefs(serviceName, namespaces = []) {
+  const candidates = new Set([
+    ...namespaces,
+    ...environments.list().map(environment => environment.namespace),
+    scaffoldTargetNamespace(),
+    'default'
+  ]);
+  return [...candidates].map(namespace => toEntityRef({ kind: 'Component', namespace, name: serviceName }));
+}
+
+// Owner recorded in a service's scaffold metadata, as an entity ref when
+// known (null if unknown)
+function readServiceOwner(serviceName) {
+  const meta = readServiceMetadata(serviceName);
+  return meta.ownerRef || meta.owner || null;
+}
+
+// Names of scaffolded services (component_id): DNS labels, which also keeps
+// them inside PROJECTS_DIR
+const SERVICE_NAME_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+
+// Every route with a :serviceName rejects invalid names before its middleware runs
+app.param('serviceName', (req, res, next, serviceName) => {
+  if (!SERVICE_NAME_PATTERN.test(serviceName)) {
+    return res.status(400).json({ error: 'Invalid service name' });
+  }
+  next();
+});
+
+// Only the owner of :serviceName (or an admin) may modify the service
+function requireServiceOwner(req, res, next) {
+  const { serviceName } = req.params;
+  if (auth.canModify(req.user, readServiceOwner(serviceName))) {
+    return next();
+  }
+  console.warn(`[AUTH] ${req.user ? req.user.subject : 'anonymous'} denied modifying ${serviceName}`);
+  return res.status(403).json({ error: `Forbidden: only the owner of ${serviceName} or an admin may modify it` });
+}
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', service: 'scaffolder' });
+});
+
+/**
+ * Catalog relations requested for a scaffolded service: system and
+ * depends_on (a list or comma-separated string) as Backstage entity
+ * references. Returns { system, dependsOn, errors }.
+ */
+function readCatalogInputs({ system, depends_on }) {
+  const errors = [];
+  const check = (field, ref, defaultKind) => {
+    try {
+      parseEntityRef(ref, { defaultKind });
+      return true;
+    } catch (error) {
+      errors.push({ field, message: error.message });
+      return false;
+    }
+  };
+
+  const dependsOn = depends_on === undefined || depends_on === null ? []
+    : Array.isArray(depends_on) ? depends_on
+      : String(depends_on).split(',').map(ref => ref.trim()).filter(Boolean);
+  const valid = dependsOn.filter(ref => check('depends_on', ref, 'Component'));
+  if (system) check('system', system, 'System');
+
+  return { system: system || CATALOG_DEFAULT_SYSTEM, dependsOn: [...new Set(valid)], errors };
+}
+
+/**
+ * Validate a scaffold request: component_id, on_failure, publisher, the
+ * template values, the catalog relations, whether the requester may create
+ * a service for the chosen owner and the catalog entity it would register.
+ * Returns { template, values } with
+ * the publisher (or null), system and depends_on in values, or
+ * { status, body } for an error response.
+ */
+function validateScaffoldRequest(req) {
+  const { component_id, on_failure, publisher, template: templateName = DEFAULT_TEMPLATE } = req.body;
+
+  if (!component_id || !SERVICE_NAME_PATTERN.test(component_id)) {
+    return {
+      status: 400,
+      body: { error: 'Invalid component_id. Must be lowercase alphanumeric with hyphens.' }
+    };
+  }
+
+  if (on_failure && !['rollback', 'keep'].includes(on_failure)) {
+    return {
+      status: 400,
+      body: { error: "Invalid on_failure. Must be 'rollback' or 'keep'." }
+    };
+  }
+
+  if (publisher && !publishers.has(publisher)) {
+    return {
+      status: 400,
+      body: { error: `Publisher '${publisher}' is not configured`, availablePublishers: [...publishers.keys()] }
+    };
+  }
+
+  const template = templateRegistry.get(templateName);
+  if (!template) {
+    return {
+      status: 400,
+      body: {
+        error: `Unknown template '${templateName}'`,
+        availableTemplates: templateRegistry.list().map(t => t.name)
+      }
+    };
+  }
+
+  const { values, errors } = validateTemplateValues(template, req.body);
+  if (errors.length > 0) {
+    return {
+      status: 400,
+      body: { error: `Invalid parameters for template '${template.name}'`, errors }
+    };
+  }
+
+  const catalog = readCatalogInputs(req.body);
+  if (catalog.errors.length > 0) {
+    return {
+      status: 400,
+      body: { error: 'Invalid catalog relations', errors: catalog.errors }
+    };
+  }
+
+  // Services belong to the requester unless they name an owner they belong to
+  if (auth.enabled && !values.owner) {
+    values.owner = auth.defaultOwner(req.user);
+    values.owner_ref = auth.defaultOwnerRef(req.user);
+  }
+  values.owner_ref = values.owner_ref || ownerRef(values.owner);
+  if (!auth.canModify(req.user, values.owner_ref)) {
+    return {
+      status: 403,
+      body: { error: `Forbidden: you cannot create services owned by ${values.owner}` }
+    };
+  }
+
+  values.publisher = publisher || DEFAULT_PUBLISHER;
+  values.system = catalog.system;
+  values.depends_on = catalog.dependsOn;
+
+  // The catalog entity the scaffold will register must be valid too
+  const entity = buildCatalogEntity({ ...values, component_id, template: template.name }, scaffoldTargetNamespace(), null);
+  const entityErrors = validateEntityData(entity);
+  if (entityErrors.length > 0) {
+    return {
+      status: 400,
+      body: { error: 'Invalid catalog entity', errors: entityErrors }
+    };
+  }
+
+  return { template, values };
+}
+
+/**
+ * The conflict with a scaffold of this name already running or reserved, if any
+ */
+function activeScaffoldConflict(component_id) {
+  if (!activeScaffolds.has(component_id)) return null;
+  return {
+    error: `A scaffold task for ${component_id} is already running`,
+    conflictType: 'task_in_progress',
+    // null while the reserving request is still creating its task
+    taskId: activeScaffolds.get(component_id)
+  };
+}
+
+/**
+ * Reasons a service with this name cannot be scaffolded right now. A request
+ * that reserved the name itself passes reserved, skipping its own reservation.
+ */
+async function findScaffoldConflicts(component_id, publisherName, { reserved = false } = {}) {
+  const conflicts = [];
+
+  const active = reserved ? null : activeScaffoldConflict(component_id);
+  if (active) {
+    conflicts.push(active);
+  }
+
+  // Check if the repository already exists (name conflict validation)
+  const publisher = publishers.get(publisherName);
+  if (publisher && await checkRepoExists(publisher, component_id)) {
+    conflicts.push({
+      error: `${publisher.label} repository ${publisher.slug(component_id)} already exists`,
+      conflictType: 'repository'
+    });
+  }
+
+  if (fs.existsSync(path.join(PROJECTS_DIR, component_id))) {
+    conflicts.push({
+      error: `Project ${component_id} already exists in local storage`,
+      conflictType: 'local_directory'
+    });
+  }
+
+  return conflicts;
+}
+
+/**
+ * Read a boolean request flag: booleans and 'true'/'false' (as in form or
+ * query input, like boolean template parameters), false when absent, and
+ * null for anything else
+ */
+function readFlag(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return null;
+}
+
+// Main scaffolding endpoint - validates the request, then runs the scaffold
+// as a background task and returns its ID immediately
+app.post('/api/scaffold', auth.requireRole('creator'), async (req, res) => {
+  const dryRun = readFlag(req.body.dryRun);
+  if (dryRun === null) {
+    return res.status(400).json({ error: 'dryRun must be a boolean' });
+  }
+  if (dryRun) {
+    return previewScaffold(req, res);
+  }
+
+  const clientIP = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
+  console.log(`[SCAFFOLD] Request started from ${clientIP} at ${new Date().toISOString()}`);
+
+  const { component_id } = req.body;
+
+  try {
+    const validation = validateScaffoldRequest(req);
+    if (validation.status) {
+      return res.status(validation.status).json(validation.body);
+    }
+    const { template, values } = validation;
+
+    // Reserve the name before the first await, so concurrent requests for it
+    // cannot both pass the conflict checks
+    const active = activeScaffoldConflict(component_id);
+    if (active) {
+      return res.status(409).json(active);
+    }
+    activeScaffolds.set(component_id, null);
+
+    let task;
+    try {
+      const [conflict] = await findScaffoldConflicts(component_id, values.publisher, { reserved: true });
+      if (conflict) {
+        return res.status(409).json(conflict);
+      }
+
+      // The requester authors the initial commit
+      task = await createTask({
+        ...req.body, ...values, component_id, template: template.name, requested_by: req.user ? req.user.subject : null
+      });
+    } finally {
+      if (!task) activeScaffolds.delete(component_id);
+    }
+    activeScaffolds.set(component_id, task.id);
+    console.log(`[SCAFFOLD] Created task ${task.id} for ${component_id}`);
+
+    res.status(202).json({
+      success: true,
+      message: `Scaffolding of ${component_id} started`,
+      taskId: task.id,
+      status: task.status,
+      links: {
+        task: `/api/tasks/${task.id}`,
+        events: `/api/tasks/${task.id}/events`
+      }
+    });
+
+    runScaffoldTask(task).catch(error => {
+      console.error(`[SCAFFOLD] Unexpected error in task ${task.id}:`, error);
+    });
+  } catch (error) {
+    console.error(`[SCAFFOLD] ❌ Request failed for ${component_id || 'unknown'} from ${clientIP}:`, error.message);
+    console.error('[ERROR]', error);
+    res.status(500).json({
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Preview a scaffold without side effects: the generated files, the catalog
+// entity and the external actions a real run would perform
+app.post('/api/scaffold/preview', auth.requireRole('creator'), previewScaffold);
+
+async function previewScaffold(req, res) {
+  const { component_id } = req.body;
+  console.log(`[PREVIEW] Previewing scaffold of ${component_id || 'unknown'}`);
+
+  try {
+    const validation = validateScaffoldRequest(req);
+    if (validation.status) {
+      return res.status(validation.status).json(validation.body);
+    }
+    const { template, values } = validation;
+
+    const parameters = { ...req.body, ...values, component_id, template: template.name };
+    delete parameters.dryRun;
+    const description = parameters.description || DEFAULT_SERVICE_DESCRIPTION;
+    const port = parameters.port || 8080;
+    const namespace = scaffoldTargetNamespace();
+
+    const metadata = buildScaffoldMetadata({ ...parameters, description, port }, namespace, null);
+    const rendered = template.render(buildTemplateValues({ ...parameters, description, port }, namespace));
+    const files = [{ path: 'scaffold-metadata.json', content: JSON.stringify(metadata, null, 2) }, ...rendered];
+
+    res.json({
+      success: true,
+      dryRun: true,
+      component_id,
+      template: template.name,
+      namespace,
+      parameters,
+      conflicts: await findScaffoldConflicts(component_id, values.publisher),
+      files: files.map(file => Buffer.isBuffer(file.content)
+        ? { path: file.path, encoding: 'base64', content: file.content.toString('base64') }
+        : { path: file.path, encoding: 'utf8', content: file.content }),
+      catalogEntity: buildCatalogEntity({ ...parameters, description }, namespace, null),
+      actions: await planScaffoldActions(parameters, files.map(file => file.path), namespace)
+    });
+  } catch (error) {
+    console.error(`[PREVIEW] ❌ Preview failed for ${component_id || 'unknown'}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Description of services scaffolded without one
+const DEFAULT_SERVICE_DESCRIPTION = 'A Spring Boot microservice created with Backstage and Scaffolder';
+
+// Namespace every scaffolded service is deployed to, whatever the request asks for
+function scaffoldTargetNamespace() {
+  return process.env.TARGET_NAMESPACE || 'development';
+}
+
+/**
+ * Contents of scaffold-metadata.json for a scaffold (description and port
+ * already defaulted)
+ */
+function buildScaffoldMetadata(parameters, namespace, taskId) {
+  const route = serviceRoute(parameters, namespace);
+  return {
+    environments: {
+      [environments.forNamespace(namespace).name]: {
+        namespace,
+        status: parameters.include_k8s ? 'pending' : 'not_deployed',
+        url: route ? route.url : null
+      }
+    },
+    owner: parameters.owner || 'unknown',
+    // Who may modify the service (see readServiceOwner)
+    ownerRef: parameters.owner_ref || ownerRef(parameters.owner),
+    description: parameters.description || 'A Spring Boot microservice generated by Backstage Scaffolder',
+    lifecycle: 'production',
+    createdAt: new Date().toISOString(),
+    port: parameters.port || 8080,
+    javaVersion: parameters.java_version || '21',
+    buildTool: parameters.build_tool || 'maven',
+    language: parameters.language || 'java',
+    persistence: parameters.persistence || 'none',
+    template: parameters.template,
+    publisher: parameters.publisher || null,
+    // Catalog relations, rendered again into catalog-info.yaml on upgrades
+    system: parameters.system || null,
+    dependsOn: parameters.depends_on || [],
+    templateVersion: (templateRegistry.get(parameters.template || DEFAULT_TEMPLATE) || {}).version || null,
+    // Template parameters, so the project can be rendered again for other
+    // environments and template upgrades
+    parameters: templateParameters(parameters),
+    taskId,
+  };
+}
+
+// Host, TLS secret and URL of a service exposed through an Ingress or
+// HTTPRoute in the environment of a namespace; null when it is not exposed
+function serviceRoute(parameters, namespace) {
+  if (!parameters.include_k8s || !parameters.expose || parameters.expose === 'none') return null;
+  return routing.route(parameters.component_id, environments.forNamespace(namespace));
+}
+
+// Ingress or HTTPRoute of an exposed service with its route in every
+// environment, for the Helm and kustomize formats
+function serviceExposure(serviceName, expose) {
+  if (!expose || expose === 'none') return null;
+  return {
+    kind: expose === 'httproute' ? 'HTTPRoute' : 'Ingress',
+    ingressClass: routing.ingressClass,
+    gateway: routing.gateway,
+    routes: Object.fromEntries(environments.list().map(environment => [environment.name, routing.route(serviceName, environment)]))
+  };
+}
+
+// The declared template parameters among scaffold request parameters
+function templateParameters(parameters) {
+  const template = templateRegistry.get(parameters.template);
+  const names = template ? template.parameters.map(parameter => parameter.name) : Object.keys(parameters);
+  return Object.fromEntries(names
+    .filter(name => parameters[name] !== undefined)
+    .map(name => [name, parameters[name]]));
+}
+
+/**
+ * Catalog entity registered for a scaffolded service
+ */
+function buildCatalogEntity(parameters, namespace, taskId) {
+  const { component_id, owner } = parameters;
+  const route = serviceRoute(parameters, namespace);
+  const labels = {
+    'java-version': parameters.java_version || '21',
+    'spring-boot': 'true'
+  };
+  if (taskId) {
+    labels['backstage.io/scaffolder-task-id'] = taskId;
+  }
+
+  return {
+    name: component_id,
+    kind: 'Component',
+    namespace,
+    metadata: {
+      name: component_id,
+      description: parameters.description || `A Spring Boot microservice generated by Backstage Scaffolder`,
+      annotations: {
+        ...sourceAnnotations(parameters.publisher, component_id, owner),
+        'backstage.io/kubernetes-label-selector': `app=${component_id}`,
+        'backstage.io/kubernetes-namespace': namespace,
+        'backstage.io/source-template': `template:default/${parameters.template}`,
+        ...(route ? { 'backstage.io/service-url': route.url } : {})
+      },
+      labels
+    },
+    spec: {
+      type: 'service',
+      owner: owner || 'unknown',
+      lifecycle: 'production',
+      ...(parameters.system ? { system: parameters.system } : {}),
+      dependsOn: parameters.depends_on || []
+    },
+    originatingLocation: {
+      type: 'scaffolder',
+      target: `scaffolder-service:${component_id}`
+    }
+  };
+}
+
+/**
+ * External actions a scaffold task would run for these parameters and
+ * generated files, in order. Steps the task would skip are listed with
+ * enabled: false and the reason.
+ */
+async function planScaffoldActions(parameters, filePaths, namespace) {
+  const { component_id, include_k8s } = parameters;
+  const projectDir = path.join(PROJECTS_DIR, component_id);
+  const databaseAvailable = await isDatabaseAvailable();
+  const actions = [];
+  const add = (step, type, target, description, extra = {}) =>
+    actions.push({ step, type, target, description, enabled: true, ...extra });
+  const skip = (reason) => ({ enabled: false, reason });
+
+  add('generate', 'directory', projectDir, `Write ${filePaths.length} files to ${projectDir}`);
+
+  add('catalog', 'catalog_entity', `${namespace}/component:${component_id}`, 'Register the entity in the catalog',
+    databaseAvailable ? {} : skip('Database not available, skipping catalog registration'));
+
+  const publisher = publishers.get(parameters.publisher);
+  if (publisher) {
+    const slug = publisher.slug(component_id);
+    add('publish', 'repository', slug, `Create the ${REPO_VISIBILITY} ${publisher.label} repository`);
+    if (PUBLISH_MODE === 'pull-request') {
+      add('publish', 'git_push', slug, `Push an empty main and the initial commit to ${INITIAL_BRANCH}`);
+      add('publish', 'pull_request', slug, `Open a pull request from ${INITIAL_BRANCH} to main`);
+    } else {
+      add('publish', 'git_push', slug, 'Push the initial commit to main');
+    }
+    for (const { team, permission } of REPO_TEAM_PERMISSIONS) {
+      add('publish', 'team_permission', `${publisher.owner}/${team}`, `Grant ${permission} to team ${team}`);
+    }
+    if (REPO_BRANCH_PROTECTION) {
+      add('publish', 'branch_protection', `${slug}:main`, `Require ${REPO_REQUIRED_REVIEWS} approving review(s) on main`);
+    }
+  } else {
+    add('publish', 'repository', component_id, 'Create the repository', skip(PUBLISHING_DISABLED));
+  }
+
+  if (!include_k8s) {
+    add('deploy', 'k8s_deploy', namespace, `Deploy ${component_id}`, skip('Kubernetes manifests not requested'));
+    return actions;
+  }
+
+  if (filePaths.includes('Dockerfile')) {
+    // The first build of the service; its commit is only known after the push
+    const tag = imageTag(1, publisher ? '<commit>' : null);
+    for (const { type, target, description, ...extra } of buildBackend.plan(component_id, projectDir, namespace, tag)) {
+      add('deploy', type, target, description, extra);
+    }
+  }
+
+  const k8sPaths = filePaths.filter(file => file.startsWith('k8s/'));
+  const k8sFiles = k8sPaths.map(file => path.basename(file));
+  const databaseProvider = databaseProviderForManifests(k8sFiles);
+  if (databaseProvider) {
+    add('deploy', 'k8s_secret', databaseSecretName(databaseProvider, component_id),
+      `Create the database secret in ${namespace} with generated credentials unless it already exists`);
+  }
+
+  // A Helm chart or kustomization is rendered first and the resulting objects applied
+  const format = k8sPaths.includes('k8s/chart/Chart.yaml') ? 'helm'
+    : k8sPaths.includes('k8s/base/kustomization.yaml') ? 'kustomize' : 'manifests';
+  if (format !== 'manifests') {
+    const k8sDir = path.join(projectDir, 'k8s');
+    const written = (target) => k8sPaths.some(file => {
+      const filePath = path.join(projectDir, file);
+      return filePath === target || filePath.startsWith(`${target}/`);
+    });
+    const command = renderCommand(k8sDir, format, {
+      releaseName: component_id, namespace, environment: environments.forNamespace(namespace).name, exists: written
+    });
+    add('deploy', 'k8s_render', format === 'helm' ? 'k8s/chart' : path.relative(projectDir, command.args[1]),
+      `Render the ${format} manifests for ${namespace}`, { command: formatCommand(command.command, command.args) });
+    add('deploy', 'k8s_apply', 'rendered manifests',
+      `Server-side apply the rendered objects to ${namespace}, database first`);
+    return actions;
+  }
+
+  if (databaseProvider) {
+    for (const file of databaseManifestFiles(databaseProvider).filter(file => k8sFiles.includes(file))) {
+      add('deploy', 'k8s_apply', `k8s/${file}`, `Server-side apply ${file} to ${namespace}`);
+    }
+  }
+
+  for (const file of ['deployment.yaml', 'service.yaml', 'ingress.yaml', 'httproute.yaml'].filter(file => k8sPaths.includes(`k8s/${file}`))) {
+    add('deploy', 'k8s_apply', `k8s/${file}`, `Server-side apply ${file} to ${namespace}`);
+  }
+
+  return actions;
+}
+
+// Run the scaffold steps for a task created by POST /api/scaffold
+async function runScaffoldTask(task) {
+  const startTime = Date.now();
+  const {
+    component_id,
+    description: userDescription,
+    owner,
+    port: userPort,
+    java_version,
+    build_tool,
+    language,
+    persistence,
+    include_k8s,
+    k8s_format = 'manifests',
+    target_namespace,
+    template: templateName = DEFAULT_TEMPLATE,
+    on_failure = 'rollback'
+  } = task.parameters;
+
+  // With 'rollback' any failed step fails the task and undoes its side effects;
+  // with 'keep' partial results stay and later step failures become warnings
+  const rollbackOnFailure = on_failure === 'rollback';
+
+  // Use user description or default
+  const description = userDescription || DEFAULT_SERVICE_DESCRIPTION;
+  // Default port to 8080 if not provided
+  const port = userPort || 8080;
+
+  const projectDir = path.join(PROJECTS_DIR, component_id);
+  const publisher = publishers.get(task.parameters.publisher) || null;
+  let repository = null;
+  let publishError = null;
+  let publishWarnings = [];
+
+  // Use environment variable or default to development.
+  const FORCED_TARGET_NAMESPACE = scaffoldTargetNamespace();
+  console.log(`[DEBUG] FORCED_TARGET_NAMESPACE value: ${FORCED_TARGET_NAMESPACE}`);
+  console.log(`[DEBUG] Environment TARGET_NAMESPACE: ${process.env.TARGET_NAMESPACE || 'not set, using default'}`);
+
+  task.status = 'processing';
+  await saveTask(task);
+
+  try {
+    const generatedFiles = await runTaskStep(task, 'generate', async (log) => {
+      const template = templateRegistry.get(templateName);
+      if (!template) {
+        throw new Error(`Template '${templateName}' is no longer available`);
+      }
+      log(`Creating service: ${component_id} from template ${template.name}`);
+
+      fs.mkdirSync(projectDir);
+      recordSideEffect(task, 'directory', projectDir, { path: projectDir });
+
+      log(`Using component name: ${component_id} for namespace: ${FORCED_TARGET_NAMESPACE}`);
+
+      // Validate and override namespace to configured target
+      if (target_namespace && target_namespace !== FORCED_TARGET_NAMESPACE) {
+        log(`Warning: Requested namespace '${target_namespace}' overridden to '${FORCED_TARGET_NAMESPACE}'; ` +
+          `promote the service to reach other environments`);
+      }
+
+      // Persist initial scaffold metadata early so deploy can read namespace even
+      // if later steps fail.
+      const initialMeta = buildScaffoldMetadata({ ...task.parameters, description, port }, FORCED_TARGET_NAMESPACE, task.id);
+      try {
+        const metaPath = path.join(projectDir, 'scaffold-metadata.json');
+        fs.writeFileSync(metaPath, JSON.stringify(initialMeta, null, 2));
+        const fdInit = fs.openSync(metaPath, 'r');
+        fs.fsyncSync(fdInit);
+        fs.closeSync(fdInit);
+        log(`Wrote initial scaffold metadata to ${metaPath}`);
+      } catch (err) {
+        console.error('[SCAFFOLD] Failed to write initial scaffold-metadata.json:', err.message);
+        log(`Failed to write initial scaffold-metadata.json: ${err.message}`);
+      }
+
+      const files = template.render(buildTemplateValues({ ...task.parameters, description, port }, FORCED_TARGET_NAMESPACE));
+      writeProjectFiles(projectDir, files);
+
+      log(`Project created at ${projectDir} (${files.length} files)`);
+      return files.map(file => file.path);
+    });
+
+    // Register entity in Backstage catalog database
+    if (await isDatabaseAvailable()) {
+      try {
+        await runTaskStep(task, 'catalog', async (log) => {
+          const entityData = buildCatalogEntity({ ...task.parameters, description }, FORCED_TARGET_NAMESPACE, task.id);
+
+          const entityRef = `${FORCED_TARGET_NAMESPACE}/component:${component_id}`;
+          const existingEntity = await getEntityByRef(entityRef);
+          const catalogEntity = await createOrUpdateEntity(entityData);
+          if (!existingEntity) {
+            recordSideEffect(task, 'catalog_entity', catalogEntity.entity_ref, { entityRef: catalogEntity.entity_ref });
+          }
+          log(`✅ Registered entity in catalog: ${catalogEntity.entity_ref}`);
+        });
+      } catch (error) {
+        console.error('[CATALOG] ❌ Failed to register entity in catalog:', error.message);
+        if (rollbackOnFailure) throw error;
+        // Continue - don't fail scaffolding due to catalog issues
+      }
+    } else {
+      await skipTaskStep(task, 'catalog', 'Database not available, skipping catalog registration');
+    }
+
+    // Create the repository and push code
+    if (publisher) {
+      try {
+        await runTaskStep(task, 'publish', async (log) => {
+          const owner = task.parameters.owner || 'unknown';
+          const repoUrl = await createRepo(publisher, component_id, description);
+          recordSideEffect(task, 'repository', publisher.slug(component_id), { publisher: publisher.name, repoName: component_id });
+          log(`Created ${REPO_VISIBILITY} ${publisher.label} repository ${repoUrl}`);
+          const ownerEntityRef = task.parameters.owner_ref || ownerRef(owner);
+          const codeOwner = await resolveCodeOwner(publisher, ownerEntityRef);
+          if (writeCodeOwners(projectDir, publisher, ownerEntityRef, codeOwner)) {
+            log(`Wrote ${publisher.codeOwnersPath} for ${codeOwner.handle}`);
+          }
+          try {
+            const { pullRequest } = await publisher.push(projectDir, component_id, `Initial commit: ${component_id} service scaffolded by Backstage`, {
+              mode: PUBLISH_MODE, requestedBy: task.parameters.requested_by, authorEmailDomain: GIT_AUTHOR_EMAIL_DOMAIN, log
+            });
+            repository = { publisher: publisher.name, url: repoUrl, pullRequest };
+          } catch (error) {
+            console.error('[PUBLISH] Failed to push:', error.message, error.stderr || '');
+            throw new Error(`Failed to push to ${publisher.label}: ${error.message}`);
+          }
+          publishWarnings = await configureRepository(publisher, component_id, { ownerTeam: codeOwner.team, log });
+          writeServiceMetadata(component_id, { ...readServiceMetadata(component_id), repository });
+        });
+      } catch (error) {
+        console.error('[PUBLISH] Publishing failed:', error.message);
+        if (rollbackOnFailure) throw error;
+        publishError = error.message;
+        // Continue without a repository - don't fail the entire scaffolding
+      }
+    } else {
+      await skipTaskStep(task, 'publish', PUBLISHING_DISABLED);
+    }
+
+    // Auto-deploy to Kubernetes if k8s manifests were created
+    let deploymentSuccess = false;
+    let deploymentError = null;
 
-    // Auto-deploy to Kubernetes if k8s manifests were created
-    let deploymentSuccess = false;
-    let deploymentError = null;
-    
     if (include_k8s) {
       try {
-        console.log(`[AUTO-DEPLOY] Starting automatic deployment for ${component_id}`);
-        await deployToKubernetes(component_id, projectDir, FORCED_TARGET_NAMESPACE);
+        await runTaskStep(task, 'deploy', async (log) => {
+          log(`Starting automatic deployment for ${component_id}`);
+          const { image } = await deployToKubernetes(component_id, projectDir, FORCED_TARGET_NAMESPACE, {
+            log,
+            onCreated: (object) => recordSideEffect(
+              task, 'k8s_object', `${object.resource}/${object.name} -n ${object.namespace}`, object
+            )
+          });
+          recordDeployment(component_id, environments.forNamespace(FORCED_TARGET_NAMESPACE).name, image);
+          log(`Successfully deployed ${component_id} to ${FORCED_TARGET_NAMESPACE}`);
+        });
         deploymentSuccess = true;
-        console.log(`[AUTO-DEPLOY] Successfully deployed ${component_id} to ${FORCED_TARGET_NAMESPACE}`);
       } catch (error) {
         console.error('[AUTO-DEPLOY] Deployment failed:', error.message);
+        if (rollbackOnFailure) throw error;
         deploymentError = error.message;
+        updateEnvironmentState(component_id, environments.forNamespace(FORCED_TARGET_NAMESPACE).name, {
+          status: 'failed', error: error.message
+        });
         // Continue - don't fail scaffolding due to deployment issues
       }
+    } else {
+      await skipTaskStep(task, 'deploy', 'Kubernetes manifests not requested');
     }
 
     // Prepare response message
     let responseMessage = `Service ${component_id} scaffolded successfully`;
     let warnings = [];
-    
-    if (GITHUB_ENABLED && !githubRepoUrl) {
-      warnings.push('GitHub repository creation failed - project created locally only');
+
+    if (publisher && !repository) {
+      warnings.push(`${publisher.label} repository creation failed - project created locally only`);
     }
-    
+    warnings.push(...publishWarnings);
+
     if (include_k8s && !deploymentSuccess) {
       warnings.push(`Kubernetes deployment failed: ${deploymentError || 'unknown error'}`);
     }
-    
+
     if (warnings.length > 0) {
       responseMessage += ` (Warning: ${warnings.join(', ')})`;
     }
 
-    res.json({
-      success: true,
-      message: responseMessage,
-      projectPath: projectDir,
-      githubRepo: githubRepoUrl,
-      githubError: githubError || null,
-      warnings: warnings,
-      files: {
-        pom: `${component_id}/pom.xml`,
-        dockerfile: include_docker ? `${component_id}/Dockerfile` : null,
-        k8s: include_k8s ? [`${component_id}/k8s/deployment.yaml`, `${component_id}/k8s/service.yaml`] : null,
-        source: [
-          `${component_id}/src/main/java/${packagePath}/${appClassName}.java`,
-          `${component_id}/src/main/java/${packagePath}/${controllerClassName}.java`
-        ]
-      },
-      nextSteps: githubRepoUrl ? [
-        `git clone ${githubRepoUrl}`,
-        `cd ${component_id}`,
-        'mvn clean package',
-        'docker build -t ' + component_id + ':v1 .',
-        'minikube image load ' + component_id + ':v1',
-        'kubectl apply -f k8s/deployment.yaml',
-        'kubectl apply -f k8s/service.yaml',
-        `kubectl port-forward svc/${component_id}-service ${port}:${port}`
-      ] : [
-        `cd ${projectDir}`,
-        'mvn clean package',
-        'docker build -t ' + component_id + ':v1 .',
-        'minikube image load ' + component_id + ':v1',
-        'kubectl apply -f k8s/deployment.yaml',
-        'kubectl apply -f k8s/service.yaml',
-        `kubectl port-forward svc/${component_id}-service ${port}:${port}`
-      ]
-    });
+    const projectFile = (file) => generatedFiles.includes(file) ? `${component_id}/${file}` : null;
+    const buildCommand = build_tool === 'gradle' ? 'gradle build' : 'mvn clean package';
+    const environment = environments.forNamespace(FORCED_TARGET_NAMESPACE).name;
+    const applyCommands = {
+      manifests: ['kubectl apply -f k8s/deployment.yaml', 'kubectl apply -f k8s/service.yaml'],
+      helm: [`helm upgrade --install ${component_id} k8s/chart -f k8s/chart/values-${environment}.yaml -n ${FORCED_TARGET_NAMESPACE}`],
+      kustomize: [`kubectl apply -k k8s/overlays/${environment}`]
+    }[k8s_format] || [];
+    // Exposed services are reached at their URL instead of through a port-forward
+    const route = serviceRoute(task.parameters, FORCED_TARGET_NAMESPACE);
+    const accessCommand = route ? `curl ${route.url}/actuator/health` : `kubectl port-forward svc/${component_id}-service ${port}:${port}`;
+    task.result = {
+      success: true,
+      message: responseMessage,
+      projectPath: projectDir,
+      repository,
+      publishError,
+      url: route ? route.url : null,
+      warnings: warnings,
+      template: templateName,
+      files: {
+        pom: projectFile('pom.xml'),
+        gradle: projectFile('build.gradle.kts'),
+        dockerfile: projectFile('Dockerfile'),
+        k8s: include_k8s ? generatedFiles.filter(file => file.startsWith('k8s/')).map(file => `${component_id}/${file}`) : null,
+        source: generatedFiles.filter(file => /^src\/main\/(java|kotlin)\//.test(file)).map(file => `${component_id}/${file}`),
+        all: generatedFiles.map(file => `${component_id}/${file}`)
+      },
+      nextSteps: repository ? [
+        // Until the initial pull request is merged main is empty
+        repository.pullRequest ? `git clone --branch ${INITIAL_BRANCH} ${repository.url}` : `git clone ${repository.url}`,
+        `cd ${component_id}`,
+        buildCommand,
+        ...buildBackend.manualSteps(component_id),
+        ...applyCommands,
+        accessCommand
+      ] : [
+        `cd ${projectDir}`,
+        buildCommand,
+        ...buildBackend.manualSteps(component_id),
+        ...applyCommands,
+        accessCommand
+      ]
+    };
+    task.status = 'completed';
+
+    const duration = Date.now() - startTime;
+    console.log(`[SCAFFOLD] ✅ Task ${task.id} completed successfully for ${component_id} in ${duration}ms`);
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    console.error(`[SCAFFOLD] ❌ Task ${task.id} failed for ${component_id} after ${duration}ms:`, error.message);
+    console.error('[ERROR]', error);
+    task.status = 'failed';
+    task.error = error.message;
+
+    for (const step of task.steps) {
+      if (step.status === 'pending') {
+        step.status = 'skipped';
+        step.output.push('Skipped after an earlier step failed');
+      }
+    }
+
+    if (rollbackOnFailure) {
+      console.log(`[ROLLBACK] Rolling back ${task.journal.length} side effect(s) of task ${task.id}`);
+      task.rollback = await rollbackTask(task);
+    }
+  } finally {
+    activeScaffolds.delete(component_id);
+    await saveTask(task);
+    publishTaskEvent(task, { type: task.status, task });
+    forgetTask(task);
+  }
+}
+
+// Scaffold task status
+app.get('/api/tasks/:id', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const task = await getTask(req.params.id);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(task);
+  } catch (error) {
+    console.error('[TASKS] Error fetching task:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Scaffold task progress as Server-Sent Events
+app.get('/api/tasks/:id/events', auth.requireRole('viewer'), async (req, res) => {
+  let task;
+  try {
+    task = await getTask(req.params.id);
+  } catch (error) {
+    console.error('[TASKS] Error fetching task:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+
+  // Set up SSE (Server-Sent Events)
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  const sendEvent = (data) => {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  sendEvent({ type: 'snapshot', task });
+  if (isTaskFinished(task)) {
+    return res.end();
+  }
+
+  const onEvent = (event) => {
+    sendEvent(event);
+    if (event.type === 'completed' || event.type === 'failed') {
+      taskEvents.removeListener(task.id, onEvent);
+      res.end();
+    }
+  };
+  taskEvents.on(task.id, onEvent);
+  req.on('close', () => taskEvents.removeListener(task.id, onEvent));
+});
+
+// List available templates
+app.get('/api/templates', auth.requireRole('viewer'), (req, res) => {
+  try {
+    const templates = templateRegistry.list().map(template => describeTemplate(template));
+    res.json({
+      success: true,
+      count: templates.length,
+      defaultTemplate: DEFAULT_TEMPLATE,
+      templates
+    });
+  } catch (error) {
+    console.error('[TEMPLATES] Error listing templates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a template with its parameters (and skeleton files for directory templates)
+app.get('/api/templates/:name', auth.requireRole('viewer'), (req, res) => {
+  try {
+    const template = templateRegistry.get(req.params.name);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(describeTemplate(template, { includeFiles: true }));
+  } catch (error) {
+    console.error('[TEMPLATES] Error fetching template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Apply a manifest file and report every object the apply created
+function applyManifest(filePath, namespace, onCreated) {
+  return kube.applyFile(filePath, { namespace, onCreated });
+}
+
+// Apply manifest content directly, for content that must not be written to disk
+function applyManifestContent(manifest, namespace, onCreated) {
+  return kube.apply(manifest, { namespace, onCreated });
+}
+
+// kubectl-style summary of applied objects, e.g. "deployment/orders created"
+function describeApplied(results) {
+  return results.map(object => `${object.resource}/${object.name} ${object.created ? 'created' : 'configured'}`).join('\n');
+}
+
+// Create the database Secret with random credentials unless it already exists.
+// An existing Secret is kept: the database volume was initialised with it.
+async function ensureDatabaseSecret(provider, serviceName, namespace, onCreated) {
+  const secretName = databaseSecretName(provider, serviceName);
+  if (await kube.exists('Secret', secretName, namespace)) {
+    return false;
+  }
+
+  const credentials = generateDatabaseCredentials(provider, serviceName);
+  await applyManifestContent(generateDatabaseSecret(provider, serviceName, namespace, credentials, environments.labelFor(namespace)), namespace, onCreated);
+  return true;
+}
 
-    const endTime = Date.now();
-    const duration = endTime - startTime;
-    console.log(`[SCAFFOLD] ✅ Request completed successfully for ${component_id} in ${duration}ms from ${clientIP}`);
+// Persistence providers that deploy a database next to the service
+const DATABASE_PROVIDERS = listPersistenceProviders().filter(provider => provider.database);
 
-  } catch (error) {
-    const endTime = Date.now();
-    const duration = endTime - startTime;
-    console.error(`[SCAFFOLD] ❌ Request failed for ${component_id || 'unknown'} after ${duration}ms from ${clientIP}:`, error.message);
-    console.error('[ERROR]', error);
-    res.status(500).json({ 
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+// Provider whose database manifests are among the given k8s file names
+function databaseProviderForManifests(fileNames) {
+  return DATABASE_PROVIDERS.find(provider =>
+    databaseManifestFiles(provider).some(file => fileNames.includes(file))) || null;
+}
+
+// Provider whose database manifests were generated into a k8s directory, in
+// any of the k8s formats
+function findDatabaseProvider(k8sDir) {
+  const dirs = [k8sDir, path.join(k8sDir, 'base'), path.join(k8sDir, 'chart', 'templates')].filter(dir => fs.existsSync(dir));
+  return databaseProviderForManifests(dirs.flatMap(dir => fs.readdirSync(dir)));
+}
+
+// Provider whose database StatefulSet is among a service's k8s objects
+function databaseProviderForObjects(serviceName, objects) {
+  return DATABASE_PROVIDERS.find(provider => objects.some(object =>
+    object.kind === 'StatefulSet' && object.metadata.name === databaseName(provider, serviceName))) || null;
+}
+
+// Pod phase, or "Running (not ready)" while readiness probes have not passed
+function podStatusSummary(pod) {
+  const phase = (pod.status && pod.status.phase) || 'Unknown';
+  return phase === 'Running' && !isPodReady(pod) ? 'Running (not ready)' : phase;
+}
+
+function isPodReady(pod) {
+  return ((pod.status && pod.status.conditions) || []).some(condition => condition.type === 'Ready' && condition.status === 'True');
+}
+
+/**
+ * Watch the pods matching a label selector until one is Ready, reporting
+ * each status change. Resolves to false if none is Ready within timeoutMs.
+ */
+async function waitForPodReady(labelSelector, namespace, timeoutMs, onPhase) {
+  let lastPhase = null;
+  try {
+    await kube.waitFor('Pod', namespace, { labelSelector }, isPodReady, {
+      timeoutMs,
+      onUpdate: (pod) => {
+        const phase = podStatusSummary(pod);
+        if (phase !== lastPhase) {
+          lastPhase = phase;
+          onPhase(phase);
+        }
+      }
     });
+    return true;
+  } catch (error) {
+    if (error.reason === 'Timeout') return false;
+    throw error;
   }
-});
+}
+
+// Rollout timeout in ms from a ?timeout= value in seconds, or the configured default
+function rolloutTimeoutMs(seconds) {
+  const value = parseInt(seconds, 10);
+  return (value > 0 ? value : ROLLOUT_TIMEOUT_SECONDS) * 1000;
+}
+
+// Failing pod, container, reason and last log lines of a failed rollout
+function describeRolloutFailure(error) {
+  if (!(error instanceof RolloutError) || !error.pod) return null;
+  return { pod: error.pod, container: error.container, reason: error.reason, logs: error.logs };
+}
 
 // Automatic deployment function
-async function deployToKubernetes(serviceName, projectDir, namespace) {
-  const { execSync } = require('child_process');
-  
-  console.log(`[DEPLOY] Starting deployment for ${serviceName} to namespace ${namespace}`);
+// options.log receives progress messages, options.onCreated every k8s object
+// this deployment created (used by the scaffold journal for rollback).
+// Resolves to { image } of the deployed application.
+async function deployToKubernetes(serviceName, projectDir, namespace, options = {}) {
+  const {
+    log = (message) => console.log(`[DEPLOY] ${message}`),
+    onCreated,
+    rolloutTimeoutMs = ROLLOUT_TIMEOUT_SECONDS * 1000
+  } = options;
+  log(`Starting deployment for ${serviceName} to namespace ${namespace}`);
   
   const k8sDir = path.join(projectDir, 'k8s');
   if (!fs.existsSync(k8sDir)) {
@@ -733,209 +2263,475 @@ async function deployToKubernetes(serviceName, projectDir, namespace) {
 
   // Use original service name - no prefix needed with labels
   let prefixedServiceName = serviceName;
-  console.log(`[DEPLOY] Using service name: ${serviceName} for namespace: ${namespace}`);
+  log(`Using service name: ${serviceName} for namespace: ${namespace}`);
 
-  const nsArg = namespace ? `-n ${namespace}` : '';
-  
-  // Build and load Docker image if Dockerfile exists
-  const dockerfilePath = path.join(projectDir, 'Dockerfile');
-  if (fs.existsSync(dockerfilePath)) {
-    console.log(`[DEPLOY] Building Docker image for ${serviceName}:v1`);
+  // Build the image if the project has a Dockerfile; the Deployment runs that build
+  const image = fs.existsSync(path.join(projectDir, 'Dockerfile'))
+    ? (await buildImage(serviceName, projectDir, namespace, log)).image
+    : undefined;
+
+  const format = detectK8sFormat(k8sDir);
+  if (format !== 'manifests') {
+    log(`Rendering the ${format} manifests for ${namespace}`);
+  }
+  const objects = await renderK8sObjects(k8sDir, {
+    releaseName: serviceName, namespace, environment: environments.forNamespace(namespace).name
+  });
+  const deployed = await deployManifests(serviceName, objects, namespace, { log, onCreated, rolloutTimeoutMs, image });
+
+  log(`Deployment completed for ${serviceName}`);
+  return deployed;
+}
+
+// Short SHA of a project's HEAD commit; null before it is pushed to a repository
+async function projectCommit(projectDir) {
+  if (!fs.existsSync(path.join(projectDir, '.git'))) return null;
+  try {
+    const { stdout } = await run('git', ['rev-parse', '--short=7', 'HEAD'], { cwd: projectDir });
+    return stdout.trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build a service's image with the configured build backend, tagged with the
+ * next build number and the project's commit, and record it in the service's
+ * version history. A failed build fails the deployment: there is no image to
+ * deploy. Resolves to the recorded build.
+ */
+async function buildImage(serviceName, projectDir, namespace, log) {
+  const buildNumber = nextBuildNumber(serviceName);
+  const commit = await projectCommit(projectDir);
+  const tag = imageTag(buildNumber, commit);
+  try {
+    const { image } = await buildBackend.build({ serviceName, projectDir, tag, namespace, log });
+    log(`✅ Image ${image} built (${buildBackend.name}, build ${buildNumber})`);
+    const build = { buildNumber, tag, image, commit, backend: buildBackend.name, builtAt: new Date().toISOString() };
+    appendHistory(serviceName, 'builds', build);
+    return build;
+  } catch (error) {
+    if (error instanceof BuildError && error.logs) log(`Build output:\n${error.logs}`);
+    throw new BuildError(`Image build failed: ${error.message}`, { backend: buildBackend.name, image: error.image, logs: error.logs });
+  }
+}
+
+// Container of a service in a Deployment object: the one named after it, or the first
+function serviceContainer(deployment, serviceName) {
+  const containers = deployment.spec.template.spec.containers || [];
+  return containers.find(candidate => candidate.name === serviceName) || containers[0] || null;
+}
+
+// Image of a service's container in a Deployment object
+function deploymentImage(deployment, serviceName) {
+  const container = serviceContainer(deployment, serviceName);
+  return container ? container.image : null;
+}
+
+/**
+ * Switch the service's container of its Deployment in a namespace to image
+ * and wait for the rollout. Throws NotFoundError without a Deployment.
+ * Resolves to the image it ran before.
+ */
+async function setServiceImage(serviceName, namespace, image, { log, rolloutTimeoutMs = ROLLOUT_TIMEOUT_SECONDS * 1000 }) {
+  const container = serviceContainer(await kube.get('Deployment', serviceName, namespace), serviceName);
+  if (!container) {
+    throw new Error(`Deployment ${serviceName} in ${namespace} has no containers`);
+  }
+  await kube.setDeploymentImage(serviceName, namespace, container.name, image);
+  log(`Switched ${serviceName} in ${namespace} from ${container.image} to ${image}`);
+
+  log(`Waiting for rollout of ${serviceName} (timeout ${rolloutTimeoutMs / 1000}s)`);
+  try {
+    await waitForRollout(kube, serviceName, namespace, { timeoutMs: rolloutTimeoutMs, onProgress: log });
+  } catch (error) {
+    if (error.logs) log(`Last log lines of ${error.pod}/${error.container}:\n${error.logs}`);
+    throw error;
+  }
+  return container.image;
+}
+
+/**
+ * Apply a service's k8s objects to a namespace: database resources first,
+ * then the application, then wait for its rollout.
+ * options.image replaces the image of the service's container; the database
+ * gets options.databaseTimeoutMs to become ready, and the deployment fails
+ * when it does not if options.requireDatabase is set.
+ * Resolves to { image } of the deployed application (null without one).
+ */
+async function deployManifests(serviceName, objects, namespace, options = {}) {
+  const {
+    log = (message) => console.log(`[DEPLOY] ${message}`),
+    onCreated,
+    rolloutTimeoutMs = ROLLOUT_TIMEOUT_SECONDS * 1000,
+    image: imageOverride,
+    databaseTimeoutMs = 60000,
+    requireDatabase = false
+  } = options;
+
+  // Apply database resources first if they exist: services before statefulsets
+  const databaseProvider = databaseProviderForObjects(serviceName, objects);
+  const dbName = databaseProvider ? databaseName(databaseProvider, serviceName) : null;
+  const isDatabaseObject = (object) => object.metadata.name === dbName;
+  if (databaseProvider) {
+    const dbTitle = databaseProvider.title;
+    const secretName = databaseSecretName(databaseProvider, serviceName);
     try {
-      // Test if Docker daemon is accessible
-      execSync('docker version', { stdio: 'pipe' });
-      
-      execSync(`docker build -t ${serviceName}:v1 "${projectDir}"`, { stdio: 'pipe' });
-      console.log(`[DEPLOY] Loading image into Minikube`);
-      execSync(`minikube image load ${serviceName}:v1`, { stdio: 'pipe' });
-      console.log(`[DEPLOY] ✅ Docker image built and loaded successfully`);
+      const created = await ensureDatabaseSecret(databaseProvider, serviceName, namespace, onCreated);
+      log(created ? `Created secret ${secretName} with generated credentials` : `Using existing secret ${secretName}`);
     } catch (error) {
-      console.warn(`[DEPLOY] Docker build/load warning: ${error.message}`);
-      
-      // If Docker is not available, update the deployment to use a different strategy
-      if (error.message.includes('Cannot connect to the Docker daemon')) {
-        console.log(`[DEPLOY] ⚠️ Docker daemon not available, applying alternative deployment strategy`);
-        await handleMissingDockerImage(serviceName, projectDir, k8sDir, namespace);
-      }
+      log(`Failed to create secret ${secretName}: ${error.message}`);
+      throw error;
     }
-  }
 
-  // Apply PostgreSQL resources first if they exist
-  const postgresFiles = ['postgres-secret.yaml', 'postgres-service.yaml', 'postgres-statefulset.yaml'];
-  for (const file of postgresFiles) {
-    const filePath = path.join(k8sDir, file);
-    if (fs.existsSync(filePath)) {
-      console.log(`[DEPLOY] Applying ${file}`);
-      try {
-        execSync(`kubectl apply ${nsArg} -f "${filePath}"`, { stdio: 'pipe' });
-      } catch (error) {
-        console.error(`[DEPLOY] Failed to apply ${file}: ${error.message}`);
-        throw error;
+    for (const kind of ['Service', 'StatefulSet']) {
+      for (const object of objects.filter(candidate => isDatabaseObject(candidate) && candidate.kind === kind)) {
+        try {
+          log(describeApplied(await applyManifestContent(object, namespace, onCreated)));
+        } catch (error) {
+          log(`Failed to apply ${kind} ${object.metadata.name}: ${error.message}`);
+          throw error;
+        }
       }
     }
-  }
 
-  // Wait for PostgreSQL to be ready if it was deployed
-  const postgresStatefulSetPath = path.join(k8sDir, 'postgres-statefulset.yaml');
-  if (fs.existsSync(postgresStatefulSetPath)) {
-    console.log(`[DEPLOY] Waiting for PostgreSQL to be ready...`);
-    let pgAttempts = 0;
-    const maxPgAttempts = 20;
-    
-    while (pgAttempts < maxPgAttempts) {
-      try {
-        const pgStatus = execSync(`kubectl get pods ${nsArg} -l app=${serviceName}-postgres -o jsonpath='{.items[0].status.phase}'`, { encoding: 'utf8' });
-        console.log(`[DEPLOY] PostgreSQL pod status: ${pgStatus}`);
-        
-        if (pgStatus.includes('Running')) {
-          console.log(`[DEPLOY] PostgreSQL is running, waiting 5s for readiness`);
-          await new Promise(resolve => setTimeout(resolve, 5000));
-          break;
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        pgAttempts++;
-      } catch (error) {
-        console.log(`[DEPLOY] Waiting for PostgreSQL... (${pgAttempts}/${maxPgAttempts})`);
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        pgAttempts++;
-      }
+    // Wait for the database to be ready
+    log(`Waiting for ${dbTitle} to be ready...`);
+    let dbReady = false;
+    try {
+      dbReady = await waitForPodReady(`app=${dbName}`, namespace, databaseTimeoutMs,
+        (phase) => log(`${dbTitle} pod status: ${phase}`));
+    } catch (error) {
+      if (requireDatabase) throw error;
+      log(`Waiting for ${dbTitle} failed: ${error.message}`);
     }
-    
-    if (pgAttempts >= maxPgAttempts) {
-      console.warn(`[DEPLOY] PostgreSQL readiness timeout, continuing with app deployment`);
+
+    if (dbReady) {
+      log(`${dbTitle} is ready`);
+    } else if (requireDatabase) {
+      throw new Error(`Timeout waiting for ${dbTitle} to start`);
+    } else {
+      log(`${dbTitle} readiness timeout, continuing with app deployment`);
     }
   }
 
-  // Apply application deployment
-  const deploymentPath = path.join(k8sDir, 'deployment.yaml');
-  if (fs.existsSync(deploymentPath)) {
-    console.log(`[DEPLOY] Applying deployment.yaml`);
-    execSync(`kubectl apply ${nsArg} -f "${deploymentPath}"`, { stdio: 'pipe' });
+  // Apply the application: its deployment, then services and anything else
+  const deployment = objects.find(object => object.kind === 'Deployment' && object.metadata.name === serviceName);
+  if (deployment && imageOverride) {
+    serviceContainer(deployment, serviceName).image = imageOverride;
+    log(`Using image ${imageOverride}`);
+  }
+  const appObjects = objects.filter(object => !isDatabaseObject(object))
+    .sort((a, b) => (b === deployment) - (a === deployment));
+  for (const object of appObjects) {
+    log(describeApplied(await applyManifestContent(object, namespace, onCreated)));
   }
 
-  // Apply service
-  const servicePath = path.join(k8sDir, 'service.yaml');
-  if (fs.existsSync(servicePath)) {
-    console.log(`[DEPLOY] Applying service.yaml`);
-    execSync(`kubectl apply ${nsArg} -f "${servicePath}"`, { stdio: 'pipe' });
+  if (deployment) {
+    log(`Waiting for rollout of ${serviceName} (timeout ${rolloutTimeoutMs / 1000}s)`);
+    try {
+      await waitForRollout(kube, serviceName, namespace, { timeoutMs: rolloutTimeoutMs, onProgress: log });
+    } catch (error) {
+      if (error.logs) log(`Last log lines of ${error.pod}/${error.container}:\n${error.logs}`);
+      throw error;
+    }
   }
 
-  console.log(`[DEPLOY] Deployment completed for ${serviceName}`);
+  return { image: deployment ? deploymentImage(deployment, serviceName) : null };
 }
 
-// Handle deployment when Docker image building is not available
-async function handleMissingDockerImage(serviceName, projectDir, k8sDir, namespace) {
-  console.log(`[DEPLOY] Implementing alternative deployment strategy for ${serviceName}`);
-  
-  // Strategy 1: Update deployment to use imagePullPolicy: IfNotPresent
-  // and add an init container or job to build the image externally
-  const deploymentPath = path.join(k8sDir, 'deployment.yaml');
-  if (fs.existsSync(deploymentPath)) {
-    let deploymentContent = fs.readFileSync(deploymentPath, 'utf8');
-    
-    // Log the issue for monitoring
-    console.log(`[DEPLOY] 🚨 WARNING: Docker image ${serviceName}:v1 was not built due to Docker daemon unavailability`);
-    console.log(`[DEPLOY] 📝 Manual steps required:`);
-    console.log(`[DEPLOY]    1. Copy project from: /projects/scaffolded-projects/${serviceName}`);
-    console.log(`[DEPLOY]    2. Build locally: docker build -t ${serviceName}:v1 .`);
-    console.log(`[DEPLOY]    3. Load to minikube: minikube image load ${serviceName}:v1`);
-    console.log(`[DEPLOY]    4. Restart deployment: kubectl rollout restart deployment/${serviceName} -n ${namespace}`);
-    
-    // Create a ConfigMap with build instructions
-    const buildInstructions = `#!/bin/bash
-# Auto-generated build instructions for ${serviceName}
-# Generated on: ${new Date().toISOString()}
-
-echo "Building Docker image for ${serviceName}..."
+// ===============================
+// TEMPLATE REGISTRY
+// ===============================
 
-# Step 1: Copy project files from scaffolder service
-kubectl cp backstage-prod/\$(kubectl get pods -n backstage-prod -l app=scaffolder-service -o jsonpath='{.items[0].metadata.name}'):/projects/scaffolded-projects/${serviceName} /tmp/${serviceName}
+const DEFAULT_TEMPLATE = 'spring-boot';
+
+// Built-in default template, rendered by the Spring Boot generators below
+const SPRING_BOOT_TEMPLATE = {
+  name: DEFAULT_TEMPLATE,
+  title: 'Spring Boot Service',
+  description: 'Spring Boot microservice with optional persistence (PostgreSQL, MySQL, MongoDB or H2), Dockerfile and Kubernetes manifests',
+  type: 'service',
+  source: 'builtin',
+  // Bump when the generators' output changes, so existing services can upgrade
+  version: '1.1.0',
+  parameters: [
+    { name: 'component_id', title: 'Name', description: 'Unique service name', type: 'string', default: undefined, enum: null, pattern: '^[a-z0-9]([a-z0-9-]*[a-z0-9])?$', required: true },
+    { name: 'description', title: 'Description', description: null, type: 'string', default: 'A Spring Boot microservice created with Backstage and Scaffolder', enum: null, pattern: null, required: false },
+    { name: 'owner', title: 'Owner', description: 'Owning team or user', type: 'string', default: undefined, enum: null, pattern: null, required: false },
+    { name: 'port', title: 'Port', description: null, type: 'integer', default: 8080, enum: null, pattern: null, required: false },
+    { name: 'java_version', title: 'Java Version', description: null, type: 'string', default: '21', enum: ['11', '17', '21'], pattern: null, required: false },
+    { name: 'build_tool', title: 'Build Tool', description: 'Maven (pom.xml) or Gradle (Kotlin DSL)', type: 'string', default: 'maven', enum: ['maven', 'gradle'], pattern: null, required: false },
+    { name: 'language', title: 'Language', description: 'Source language of the generated service', type: 'string', default: 'java', enum: ['java', 'kotlin'], pattern: null, required: false },
+    { name: 'persistence', title: 'Persistence', description: 'Data store of the service; h2 is in-memory', type: 'string', default: 'none', enum: listPersistenceProviders().map(provider => provider.name), pattern: null, required: false },
+    { name: 'include_docker', title: 'Include Dockerfile', description: null, type: 'boolean', default: false, enum: null, pattern: null, required: false },
+    { name: 'include_k8s', title: 'Include Kubernetes manifests', description: null, type: 'boolean', default: false, enum: null, pattern: null, required: false },
+    { name: 'expose', title: 'Expose', description: 'Make the service reachable through an Ingress or a Gateway API HTTPRoute', type: 'string', default: 'none', enum: EXPOSE_OPTIONS, pattern: null, required: false },
+    { name: 'k8s_format', title: 'Kubernetes Format', description: 'Plain manifests, a Helm chart or a kustomize base with an overlay per environment', type: 'string', default: 'manifests', enum: K8S_FORMATS, pattern: null, required: false },
+    { name: 'target_namespace', title: 'Target Namespace', description: null, type: 'string', default: undefined, enum: null, pattern: null, required: false }
+  ],
+  render: renderSpringBootProject
+};
 
-# Step 2: Build Docker image
-cd /tmp/${serviceName}
-docker build -t ${serviceName}:v1 .
+const templateRegistry = createTemplateRegistry({
+  builtins: [SPRING_BOOT_TEMPLATE],
+  directories: TEMPLATES_DIRS,
+  rescanIntervalMs: TEMPLATES_RESCAN_SECONDS * 1000
+});
 
-# Step 3: Load image to minikube
-minikube image load ${serviceName}:v1
+/**
+ * Values available to every template: the validated parameters plus names
+ * derived from component_id and the target namespace
+ */
+function buildTemplateValues(parameters, namespace) {
+  const packageName = `com.example.${parameters.component_id.replace(/-/g, '')}`;
+  const appClassName = parameters.component_id
+    .split('-')
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('') + 'Application';
+
+  return {
+    ...parameters,
+    namespace,
+    environment: environments.labelFor(namespace),
+    package_name: packageName,
+    package_path: packageName.split('.').join('/'),
+    app_class_name: appClassName,
+    controller_class_name: appClassName.replace('Application', 'Controller')
+  };
+}
 
-# Step 4: Restart deployment
-kubectl rollout restart deployment/${serviceName} -n ${namespace}
+// Source generators for each supported language
+const SOURCE_GENERATORS = {
+  java: {
+    directory: 'java',
+    extension: 'java',
+    application: generateApplicationClass,
+    controller: generateController,
+    entity: generateHelloWorldEntity,
+    document: generateHelloWorldDocument,
+    repository: generateHelloWorldRepository
+  },
+  kotlin: {
+    directory: 'kotlin',
+    extension: 'kt',
+    application: generateKotlinApplicationClass,
+    controller: generateKotlinController,
+    entity: generateKotlinHelloWorldEntity,
+    document: generateKotlinHelloWorldDocument,
+    repository: generateKotlinHelloWorldRepository
+  }
+};
 
-echo "✅ Image building completed for ${serviceName}"
-`;
+/**
+ * Render the built-in Spring Boot project as { path, content } entries
+ */
+function renderSpringBootProject(values) {
+  const {
+    component_id,
+    description,
+    owner,
+    port,
+    java_version,
+    build_tool,
+    language,
+    persistence,
+    include_docker,
+    include_k8s,
+    expose,
+    k8s_format,
+    namespace,
+    package_name: packageName,
+    package_path: packagePath,
+    app_class_name: appClassName,
+    controller_class_name: controllerClassName
+  } = values;
+
+  const sources = SOURCE_GENERATORS[language] || SOURCE_GENERATORS.java;
+  const persistenceProvider = getPersistenceProvider(persistence);
+  const srcPath = `src/main/${sources.directory}/${packagePath}`;
+  const resourcesPath = 'src/main/resources';
+  const files = [];
+  const add = (filePath, content) => files.push({ path: filePath, content });
+
+  if (build_tool === 'gradle') {
+    add('build.gradle.kts', generateBuildGradleKts(component_id, java_version, persistence, language));
+    add('settings.gradle.kts', generateSettingsGradleKts(component_id));
+    add('gradle/wrapper/gradle-wrapper.properties', generateGradleWrapperProperties());
+  } else {
+    add('pom.xml', generatePomXml(component_id, packageName, java_version, persistence, language));
+  }
+  add(`${resourcesPath}/application.properties`, generateApplicationProperties(port, component_id, persistence));
+  add(`${srcPath}/${appClassName}.${sources.extension}`, sources.application(packageName, appClassName));
+  add(`${srcPath}/${controllerClassName}.${sources.extension}`, sources.controller(packageName, controllerClassName, component_id, persistence));
+
+  // Entity (JPA) or document (MongoDB) and repository if the service has a data store
+  if (persistenceProvider.store) {
+    const model = persistenceProvider.store === 'mongodb'
+      ? sources.document(packageName)
+      : sources.entity(packageName, java_version);
+    add(`${srcPath}/HelloWorld.${sources.extension}`, model);
+    add(`${srcPath}/HelloWorldRepository.${sources.extension}`, sources.repository(packageName, persistenceProvider.store));
+  }
 
-    const configMapYaml = `apiVersion: v1
-kind: ConfigMap
-metadata:
-  name: ${serviceName}-build-instructions
-  namespace: ${namespace}
-  labels:
-    app: ${serviceName}
-    component: build-instructions
-data:
-  build.sh: |
-${buildInstructions.split('\n').map(line => '    ' + line).join('\n')}
-  readme.txt: |
-    This ConfigMap contains build instructions for ${serviceName}.
-    
-    The Docker image was not built automatically because the scaffolder
-    service doesn't have access to Docker daemon.
-    
-    To complete the deployment:
-    1. Run the build.sh script from this ConfigMap
-    2. Or follow the manual steps logged in the scaffolder service
-    
-    Generated on: ${new Date().toISOString()}
-`;
+  if (include_docker) {
+    add('Dockerfile', generateDockerfile(component_id, java_version, build_tool));
+  }
 
-    const configMapPath = path.join(k8sDir, 'build-instructions.yaml');
-    fs.writeFileSync(configMapPath, configMapYaml);
-    
-    // Apply the ConfigMap
-    try {
-      const nsArg = namespace ? `-n ${namespace}` : '';
-      const { execSync } = require('child_process');
-      execSync(`kubectl apply ${nsArg} -f "${configMapPath}"`, { stdio: 'pipe' });
-      console.log(`[DEPLOY] ✅ Created build instructions ConfigMap: ${serviceName}-build-instructions`);
-    } catch (error) {
-      console.warn(`[DEPLOY] Failed to create build instructions ConfigMap: ${error.message}`);
+  if (include_k8s) {
+    const numericPort = parseInt(port) || 8080;
+    const route = serviceRoute(values, namespace);
+    if (k8s_format === 'helm') {
+      files.push(...generateHelmChart({
+        serviceName: component_id, description, owner, port: numericPort, persistenceProvider,
+        environments: environments.list(), exposure: serviceExposure(component_id, expose),
+        image: { repository: buildBackend.repositoryFor(component_id), pullPolicy: buildBackend.pullPolicy }
+      }));
+    } else {
+      // A kustomize base is namespace-neutral; its overlays set namespace and environment
+      const base = k8s_format === 'kustomize';
+      const dir = base ? 'k8s/base' : 'k8s';
+      const manifestNamespace = base ? null : namespace;
+      const k8sFiles = [
+        { path: `${dir}/deployment.yaml`, content: generateK8sDeployment(component_id, component_id, owner, numericPort, manifestNamespace, persistence) },
+        // An exposed service is reached through its Ingress or HTTPRoute only
+        { path: `${dir}/service.yaml`, content: generateK8sService(component_id, numericPort, manifestNamespace, route ? 'ClusterIP' : 'NodePort') },
+        ...(route ? [{
+          path: `${dir}/${expose}.yaml`,
+          content: (expose === 'httproute' ? routing.generateHTTPRoute : routing.generateIngress)(
+            component_id, numericPort, manifestNamespace, base ? null : environments.labelFor(namespace), route)
+        }] : []),
+        // Backing database resources (statefulset, service) if the provider has one
+        ...generateDatabaseManifests(persistenceProvider, component_id, manifestNamespace,
+          base ? null : environments.labelFor(namespace))
+          .map(file => ({ ...file, path: `${dir}/${path.basename(file.path)}` }))
+      ];
+      files.push(...k8sFiles);
+      if (base) {
+        files.push(...generateKustomization({
+          serviceName: component_id,
+          resources: k8sFiles.map(file => path.basename(file.path)),
+          environments: environments.list(),
+          exposure: serviceExposure(component_id, expose)
+        }));
+      }
     }
   }
+
+  // Flyway migrations for SQL data stores
+  if (persistenceProvider.initialSchema) {
+    add(`${resourcesPath}/db/migration/V1__Initial_schema.sql`, generateInitialMigration(persistence));
+    add(`${resourcesPath}/db/migration/V2__Sample_data.sql`, generateSampleDataMigration());
+  }
+
+  add('catalog-info.yaml', generateCatalogInfo(component_id, owner, description, serviceRoute(values, namespace),
+    sourceAnnotations(values.publisher, component_id, owner), { system: values.system, dependsOn: values.depends_on }));
+  add('README.md', generateReadme(component_id, description, port, java_version, build_tool, language, k8s_format, namespace));
+  add('.gitignore', generateGitignore(build_tool));
+
+  return files;
+}
+
+// Write rendered template files below the project directory
+function writeProjectFiles(projectDir, files) {
+  for (const file of files) {
+    const filePath = path.join(projectDir, file.path);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, file.content);
+  }
 }
 
 // Template generators
 
-function generatePomXml(serviceName, packageName, javaVersion, persistence = 'none') {
+// Gradle version used by generated wrappers and build images (8.5+ supports Java 21)
+const GRADLE_VERSION = '8.5';
+// Kotlin version used for generated Kotlin services (Maven and Gradle)
+const KOTLIN_VERSION = '1.9.21';
+
+function generatePomXml(serviceName, packageName, javaVersion, persistence = 'none', language = 'java') {
   // Spring Boot 3.x requires Java 17+, use 2.7.x for Java 11
   const springBootVersion = javaVersion === '11' ? '2.7.18' : '3.2.1';
-  
-  // PostgreSQL dependencies
-  const postgresqlDeps = persistence === 'postgresql' ? `
+  const isKotlin = language === 'kotlin';
+  const persistenceProvider = getPersistenceProvider(persistence);
+  const isJpa = persistenceProvider.store === 'jpa';
+  const persistenceImport = javaVersion === '11' ? 'javax.persistence' : 'jakarta.persistence';
+
+  // Kotlin standard library, reflection (needed by Spring) and Jackson support
+  const kotlinProperties = isKotlin ? `
+        <kotlin.version>${KOTLIN_VERSION}</kotlin.version>` : '';
+  const kotlinDeps = isKotlin ? `
         <dependency>
-            <groupId>org.springframework.boot</groupId>
-            <artifactId>spring-boot-starter-data-jpa</artifactId>
+            <groupId>org.jetbrains.kotlin</groupId>
+            <artifactId>kotlin-stdlib</artifactId>
         </dependency>
         <dependency>
-            <groupId>org.postgresql</groupId>
-            <artifactId>postgresql</artifactId>
-            <scope>runtime</scope>
+            <groupId>org.jetbrains.kotlin</groupId>
+            <artifactId>kotlin-reflect</artifactId>
         </dependency>
         <dependency>
-            <groupId>org.flywaydb</groupId>
-            <artifactId>flyway-core</artifactId>
+            <groupId>com.fasterxml.jackson.module</groupId>
+            <artifactId>jackson-module-kotlin</artifactId>
         </dependency>` : '';
-
-  // Flyway Maven plugin for PostgreSQL
-  const flywayPlugin = persistence === 'postgresql' ? `
+  const kotlinSourceDirs = isKotlin ? `
+        <sourceDirectory>\${project.basedir}/src/main/kotlin</sourceDirectory>
+        <testSourceDirectory>\${project.basedir}/src/test/kotlin</testSourceDirectory>` : '';
+
+  // JPA entities must be open for Hibernate proxies
+  const kotlinAllOpenOptions = isJpa ? `
+                    <pluginOptions>
+                        <option>all-open:annotation=${persistenceImport}.Entity</option>
+                        <option>all-open:annotation=${persistenceImport}.MappedSuperclass</option>
+                        <option>all-open:annotation=${persistenceImport}.Embeddable</option>
+                    </pluginOptions>` : '';
+
+  // Kotlin compiler with the spring (all-open) and jpa (no-arg) compiler plugins
+  const kotlinPlugin = isKotlin ? `
+            <plugin>
+                <groupId>org.jetbrains.kotlin</groupId>
+                <artifactId>kotlin-maven-plugin</artifactId>
+                <configuration>
+                    <args>
+                        <arg>-Xjsr305=strict</arg>
+                    </args>
+                    <compilerPlugins>
+                        <plugin>spring</plugin>
+                        <plugin>jpa</plugin>${isJpa ? `
+                        <plugin>all-open</plugin>` : ''}
+                    </compilerPlugins>${kotlinAllOpenOptions}
+                </configuration>
+                <dependencies>
+                    <dependency>
+                        <groupId>org.jetbrains.kotlin</groupId>
+                        <artifactId>kotlin-maven-allopen</artifactId>
+                        <version>\${kotlin.version}</version>
+                    </dependency>
+                    <dependency>
+                        <groupId>org.jetbrains.kotlin</groupId>
+                        <artifactId>kotlin-maven-noarg</artifactId>
+                        <version>\${kotlin.version}</version>
+                    </dependency>
+                </dependencies>
+            </plugin>` : '';
+  
+  // Persistence dependencies (data starter, driver, migrations)
+  const persistenceDeps = persistenceProvider.dependencies.map(dependency => `
+        <dependency>
+            <groupId>${dependency.groupId}</groupId>
+            <artifactId>${dependency.artifactId}</artifactId>${dependency.scope ? `
+            <scope>${dependency.scope}</scope>` : ''}
+        </dependency>`).join('');
+
+  // Flyway Maven plugin for databases running next to the service
+  const { flyway } = persistenceProvider;
+  const flywayPlugin = flyway ? `
             <plugin>
                 <groupId>org.flywaydb</groupId>
                 <artifactId>flyway-maven-plugin</artifactId>
                 <version>9.22.3</version>
                 <configuration>
-                    <url>jdbc:postgresql://\${DB_HOST:localhost}:\${DB_PORT:5432}/\${DB_NAME:${serviceName}}</url>
+                    <url>jdbc:${flyway.scheme}://\${DB_HOST:localhost}:\${DB_PORT:${flyway.port}}/\${DB_NAME:${serviceName}}</url>
                     <user>\${DB_USER:${serviceName}}</user>
-                    <password>\${DB_PASSWORD:password}</password>
+                    <password>\${env.DB_PASSWORD}</password>
                     <locations>
                         <location>classpath:db/migration</location>
                     </locations>
@@ -968,7 +2764,7 @@ function generatePomXml(serviceName, packageName, javaVersion, persistence = 'no
         <java.version>${javaVersion}</java.version>
         <maven.compiler.source>\${java.version}</maven.compiler.source>
         <maven.compiler.target>\${java.version}</maven.compiler.target>
-        <project.build.sourceEncoding>UTF-8</project.build.sourceEncoding>
+        <project.build.sourceEncoding>UTF-8</project.build.sourceEncoding>${kotlinProperties}
     </properties>
 
     <dependencies>
@@ -990,10 +2786,10 @@ function generatePomXml(serviceName, packageName, javaVersion, persistence = 'no
             <groupId>org.springframework.boot</groupId>
             <artifactId>spring-boot-starter-test</artifactId>
             <scope>test</scope>
-        </dependency>${postgresqlDeps}
+        </dependency>${kotlinDeps}${persistenceDeps}
     </dependencies>
 
-    <build>
+    <build>${kotlinSourceDirs}
         <plugins>
             <plugin>
                 <groupId>org.springframework.boot</groupId>
@@ -1015,12 +2811,135 @@ function generatePomXml(serviceName, packageName, javaVersion, persistence = 'no
                     <source>\${java.version}</source>
                     <target>\${java.version}</target>
                 </configuration>
-            </plugin>${flywayPlugin}
+            </plugin>${kotlinPlugin}${flywayPlugin}
         </plugins>
     </build>
 </project>`;
 }
 
+// Spring dependency-management plugin matching each Spring Boot line
+function springDependencyManagementVersion(springBootVersion) {
+  return springBootVersion.startsWith('2.') ? '1.0.15.RELEASE' : '1.1.4';
+}
+
+function generateBuildGradleKts(serviceName, javaVersion, persistence = 'none', language = 'java') {
+  // Spring Boot 3.x requires Java 17+, use 2.7.x for Java 11
+  const springBootVersion = javaVersion === '11' ? '2.7.18' : '3.2.1';
+  const isKotlin = language === 'kotlin';
+  const persistenceProvider = getPersistenceProvider(persistence);
+  const persistenceImport = javaVersion === '11' ? 'javax.persistence' : 'jakarta.persistence';
+
+  const kotlinImports = isKotlin ? `import org.jetbrains.kotlin.gradle.dsl.JvmTarget
+import org.jetbrains.kotlin.gradle.tasks.KotlinCompile
+
+` : '';
+
+  // Kotlin JVM plus the spring (all-open) and jpa (no-arg) compiler plugins
+  const kotlinPlugins = isKotlin ? `
+    kotlin("jvm") version "${KOTLIN_VERSION}"
+    kotlin("plugin.spring") version "${KOTLIN_VERSION}"
+    kotlin("plugin.jpa") version "${KOTLIN_VERSION}"` : '';
+
+  const kotlinDeps = isKotlin ? `
+    implementation("org.jetbrains.kotlin:kotlin-reflect")
+    implementation("com.fasterxml.jackson.module:jackson-module-kotlin")` : '';
+
+  // JPA entities must be open for Hibernate proxies
+  const kotlinAllOpen = isKotlin && persistenceProvider.store === 'jpa' ? `
+
+allOpen {
+    annotation("${persistenceImport}.Entity")
+    annotation("${persistenceImport}.MappedSuperclass")
+    annotation("${persistenceImport}.Embeddable")
+}` : '';
+
+  const kotlinCompile = isKotlin ? `
+
+tasks.withType<KotlinCompile> {
+    compilerOptions {
+        freeCompilerArgs.add("-Xjsr305=strict")
+        jvmTarget.set(JvmTarget.JVM_${javaVersion})
+    }
+}` : '';
+
+  // Flyway Gradle plugin for databases running next to the service
+  const { flyway } = persistenceProvider;
+  const flywayPlugin = flyway ? `
+    id("org.flywaydb.flyway") version "9.22.3"` : '';
+
+  // Persistence dependencies (data starter, driver, migrations)
+  const persistenceDeps = persistenceProvider.dependencies.map(dependency => `
+    ${dependency.scope === 'runtime' ? 'runtimeOnly' : 'implementation'}("${dependency.groupId}:${dependency.artifactId}")`).join('');
+
+  const flywayConfig = flyway ? `
+
+fun env(name: String, default: String): String = System.getenv(name) ?: default
+
+flyway {
+    url = "jdbc:${flyway.scheme}://\${env("DB_HOST", "localhost")}:\${env("DB_PORT", "${flyway.port}")}/\${env("DB_NAME", "${serviceName}")}"
+    user = env("DB_USER", "${serviceName}")
+    password = System.getenv("DB_PASSWORD")
+    locations = arrayOf("classpath:db/migration")
+    configurations = arrayOf("runtimeClasspath")
+}` : '';
+
+  return `${kotlinImports}plugins {
+    java${kotlinPlugins}
+    id("org.springframework.boot") version "${springBootVersion}"
+    id("io.spring.dependency-management") version "${springDependencyManagementVersion(springBootVersion)}"${flywayPlugin}
+}
+
+group = "com.example"
+version = "1.0.0"
+description = "Spring Boot Service"
+
+java {
+    sourceCompatibility = JavaVersion.VERSION_${javaVersion}
+    targetCompatibility = JavaVersion.VERSION_${javaVersion}
+}
+
+repositories {
+    mavenCentral()
+}
+
+dependencies {
+    implementation("org.springframework.boot:spring-boot-starter-web")
+    implementation("org.springframework.boot:spring-boot-starter-actuator")
+    developmentOnly("org.springframework.boot:spring-boot-devtools")
+    testImplementation("org.springframework.boot:spring-boot-starter-test")${kotlinDeps}${persistenceDeps}
+}${kotlinAllOpen}
+
+tasks.withType<JavaCompile> {
+    options.encoding = "UTF-8"
+}${kotlinCompile}
+
+tasks.withType<Test> {
+    useJUnitPlatform()
+}
+
+// Only build the executable Spring Boot jar, not the plain jar
+tasks.named<Jar>("jar") {
+    enabled = false
+}${flywayConfig}
+`;
+}
+
+function generateSettingsGradleKts(serviceName) {
+  return `rootProject.name = "${serviceName}"
+`;
+}
+
+function generateGradleWrapperProperties() {
+  return `distributionBase=GRADLE_USER_HOME
+distributionPath=wrapper/dists
+distributionUrl=https\\://services.gradle.org/distributions/gradle-${GRADLE_VERSION}-bin.zip
+networkTimeout=10000
+validateDistributionUrl=true
+zipStoreBase=GRADLE_USER_HOME
+zipStorePath=wrapper/dists
+`;
+}
+
 function generateApplicationProperties(port, serviceName, persistence = 'none') {
   const baseConfig = `# Server Configuration
 server.port=${port}
@@ -1040,27 +2959,7 @@ management.health.readinessState.enabled=true
 logging.level.root=INFO
 logging.level.com.example=DEBUG`;
 
-  const postgresqlConfig = persistence === 'postgresql' ? `
-
-# PostgreSQL Database Configuration
-spring.datasource.url=jdbc:postgresql://\${DB_HOST:${serviceName}-postgres}:\${DB_PORT:5432}/\${DB_NAME:${serviceName}}
-spring.datasource.username=\${DB_USER:${serviceName}}
-spring.datasource.password=\${DB_PASSWORD:password}
-spring.datasource.driver-class-name=org.postgresql.Driver
-
-# JPA Configuration
-spring.jpa.hibernate.ddl-auto=validate
-spring.jpa.show-sql=false
-spring.jpa.properties.hibernate.dialect=org.hibernate.dialect.PostgreSQLDialect
-spring.jpa.properties.hibernate.format_sql=true
-
-# Flyway Configuration
-spring.flyway.enabled=true
-spring.flyway.locations=classpath:db/migration
-spring.flyway.baseline-on-migrate=true
-spring.flyway.baseline-version=0` : '';
-
-  return baseConfig + postgresqlConfig + '\n';
+  return baseConfig + getPersistenceProvider(persistence).properties(serviceName) + '\n';
 }
 
 function generateApplicationClass(packageName, className) {
@@ -1082,8 +2981,9 @@ public class ${className} {
 
 function generateController(packageName, className, serviceName, persistence = 'none') {
   const displayName = serviceName.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+  const persistenceProvider = getPersistenceProvider(persistence);
   
-  if (persistence === 'postgresql') {
+  if (persistenceProvider.store) {
     return `package ${packageName};
 
 import org.springframework.beans.factory.annotation.Autowired;
@@ -1105,9 +3005,9 @@ public class ${className} {
     public Map<String, Object> root() {
         Map<String, Object> response = new HashMap<>();
         response.put("service", "${serviceName}");
-        response.put("message", "Welcome to ${displayName} with PostgreSQL!");
+        response.put("message", "Welcome to ${displayName} with ${persistenceProvider.title}!");
         response.put("status", "running");
-        response.put("database", "PostgreSQL connected");
+        response.put("database", "${persistenceProvider.title} connected");
         response.put("totalRecords", helloWorldRepository.count());
         return response;
     }
@@ -1117,7 +3017,7 @@ public class ${className} {
         Map<String, String> response = new HashMap<>();
         response.put("status", "UP");
         response.put("service", "${serviceName}");
-        response.put("database", "PostgreSQL connected");
+        response.put("database", "${persistenceProvider.title} connected");
         return response;
     }
 
@@ -1127,7 +3027,7 @@ public class ${className} {
         response.put("name", "${serviceName}");
         response.put("version", "1.0.0");
         response.put("description", "${displayName} Service");
-        response.put("persistence", "PostgreSQL + Flyway");
+        response.put("persistence", "${persistenceProvider.label}");
         return response;
     }
     
@@ -1187,10 +3087,110 @@ public class ${className} {
   }
 }
 
-function generateDockerfile(serviceName, javaVersion) {
-  const baseImage = javaVersion === '11' ? 'maven:3.9-eclipse-temurin-11' : 
+function generateKotlinApplicationClass(packageName, className) {
+  return `package ${packageName}
+
+import org.springframework.boot.autoconfigure.SpringBootApplication
+import org.springframework.boot.runApplication
+
+@SpringBootApplication
+class ${className}
+
+fun main(args: Array<String>) {
+    runApplication<${className}>(*args)
+}
+`;
+}
+
+function generateKotlinController(packageName, className, serviceName, persistence = 'none') {
+  const displayName = serviceName.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+  const persistenceProvider = getPersistenceProvider(persistence);
+
+  if (persistenceProvider.store) {
+    return `package ${packageName}
+
+import org.springframework.web.bind.annotation.GetMapping
+import org.springframework.web.bind.annotation.PostMapping
+import org.springframework.web.bind.annotation.RequestBody
+import org.springframework.web.bind.annotation.RestController
+
+@RestController
+class ${className}(private val helloWorldRepository: HelloWorldRepository) {
+
+    @GetMapping("/")
+    fun root(): Map<String, Any> = mapOf(
+        "service" to "${serviceName}",
+        "message" to "Welcome to ${displayName} with ${persistenceProvider.title}!",
+        "status" to "running",
+        "database" to "${persistenceProvider.title} connected",
+        "totalRecords" to helloWorldRepository.count()
+    )
+
+    @GetMapping("/health")
+    fun health(): Map<String, String> = mapOf(
+        "status" to "UP",
+        "service" to "${serviceName}",
+        "database" to "${persistenceProvider.title} connected"
+    )
+
+    @GetMapping("/info")
+    fun info(): Map<String, String> = mapOf(
+        "name" to "${serviceName}",
+        "version" to "1.0.0",
+        "description" to "${displayName} Service",
+        "persistence" to "${persistenceProvider.label}"
+    )
+
+    @GetMapping("/hello-world")
+    fun getAllHelloWorld(): List<HelloWorld> = helloWorldRepository.findAll()
+
+    @PostMapping("/hello-world")
+    fun createHelloWorld(@RequestBody request: Map<String, String>): HelloWorld =
+        helloWorldRepository.save(HelloWorld(nickname = request["nickname"].orEmpty()))
+
+}
+`;
+  } else {
+    return `package ${packageName}
+
+import org.springframework.web.bind.annotation.GetMapping
+import org.springframework.web.bind.annotation.RestController
+
+@RestController
+class ${className} {
+
+    @GetMapping("/")
+    fun root(): Map<String, String> = mapOf(
+        "service" to "${serviceName}",
+        "message" to "Welcome to ${displayName}",
+        "status" to "running"
+    )
+
+    @GetMapping("/health")
+    fun health(): Map<String, String> = mapOf(
+        "status" to "UP",
+        "service" to "${serviceName}"
+    )
+
+    @GetMapping("/info")
+    fun info(): Map<String, String> = mapOf(
+        "name" to "${serviceName}",
+        "version" to "1.0.0",
+        "description" to "${displayName} Service"
+    )
+
+}
+`;
+  }
+}
+
+function generateDockerfile(serviceName, javaVersion, buildTool = 'maven') {
+  const baseImage = buildTool === 'gradle' ? `gradle:${GRADLE_VERSION}-jdk${javaVersion}` :
+                    javaVersion === '11' ? 'maven:3.9-eclipse-temurin-11' : 
                     javaVersion === '17' ? 'maven:3.9-eclipse-temurin-17' :
                     'maven:3.9-eclipse-temurin-21';
+  const buildCommand = buildTool === 'gradle' ? 'gradle bootJar --no-daemon -x test' : 'mvn clean package -DskipTests';
+  const jarPath = buildTool === 'gradle' ? 'build/libs' : 'target';
   
   // Use standard runtime images for better cross-platform compatibility
   const runtimeImage = `eclipse-temurin:${javaVersion}-jre`;
@@ -1199,12 +3199,12 @@ function generateDockerfile(serviceName, javaVersion) {
 FROM ${baseImage} AS builder
 WORKDIR /build
 COPY . .
-RUN mvn clean package -DskipTests
+RUN ${buildCommand}
 
 # Runtime stage
 FROM ${runtimeImage}
 WORKDIR /app
-COPY --from=builder /build/target/*.jar app.jar
+COPY --from=builder /build/${jarPath}/*.jar app.jar
 
 # Create spring user (handle existing user gracefully)
 RUN (adduser -D -u 1001 spring 2>/dev/null || useradd -r -u 1001 spring 2>/dev/null || true) && \\
@@ -1219,30 +3219,30 @@ ENTRYPOINT ["java", "-jar", "app.jar"]
 function generateK8sDeployment(serviceName, originalServiceName, owner, port, namespace, persistence = 'none') {
   const nsBlock = namespace ? `  namespace: ${namespace}\n` : '';
   
-  // Determine environment label based on namespace
-  const environmentLabel = namespace === 'development' ? 'development' : 
-                          namespace === 'stage' ? 'stage' : 
-                          namespace === 'backstage-prod' ? 'production' : 
-                          'other';
+  // Environment label of the namespace's configured environment; none without
+  // a namespace (kustomize bases)
+  const environmentLabel = namespace ? `\n    environment: ${environments.labelFor(namespace)}` : '';
   
-  // PostgreSQL environment variables
-  const postgresEnvVars = persistence === 'postgresql' ? `
+  // Database connection environment variables
+  const persistenceProvider = getPersistenceProvider(persistence);
+  const dbHost = persistenceProvider.database ? databaseName(persistenceProvider, serviceName) : null;
+  const databaseEnvVars = dbHost ? `
         env:
         - name: DB_HOST
-          value: "${serviceName}-postgres"
+          value: "${dbHost}"
         - name: DB_PORT
-          value: "5432"
+          value: "${persistenceProvider.database.port}"
         - name: DB_NAME
           value: "${serviceName}"
         - name: DB_USER
           valueFrom:
             secretKeyRef:
-              name: ${serviceName}-postgres-secret
+              name: ${dbHost}-secret
               key: username
         - name: DB_PASSWORD
           valueFrom:
             secretKeyRef:
-              name: ${serviceName}-postgres-secret
+              name: ${dbHost}-secret
               key: password` : '';
   
   return `apiVersion: apps/v1
@@ -1251,8 +3251,7 @@ metadata:
   name: ${serviceName}
 ${nsBlock}  labels:
     app: ${serviceName}
-    owner: ${owner}
-    environment: ${environmentLabel}
+    owner: ${owner}${environmentLabel}
 spec:
   replicas: 2
   selector:
@@ -1262,16 +3261,15 @@ spec:
     metadata:
       labels:
         app: ${serviceName}
-        owner: ${owner}
-        environment: ${environmentLabel}
+        owner: ${owner}${environmentLabel.replace('\n', '\n    ')}
     spec:
       containers:
       - name: ${serviceName}
-        image: ${originalServiceName}:v1
-        imagePullPolicy: Never
+        image: ${buildBackend.imageFor(originalServiceName)}
+        imagePullPolicy: ${buildBackend.pullPolicy}
         ports:
         - containerPort: ${port}
-          name: http${postgresEnvVars}
+          name: http${databaseEnvVars}
         livenessProbe:
           httpGet:
             path: /actuator/health/liveness
@@ -1296,24 +3294,21 @@ spec:
 `;
 }
 
-function generateK8sService(serviceName, port, namespace) {
+function generateK8sService(serviceName, port, namespace, type = 'NodePort') {
   const nsBlock = namespace ? `  namespace: ${namespace}\n` : '';
   
-  // Determine environment label based on namespace
-  const environmentLabel = namespace === 'development' ? 'development' : 
-                          namespace === 'stage' ? 'stage' : 
-                          namespace === 'backstage-prod' ? 'production' : 
-                          'other';
+  // Environment label of the namespace's configured environment; none without
+  // a namespace (kustomize bases)
+  const environmentLabel = namespace ? `\n    environment: ${environments.labelFor(namespace)}` : '';
   
   return `apiVersion: v1
 kind: Service
 metadata:
   name: ${serviceName}-service
 ${nsBlock}  labels:
-    app: ${serviceName}
-    environment: ${environmentLabel}
+    app: ${serviceName}${environmentLabel}
 spec:
-  type: NodePort
+  type: ${type}
   ports:
   - port: ${port}
     targetPort: ${port}
@@ -1324,26 +3319,41 @@ spec:
 `;
 }
 
-function generateCatalogInfo(serviceName, owner, description) {
-  const githubRepo = GITHUB_ENABLED ? `${GITHUB_OWNER}/${serviceName}` : `${owner}/${serviceName}`;
+function generateCatalogInfo(serviceName, owner, description, route, annotations, { system, dependsOn = [] } = {}) {
+  const sourceBlock = Object.entries(annotations).map(([key, value]) => `    ${key}: ${value}\n`).join('');
+  const urlAnnotation = route ? `\n    backstage.io/service-url: ${route.url}` : '';
+  const systemLine = system ? `  system: ${system}\n` : '';
+  const dependsOnBlock = dependsOn.length > 0 ? `\n${dependsOn.map(ref => `    - ${ref}`).join('\n')}` : ' []';
   return `apiVersion: backstage.io/v1alpha1
 kind: Component
 metadata:
   name: ${serviceName}
   description: ${description}
   annotations:
-    github.com/project-slug: ${githubRepo}
-    backstage.io/kubernetes-label-selector: 'app=${serviceName}'
+${sourceBlock}    backstage.io/kubernetes-label-selector: 'app=${serviceName}'${urlAnnotation}
 spec:
   type: service
   owner: ${owner}
   lifecycle: production
-  dependsOn: []
+${systemLine}  dependsOn:${dependsOnBlock}
   subcomponentOf: null
 `;
 }
 
-function generateReadme(serviceName, description, port, java_version) {
+// Deploy commands of the generated README for each k8s format
+function readmeDeployCommands(k8sFormat, serviceName, namespace) {
+  const environment = namespace ? environments.forNamespace(namespace).name : environments.list()[0].name;
+  const targetNamespace = namespace || environments.get(environment).namespace;
+  if (k8sFormat === 'helm') {
+    return `helm upgrade --install ${serviceName} k8s/chart -f k8s/chart/values-${environment}.yaml -n ${targetNamespace}`;
+  }
+  if (k8sFormat === 'kustomize') {
+    return `kubectl apply -k k8s/overlays/${environment}`;
+  }
+  return 'kubectl apply -f k8s/deployment.yaml\nkubectl apply -f k8s/service.yaml';
+}
+
+function generateReadme(serviceName, description, port, java_version, buildTool = 'maven', language = 'java', k8sFormat = 'manifests', namespace = null) {
   const displayName = serviceName.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
   
   // Determine Spring Boot version based on Java version
@@ -1353,6 +3363,16 @@ function generateReadme(serviceName, description, port, java_version) {
   } else {
     springBootVersion = '3.2+';
   }
+
+  const isGradle = buildTool === 'gradle';
+  const buildToolPrerequisite = isGradle ? `Gradle ${GRADLE_VERSION}+ (only to generate the wrapper)` : 'Maven 3.9+';
+  const buildCommands = isGradle
+    ? `# Generate the wrapper scripts once (configured in gradle/wrapper)
+gradle wrapper --gradle-version ${GRADLE_VERSION}
+
+./gradlew build`
+    : 'mvn clean package';
+  const runCommand = isGradle ? './gradlew bootRun' : 'mvn spring-boot:run';
   
   return `# ${displayName}
 
@@ -1362,20 +3382,20 @@ ${description}
 
 ### Prerequisites
 - Java ${java_version}+
-- Maven 3.9+
+- ${buildToolPrerequisite}
 - Docker (optional)
 - Kubernetes/minikube (optional)
 
 ### Build
 
 \`\`\`bash
-mvn clean package
+${buildCommands}
 \`\`\`
 
 ### Run Locally
 
 \`\`\`bash
-mvn spring-boot:run
+${runCommand}
 \`\`\`
 
 Service will be available at \`http://localhost:${port}\`
@@ -1389,19 +3409,18 @@ Service will be available at \`http://localhost:${port}\`
 ## Docker
 
 \`\`\`bash
-docker build -t ${serviceName}:v1 .
-docker run -p ${port}:${port} ${serviceName}:v1
+docker build -t ${serviceName}:latest .
+docker run -p ${port}:${port} ${serviceName}:latest
 \`\`\`
 
 ## Kubernetes Deployment
 
 \`\`\`bash
-# Load image to minikube
-minikube image load ${serviceName}:v1
+# Build and publish the image
+${buildBackend.manualSteps(serviceName).join('\n')}
 
 # Deploy
-kubectl apply -f k8s/deployment.yaml
-kubectl apply -f k8s/service.yaml
+${readmeDeployCommands(k8sFormat, serviceName, namespace)}
 
 # Port forward
 kubectl port-forward svc/${serviceName}-service ${port}:${port}
@@ -1412,7 +3431,8 @@ Access at \`http://localhost:${port}\`
 ## Architecture
 
 - **Framework**: Spring Boot ${springBootVersion}
-- **Language**: Java ${java_version}
+- **Language**: ${language === 'kotlin' ? `Kotlin ${KOTLIN_VERSION} (JVM ${java_version})` : `Java ${java_version}`}
+- **Build**: ${isGradle ? 'Gradle (Kotlin DSL)' : 'Maven'}
 - **Containerization**: Docker
 - **Orchestration**: Kubernetes
 
@@ -1422,15 +3442,23 @@ MIT
 `;
 }
 
-function generateGitignore() {
-  return `# Maven
+function generateGitignore(buildTool = 'maven') {
+  const buildToolBlock = buildTool === 'gradle' ? `# Gradle
+.gradle/
+build/
+*.jar
+*.war
+*.ear
+!gradle/wrapper/gradle-wrapper.jar` : `# Maven
 target/
 .classpath
 .project
 .settings/
 *.jar
 *.war
-*.ear
+*.ear`;
+
+  return `${buildToolBlock}
 
 # IDE
 .idea/
@@ -1452,17 +3480,17 @@ node_modules/
 .env
 .env.local
 .env.*.local
+
+# Kubernetes secrets (database credentials are created in the cluster)
+k8s/*-secret.yaml
 `;
 }
 
 // Download endpoint - creates a tar.gz of the project
-app.get('/download/:serviceName', async (req, res) => {
+app.get('/download/:serviceName', auth.requireRole('viewer'), async (req, res) => {
   try {
     const { serviceName } = req.params;
     
-    if (!serviceName || !/^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(serviceName)) {
-      return res.status(400).json({ error: 'Invalid service name' });
-    }
     
     const projectDir = path.join(PROJECTS_DIR, serviceName);
     
@@ -1474,7 +3502,7 @@ app.get('/download/:serviceName', async (req, res) => {
     
     // Create tar.gz archive
     const archivePath = path.join('/tmp', `${serviceName}.tar.gz`);
-    execSync(`cd "${PROJECTS_DIR}" && tar -czf "${archivePath}" "${serviceName}"`, { stdio: 'pipe' });
+    await run('tar', ['-czf', archivePath, '-C', PROJECTS_DIR, serviceName]);
     
     res.download(archivePath, `${serviceName}.tar.gz`, (err) => {
       // Clean up temporary file after sending
@@ -1496,13 +3524,11 @@ app.get('/download/:serviceName', async (req, res) => {
 });
 
 // Deploy endpoint - deploys the service to Kubernetes with streaming logs
-app.get('/api/deploy/:serviceName/stream', async (req, res) => {
+app.get('/api/deploy/:serviceName/stream', auth.requireRole('creator'), requireServiceOwner, async (req, res) => {
   const { serviceName } = req.params;
   const port = req.query.port || 8080;
+  const timeoutMs = rolloutTimeoutMs(req.query.timeout);
   
-  if (!serviceName || !/^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(serviceName)) {
-    return res.status(400).json({ error: 'Invalid service name' });
-  }
   
   const projectDir = path.join(PROJECTS_DIR, serviceName);
   
@@ -1530,17 +3556,9 @@ app.get('/api/deploy/:serviceName/stream', async (req, res) => {
       return res.end();
     }
     
-    // Read scaffold metadata for namespace
-    let namespace = null;
-    try {
-      const metaPath = path.join(projectDir, 'scaffold-metadata.json');
-      if (fs.existsSync(metaPath)) {
-        const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
-        namespace = meta && meta.namespace ? meta.namespace : null;
-      }
-    } catch (err) {
-      // ignore
-    }
+    // The manifests on disk are rendered for the service's first environment;
+    // other environments are reached through promotion
+    const namespace = environments.namespacesOf(readServiceMetadata(serviceName))[0] || null;
 
     // If namespace is provided, optionally ensure it exists. By default we
     // avoid creating namespaces because the scaffolder ServiceAccount may not
@@ -1550,14 +3568,14 @@ app.get('/api/deploy/:serviceName/stream', async (req, res) => {
       if (process.env.ALLOW_NAMESPACE_CREATION === 'true') {
         sendEvent({ log: `Ensuring namespace '${namespace}' exists...` });
         try {
-          execSync(`kubectl create namespace ${namespace} --dry-run=client -o yaml | kubectl apply -f -`, { stdio: 'pipe' });
+          await kube.apply({ apiVersion: 'v1', kind: 'Namespace', metadata: { name: namespace } });
           sendEvent({ log: `Namespace ${namespace} ensured` });
         } catch (err) {
           // If we lack RBAC to check/create namespaces, warn and continue —
           // the namespace may already exist (or the cluster admin can create
           // it). Don't abort deployment on Forbidden errors.
           const msg = err && err.message ? err.message : String(err);
-          if (msg.includes('Forbidden') || msg.includes('cannot get resource') ) {
+          if (err instanceof ForbiddenError) {
             sendEvent({ log: `Namespace ensure skipped due to RBAC: ${msg}` });
           } else {
             sendEvent({ error: `Failed to ensure namespace ${namespace}: ${msg}` });
@@ -1569,324 +3587,975 @@ app.get('/api/deploy/:serviceName/stream', async (req, res) => {
       }
     }
 
-    // If there's a Dockerfile, attempt to build the image so the cluster can pull it
+    // Build the image to deploy; without it the rollout cannot succeed
+    let builtImage;
+    if (fs.existsSync(path.join(projectDir, 'Dockerfile'))) {
+      try {
+        ({ image: builtImage } = await buildImage(serviceName, projectDir, namespace, (message) => sendEvent({ log: message })));
+      } catch (error) {
+        sendEvent({ error: error.message });
+        return res.end();
+      }
+    } else {
+      sendEvent({ log: 'No Dockerfile present — skipping image build' });
+    }
+
+    // Render the manifests of the service's format, then apply them: the
+    // database must be ready before the application is deployed
+    let objects;
+    try {
+      const renderOptions = { releaseName: serviceName, namespace, environment: namespace ? environments.forNamespace(namespace).name : null };
+      const command = renderCommand(k8sDir, detectK8sFormat(k8sDir), renderOptions);
+      if (command) {
+        sendEvent({ log: `Running: ${formatCommand(command.command, command.args)}` });
+      }
+      objects = await renderK8sObjects(k8sDir, renderOptions);
+    } catch (error) {
+      sendEvent({ error: `Failed to render manifests: ${error.message}` });
+      return res.end();
+    }
+
+    sendEvent({ log: 'Applying Kubernetes deployment...' });
+    try {
+      const { image } = await deployManifests(serviceName, objects, namespace, {
+        log: (message) => sendEvent({ log: message }),
+        image: builtImage,
+        rolloutTimeoutMs: timeoutMs,
+        databaseTimeoutMs: 90000,
+        requireDatabase: true
+      });
+      sendEvent({ log: '✓ Rollout complete' });
+      if (namespace) {
+        recordDeployment(serviceName, environments.forNamespace(namespace).name, image, { by: req.user ? req.user.subject : null });
+      }
+    } catch (error) {
+      const failure = describeRolloutFailure(error);
+      sendEvent({ error: error.message, ...(failure ? { failure } : {}) });
+      return res.end();
+    }
+    
+    // Get pod logs
+    sendEvent({ log: '\n--- Pod Logs ---' });
+    try {
+      const pods = await kube.list('Pod', namespace, { labelSelector: `app=${serviceName}` });
+      for (const pod of pods.items.slice(0, 5)) {
+        sendEvent({ log: await kube.podLogs(pod.metadata.name, namespace, { tailLines: 50 }) });
+      }
+    } catch (error) {
+      sendEvent({ log: 'Could not retrieve logs yet' });
+    }
+    
+    // Success
+    sendEvent({ 
+      success: true,
+      log: `\n✓ Deployment complete! Service ${serviceName} is running on port ${port}`,
+      serviceName,
+      port
+    });
+    
+    res.end();
+    
+  } catch (error) {
+    sendEvent({ error: error.message });
+    res.end();
+  }
+});
+
+// Build a service's image with the configured build backend
+app.post('/api/build-image/:serviceName', auth.requireRole('creator'), requireServiceOwner, async (req, res) => {
+  try {
+    const { serviceName } = req.params;
+    const { environment: environmentName, namespace: requestedNamespace } = req.body || {};
+
+    const projectDir = path.join(PROJECTS_DIR, serviceName);
+    if (!fs.existsSync(projectDir)) {
+      return res.status(404).json({ 
+        error: `Service ${serviceName} not found in scaffolded projects`,
+        availableServices: fs.readdirSync(PROJECTS_DIR).filter(dir => 
+          fs.statSync(path.join(PROJECTS_DIR, dir)).isDirectory()
+        )
+      });
+    }
+
+    // The build rolls out to a configured environment, named or by namespace,
+    // by default the service's first one
+    const environment = environmentName ? environments.get(environmentName)
+      : requestedNamespace ? environments.list().find(candidate => candidate.namespace === requestedNamespace)
+      : environments.forNamespace(primaryNamespace(readServiceMetadata(serviceName)));
+    if (!environment) {
+      return res.status(400).json({
+        error: environmentName ? `Unknown environment '${environmentName}'` : `Namespace '${requestedNamespace}' is not the namespace of a configured environment`,
+        environments: environments.list().map(candidate => candidate.name)
+      });
+    }
+    const { namespace } = environment;
+
+    console.log(`[BUILD-IMAGE] Starting image build for ${serviceName} in namespace ${namespace}`);
+    
+    const dockerfilePath = path.join(projectDir, 'Dockerfile');
+    if (!fs.existsSync(dockerfilePath)) {
+      return res.status(400).json({ 
+        error: `No Dockerfile found for service ${serviceName}`,
+        projectPath: projectDir
+      });
+    }
+    
+    const log = (message) => console.log(`[BUILD-IMAGE] ${message}`);
+    let build;
+    try {
+      console.log(`[BUILD-IMAGE] Building image for ${serviceName} (${buildBackend.name})`);
+      build = await buildImage(serviceName, projectDir, namespace, log);
+    } catch (buildError) {
+      console.error(`[BUILD-IMAGE] Build failed: ${buildError.message}`);
+
+      if (buildError.message.includes('Cannot connect to the Docker daemon')) {
+        return res.status(503).json({
+          error: 'Docker daemon not available',
+          message: 'Cannot build image - Docker daemon is not accessible from this container',
+          manualSteps: [
+            `kubectl cp backstage-prod/$(kubectl get pods -n backstage-prod -l app=scaffolder-service -o jsonpath='{.items[0].metadata.name}'):/projects/scaffolded-projects/${serviceName} /tmp/${serviceName}`,
+            `cd /tmp/${serviceName}`,
+            ...buildBackend.manualSteps(serviceName),
+            `kubectl set image deployment/${serviceName} ${serviceName}=${buildBackend.imageFor(serviceName)} -n ${namespace}`
+          ]
+        });
+      }
+      return res.status(500).json({
+        error: 'Image build failed',
+        message: buildError.message,
+        backend: buildBackend.name,
+        logs: buildError.logs || null,
+        projectPath: projectDir
+      });
+    }
+
+    // Move the Deployment to the new build, if the service is deployed there
+    let deployed = false;
+    try {
+      await setServiceImage(serviceName, namespace, build.image, { log, rolloutTimeoutMs: rolloutTimeoutMs(req.body.timeout) });
+      recordDeployment(serviceName, environments.forNamespace(namespace).name, build.image, { by: req.user ? req.user.subject : null });
+      deployed = true;
+      console.log(`[BUILD-IMAGE] ✅ Deployed ${build.image} to ${namespace}`);
+    } catch (deployError) {
+      if (!(deployError instanceof NotFoundError)) {
+        const failure = describeRolloutFailure(deployError);
+        updateEnvironmentState(serviceName, environments.forNamespace(namespace).name, { status: 'failed', error: deployError.message });
+        return res.status(500).json({ error: deployError.message, ...(failure ? { failure } : {}), build });
+      }
+      console.log(`[BUILD-IMAGE] No deployment ${serviceName} in ${namespace}, image not deployed`);
+    }
+
+    res.json({
+      success: true,
+      message: `Image built successfully for ${serviceName}`,
+      imageName: build.image,
+      build,
+      backend: buildBackend.name,
+      namespace: namespace,
+      deployed,
+      projectPath: projectDir,
+      actions: [
+        ...buildBackend.plan(serviceName, projectDir, namespace, build.tag).map(action => action.description),
+        deployed ? `Deployed ${build.tag} to ${namespace}` : `No deployment in ${namespace} to update`
+      ]
+    });
+
+  } catch (error) {
+    console.error('[BUILD-IMAGE ERROR]', error);
+    res.status(500).json({ 
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Rotate the database password of a service: store it in the Secret, change
+// it in the database and restart the Deployment to pick it up
+app.post('/api/rotate-db-password/:serviceName', auth.requireRole('creator'), requireServiceOwner, async (req, res) => {
+  const { serviceName } = req.params;
+
+  try {
+    const projectDir = path.join(PROJECTS_DIR, serviceName);
+    if (!fs.existsSync(projectDir)) {
+      return res.status(404).json({ error: `Service ${serviceName} not found in scaffolded projects` });
+    }
+
+    // Each environment has its own database; the first one unless another is named
+    const meta = readServiceMetadata(serviceName);
+    const { environment } = req.body || {};
+    const state = environment ? environments.statesOf(meta)[environment] : null;
+    if (environment && !state) {
+      return res.status(404).json({ error: `Service ${serviceName} is not deployed to environment ${environment}` });
+    }
+    const namespace = state ? state.namespace : primaryNamespace(meta);
+
+    const metaProvider = getPersistenceProvider(meta.persistence);
+    const provider = metaProvider && metaProvider.database ? metaProvider : findDatabaseProvider(path.join(projectDir, 'k8s'));
+    if (!provider) {
+      return res.status(400).json({ error: `Service ${serviceName} has no database to rotate credentials for` });
+    }
+
+    const secretName = databaseSecretName(provider, serviceName);
+    let secret;
+    try {
+      secret = await kube.get('Secret', secretName, namespace);
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) throw error;
+      return res.status(404).json({ error: `Secret ${secretName} not found in namespace ${namespace}`, details: error.message });
+    }
+
+    const credentials = Object.fromEntries(
+      Object.entries(secret.data || {}).map(([key, value]) => [key, Buffer.from(value, 'base64').toString('utf8')])
+    );
+    const username = credentials.username || serviceName;
+    const password = generateDatabaseCredentials(provider, serviceName).password;
+
+    console.log(`[ROTATE] Rotating ${provider.title} password for ${serviceName} in ${namespace}`);
+
+    // The Secret is updated first: pods only read it on restart, and a Secret
+    // that fails to apply leaves the database untouched
+    const applySecret = (values) => applyManifestContent(
+      generateDatabaseSecret(provider, serviceName, namespace, { ...values, username }, environments.labelFor(namespace)),
+      namespace
+    );
+    await applySecret({ ...credentials, password });
+    console.log(`[ROTATE] Updated secret ${secretName}`);
+
+    // The script goes through stdin so the password never shows up in a process list
+    const { shell, script } = provider.database.changePassword;
+    try {
+      await kube.exec(`${databaseName(provider, serviceName)}-0`, namespace, ['sh', '-c', shell], {
+        container: provider.database.suffix,
+        input: script(username, password)
+      });
+    } catch (error) {
+      // The database still has the old password: put it back in the Secret
+      await applySecret(credentials);
+      console.error(`[ROTATE] Restored secret ${secretName} after the password change failed`);
+      throw error;
+    }
+    console.log(`[ROTATE] Changed password of database user ${username}`);
+
+    await kube.restartDeployment(serviceName, namespace);
+    console.log(`[ROTATE] ✅ Restarted deployment ${serviceName} in ${namespace}`);
+
+    res.json({
+      success: true,
+      message: `Database password rotated for ${serviceName}`,
+      database: databaseName(provider, serviceName),
+      secret: secretName,
+      namespace,
+      rotatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[ROTATE] Error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===============================
+// ENVIRONMENT PROMOTION
+// ===============================
+
+// service/environment pairs with a promotion or rollback in progress
+const activePromotions = new Set();
+
+/**
+ * Kubernetes objects of a service for an environment. A Helm chart or
+ * kustomization in the project is rendered for it; plain manifests are
+ * rendered from the template again, since they name their namespace.
+ * Services scaffolded before template parameters were recorded are rendered
+ * from the rest of their metadata.
+ */
+async function renderServiceObjects(serviceName, meta, environment) {
+  const k8sDir = path.join(PROJECTS_DIR, serviceName, 'k8s');
+  if (detectK8sFormat(k8sDir) !== 'manifests') {
+    return renderK8sObjects(k8sDir, { releaseName: serviceName, namespace: environment.namespace, environment: environment.name });
+  }
+
+  const template = templateRegistry.get(meta.template || DEFAULT_TEMPLATE);
+  if (!template) {
+    throw new Error(`Template '${meta.template}' of ${serviceName} is no longer available`);
+  }
+  const parameters = meta.parameters || {
+    description: meta.description,
+    owner: meta.owner,
+    port: meta.port,
+    java_version: meta.javaVersion,
+    build_tool: meta.buildTool,
+    language: meta.language,
+    persistence: meta.persistence
+  };
+
+  const files = template.render(buildTemplateValues({
+    ...parameters, component_id: serviceName, include_k8s: true, k8s_format: 'manifests'
+  }, environment.namespace));
+  return files
+    .filter(file => /^k8s\/[^/]+\.yaml$/.test(file.path))
+    .flatMap(file => parseManifest(file.content.toString()));
+}
+
+/**
+ * Deploy the image running in one environment to the next: the manifests are
+ * rendered again for the target namespace and the rollout is awaited. The
+ * target's state records the outcome either way.
+ */
+async function promoteService(serviceName, source, target, image, { promotedBy, approvedBy, rolloutTimeoutMs, log } = {}) {
+  const meta = readServiceMetadata(serviceName);
+  const route = serviceRoute({ ...meta.parameters, component_id: serviceName }, target.namespace);
+  updateEnvironmentState(serviceName, target.name, {
+    namespace: target.namespace, status: 'deploying', image, promotedFrom: source.name, url: route ? route.url : null, error: null
+  });
+
+  try {
+    if (process.env.ALLOW_NAMESPACE_CREATION === 'true') {
+      try {
+        await kube.apply({ apiVersion: 'v1', kind: 'Namespace', metadata: { name: target.namespace } });
+      } catch (error) {
+        if (!(error instanceof ForbiddenError)) throw error;
+        log(`Namespace ensure skipped due to RBAC: ${error.message}`);
+      }
+    }
+
+    const objects = await renderServiceObjects(serviceName, meta, target);
+    if (!objects.some(object => object.kind === 'Deployment' && object.metadata.name === serviceName)) {
+      throw new Error(`The manifests of ${serviceName} have no Deployment ${serviceName}`);
+    }
+    await deployManifests(serviceName, objects, target.namespace, { log, image, rolloutTimeoutMs });
+
+    return recordDeployment(serviceName, target.name, image, {
+      action: 'promote',
+      by: promotedBy || null,
+      promotedBy: promotedBy || null,
+      approvedBy: approvedBy || null
+    });
+  } catch (error) {
+    updateEnvironmentState(serviceName, target.name, { status: 'failed', error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Run work as a single-step background task and answer 202 with its ID.
+ * Progress streams from /api/tasks/:id/events like a scaffold's; the task's
+ * result holds what work resolves to. release is called once the task has
+ * ended (or could not be created).
+ * Resolves to { task, done }, done resolving to 'completed' or 'failed'.
+ */
+async function startBackgroundTask(res, { parameters, step, message, release }, work) {
+  let task;
+  try {
+    task = await createTask(parameters, [step]);
+  } catch (error) {
+    release();
+    throw error;
+  }
+
+  res.status(202).json({
+    success: true,
+    message,
+    taskId: task.id,
+    status: task.status,
+    links: {
+      task: `/api/tasks/${task.id}`,
+      events: `/api/tasks/${task.id}/events`
+    }
+  });
+
+  const done = (async () => {
+    task.status = 'processing';
+    await saveTask(task);
+    try {
+      task.result = await runTaskStep(task, step, work);
+      task.status = 'completed';
+    } catch (error) {
+      const failure = describeRolloutFailure(error);
+      task.status = 'failed';
+      task.error = error.message;
+      task.result = failure ? { failure } : null;
+    } finally {
+      release();
+      await saveTask(task);
+      publishTaskEvent(task, { type: task.status, task });
+      forgetTask(task);
+    }
+    return task.status;
+  })();
+  return { task, done };
+}
+
+/**
+ * Run a deployment of a service to an environment (a promotion or rollback)
+ * as a background task; see startBackgroundTask. Callers check
+ * activePromotions beforehand.
+ */
+function startDeploymentTask(res, { serviceName, environment, parameters, message }, deploy) {
+  const key = `${serviceName}/${environment.name}`;
+  activePromotions.add(key);
+  return startBackgroundTask(res, {
+    parameters: { ...parameters, serviceName, environment: environment.name },
+    step: 'deploy',
+    message,
+    release: () => activePromotions.delete(key)
+  }, deploy);
+}
+
+// Promote a service as a deployment task; see startDeploymentTask
+function startPromotion(res, serviceName, source, target, image, options) {
+  return startDeploymentTask(res, {
+    serviceName,
+    environment: target,
+    parameters: { action: 'promote', from: source.name, image, requestedBy: options.promotedBy || null, approvedBy: options.approvedBy || null },
+    message: `Promotion of ${serviceName} from ${source.name} to ${target.name} started`
+  }, async (log) => {
+    try {
+      const state = await promoteService(serviceName, source, target, image, { ...options, log });
+      console.log(`[PROMOTE] ✅ Promoted ${serviceName} to ${target.name} (${image})`);
+      return {
+        message: `Promoted ${serviceName} from ${source.name} to ${target.name}`,
+        serviceName,
+        environment: target.name,
+        namespace: target.namespace,
+        from: source.name,
+        image,
+        state
+      };
+    } catch (error) {
+      console.error(`[PROMOTE] ❌ Promotion of ${serviceName} to ${target.name} failed:`, error.message);
+      throw error;
+    }
+  });
+}
+
+// Per-environment state of a service, in promotion order
+app.get('/api/services/:serviceName/environments', auth.requireRole('viewer'), (req, res) => {
+  const { serviceName } = req.params;
+  if (!fs.existsSync(path.join(PROJECTS_DIR, serviceName))) {
+    return res.status(404).json({ error: `Service ${serviceName} not found` });
+  }
+
+  const meta = readServiceMetadata(serviceName);
+  const states = environments.statesOf(meta);
+  const configured = environments.list();
+  res.json({
+    serviceName,
+    environments: [
+      ...configured.map(environment => ({ ...environment, status: 'not_deployed', ...states[environment.name] })),
+      // Namespaces outside the configured environments, e.g. an older TARGET_NAMESPACE
+      ...Object.entries(states)
+        .filter(([name]) => !configured.some(environment => environment.name === name))
+        .map(([name, state]) => ({ name, requiresApproval: false, ...state }))
+    ],
+    promotionRequests: meta.promotionRequests || []
+  });
+});
+
+// Promote a service to an environment, by default from the one before it.
+// Promotions into gated environments are queued until an admin approves them.
+app.post('/api/services/:serviceName/promote', auth.requireRole('creator'), requireServiceOwner, async (req, res) => {
+  const { serviceName } = req.params;
+  const { environment, from, timeout } = req.body || {};
+
+  try {
+    if (!fs.existsSync(path.join(PROJECTS_DIR, serviceName))) {
+      return res.status(404).json({ error: `Service ${serviceName} not found` });
+    }
+
+    const target = environments.get(environment);
+    if (!target) {
+      return res.status(400).json({
+        error: `Unknown environment '${environment}'`,
+        environments: environments.list().map(candidate => candidate.name)
+      });
+    }
+    const source = from ? environments.get(from) : environments.previous(target.name);
+    if (!source) {
+      return res.status(400).json({
+        error: from ? `Unknown environment '${from}'` : `${target.name} is the first environment; there is nothing to promote from`
+      });
+    }
+    const order = environments.list().map(candidate => candidate.name);
+    if (order.indexOf(source.name) >= order.indexOf(target.name)) {
+      return res.status(400).json({ error: `Services are promoted forward only (${order.join(' -> ')})` });
+    }
+
+    const meta = readServiceMetadata(serviceName);
+    const sourceState = environments.statesOf(meta)[source.name];
+    if (!sourceState || !['deployed', 'unknown'].includes(sourceState.status)) {
+      return res.status(409).json({ error: `Service ${serviceName} is not deployed to ${source.name}` });
+    }
+
+    // The image running in the source environment is what gets promoted
+    let image;
+    try {
+      image = deploymentImage(await kube.get('Deployment', serviceName, sourceState.namespace), serviceName);
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) throw error;
+      return res.status(409).json({ error: `Deployment ${serviceName} not found in ${sourceState.namespace}` });
+    }
+
+    const requestedBy = req.user ? req.user.subject : null;
+    if (target.requiresApproval) {
+      const requests = meta.promotionRequests || [];
+      const pending = requests.find(request => request.environment === target.name && request.status === 'pending');
+      if (pending) {
+        return res.status(409).json({ error: `A promotion of ${serviceName} to ${target.name} is already awaiting approval`, request: pending });
+      }
+
+      const request = {
+        id: crypto.randomUUID(),
+        environment: target.name,
+        from: source.name,
+        image,
+        status: 'pending',
+        requestedBy,
+        requestedAt: new Date().toISOString()
+      };
+      writeServiceMetadata(serviceName, { ...meta, promotionRequests: [...requests, request] });
+      console.log(`[PROMOTE] Promotion of ${serviceName} to ${target.name} awaits approval (${request.id})`);
+
+      return res.status(202).json({
+        success: true,
+        message: `Promotion of ${serviceName} to ${target.name} requires approval`,
+        request,
+        links: {
+          approve: `/api/services/${serviceName}/promotions/${request.id}/approve`,
+          reject: `/api/services/${serviceName}/promotions/${request.id}/reject`
+        }
+      });
+    }
+
+    if (activePromotions.has(`${serviceName}/${target.name}`)) {
+      return res.status(409).json({ error: `A promotion of ${serviceName} to ${target.name} is already in progress` });
+    }
+    await startPromotion(res, serviceName, source, target, image, {
+      promotedBy: requestedBy,
+      rolloutTimeoutMs: rolloutTimeoutMs(timeout)
+    });
+  } catch (error) {
+    console.error('[PROMOTE] Error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pending promotion request of a service, or an error response
+function findPendingPromotion(req, res) {
+  const { serviceName, id } = req.params;
+  const request = (readServiceMetadata(serviceName).promotionRequests || []).find(candidate => candidate.id === id);
+  if (!request) {
+    res.status(404).json({ error: `Promotion request ${id} not found for ${serviceName}` });
+    return null;
+  }
+  if (request.status !== 'pending') {
+    res.status(409).json({ error: `Promotion request ${id} is already ${request.status}`, request });
+    return null;
+  }
+  return request;
+}
+
+// Record the decision on a promotion request
+function decidePromotion(serviceName, id, changes) {
+  const meta = readServiceMetadata(serviceName);
+  const requests = (meta.promotionRequests || []).map(request => request.id === id ? { ...request, ...changes } : request);
+  writeServiceMetadata(serviceName, { ...meta, promotionRequests: requests });
+  return requests.find(request => request.id === id);
+}
+
+// Approve a pending promotion and start it as a task. Nobody approves their
+// own request.
+app.post('/api/services/:serviceName/promotions/:id/approve', auth.requireRole('admin'), async (req, res) => {
+  const { serviceName, id } = req.params;
+  try {
+    const request = findPendingPromotion(req, res);
+    if (!request) return;
+
+    const approvedBy = req.user ? req.user.subject : null;
+    if (auth.enabled && approvedBy === request.requestedBy) {
+      return res.status(403).json({ error: 'Forbidden: a promotion must be approved by someone other than its requester' });
+    }
+
+    const source = environments.get(request.from);
+    const target = environments.get(request.environment);
+    if (!source || !target) {
+      return res.status(409).json({ error: `Environment ${source ? request.environment : request.from} is no longer configured` });
+    }
+
+    if (activePromotions.has(`${serviceName}/${target.name}`)) {
+      return res.status(409).json({ error: `A promotion of ${serviceName} to ${target.name} is already in progress` });
+    }
+
+    decidePromotion(serviceName, id, { status: 'approved', decidedBy: approvedBy, decidedAt: new Date().toISOString() });
+    console.log(`[PROMOTE] Promotion ${id} of ${serviceName} to ${target.name} approved by ${approvedBy || 'anonymous'}`);
+
+    let started;
     try {
-      const dockerfilePath = path.join(projectDir, 'Dockerfile');
-      if (fs.existsSync(dockerfilePath)) {
-        sendEvent({ log: 'Dockerfile found — building image locally...' });
-        try {
-          // Build image using host docker (socket must be mounted)
-          const buildCmd = `docker build -t ${serviceName}:v1 "${projectDir}"`;
-          sendEvent({ log: `Running: ${buildCmd}` });
-          const buildOutput = execSync(buildCmd, { encoding: 'utf8', stdio: 'pipe' });
-          sendEvent({ log: buildOutput });
-          sendEvent({ log: `Docker image ${serviceName}:v1 built successfully` });
-
-          // Load image into Minikube so it's available for deployment
-          sendEvent({ log: `Loading image into Minikube...` });
-          const loadCmd = `minikube image load ${serviceName}:v1`;
-          sendEvent({ log: `Running: ${loadCmd}` });
-          const loadOutput = execSync(loadCmd, { encoding: 'utf8', stdio: 'pipe' });
-          sendEvent({ log: loadOutput });
-          sendEvent({ log: `Image ${serviceName}:v1 loaded into Minikube successfully` });
-        } catch (err) {
-          sendEvent({ log: `Docker build or image load failed: ${err.message}` });
-          // continue — image might be available in registry
-        }
-      } else {
-        sendEvent({ log: 'No Dockerfile present — skipping image build' });
-      }
-    } catch (err) {
-      sendEvent({ log: `Error while checking/building Dockerfile: ${err.message}` });
+      started = await startPromotion(res, serviceName, source, target, request.image, {
+        promotedBy: request.requestedBy,
+        approvedBy,
+        rolloutTimeoutMs: rolloutTimeoutMs(req.body && req.body.timeout)
+      });
+    } catch (error) {
+      decidePromotion(serviceName, id, { status: 'failed' });
+      throw error;
     }
+    decidePromotion(serviceName, id, { taskId: started.task.id });
+    started.done
+      .then(outcome => decidePromotion(serviceName, id, { status: outcome }))
+      .catch(error => console.error(`[PROMOTE] Failed to record the outcome of promotion ${id}:`, error.message));
+  } catch (error) {
+    console.error('[PROMOTE] Error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Apply deployment
-    sendEvent({ log: 'Applying Kubernetes deployment...' });
-    
-    // First, apply PostgreSQL resources if they exist (in correct order)
-    const postgresFiles = [
-      'postgres-secret.yaml',
-      'postgres-service.yaml', 
-      'postgres-statefulset.yaml'
-    ];
-    
-    for (const file of postgresFiles) {
-      const filePath = path.join(k8sDir, file);
-      if (fs.existsSync(filePath)) {
-        sendEvent({ log: `Applying ${file}...` });
-        try {
-          const nsArg = namespace ? `-n ${namespace}` : '';
-          const output = execSync(`kubectl apply ${nsArg} -f "${filePath}"`, { encoding: 'utf8' });
-          sendEvent({ log: output.trim() });
-        } catch (error) {
-          sendEvent({ error: `Failed to apply ${file}: ${error.message}` });
-          return res.end();
-        }
-      }
+// Reject a pending promotion
+app.post('/api/services/:serviceName/promotions/:id/reject', auth.requireRole('admin'), (req, res) => {
+  const { serviceName, id } = req.params;
+  try {
+    if (!findPendingPromotion(req, res)) return;
+
+    const request = decidePromotion(serviceName, id, {
+      status: 'rejected',
+      decidedBy: req.user ? req.user.subject : null,
+      decidedAt: new Date().toISOString(),
+      reason: (req.body && req.body.reason) || null
+    });
+    console.log(`[PROMOTE] Promotion ${id} of ${serviceName} to ${request.environment} rejected`);
+    res.json({ success: true, request });
+  } catch (error) {
+    console.error('[PROMOTE] Error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Built and deployed versions of a service, newest first, and the image of
+// each environment
+app.get('/api/services/:serviceName/versions', auth.requireRole('viewer'), (req, res) => {
+  const { serviceName } = req.params;
+  if (!fs.existsSync(path.join(PROJECTS_DIR, serviceName))) {
+    return res.status(404).json({ error: `Service ${serviceName} not found` });
+  }
+
+  const meta = readServiceMetadata(serviceName);
+  res.json({
+    serviceName,
+    current: Object.fromEntries(Object.entries(environments.statesOf(meta))
+      .map(([name, state]) => [name, state.image || null])),
+    builds: [...(meta.builds || [])].reverse(),
+    deployments: [...(meta.deployments || [])].reverse()
+  });
+});
+
+/**
+ * Image a rollback in an environment goes to: the build with the requested
+ * tag, or else the last image deployed there before the current one
+ */
+function rollbackImage(meta, environmentName, currentImage, tag) {
+  if (tag) {
+    const known = [...(meta.builds || []), ...(meta.deployments || [])].find(entry => entry.tag === tag);
+    return known ? known.image : null;
+  }
+  const previous = (meta.deployments || [])
+    .filter(deployment => deployment.environment === environmentName && deployment.image !== currentImage)
+    .pop();
+  return previous ? previous.image : null;
+}
+
+// Redeploy a previous version of a service to an environment (by default its
+// first one). Environments that need approval only go back to versions that
+// already ran there.
+app.post('/api/services/:serviceName/rollback', auth.requireRole('creator'), requireServiceOwner, async (req, res) => {
+  const { serviceName } = req.params;
+  const { environment: environmentName, tag, timeout } = req.body || {};
+
+  try {
+    if (!fs.existsSync(path.join(PROJECTS_DIR, serviceName))) {
+      return res.status(404).json({ error: `Service ${serviceName} not found` });
     }
-    
-    // If PostgreSQL resources were applied, wait for PostgreSQL to be ready
-    const postgresStatefulSetPath = path.join(k8sDir, 'postgres-statefulset.yaml');
-    if (fs.existsSync(postgresStatefulSetPath)) {
-      sendEvent({ log: 'Waiting for PostgreSQL to be ready...' });
-      let pgAttempts = 0;
-      const maxPgAttempts = 30;
-      
-      while (pgAttempts < maxPgAttempts) {
-        try {
-          const nsArg = namespace ? `-n ${namespace}` : '';
-          const pgStatus = execSync(`kubectl get pods ${nsArg} -l app=${serviceName}-postgres -o jsonpath='{.items[0].status.phase}'`, { encoding: 'utf8' });
-          sendEvent({ log: `PostgreSQL pod status: ${pgStatus}` });
-          
-          if (pgStatus.includes('Running')) {
-            sendEvent({ log: '✓ PostgreSQL is running!' });
-            // Wait additional time for PostgreSQL to be fully ready
-            await new Promise(resolve => setTimeout(resolve, 5000));
-            break;
-          }
-          
-          await new Promise(resolve => setTimeout(resolve, 3000));
-          pgAttempts++;
-        } catch (error) {
-          sendEvent({ log: `Waiting for PostgreSQL... (${pgAttempts}/${maxPgAttempts})` });
-          await new Promise(resolve => setTimeout(resolve, 3000));
-          pgAttempts++;
-        }
-      }
-      
-      if (pgAttempts >= maxPgAttempts) {
-        sendEvent({ error: 'Timeout waiting for PostgreSQL to start' });
-        return res.end();
-      }
+
+    const meta = readServiceMetadata(serviceName);
+    const environment = environmentName
+      ? environments.get(environmentName)
+      : environments.forNamespace(primaryNamespace(meta));
+    if (!environment) {
+      return res.status(400).json({
+        error: `Unknown environment '${environmentName}'`,
+        environments: environments.list().map(candidate => candidate.name)
+      });
     }
-    
-    // Now apply the application deployment
+
+    let currentImage;
     try {
-      const nsArg = namespace ? `-n ${namespace}` : '';
-      const deployOutput = execSync(`kubectl apply ${nsArg} -f "${path.join(k8sDir, 'deployment.yaml')}"`, { encoding: 'utf8' });
-      sendEvent({ log: deployOutput.trim() });
+      currentImage = deploymentImage(await kube.get('Deployment', serviceName, environment.namespace), serviceName);
     } catch (error) {
-      sendEvent({ error: `Deployment failed: ${error.message}` });
-      return res.end();
+      if (!(error instanceof NotFoundError)) throw error;
+      return res.status(409).json({ error: `Deployment ${serviceName} not found in ${environment.namespace}` });
     }
-    
-    // Apply service
-    sendEvent({ log: 'Applying Kubernetes service...' });
-    try {
-      const nsArg = namespace ? `-n ${namespace}` : '';
-      const svcOutput = execSync(`kubectl apply ${nsArg} -f "${path.join(k8sDir, 'service.yaml')}"`, { encoding: 'utf8' });
-      sendEvent({ log: svcOutput.trim() });
-    } catch (error) {
-      sendEvent({ error: `Service creation failed: ${error.message}` });
-      return res.end();
+
+    const image = rollbackImage(meta, environment.name, currentImage, tag);
+    if (!image) {
+      return tag
+        ? res.status(404).json({ error: `Version ${tag} of ${serviceName} not found` })
+        : res.status(409).json({ error: `${serviceName} has no earlier version in ${environment.name}` });
     }
-    
-    // Wait for pod to be ready
-    sendEvent({ log: 'Waiting for pod to be ready...' });
-    let attempts = 0;
-    const maxAttempts = 30;
-    
-    while (attempts < maxAttempts) {
-      try {
-        const nsArg = namespace ? `-n ${namespace}` : '';
-        const podStatus = execSync(`kubectl get pods ${nsArg} -l app=${serviceName} -o jsonpath='{.items[0].status.phase}'`, { encoding: 'utf8' });
-        sendEvent({ log: `Pod status: ${podStatus}` });
-        
-        if (podStatus.includes('Running')) {
-          sendEvent({ log: '✓ Pod is running!' });
-          break;
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        attempts++;
-      } catch (error) {
-        sendEvent({ log: `Waiting for pod... (${attempts}/${maxAttempts})` });
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        attempts++;
-      }
+    if (image === currentImage) {
+      return res.status(409).json({ error: `${environment.name} already runs ${image}` });
     }
-    
-    if (attempts >= maxAttempts) {
-      sendEvent({ error: 'Timeout waiting for pod to start' });
-      return res.end();
+    const ranThere = (meta.deployments || [])
+      .some(deployment => deployment.environment === environment.name && deployment.image === image);
+    if (environment.requiresApproval && !ranThere) {
+      return res.status(403).json({
+        error: `${image} never ran in ${environment.name}; promote it instead, so the promotion can be approved`
+      });
     }
-    
-    // Get pod logs
-    sendEvent({ log: '\n--- Pod Logs ---' });
-    try {
-      const nsArg = namespace ? `-n ${namespace}` : '';
-      const logs = execSync(`kubectl logs ${nsArg} -l app=${serviceName} --tail=50`, { encoding: 'utf8' });
-      sendEvent({ log: logs });
-    } catch (error) {
-      sendEvent({ log: 'Could not retrieve logs yet' });
+
+    if (activePromotions.has(`${serviceName}/${environment.name}`)) {
+      return res.status(409).json({ error: `A deployment of ${serviceName} to ${environment.name} is already in progress` });
     }
-    
-    // Success
-    sendEvent({ 
-      success: true,
-      log: `\n✓ Deployment complete! Service ${serviceName} is running on port ${port}`,
+    const requestedBy = req.user ? req.user.subject : null;
+    await startDeploymentTask(res, {
       serviceName,
-      port
+      environment,
+      parameters: { action: 'rollback', image, previousImage: currentImage, requestedBy },
+      message: `Rollback of ${serviceName} in ${environment.name} to ${tagOfImage(image) || image} started`
+    }, async (log) => {
+      try {
+        updateEnvironmentState(serviceName, environment.name, { namespace: environment.namespace, status: 'deploying', error: null });
+        await setServiceImage(serviceName, environment.namespace, image, { log, rolloutTimeoutMs: rolloutTimeoutMs(timeout) });
+        const state = recordDeployment(serviceName, environment.name, image, { action: 'rollback', by: requestedBy });
+        console.log(`[ROLLBACK] ✅ Rolled ${serviceName} in ${environment.name} back to ${image}`);
+        return {
+          message: `Rolled ${serviceName} in ${environment.name} back to ${tagOfImage(image) || image}`,
+          serviceName,
+          environment: environment.name,
+          namespace: environment.namespace,
+          image,
+          previousImage: currentImage,
+          state
+        };
+      } catch (error) {
+        console.error(`[ROLLBACK] ❌ Rollback of ${serviceName} in ${environment.name} failed:`, error.message);
+        updateEnvironmentState(serviceName, environment.name, { status: 'failed', error: error.message });
+        throw error;
+      }
     });
-    
-    res.end();
-    
   } catch (error) {
-    sendEvent({ error: error.message });
-    res.end();
+    console.error('[ROLLBACK] Error:', error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Build missing Docker images endpoint
-app.post('/api/build-image/:serviceName', async (req, res) => {
+// ===============================
+// TEMPLATE UPGRADES
+// ===============================
+
+// Services with an upgrade in progress
+const activeUpgrades = new Set();
+
+// Files an upgrade never rewrites: the scaffold metadata, CODEOWNERS and
+// Flyway migrations, whose checksums must not change once they are applied
+function keepOnUpgrade(filePath) {
+  return filePath === 'scaffold-metadata.json' || /(^|\/)CODEOWNERS$/.test(filePath) || /(^|\/)db\/migration\/[^/]+$/.test(filePath);
+}
+
+// Render a service again with the current version of its template and open a
+// pull request that merges the result into the service's GitHub repository.
+// Runs as a background task answering 202; see startBackgroundTask.
+app.post('/api/services/:serviceName/upgrade', auth.requireRole('creator'), requireServiceOwner, async (req, res) => {
+  const { serviceName } = req.params;
+  const dryRun = readFlag((req.body || {}).dryRun);
+  const force = readFlag((req.body || {}).force);
+  if (dryRun === null || force === null) {
+    return res.status(400).json({ error: `${dryRun === null ? 'dryRun' : 'force'} must be a boolean` });
+  }
+
   try {
-    const { serviceName } = req.params;
-    const { namespace = 'stage' } = req.body;
-    
-    console.log(`[BUILD-IMAGE] Starting image build for ${serviceName} in namespace ${namespace}`);
-    
-    const projectDir = path.join(PROJECTS_DIR, serviceName);
-    if (!fs.existsSync(projectDir)) {
-      return res.status(404).json({ 
-        error: `Service ${serviceName} not found in scaffolded projects`,
-        availableServices: fs.readdirSync(PROJECTS_DIR).filter(dir => 
-          fs.statSync(path.join(PROJECTS_DIR, dir)).isDirectory()
-        )
-      });
+    if (!fs.existsSync(path.join(PROJECTS_DIR, serviceName))) {
+      return res.status(404).json({ error: `Service ${serviceName} not found` });
     }
-    
-    const dockerfilePath = path.join(projectDir, 'Dockerfile');
-    if (!fs.existsSync(dockerfilePath)) {
-      return res.status(400).json({ 
-        error: `No Dockerfile found for service ${serviceName}`,
-        projectPath: projectDir
-      });
+    const publisher = servicePublisher(serviceName);
+    if (!publisher) {
+      return res.status(409).json({ error: `Upgrades are opened as pull requests and ${serviceName} has no repository at a configured publisher` });
     }
-    
-    try {
-      // Test Docker availability
-      execSync('docker version', { stdio: 'pipe' });
-      
-      // Build image
-      console.log(`[BUILD-IMAGE] Building Docker image ${serviceName}:v1`);
-      execSync(`docker build -t ${serviceName}:v1 "${projectDir}"`, { stdio: 'pipe' });
-      
-      // Load to minikube
-      console.log(`[BUILD-IMAGE] Loading image to minikube`);
-      execSync(`minikube image load ${serviceName}:v1`, { stdio: 'pipe' });
-      
-      // Restart deployment if it exists
-      try {
-        execSync(`kubectl rollout restart deployment/${serviceName} -n ${namespace}`, { stdio: 'pipe' });
-        console.log(`[BUILD-IMAGE] ✅ Restarted deployment ${serviceName} in ${namespace}`);
-      } catch (restartError) {
-        console.warn(`[BUILD-IMAGE] Could not restart deployment: ${restartError.message}`);
-      }
-      
-      res.json({
+
+    const meta = readServiceMetadata(serviceName);
+    if (!meta.parameters) {
+      return res.status(409).json({ error: `${serviceName} was scaffolded before template parameters were recorded and cannot be rendered again` });
+    }
+    const template = templateRegistry.get(meta.template || DEFAULT_TEMPLATE);
+    if (!template) {
+      return res.status(409).json({ error: `Template '${meta.template}' of ${serviceName} is no longer available` });
+    }
+    const { version } = template;
+    if (!force && meta.templateVersion === version) {
+      return res.json({
         success: true,
-        message: `Docker image built and loaded successfully for ${serviceName}`,
-        imageName: `${serviceName}:v1`,
-        namespace: namespace,
-        projectPath: projectDir,
-        actions: [
-          'Built Docker image',
-          'Loaded image to minikube', 
-          'Restarted deployment (if exists)'
-        ]
+        upToDate: true,
+        message: `${serviceName} already uses template ${template.name} ${version}`,
+        templateVersion: version,
+        lastUpgrade: (meta.upgrades || []).slice(-1)[0] || null
       });
-      
-    } catch (dockerError) {
-      console.error(`[BUILD-IMAGE] Docker operation failed: ${dockerError.message}`);
-      
-      if (dockerError.message.includes('Cannot connect to the Docker daemon')) {
-        res.status(503).json({
-          error: 'Docker daemon not available',
-          message: 'Cannot build image - Docker daemon is not accessible from this container',
-          manualSteps: [
-            `kubectl cp backstage-prod/$(kubectl get pods -n backstage-prod -l app=scaffolder-service -o jsonpath='{.items[0].metadata.name}'):/projects/scaffolded-projects/${serviceName} /tmp/${serviceName}`,
-            `cd /tmp/${serviceName}`,
-            `docker build -t ${serviceName}:v1 .`,
-            `minikube image load ${serviceName}:v1`,
-            `kubectl rollout restart deployment/${serviceName} -n ${namespace}`
-          ]
-        });
-      } else {
-        res.status(500).json({
-          error: 'Image build failed',
-          message: dockerError.message,
-          projectPath: projectDir
+    }
+
+    if (activeUpgrades.has(serviceName)) {
+      return res.status(409).json({ error: `An upgrade of ${serviceName} is already in progress` });
+    }
+    activeUpgrades.add(serviceName);
+    const requestedBy = req.user ? req.user.subject : null;
+    const fromVersion = meta.templateVersion || null;
+
+    await startBackgroundTask(res, {
+      parameters: { action: 'upgrade', serviceName, template: template.name, fromVersion, toVersion: version, dryRun, force, requestedBy },
+      step: 'upgrade',
+      message: `${dryRun ? 'Dry run of the upgrade' : 'Upgrade'} of ${serviceName} to template ${template.name} ${version} started`,
+      release: () => activeUpgrades.delete(serviceName)
+    }, async (log) => {
+      try {
+        log(`Rendering template ${template.name} ${version} (was ${fromVersion || 'unknown'})`);
+        const files = template.render(buildTemplateValues({
+          ...meta.parameters, component_id: serviceName, publisher: publisher.name,
+          system: meta.system, depends_on: meta.dependsOn
+        }, primaryNamespace(meta)));
+        const result = await upgradeRepository({
+          remoteUrl: publisher.cloneUrl(serviceName),
+          files,
+          templateName: template.name,
+          version,
+          fromVersion: meta.templateVersion,
+          keep: keepOnUpgrade,
+          dryRun,
+          // The branch of an earlier upgrade to the same version has its pull request already
+          openPullRequest: (pullRequest) => publisher.openPullRequest(serviceName, pullRequest),
+          env: {
+            ...publisher.authEnv(),
+            ...gitAuthorEnv(requestedBy, GIT_AUTHOR_EMAIL_DOMAIN || publisher.noreplyDomain)
+          },
+          log
         });
+
+        if (!dryRun) {
+          const upgrade = {
+            fromVersion,
+            toVersion: version,
+            branch: result.branch,
+            pullRequest: result.pullRequest,
+            conflicts: result.conflicts,
+            requestedBy,
+            createdAt: new Date().toISOString()
+          };
+          const current = readServiceMetadata(serviceName);
+          writeServiceMetadata(serviceName, {
+            ...current,
+            templateVersion: version,
+            upgrades: result.upToDate ? current.upgrades : [...(current.upgrades || []), upgrade].slice(-VERSION_HISTORY_LIMIT)
+          });
+        }
+
+        let message;
+        if (result.upToDate) {
+          message = `${serviceName} already has everything template ${template.name} ${version} renders`;
+        } else if (dryRun) {
+          message = `Upgrading ${serviceName} would change ${result.changes.length} file(s), ${result.conflicts.length} with conflicts`;
+        } else {
+          message = `Opened ${result.pullRequest} upgrading ${serviceName} to template ${template.name} ${version}`;
+        }
+        console.log(`[UPGRADE] ✅ ${message}`);
+        return {
+          message,
+          dryRun,
+          template: template.name,
+          fromVersion,
+          toVersion: version,
+          ...result
+        };
+      } catch (error) {
+        console.error(`[UPGRADE] ❌ Upgrade of ${serviceName} failed:`, error.message);
+        throw error;
       }
-    }
-    
-  } catch (error) {
-    console.error('[BUILD-IMAGE ERROR]', error);
-    res.status(500).json({ 
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
+  } catch (error) {
+    console.error('[UPGRADE] Error:', error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// List all services endpoint
-app.get('/api/list-services', async (req, res) => {
+/**
+ * Kubernetes and git state of a listed service. Each is checked only when the
+ * requested fields include it, as it takes a kubectl or forge call.
+ */
+async function serviceChecks(serviceName, namespaces, fields) {
+  const checks = {};
+
+  // Check if service exists in Kubernetes, in any of its namespaces
+  if (wantsField(fields, 'hasK8s')) {
+    checks.hasK8s = false;
+    for (const namespace of namespaces) {
+      try {
+        checks.hasK8s = checks.hasK8s || await kube.exists('Deployment', serviceName, namespace);
+      } catch (e) {
+        // Service not deployed
+      }
+    }
+  }
+
+  // Check if Git repo exists
+  if (wantsField(fields, 'hasGit') || wantsField(fields, 'gitUrl')) {
+    checks.hasGit = false;
+    checks.gitUrl = null;
+    const publisher = servicePublisher(serviceName);
+    if (publisher) {
+      try {
+        checks.hasGit = await publisher.exists(serviceName);
+        checks.gitUrl = checks.hasGit ? publisher.webUrl(serviceName) : null;
+      } catch (e) {
+        // Repo doesn't exist
+      }
+    }
+  }
+
+  return checks;
+}
+
+// List services, a page at a time (limit, cursor, orderBy, fields)
+app.get('/api/list-services', auth.requireRole('viewer'), async (req, res) => {
   try {
-    let services = [];
+    const page = parsePageParams(req.query);
+    if (page.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid page request', errors: page.errors });
+    }
 
     // Try to fetch from catalog database first
     if (await isDatabaseAvailable()) {
       try {
-        const entities = await getAllEntities({ kind: 'Component' });
-        console.log(`[LIST-SERVICES] ✅ Retrieved ${entities.length} entities from catalog database`);
+        const { items, totalItems, nextCursor } = await getAllEntities({ kind: 'Component' }, page);
+        console.log(`[LIST-SERVICES] ✅ Retrieved ${items.length} of ${totalItems} entities from catalog database`);
 
-        services = await Promise.all(entities.map(async (entity) => {
+        const services = await Promise.all(items.map(async (entity) => {
           const serviceName = entity.metadata.name;
           const namespace = entity.metadata.namespace || 'default';
 
-          // Check if service exists in Kubernetes
-          let hasK8s = false;
-          try {
-            execSync(`kubectl get deployment -n ${namespace} ${serviceName}`, { stdio: 'pipe' });
-            hasK8s = true;
-          } catch (e) {
-            // Service not deployed
-          }
-
-          // Check if Git repo exists
-          let hasGit = false;
-          let gitUrl = null;
-          if (GITHUB_ENABLED) {
-            try {
-              const result = execSync(`gh repo view ${GITHUB_OWNER}/${serviceName} --json url`, { encoding: 'utf8' });
-              const repoInfo = JSON.parse(result);
-              hasGit = true;
-              gitUrl = repoInfo.url;
-            } catch (e) {
-              // Repo doesn't exist
-            }
-          }
-
-          return {
+          return projectFields({
             name: serviceName,
+            kind: entity.kind,
             type: entity.spec?.type || 'service',
             owner: entity.spec?.owner || 'unknown',
             description: entity.metadata?.description || 'A Spring Boot microservice',
             lifecycle: entity.spec?.lifecycle || 'production',
             namespace: namespace,
             entityRef: entity.entityRef,
-            hasK8s,
-            hasGit,
-            gitUrl,
+            ...(await serviceChecks(serviceName, [namespace], page.fields)),
             createdAt: entity.createdAt,
+            updatedAt: entity.updatedAt,
             source: 'catalog'
-          };
+          }, page.fields);
         }));
 
         res.json({
           success: true,
           count: services.length,
+          totalItems,
           services,
+          pageInfo: { nextCursor },
           source: 'catalog-database'
         });
         return;
@@ -1895,12 +4564,12 @@ app.get('/api/list-services', async (req, res) => {
       }
     }
 
-    // Fallback to file-based discovery
+    // Fallback to file-based discovery: read every project's metadata, then
+    // page and check only the services of the page
     console.log('[LIST-SERVICES] Using file-based service discovery');
+    const projects = [];
     if (fs.existsSync(PROJECTS_DIR)) {
-      const dirs = fs.readdirSync(PROJECTS_DIR);
-      
-      for (const dir of dirs) {
+      for (const dir of fs.readdirSync(PROJECTS_DIR)) {
         const projectPath = path.join(PROJECTS_DIR, dir);
         const metadataPath = path.join(projectPath, 'scaffold-metadata.json');
         
@@ -1912,51 +4581,42 @@ app.get('/api/list-services', async (req, res) => {
             console.warn(`Failed to read metadata for ${dir}:`, e.message);
           }
         }
-        
-        // Check if service exists in Kubernetes
-        let hasK8s = false;
-        try {
-          const nsArg = metadata.namespace ? `-n ${metadata.namespace}` : '';
-          execSync(`kubectl get deployment ${nsArg} ${dir}`, { stdio: 'pipe' });
-          hasK8s = true;
-        } catch (e) {
-          // Service not deployed
-        }
-        
-        // Check if Git repo exists
-        let hasGit = false;
-        let gitUrl = null;
-        if (GITHUB_ENABLED) {
-          try {
-            const result = execSync(`gh repo view ${GITHUB_OWNER}/${dir} --json url`, { encoding: 'utf8' });
-            const repoInfo = JSON.parse(result);
-            hasGit = true;
-            gitUrl = repoInfo.url;
-          } catch (e) {
-            // Repo doesn't exist
-          }
-        }
-        
-        services.push({
-          name: dir,
-          type: 'service',
-          owner: metadata.owner || 'unknown',
-          description: metadata.description || 'A Spring Boot microservice',
-          lifecycle: metadata.lifecycle || 'production',
-          namespace: metadata.namespace || 'default',
-          hasK8s,
-          hasGit,
-          gitUrl,
-          createdAt: metadata.createdAt,
-          source: 'filesystem'
-        });
+        // Metadata is rewritten on every change to the service
+        const updatedAt = fs.statSync(fs.existsSync(metadataPath) ? metadataPath : projectPath).mtime.toISOString();
+
+        projects.push({ name: dir, kind: 'Component', metadata, createdAt: metadata.createdAt || updatedAt, updatedAt });
       }
     }
+
+    const { items, totalItems, nextCursor } = pageItems(projects, page, {
+      valueOf: project => project[page.orderBy.field],
+      keyOf: project => project.name
+    });
+
+    const services = [];
+    for (const { name, kind, metadata, createdAt, updatedAt } of items) {
+      services.push(projectFields({
+        name,
+        kind,
+        type: 'service',
+        owner: metadata.owner || 'unknown',
+        description: metadata.description || 'A Spring Boot microservice',
+        lifecycle: metadata.lifecycle || 'production',
+        namespace: environments.namespacesOf(metadata)[0] || 'default',
+        environments: environments.statesOf(metadata),
+        ...(await serviceChecks(name, environments.namespacesOf(metadata), page.fields)),
+        createdAt,
+        updatedAt,
+        source: 'filesystem'
+      }, page.fields));
+    }
     
     res.json({ 
       success: true,
       count: services.length,
+      totalItems,
       services,
+      pageInfo: { nextCursor },
       source: 'filesystem-fallback'
     });
   } catch (error) {
@@ -1972,8 +4632,8 @@ app.get('/api/list-services', async (req, res) => {
 // CATALOG API ENDPOINTS
 // ===============================
 
-// Get all catalog entities
-app.get('/api/catalog/entities', async (req, res) => {
+// List catalog entities, a page at a time (limit, cursor, orderBy, fields)
+app.get('/api/catalog/entities', auth.requireRole('viewer'), async (req, res) => {
   try {
     if (!(await isDatabaseAvailable())) {
       return res.status(503).json({ 
@@ -1982,17 +4642,23 @@ app.get('/api/catalog/entities', async (req, res) => {
       });
     }
 
+    const page = parsePageParams(req.query);
+    if (page.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid page request', errors: page.errors });
+    }
+
     const filters = {};
     if (req.query.kind) filters.kind = req.query.kind;
     if (req.query.namespace) filters.namespace = req.query.namespace;
     if (req.query.owner) filters.owner = req.query.owner;
 
-    const entities = await getAllEntities(filters);
+    const { items, totalItems, nextCursor } = await getAllEntities(filters, page);
     
     res.json({
       success: true,
-      items: entities,
-      totalItems: entities.length,
+      items: items.map(entity => projectFields(entity, page.fields)),
+      totalItems,
+      pageInfo: { nextCursor },
       filters
     });
   } catch (error) {
@@ -2001,8 +4667,35 @@ app.get('/api/catalog/entities', async (req, res) => {
   }
 });
 
+// Search entities: fuzzy ?q= on name and description, filters on kind,
+// namespace, owner, lifecycle, type, tag, label.<key> and annotation.<key>
+app.get('/api/catalog/search', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    if (!(await isDatabaseAvailable())) {
+      return res.status(503).json({ error: 'Catalog database not available' });
+    }
+
+    const search = parseSearchParams(req.query);
+    if (search.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid search', errors: search.errors });
+    }
+
+    const results = await searchEntities(search);
+
+    res.json({
+      success: true,
+      query: search.q,
+      filters: search.filters,
+      ...results
+    });
+  } catch (error) {
+    console.error('[CATALOG-API] Error searching entities:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get entity by reference
-app.get('/api/catalog/entities/:namespace/:kind/:name', async (req, res) => {
+app.get('/api/catalog/entities/:namespace/:kind/:name', auth.requireRole('viewer'), async (req, res) => {
   try {
     if (!(await isDatabaseAvailable())) {
       return res.status(503).json({ error: 'Catalog database not available' });
@@ -2024,20 +4717,56 @@ app.get('/api/catalog/entities/:namespace/:kind/:name', async (req, res) => {
   }
 });
 
+// Relation graph around an entity: ?depth=1..MAX_RELATION_DEPTH hops and
+// optionally ?type=dependsOn,dependencyOf to follow only those relations
+app.get('/api/catalog/entities/:namespace/:kind/:name/relations', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    if (!(await isDatabaseAvailable())) {
+      return res.status(503).json({ error: 'Catalog database not available' });
+    }
+
+    const depth = req.query.depth === undefined ? 1 : Number(req.query.depth);
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_RELATION_DEPTH) {
+      return res.status(400).json({ error: `depth must be an integer between 1 and ${MAX_RELATION_DEPTH}` });
+    }
+    const types = req.query.type ? String(req.query.type).split(',').map(type => type.trim()).filter(Boolean) : null;
+
+    const { namespace, kind, name } = req.params;
+    const entityRef = toEntityRef({ kind, namespace, name });
+    const graph = await getRelationGraph(entityRef, { depth, types });
+
+    // Entities that are only relation targets (e.g. owner groups) have a graph too
+    if (!graph.entities[0].registered && graph.relations.length === 0) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    res.json({
+      success: true,
+      entityRef,
+      depth,
+      types,
+      entities: graph.entities,
+      relations: graph.relations
+    });
+  } catch (error) {
+    console.error('[CATALOG-API] Error fetching relations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Create or update entity
-app.post('/api/catalog/entities', async (req, res) => {
+app.post('/api/catalog/entities', auth.requireRole('admin'), async (req, res) => {
   try {
     if (!(await isDatabaseAvailable())) {
       return res.status(503).json({ error: 'Catalog database not available' });
     }
 
     const entityData = req.body;
-    
-    // Validate required fields
-    if (!entityData.name || !entityData.kind) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: name and kind are required' 
-      });
+
+    // Validate the whole entity before anything is written
+    const errors = validateEntityData(entityData);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid entity', errors });
     }
 
     const entity = await createOrUpdateEntity(entityData);
@@ -2048,13 +4777,16 @@ app.post('/api/catalog/entities', async (req, res) => {
       message: 'Entity created/updated successfully'
     });
   } catch (error) {
+    if (error instanceof EntityRefError) {
+      return res.status(400).json({ error: 'Invalid entity', errors: [{ field: error.field, message: error.message }] });
+    }
     console.error('[CATALOG-API] Error creating entity:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // Delete entity
-app.delete('/api/catalog/entities/:namespace/:kind/:name', async (req, res) => {
+app.delete('/api/catalog/entities/:namespace/:kind/:name', auth.requireRole('admin'), async (req, res) => {
   try {
     if (!(await isDatabaseAvailable())) {
       return res.status(503).json({ error: 'Catalog database not available' });
@@ -2081,7 +4813,7 @@ app.delete('/api/catalog/entities/:namespace/:kind/:name', async (req, res) => {
 });
 
 // Get catalog statistics
-app.get('/api/catalog/stats', async (req, res) => {
+app.get('/api/catalog/stats', auth.requireRole('viewer'), async (req, res) => {
   try {
     if (!(await isDatabaseAvailable())) {
       return res.status(503).json({ error: 'Catalog database not available' });
@@ -2127,22 +4859,120 @@ app.get('/api/catalog/stats', async (req, res) => {
   }
 });
 
+// List registered catalog locations with the state of their last read
+app.get('/api/catalog/locations', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    if (!(await isDatabaseAvailable())) {
+      return res.status(503).json({ error: 'Catalog database not available' });
+    }
+
+    const locations = await listLocations();
+    res.json({ success: true, items: locations, totalItems: locations.length });
+  } catch (error) {
+    console.error('[CATALOG-API] Error listing locations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Register a location (git URL, or absolute path of a directory or catalog
+// file) and ingest the entities of its catalog-info.yaml files
+app.post('/api/catalog/locations', auth.requireRole('admin'), async (req, res) => {
+  try {
+    if (!(await isDatabaseAvailable())) {
+      return res.status(503).json({ error: 'Catalog database not available' });
+    }
+
+    const { target } = req.body;
+    if (!target || typeof target !== 'string') {
+      return res.status(400).json({ error: 'Missing target: a git URL or the absolute path of a directory or catalog file' });
+    }
+    const existing = (await listLocations()).find(location => location.target === target);
+    if (existing) {
+      return res.status(409).json({ error: `Location ${target} is already registered`, location: existing });
+    }
+
+    // Nothing is registered unless the location can be read
+    const type = locationType(target);
+    const read = await readLocation({ type, target });
+    const [location] = await queryLocations(
+      'INSERT INTO catalog_locations (id, type, target) VALUES ($1, $2, $3) RETURNING *',
+      [crypto.randomUUID(), type, target]
+    );
+    const result = await applyLocationEntities(location, read);
+    console.log(`[LOCATIONS] Registered ${type} location ${target} with ${result.location.entityRefs.length} entities`);
+
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof LocationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[CATALOG-API] Error registering location:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Read a location again now instead of waiting for the next scheduled refresh
+app.post('/api/catalog/locations/:id/refresh', auth.requireRole('admin'), async (req, res) => {
+  try {
+    if (!(await isDatabaseAvailable())) {
+      return res.status(503).json({ error: 'Catalog database not available' });
+    }
+
+    const location = await getLocation(req.params.id);
+    if (!location) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+
+    const result = await refreshLocation(location);
+    res.json({ success: result.changes !== null, ...result });
+  } catch (error) {
+    console.error('[CATALOG-API] Error refreshing location:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unregister a location; its entities stay in the catalog as orphans
+app.delete('/api/catalog/locations/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    if (!(await isDatabaseAvailable())) {
+      return res.status(503).json({ error: 'Catalog database not available' });
+    }
+
+    const location = await getLocation(req.params.id);
+    if (!location) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+
+    await queryLocations('DELETE FROM catalog_locations WHERE id = $1', [location.id]);
+    const orphaned = await markEntitiesOrphaned(location.entityRefs, location.id);
+
+    res.json({ success: true, message: `Location ${location.target} unregistered`, location, orphaned });
+  } catch (error) {
+    console.error('[CATALOG-API] Error deleting location:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Cleanup single service endpoint
-app.delete('/api/cleanup/:serviceName', async (req, res) => {
+app.delete('/api/cleanup/:serviceName', auth.requireRole('admin'), async (req, res) => {
   const { serviceName } = req.params;
   
-  if (!serviceName || !/^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(serviceName)) {
-    return res.status(400).json({ error: 'Invalid service name' });
-  }
   
   console.log(`[CLEANUP] Starting cleanup for ${serviceName}`);
   const results = {
     serviceName,
-    github: { deleted: false, error: null },
+    repository: { publisher: null, deleted: false, error: null },
     kubernetes: { 
+      namespaces: [],
       deployment: false, 
       service: false, 
-      postgres: { statefulset: false, service: false, secret: false, pvc: false },
+      ingress: false,
+      httproute: false,
+      // One entry per database kind: postgres, mysql, mongodb
+      ...Object.fromEntries(DATABASE_PROVIDERS.map(provider => [
+        provider.database.suffix,
+        { statefulset: false, service: false, secret: false, pvc: false }
+      ])),
       error: null 
     },
     localStorage: { deleted: false, error: null },
@@ -2150,85 +4980,67 @@ app.delete('/api/cleanup/:serviceName', async (req, res) => {
   };
   
   try {
-    // Get metadata path once for all cleanup operations
-    const metaPath = path.join(PROJECTS_DIR, serviceName, 'scaffold-metadata.json');
-    
-    // Delete GitHub repository
-    if (GITHUB_ENABLED) {
+    // Delete the repository
+    const publisher = servicePublisher(serviceName);
+    if (publisher) {
+      results.repository.publisher = publisher.name;
       try {
-        await execAsync(`gh repo delete ${GITHUB_OWNER}/${serviceName} --yes`);
-        results.github.deleted = true;
-        console.log(`[CLEANUP] Deleted GitHub repo: ${GITHUB_OWNER}/${serviceName}`);
+        results.repository.deleted = await publisher.delete(serviceName);
+        console.log(results.repository.deleted
+          ? `[CLEANUP] Deleted ${publisher.label} repo: ${publisher.slug(serviceName)}`
+          : `[CLEANUP] ${publisher.label} repo ${publisher.slug(serviceName)} doesn't exist`);
       } catch (error) {
-        results.github.error = error.message;
-        console.log(`[CLEANUP] GitHub deletion failed or repo doesn't exist: ${error.message}`);
+        results.repository.error = error.message;
+        console.log(`[CLEANUP] ${publisher.label} deletion failed: ${error.message}`);
       }
     }
     
-    // Delete Kubernetes resources (respect namespace if present)
+    // Delete Kubernetes resources in every environment the service was deployed to
     try {
-      let nsArg = '';
-      let namespace = '';
-      if (fs.existsSync(metaPath)) {
-        const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
-        if (meta && meta.namespace) {
-          namespace = meta.namespace;
-          nsArg = `-n ${namespace}`;
+      const namespaces = serviceNamespaces(serviceName);
+      results.kubernetes.namespaces = namespaces;
+
+      for (const namespace of namespaces) {
+        // Use original service names - no prefixes with label-based approach
+        let deploymentName = serviceName;
+        let serviceResourceName = serviceName;
+        console.log(`[CLEANUP] Using service name: ${serviceName} in namespace: ${namespace}`);
+
+        // Delete main service resources
+        await kube.delete('Deployment', deploymentName, namespace);
+        results.kubernetes.deployment = true;
+        console.log(`[CLEANUP] Deleted K8s deployment: ${deploymentName} in ${namespace}`);
+
+        await kube.delete('Service', `${serviceResourceName}-service`, namespace);
+        results.kubernetes.service = true;
+        console.log(`[CLEANUP] Deleted K8s service: ${serviceResourceName}-service in ${namespace}`);
+
+        // Delete the Ingress or HTTPRoute of an exposed service
+        for (const kind of ['Ingress', 'HTTPRoute']) {
+          try {
+            if (await kube.delete(kind, serviceResourceName, namespace)) {
+              results.kubernetes[kind.toLowerCase()] = true;
+              console.log(`[CLEANUP] Deleted K8s ${kind}: ${serviceResourceName} in ${namespace}`);
+            }
+          } catch (error) {
+            console.log(`[CLEANUP] ${kind} deletion info: ${error.message}`);
+          }
         }
-      } else {
-        // Default to configured target namespace if metadata not found
-        namespace = process.env.TARGET_NAMESPACE || 'development';
-        nsArg = `-n ${namespace}`;
-      }
-
-      // Use original service names - no prefixes with label-based approach
-      let deploymentName = serviceName;
-      let serviceResourceName = serviceName;
-      console.log(`[CLEANUP] Using service name: ${serviceName} in namespace: ${namespace}`);
-
-      // Delete main service resources
-      await execAsync(`kubectl delete deployment ${deploymentName} ${nsArg} --ignore-not-found=true`);
-      results.kubernetes.deployment = true;
-      console.log(`[CLEANUP] Deleted K8s deployment: ${deploymentName} ${nsArg}`);
 
-      await execAsync(`kubectl delete service ${serviceResourceName}-service ${nsArg} --ignore-not-found=true`);
-      results.kubernetes.service = true;
-      console.log(`[CLEANUP] Deleted K8s service: ${serviceResourceName}-service ${nsArg}`);
-      
-      // Delete PostgreSQL resources if they exist
-      try {
-        await execAsync(`kubectl delete statefulset ${serviceResourceName}-postgres ${nsArg} --ignore-not-found=true`);
-        results.kubernetes.postgres.statefulset = true;
-        console.log(`[CLEANUP] Deleted PostgreSQL StatefulSet: ${serviceResourceName}-postgres ${nsArg}`);
-      } catch (error) {
-        console.log(`[CLEANUP] PostgreSQL StatefulSet deletion info: ${error.message}`);
-      }
-      
-      try {
-        await execAsync(`kubectl delete service ${serviceResourceName}-postgres ${nsArg} --ignore-not-found=true`);
-        results.kubernetes.postgres.service = true;
-        console.log(`[CLEANUP] Deleted PostgreSQL Service: ${serviceResourceName}-postgres ${nsArg}`);
-      } catch (error) {
-        console.log(`[CLEANUP] PostgreSQL Service deletion info: ${error.message}`);
-      }
-      
-      try {
-        await execAsync(`kubectl delete secret ${serviceResourceName}-postgres-secret ${nsArg} --ignore-not-found=true`);
-        results.kubernetes.postgres.secret = true;
-        console.log(`[CLEANUP] Deleted PostgreSQL Secret: ${serviceResourceName}-postgres-secret ${nsArg}`);
-      } catch (error) {
-        console.log(`[CLEANUP] PostgreSQL Secret deletion info: ${error.message}`);
-      }
-      
-      try {
-        // StatefulSet PVCs follow pattern: postgres-storage-{statefulset-name}-{ordinal}
-        await execAsync(`kubectl delete pvc postgres-storage-${serviceResourceName}-postgres-0 ${nsArg} --ignore-not-found=true`);
-        results.kubernetes.postgres.pvc = true;
-        console.log(`[CLEANUP] Deleted PostgreSQL PVC: postgres-storage-${serviceResourceName}-postgres-0 ${nsArg}`);
-      } catch (error) {
-        console.log(`[CLEANUP] PostgreSQL PVC deletion info: ${error.message}`);
+        // Delete database resources (StatefulSet, Service, Secret, PVC) if they exist
+        for (const provider of DATABASE_PROVIDERS) {
+          const dbResults = results.kubernetes[provider.database.suffix];
+          for (const resource of databaseResources(provider, serviceResourceName)) {
+            try {
+              await kube.delete(resource.kind, resource.name, namespace);
+              dbResults[resource.kind] = true;
+              console.log(`[CLEANUP] Deleted ${provider.title} ${resource.kind}: ${resource.name} in ${namespace}`);
+            } catch (error) {
+              console.log(`[CLEANUP] ${provider.title} ${resource.kind} deletion info: ${error.message}`);
+            }
+          }
+        }
       }
-      
     } catch (error) {
       results.kubernetes.error = error.message;
     }
@@ -2246,13 +5058,7 @@ app.delete('/api/cleanup/:serviceName', async (req, res) => {
     if (await isDatabaseAvailable()) {
       console.log(`[CLEANUP] Database available, attempting catalog cleanup for: ${serviceName}`);
       try {
-        // Try multiple possible entity reference patterns
-        const possibleEntityRefs = [
-          `development/component:${serviceName}`,
-          `stage/component:${serviceName}`,
-          `production/component:${serviceName}`,
-          `default/component:${serviceName}`
-        ];
+        const possibleEntityRefs = serviceEntityRefs(serviceName, results.kubernetes.namespaces);
 
         let entityDeleted = false;
         for (const entityRef of possibleEntityRefs) {
@@ -2293,14 +5099,14 @@ app.delete('/api/cleanup/:serviceName', async (req, res) => {
 });
 
 // Cleanup all services endpoint
-app.delete('/api/cleanup-all', async (req, res) => {
+app.delete('/api/cleanup-all', auth.requireRole('admin'), async (req, res) => {
   console.log('[CLEANUP-ALL] Starting cleanup of all services');
   const results = {
     servicesFound: [],
-    github: { deleted: [], errors: [] },
+    repositories: { deleted: [], errors: [] },
     kubernetes: { 
       deleted: [], 
-      postgres: { deleted: [], errors: [] },
+      ...Object.fromEntries(DATABASE_PROVIDERS.map(provider => [provider.database.suffix, { deleted: [], errors: [] }])),
       errors: [] 
     },
     localStorage: { deleted: [], errors: [] },
@@ -2320,68 +5126,56 @@ app.delete('/api/cleanup-all', async (req, res) => {
       
       // Delete each service
       for (const serviceName of services) {
-        // Delete GitHub repository
-        if (GITHUB_ENABLED) {
+        // Delete the repository
+        const publisher = servicePublisher(serviceName);
+        if (publisher) {
           try {
-            await execAsync(`gh repo delete ${GITHUB_OWNER}/${serviceName} --yes`);
-            results.github.deleted.push(serviceName);
-            console.log(`[CLEANUP-ALL] Deleted GitHub repo: ${GITHUB_OWNER}/${serviceName}`);
+            if (await publisher.delete(serviceName)) {
+              results.repositories.deleted.push(serviceName);
+              console.log(`[CLEANUP-ALL] Deleted ${publisher.label} repo: ${publisher.slug(serviceName)}`);
+            }
           } catch (error) {
-            results.github.errors.push({ service: serviceName, error: error.message });
+            results.repositories.errors.push({ service: serviceName, error: error.message });
           }
         }
         
-        // Delete Kubernetes resources (respect namespace if present)
+        // Delete Kubernetes resources in every environment the service was deployed to
+        const namespaces = serviceNamespaces(serviceName);
         try {
-          let nsArg = '';
-          let namespace = '';
-          const metaPath = path.join(PROJECTS_DIR, serviceName, 'scaffold-metadata.json');
-          if (fs.existsSync(metaPath)) {
-            const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
-            if (meta && meta.namespace) {
-              namespace = meta.namespace;
-              nsArg = `-n ${namespace}`;
+          for (const namespace of namespaces) {
+            // Use original service names - no prefixes with label-based approach
+            let deploymentName = serviceName;
+            let serviceResourceName = serviceName;
+            console.log(`[CLEANUP-ALL] Using service name: ${serviceName} in namespace: ${namespace}`);
+
+            // Delete main service resources
+            await kube.delete('Deployment', deploymentName, namespace);
+            await kube.delete('Service', `${serviceResourceName}-service`, namespace);
+            for (const kind of ['Ingress', 'HTTPRoute']) {
+              await kube.delete(kind, serviceResourceName, namespace).catch(() => false);
             }
-          } else {
-            // Default to configured target namespace if metadata not found
-            namespace = process.env.TARGET_NAMESPACE || 'development';
-            nsArg = `-n ${namespace}`;
-          }
-
-          // Use original service names - no prefixes with label-based approach
-          let deploymentName = serviceName;
-          let serviceResourceName = serviceName;
-          console.log(`[CLEANUP-ALL] Using service name: ${serviceName} in namespace: ${namespace}`);
+            console.log(`[CLEANUP-ALL] Deleted K8s main resources: ${deploymentName} in ${namespace}`);
+
+            // Delete database resources if they exist
+            for (const provider of DATABASE_PROVIDERS) {
+              let dbDeleted = false;
+              for (const resource of databaseResources(provider, serviceResourceName)) {
+                try {
+                  await kube.delete(resource.kind, resource.name, namespace);
+                  dbDeleted = true;
+                } catch (error) {
+                  // Continue with other resources
+                }
+              }
 
-          // Delete main service resources
-          await execAsync(`kubectl delete deployment ${deploymentName} ${nsArg} --ignore-not-found=true`);
-          await execAsync(`kubectl delete service ${serviceResourceName}-service ${nsArg} --ignore-not-found=true`);
-          results.kubernetes.deleted.push(serviceName);
-          console.log(`[CLEANUP-ALL] Deleted K8s main resources: ${deploymentName} ${nsArg}`);
-          
-          // Delete PostgreSQL resources if they exist
-          const pgResources = [
-            `statefulset ${serviceResourceName}-postgres`,
-            `service ${serviceResourceName}-postgres`,
-            `secret ${serviceResourceName}-postgres-secret`,
-            `pvc postgres-storage-${serviceResourceName}-postgres-0`
-          ];
-          
-          let pgDeleted = false;
-          for (const resource of pgResources) {
-            try {
-              await execAsync(`kubectl delete ${resource} ${nsArg} --ignore-not-found=true`);
-              pgDeleted = true;
-            } catch (error) {
-              // Continue with other resources
+              if (dbDeleted) {
+                const deleted = results.kubernetes[provider.database.suffix].deleted;
+                if (!deleted.includes(serviceName)) deleted.push(serviceName);
+                console.log(`[CLEANUP-ALL] Deleted ${provider.title} resources: ${serviceResourceName} in ${namespace}`);
+              }
             }
           }
-          
-          if (pgDeleted) {
-            results.kubernetes.postgres.deleted.push(serviceName);
-            console.log(`[CLEANUP-ALL] Deleted PostgreSQL resources: ${serviceResourceName} ${nsArg}`);
-          }
-          
+          results.kubernetes.deleted.push(serviceName);
         } catch (error) {
           results.kubernetes.errors.push({ service: serviceName, error: error.message });
         }
@@ -2399,12 +5193,7 @@ app.delete('/api/cleanup-all', async (req, res) => {
         // Delete entity from catalog database
         if (await isDatabaseAvailable()) {
           try {
-            // Try to find entity by service name in different namespaces
-            const possibleEntityRefs = [
-              `development/component:${serviceName}`,
-              `default/component:${serviceName}`,
-              `${namespace || 'development'}/component:${serviceName}`
-            ];
+            const possibleEntityRefs = serviceEntityRefs(serviceName, namespaces);
 
             let entityDeleted = false;
             for (const entityRef of possibleEntityRefs) {
@@ -2447,158 +5236,12 @@ app.delete('/api/cleanup-all', async (req, res) => {
   }
 });
 
-// PostgreSQL Kubernetes Resource Generators
-function generatePostgreSQLSecret(serviceName, namespace) {
-  const nsBlock = namespace ? `  namespace: ${namespace}\n` : '';
-  
-  // Determine environment label based on namespace
-  const environmentLabel = namespace === 'development' ? 'development' : 
-                          namespace === 'stage' ? 'stage' : 
-                          namespace === 'backstage-prod' ? 'production' : 
-                          'other';
-  
-  return `apiVersion: v1
-kind: Secret
-metadata:
-  name: ${serviceName}-postgres-secret
-${nsBlock}  labels:
-    app: ${serviceName}-postgres
-    environment: ${environmentLabel}
-type: Opaque
-data:
-  username: ${Buffer.from(serviceName).toString('base64')}
-  password: ${Buffer.from('password').toString('base64')}
-`;
-}
-
-function generatePostgreSQLStatefulSet(serviceName, namespace) {
-  const nsBlock = namespace ? `  namespace: ${namespace}\n` : '';
-  
-  // Determine environment label based on namespace
-  const environmentLabel = namespace === 'development' ? 'development' : 
-                          namespace === 'stage' ? 'stage' : 
-                          namespace === 'backstage-prod' ? 'production' : 
-                          'other';
-  
-  return `apiVersion: apps/v1
-kind: StatefulSet
-metadata:
-  name: ${serviceName}-postgres
-${nsBlock}  labels:
-    app: ${serviceName}-postgres
-    environment: ${environmentLabel}
-spec:
-  serviceName: ${serviceName}-postgres
-  replicas: 1
-  selector:
-    matchLabels:
-      app: ${serviceName}-postgres
-  template:
-    metadata:
-      labels:
-        app: ${serviceName}-postgres
-        environment: ${environmentLabel}
-    spec:
-      containers:
-      - name: postgres
-        image: postgres:15.4
-        env:
-        - name: POSTGRES_DB
-          value: "${serviceName}"
-        - name: POSTGRES_USER
-          valueFrom:
-            secretKeyRef:
-              name: ${serviceName}-postgres-secret
-              key: username
-        - name: POSTGRES_PASSWORD
-          valueFrom:
-            secretKeyRef:
-              name: ${serviceName}-postgres-secret
-              key: password
-        - name: PGDATA
-          value: /var/lib/postgresql/data/pgdata
-        ports:
-        - containerPort: 5432
-          name: postgres
-        volumeMounts:
-        - name: postgres-storage
-          mountPath: /var/lib/postgresql/data
-        resources:
-          requests:
-            memory: "256Mi"
-            cpu: "250m"
-          limits:
-            memory: "512Mi"
-            cpu: "500m"
-  volumeClaimTemplates:
-  - metadata:
-      name: postgres-storage
-    spec:
-      accessModes:
-      - ReadWriteOnce
-      resources:
-        requests:
-          storage: 1Gi
-`;
-}
-
-function generatePostgreSQLService(serviceName, namespace) {
-  const nsBlock = namespace ? `  namespace: ${namespace}\n` : '';
-  
-  // Determine environment label based on namespace
-  const environmentLabel = namespace === 'development' ? 'development' : 
-                          namespace === 'stage' ? 'stage' : 
-                          namespace === 'backstage-prod' ? 'production' : 
-                          'other';
-  
-  return `apiVersion: v1
-kind: Service
-metadata:
-  name: ${serviceName}-postgres
-${nsBlock}  labels:
-    app: ${serviceName}-postgres
-    environment: ${environmentLabel}
-spec:
-  type: ClusterIP
-  ports:
-  - port: 5432
-    targetPort: 5432
-    protocol: TCP
-    name: postgres
-  selector:
-    app: ${serviceName}-postgres
-`;
-}
-
 // Flyway Migration Generators
-function generateInitialMigration() {
+function generateInitialMigration(persistence = 'postgresql') {
   return `-- Initial schema with hello-world table
 -- Created: ${new Date().toISOString()}
 
-CREATE TABLE hello_world (
-    id BIGSERIAL PRIMARY KEY,
-    nickname VARCHAR(100) NOT NULL,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-);
-
--- Create index on nickname for faster lookups
-CREATE INDEX idx_hello_world_nickname ON hello_world(nickname);
-
--- Add a trigger to update the updated_at column
-CREATE OR REPLACE FUNCTION update_updated_at_column()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW.updated_at = CURRENT_TIMESTAMP;
-    RETURN NEW;
-END;
-$$ language 'plpgsql';
-
-CREATE TRIGGER update_hello_world_updated_at 
-    BEFORE UPDATE ON hello_world 
-    FOR EACH ROW 
-    EXECUTE FUNCTION update_updated_at_column();
-`;
+${getPersistenceProvider(persistence).initialSchema()}`;
 }
 
 function generateSampleDataMigration() {
@@ -2716,15 +5359,19 @@ public class HelloWorld {
 `;
 }
 
-function generateHelloWorldRepository(packageName) {
+function generateHelloWorldRepository(packageName, store = 'jpa') {
+  const repository = store === 'mongodb'
+    ? { import: 'org.springframework.data.mongodb.repository.MongoRepository', type: 'MongoRepository<HelloWorld, String>' }
+    : { import: 'org.springframework.data.jpa.repository.JpaRepository', type: 'JpaRepository<HelloWorld, Long>' };
+
   return `package ${packageName};
 
-import org.springframework.data.jpa.repository.JpaRepository;
+import ${repository.import};
 import org.springframework.stereotype.Repository;
 import java.util.List;
 
 @Repository
-public interface HelloWorldRepository extends JpaRepository<HelloWorld, Long> {
+public interface HelloWorldRepository extends ${repository.type} {
     
     List<HelloWorld> findByNicknameContainingIgnoreCase(String nickname);
     
@@ -2733,6 +5380,158 @@ public interface HelloWorldRepository extends JpaRepository<HelloWorld, Long> {
 `;
 }
 
+function generateKotlinHelloWorldEntity(packageName, javaVersion = '17') {
+  // Use javax.persistence for Java 11 (Spring Boot 2.7.x), jakarta.persistence for Java 17+ (Spring Boot 3.x)
+  const persistenceImport = javaVersion === '11' ? 'javax.persistence' : 'jakarta.persistence';
+
+  return `package ${packageName}
+
+import ${persistenceImport}.*
+import java.time.LocalDateTime
+
+@Entity
+@Table(name = "hello_world")
+data class HelloWorld(
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    val id: Long? = null,
+
+    @Column(nullable = false, length = 100)
+    var nickname: String = "",
+
+    @Column(name = "created_at")
+    var createdAt: LocalDateTime? = null,
+
+    @Column(name = "updated_at")
+    var updatedAt: LocalDateTime? = null
+) {
+
+    @PrePersist
+    protected fun onCreate() {
+        createdAt = LocalDateTime.now()
+        updatedAt = LocalDateTime.now()
+    }
+
+    @PreUpdate
+    protected fun onUpdate() {
+        updatedAt = LocalDateTime.now()
+    }
+}
+`;
+}
+
+function generateKotlinHelloWorldRepository(packageName, store = 'jpa') {
+  const repository = store === 'mongodb'
+    ? { import: 'org.springframework.data.mongodb.repository.MongoRepository', type: 'MongoRepository<HelloWorld, String>' }
+    : { import: 'org.springframework.data.jpa.repository.JpaRepository', type: 'JpaRepository<HelloWorld, Long>' };
+
+  return `package ${packageName}
+
+import ${repository.import}
+import org.springframework.stereotype.Repository
+
+@Repository
+interface HelloWorldRepository : ${repository.type} {
+
+    fun findByNicknameContainingIgnoreCase(nickname: String): List<HelloWorld>
+
+    fun findByOrderByCreatedAtDesc(): List<HelloWorld>
+}
+`;
+}
+
+// MongoDB Document Generators
+function generateHelloWorldDocument(packageName) {
+  return `package ${packageName};
+
+import org.springframework.data.annotation.Id;
+import org.springframework.data.mongodb.core.index.Indexed;
+import org.springframework.data.mongodb.core.mapping.Document;
+import java.time.LocalDateTime;
+
+@Document(collection = "hello_world")
+public class HelloWorld {
+
+    @Id
+    private String id;
+    
+    @Indexed
+    private String nickname;
+    
+    private LocalDateTime createdAt;
+    
+    private LocalDateTime updatedAt;
+    
+    public HelloWorld() {
+        this.createdAt = LocalDateTime.now();
+        this.updatedAt = LocalDateTime.now();
+    }
+    
+    public HelloWorld(String nickname) {
+        this();
+        this.nickname = nickname;
+    }
+    
+    // Getters and Setters
+    public String getId() {
+        return id;
+    }
+    
+    public void setId(String id) {
+        this.id = id;
+    }
+    
+    public String getNickname() {
+        return nickname;
+    }
+    
+    public void setNickname(String nickname) {
+        this.nickname = nickname;
+        this.updatedAt = LocalDateTime.now();
+    }
+    
+    public LocalDateTime getCreatedAt() {
+        return createdAt;
+    }
+    
+    public void setCreatedAt(LocalDateTime createdAt) {
+        this.createdAt = createdAt;
+    }
+    
+    public LocalDateTime getUpdatedAt() {
+        return updatedAt;
+    }
+    
+    public void setUpdatedAt(LocalDateTime updatedAt) {
+        this.updatedAt = updatedAt;
+    }
+}
+`;
+}
+
+function generateKotlinHelloWorldDocument(packageName) {
+  return `package ${packageName}
+
+import org.springframework.data.annotation.Id
+import org.springframework.data.mongodb.core.index.Indexed
+import org.springframework.data.mongodb.core.mapping.Document
+import java.time.LocalDateTime
+
+@Document(collection = "hello_world")
+data class HelloWorld(
+    @Id
+    val id: String? = null,
+
+    @Indexed
+    var nickname: String = "",
+
+    var createdAt: LocalDateTime = LocalDateTime.now(),
+
+    var updatedAt: LocalDateTime = LocalDateTime.now()
+)
+`;
+}
+
 // Root route - API status
 app.get('/', (req, res) => {
   res.json({
@@ -2740,13 +5539,38 @@ app.get('/', (req, res) => {
     status: 'running',
     version: '1.0.0',
     endpoints: {
+      health: 'GET /health',
       scaffold: 'POST /api/scaffold',
+      scaffoldPreview: 'POST /api/scaffold/preview',
+      task: 'GET /api/tasks/:id',
+      taskEvents: 'GET /api/tasks/:id/events',
+      templates: 'GET /api/templates',
+      template: 'GET /api/templates/:name',
       listServices: 'GET /api/list-services',
-      deploy: 'POST /api/deploy',
+      download: 'GET /download/:serviceName',
+      deployStream: 'GET /api/deploy/:serviceName/stream',
+      buildImage: 'POST /api/build-image/:serviceName',
+      rotateDbPassword: 'POST /api/rotate-db-password/:serviceName',
+      environments: 'GET /api/services/:serviceName/environments',
+      promote: 'POST /api/services/:serviceName/promote',
+      approvePromotion: 'POST /api/services/:serviceName/promotions/:id/approve',
+      rejectPromotion: 'POST /api/services/:serviceName/promotions/:id/reject',
+      versions: 'GET /api/services/:serviceName/versions',
+      rollback: 'POST /api/services/:serviceName/rollback',
+      upgrade: 'POST /api/services/:serviceName/upgrade',
+      catalogEntities: 'GET|POST /api/catalog/entities',
+      catalogSearch: 'GET /api/catalog/search',
+      catalogEntity: 'GET|DELETE /api/catalog/entities/:namespace/:kind/:name',
+      catalogRelations: 'GET /api/catalog/entities/:namespace/:kind/:name/relations',
+      catalogStats: 'GET /api/catalog/stats',
+      catalogLocations: 'GET|POST /api/catalog/locations',
+      catalogLocation: 'DELETE /api/catalog/locations/:id',
+      refreshCatalogLocation: 'POST /api/catalog/locations/:id/refresh',
       cleanup: 'DELETE /api/cleanup/:serviceName',
       cleanupAll: 'DELETE /api/cleanup-all'
     },
-    github: GITHUB_ENABLED ? 'enabled' : 'disabled',
+    publishers: [...publishers.keys()],
+    defaultPublisher: DEFAULT_PUBLISHER,
     projectsDir: PROJECTS_DIR
   });
 });
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+// Every template directory holds a Backstage Template manifest plus a skeleton
+const MANIFEST_FILE = 'template.yaml';
+// Skeleton placeholders use the Backstage syntax: ${{ values.component_id }}
+const PLACEHOLDER = /\$\{\{\s*values\.([A-Za-z0-9_]+)\s*\}\}/g;
+
+/**
+ * Flatten the parameters of a Template manifest into a list of definitions.
+ * spec.parameters is either one JSON schema object or a list of form steps.
+ */
+function readParameters(spec = {}) {
+  const steps = Array.isArray(spec.parameters) ? spec.parameters : spec.parameters ? [spec.parameters] : [];
+  const parameters = [];
+
+  for (const step of steps) {
+    const required = new Set(step.required || []);
+    for (const [name, schema] of Object.entries(step.properties || {})) {
+      parameters.push({
+        name,
+        title: schema.title || name,
+        description: schema.description || null,
+        type: schema.type || 'string',
+        default: schema.default,
+        enum: schema.enum || null,
+        pattern: schema.pattern || null,
+        required: required.has(name)
+      });
+    }
+  }
+
+  return parameters;
+}
+
+/**
+ * List the files below a skeleton directory as relative POSIX paths
+ */
+function listSkeletonFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listSkeletonFiles(path.join(dir, entry.name), relativePath));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Version of a template directory: a hash of its manifest and skeleton, so
+ * any change to them is a new version
+ */
+function directoryVersion(dir, skeletonDir) {
+  const hash = crypto.createHash('sha256').update(fs.readFileSync(path.join(dir, MANIFEST_FILE)));
+  for (const relativePath of listSkeletonFiles(skeletonDir)) {
+    hash.update(`\0${relativePath}\0`).update(fs.readFileSync(path.join(skeletonDir, relativePath)));
+  }
+  return hash.digest('hex').slice(0, 12);
+}
+
+/**
+ * Substitute ${{ values.x }} placeholders; unknown values are an error
+ */
+function renderString(text, values, where) {
+  return text.replace(PLACEHOLDER, (match, key) => {
+    if (!Object.prototype.hasOwnProperty.call(values, key)) {
+      throw new Error(`Unknown template value '${key}' in ${where}`);
+    }
+    const value = values[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Render every skeleton file into { path, content } entries
+ */
+function renderSkeleton(skeletonDir, values) {
+  return listSkeletonFiles(skeletonDir).map(relativePath => {
+    const renderedPath = path.posix.normalize(renderString(relativePath, values, relativePath));
+    if (path.posix.isAbsolute(renderedPath) || renderedPath.split('/').includes('..')) {
+      throw new Error(`Skeleton file ${relativePath} renders outside the project: ${renderedPath}`);
+    }
+
+    const raw = fs.readFileSync(path.join(skeletonDir, relativePath));
+    // Binary files (anything with a NUL byte) are copied untouched
+    const content = raw.includes(0) ? raw : renderString(raw.toString('utf8'), values, relativePath);
+    return { path: renderedPath, content };
+  });
+}
+
+/**
+ * Load a template from a directory containing template.yaml
+ */
+function loadTemplateDirectory(dir) {
+  const manifest = yaml.load(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8'));
+  if (!manifest || manifest.kind !== 'Template' || !manifest.metadata || !manifest.metadata.name) {
+    throw new Error(`${MANIFEST_FILE} is not a Template manifest with metadata.name`);
+  }
+
+  const spec = manifest.spec || {};
+  const skeletonDir = path.resolve(dir, spec.path || './skeleton');
+  if (!fs.existsSync(skeletonDir) || !fs.statSync(skeletonDir).isDirectory()) {
+    throw new Error(`Skeleton directory ${skeletonDir} not found`);
+  }
+
+  return {
+    name: manifest.metadata.name,
+    title: manifest.metadata.title || manifest.metadata.name,
+    description: manifest.metadata.description || null,
+    type: spec.type || 'service',
+    source: 'directory',
+    version: directoryVersion(dir, skeletonDir),
+    path: dir,
+    skeletonDir,
+    parameters: readParameters(spec),
+    render: (values) => renderSkeleton(skeletonDir, values)
+  };
+}
+
+/**
+ * Create a registry of the built-in templates plus every template directory
+ * found below the given roots. Directories are scanned again on a lookup once
+ * the last scan is rescanIntervalMs old, so templates can be added or edited
+ * without restarting the service.
+ */
+function createTemplateRegistry({ builtins = [], directories = [], rescanIntervalMs = 30 * 1000 }) {
+  let cached = null;
+  let scannedAt = 0;
+
+  function scan() {
+    const templates = new Map(builtins.map(template => [template.name, template]));
+
+    for (const root of directories) {
+      if (!root || !fs.existsSync(root)) continue;
+
+      for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+        const dir = path.join(root, entry.name);
+        if (!entry.isDirectory() || !fs.existsSync(path.join(dir, MANIFEST_FILE))) continue;
+
+        try {
+          const template = loadTemplateDirectory(dir);
+          if (templates.has(template.name)) {
+            console.warn(`[TEMPLATES] Ignoring ${dir}: template '${template.name}' is already registered`);
+            continue;
+          }
+          templates.set(template.name, template);
+        } catch (error) {
+          console.error(`[TEMPLATES] Failed to load template from ${dir}:`, error.message);
+        }
+      }
+    }
+
+    return templates;
+  }
+
+  function current() {
+    if (!cached || Date.now() - scannedAt >= rescanIntervalMs) {
+      cached = scan();
+      scannedAt = Date.now();
+    }
+    return cached;
+  }
+
+  return {
+    list: () => [...current().values()],
+    get: (name) => current().get(name) || null
+  };
+}
+
+function coerceValue(parameter, raw) {
+  switch (parameter.type) {
+    case 'number':
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : Number(raw);
+      if (typeof raw === 'boolean' || Number.isNaN(value)) return { error: 'must be a number' };
+      if (parameter.type === 'integer' && !Number.isInteger(value)) return { error: 'must be an integer' };
+      return { value };
+    }
+    case 'boolean':
+      if (typeof raw === 'boolean') return { value: raw };
+      if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+      return { error: 'must be a boolean' };
+    default:
+      if (typeof raw === 'string') return { value: raw };
+      if (typeof raw === 'number' || typeof raw === 'boolean') return { value: String(raw) };
+      return { error: 'must be a string' };
+  }
+}
+
+/**
+ * Validate request input against a template's parameters. Returns the
+ * declared values (with defaults applied and types coerced) and a list of
+ * { field, message } errors.
+ */
+function validateTemplateValues(template, input = {}) {
+  const values = {};
+  const errors = [];
+
+  for (const parameter of template.parameters) {
+    const raw = input[parameter.name];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (parameter.default !== undefined) {
+        values[parameter.name] = parameter.default;
+      } else if (parameter.required) {
+        errors.push({ field: parameter.name, message: 'is required' });
+      } else {
+        values[parameter.name] = undefined;
+      }
+      continue;
+    }
+
+    const { value, error } = coerceValue(parameter, raw);
+    if (error) {
+      errors.push({ field: parameter.name, message: error });
+      continue;
+    }
+
+    if (parameter.enum && !parameter.enum.map(String).includes(String(value))) {
+      errors.push({ field: parameter.name, message: `must be one of: ${parameter.enum.join(', ')}` });
+      continue;
+    }
+
+    if (parameter.pattern && typeof value === 'string' && !new RegExp(parameter.pattern).test(value)) {
+      errors.push({ field: parameter.name, message: `must match ${parameter.pattern}` });
+      continue;
+    }
+
+    values[parameter.name] = value;
+  }
+
+  return { values, errors };
+}
+
+/**
+ * JSON view of a template for the API
+ */
+function describeTemplate(template, { includeFiles = false } = {}) {
+  const description = {
+    name: template.name,
+    title: template.title,
+    description: template.description,
+    type: template.type,
+    source: template.source,
+    version: template.version || null,
+    parameters: template.parameters
+  };
+
+  if (includeFiles && template.skeletonDir) {
+    description.files = listSkeletonFiles(template.skeletonDir);
+  }
+
+  return description;
+}
+
+module.exports = {
+  createTemplateRegistry,
+  loadTemplateDirectory,
+  validateTemplateValues,
+  describeTemplate,
+  renderString
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run: runCommand, CommandError } = require('./command-runner');
+
+// Branch of a service repository holding the untouched output of its
+// template, one commit per render. It is the merge base of upgrades.
+const TEMPLATE_BRANCH = 'scaffolder/template';
+const GIT_USER = ['Backstage Scaffolder', 'scaffolder@backstage.io'];
+
+/**
+ * Files a new render adds, modifies or deletes, each with how it merged:
+ * clean (the service never changed it), merged (both changed it, without
+ * conflict) or conflict
+ */
+function describeChanges(nameStatus, userChanged, conflicts) {
+  const kinds = { A: 'added', M: 'modified', D: 'deleted' };
+  return nameStatus.split('\n').filter(Boolean).map(line => {
+    const [status, filePath] = line.split('\t');
+    const result = conflicts.includes(filePath) ? 'conflict' : userChanged.includes(filePath) ? 'merged' : 'clean';
+    return { path: filePath, change: kinds[status[0]] || status, result };
+  });
+}
+
+/**
+ * Pull request description listing the upgraded files, conflicts first
+ */
+function pullRequestBody({ templateName, fromVersion, version, changes }) {
+  const conflicts = changes.filter(change => change.result === 'conflict');
+  const lines = [
+    `Upgrades this service from template \`${templateName}\` ${fromVersion || '(unknown version)'} to ${version}.`,
+    '',
+    'The files were rendered again with the current template and merged with the changes made in this repository.',
+    ''
+  ];
+  if (conflicts.length > 0) {
+    lines.push(`**${conflicts.length} file(s) have conflicts.** They are committed with conflict markers; resolve them on this branch before merging:`, '');
+    lines.push(...conflicts.map(change => `- \`${change.path}\``), '');
+  }
+  lines.push('| File | Change | Merge |', '|------|--------|-------|');
+  lines.push(...changes.map(change => `| \`${change.path}\` | ${change.change} | ${change.result} |`));
+  return lines.join('\n');
+}
+
+/**
+ * Render a template again into the service repository at remoteUrl and open
+ * a pull request merging the new render into baseBranch.
+ *
+ * The previous render is the head of TEMPLATE_BRANCH; repositories created
+ * before it existed start it at their first commit, which is the original
+ * render. The new render is committed on top of it (paths matching keep that
+ * already exist are left as they are, e.g. applied database migrations) and
+ * merged into a branch off baseBranch, so git's three-way merge applies the
+ * template's changes to files the service did not touch and reports conflicts
+ * where both changed. Conflicts are committed with their markers.
+ *
+ * The pull request is opened by openPullRequest({ title, body, head, base }),
+ * which resolves to its URL. With dryRun nothing is pushed. Resolves to
+ * { upToDate, branch, changes, conflicts, pullRequest }.
+ */
+async function upgradeRepository({
+  remoteUrl, files, templateName, version, fromVersion, keep = () => false,
+  baseBranch = 'main', dryRun = false, openPullRequest, env, log = () => {}, run = runCommand
+}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-upgrade-'));
+  const git = (...args) => run('git', args, { cwd: dir, env });
+  const lines = async (...args) => (await git(...args)).stdout.split('\n').filter(Boolean);
+  const branch = `scaffolder/upgrade-${templateName}-${version}`;
+
+  try {
+    log(`Cloning ${remoteUrl}`);
+    await run('git', ['clone', '--quiet', '--no-tags', remoteUrl, dir], { env, timeout: 5 * 60 * 1000 });
+    await git('config', 'user.name', GIT_USER[0]);
+    await git('config', 'user.email', GIT_USER[1]);
+
+    const remoteBranches = await lines('branch', '-r', '--format=%(refname:short)');
+    if (!remoteBranches.includes(`origin/${baseBranch}`)) {
+      throw new Error(`${remoteUrl} has no ${baseBranch} branch`);
+    }
+    let previousRender;
+    if (remoteBranches.includes(`origin/${TEMPLATE_BRANCH}`)) {
+      previousRender = `origin/${TEMPLATE_BRANCH}`;
+    } else {
+      previousRender = (await lines('rev-list', '--max-parents=0', `origin/${baseBranch}`)).pop();
+      log(`No ${TEMPLATE_BRANCH} branch, using the first commit ${previousRender.slice(0, 7)} as the previous render`);
+    }
+
+    // Replace the previous render with the new one
+    await git('checkout', '--quiet', '-B', TEMPLATE_BRANCH, previousRender);
+    const kept = new Set();
+    for (const filePath of await lines('ls-files')) {
+      if (keep(filePath)) {
+        kept.add(filePath);
+      } else {
+        fs.rmSync(path.join(dir, filePath));
+      }
+    }
+    for (const file of files.filter(candidate => !kept.has(candidate.path))) {
+      const target = path.join(dir, file.path);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, file.content);
+    }
+    await git('add', '--all');
+    const rendered = (await lines('diff', '--cached', '--name-only')).length > 0;
+    if (rendered) {
+      await git('commit', '--quiet', '-m', `Render template ${templateName} ${version}`);
+    }
+
+    // Nothing to do if the base branch has every render already
+    try {
+      await git('merge-base', '--is-ancestor', TEMPLATE_BRANCH, `origin/${baseBranch}`);
+      log(`${baseBranch} is up to date with template ${templateName} ${version}`);
+      return { upToDate: true, branch: null, changes: [], conflicts: [], pullRequest: null };
+    } catch (error) {
+      if (!(error instanceof CommandError) || error.code !== 1) throw error;
+    }
+
+    const mergeBase = (await git('merge-base', TEMPLATE_BRANCH, `origin/${baseBranch}`)).stdout.trim();
+    const nameStatus = (await git('diff', '--name-status', '--no-renames', mergeBase, TEMPLATE_BRANCH)).stdout;
+    const userChanged = await lines('diff', '--name-only', '--no-renames', mergeBase, `origin/${baseBranch}`);
+
+    await git('checkout', '--quiet', '-B', branch, `origin/${baseBranch}`);
+    const message = `Upgrade to template ${templateName} ${version}`;
+    let conflicts = [];
+    try {
+      await git('merge', '--no-ff', '--no-edit', '-m', message, TEMPLATE_BRANCH);
+    } catch (error) {
+      conflicts = await lines('diff', '--name-only', '--diff-filter=U');
+      if (conflicts.length === 0) throw error;
+      log(`Conflicts in ${conflicts.join(', ')}`);
+      await git('add', '--all');
+      await git('commit', '--quiet', '--no-edit', '-m', `${message} (with conflicts)`);
+    }
+
+    const changes = describeChanges(nameStatus, userChanged, conflicts);
+    const result = { upToDate: false, branch, changes, conflicts, pullRequest: null };
+    if (dryRun) return result;
+
+    await git('push', '--quiet', 'origin', TEMPLATE_BRANCH);
+    await git('push', '--quiet', '--force', 'origin', branch);
+    log(`Pushed ${branch}`);
+
+    result.pullRequest = await openPullRequest({
+      title: conflicts.length > 0 ? `${message} (${conflicts.length} conflicting file(s))` : message,
+      body: pullRequestBody({ templateName, fromVersion, version, changes }),
+      head: branch,
+      base: baseBranch
+    });
+    log(`Opened ${result.pullRequest}`);
+    return result;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  TEMPLATE_BRANCH,
+  upgradeRepository
+};
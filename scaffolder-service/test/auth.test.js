@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { generateKeyPair, exportJWK, SignJWT } = require('jose');
+const { createAuth, ownerRef } = require('../auth');
+
+// Run a middleware, resolving to the status it answered with (null: next())
+function callMiddleware(middleware, req) {
+  return new Promise((resolve) => {
+    const res = {
+      status(code) {
+        return { json: () => resolve(code) };
+      }
+    };
+    Promise.resolve(middleware(req, res, () => resolve(null)));
+  });
+}
+
+test('auth refuses to start unconfigured unless explicitly disabled', () => {
+  assert.throws(() => createAuth({}), /No authentication configured/);
+
+  const open = createAuth({ disabled: true });
+  assert.strictEqual(open.enabled, false);
+  assert.strictEqual(open.canModify(null, 'team-a'), true);
+});
+
+test('requireRole rejects anonymous and under-privileged requests', async () => {
+  const auth = createAuth({ staticTokens: 'v1:viewer:user:default/val,a1:admin:user:default/ada' });
+  const viewer = { headers: { authorization: 'Bearer v1' }, method: 'GET', query: {} };
+  const admin = { headers: { authorization: 'Bearer a1' }, method: 'GET', query: {} };
+  await callMiddleware(auth.authenticate, viewer);
+  await callMiddleware(auth.authenticate, admin);
+
+  assert.strictEqual(await callMiddleware(auth.requireRole('admin'), { user: null }), 401);
+  assert.strictEqual(await callMiddleware(auth.requireRole('admin'), viewer), 403);
+  assert.strictEqual(await callMiddleware(auth.requireRole('admin'), admin), null);
+  assert.strictEqual(await callMiddleware(auth.authenticate, { headers: { authorization: 'Bearer nope' }, method: 'GET', query: {} }), 401);
+});
+
+test('JWT users get the viewer role unless listed as creators or admins', async () => {
+  const { publicKey, privateKey } = await generateKeyPair('RS256');
+  const jwk = { ...(await exportJWK(publicKey)), kid: 'test', alg: 'RS256' };
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ keys: [jwk] }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const auth = createAuth({ jwksUrl: `http://127.0.0.1:${server.address().port}/jwks.json`, creators: 'group:default/team-a' });
+    const sign = (sub, ent) => new SignJWT({ ent }).setProtectedHeader({ alg: 'RS256', kid: 'test' })
+      .setSubject(sub).setExpirationTime('5m').sign(privateKey);
+    const userFor = async (token) => {
+      const req = { headers: { authorization: `Bearer ${token}` }, method: 'GET', query: {} };
+      await callMiddleware(auth.authenticate, req);
+      return req.user;
+    };
+
+    assert.strictEqual((await userFor(await sign('user:default/val', []))).role, 'viewer');
+    assert.strictEqual((await userFor(await sign('user:default/alice', ['group:default/team-a']))).role, 'creator');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+  assert.throws(() => createAuth({ staticTokens: 't:admin:user:default/a', defaultRole: 'owner' }), /AUTH_DEFAULT_ROLE/);
+});
+
+test('bare owners are groups in the default namespace', () => {
+  assert.strictEqual(ownerRef('team-a'), 'group:default/team-a');
+  assert.strictEqual(ownerRef('user:alice'), 'user:default/alice');
+  assert.strictEqual(ownerRef('group:other/team-a'), 'group:other/team-a');
+  assert.strictEqual(ownerRef(undefined), null);
+});
+
+test('isOwner compares kind and namespace, not just the name', () => {
+  const auth = createAuth({ staticTokens: 't:creator:user:default/alice' });
+  const member = { subject: 'user:default/alice', role: 'creator', ownership: ['group:default/team-a'] };
+  const namesake = { subject: 'user:default/team-a', role: 'creator', ownership: ['group:other/team-a'] };
+
+  assert.strictEqual(auth.isOwner(member, 'team-a'), true);
+  assert.strictEqual(auth.isOwner(member, 'group:team-a'), true);
+  assert.strictEqual(auth.isOwner(namesake, 'team-a'), false);
+  assert.strictEqual(auth.isOwner(namesake, 'group:other/team-a'), true);
+
+  // A service scaffolded without an owner records the requester's ref
+  assert.strictEqual(auth.defaultOwner(member), 'alice');
+  assert.strictEqual(auth.isOwner(member, auth.defaultOwnerRef(member)), true);
+  assert.strictEqual(auth.isOwner(member, 'alice'), false);
+  assert.strictEqual(auth.canModify(namesake, 'team-a'), false);
+});
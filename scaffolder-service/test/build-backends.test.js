@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBuildBackend, imageTag, BuildError } = require('../build-backends');
+const { run } = require('../command-runner');
+
+const noLog = () => {};
+
+// A run() that records commands instead of running them
+function recordingRun() {
+  const commands = [];
+  const fakeRun = async (command, args) => {
+    commands.push([command, ...args]);
+    return { stdout: '', stderr: '' };
+  };
+  return { commands, run: fakeRun };
+}
+
+function projectDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-backend-test-'));
+  fs.writeFileSync(path.join(dir, 'Dockerfile'), 'FROM scratch\n');
+  return dir;
+}
+
+test('the fake backend records builds and builds nothing', async () => {
+  const backend = createBuildBackend({ type: 'fake' });
+  const logs = [];
+  const result = await backend.build({ serviceName: 'orders', projectDir: '/projects/orders', tag: imageTag(3, 'abc1234'), log: line => logs.push(line) });
+
+  assert.deepStrictEqual(result, { image: 'orders:b3-abc1234' });
+  assert.strictEqual(backend.pullPolicy, 'IfNotPresent');
+  assert.strictEqual(backend.builds.length, 1);
+  assert.strictEqual(backend.builds[0].image, 'orders:b3-abc1234');
+  assert.match(logs[0], /no image was built/);
+  assert.deepStrictEqual(backend.plan('orders', '/projects/orders', 'stage', 'b3').map(step => step.type), ['image_build']);
+});
+
+test('the docker backend builds and loads into Minikube with argv arrays', async () => {
+  const recorded = recordingRun();
+  const backend = createBuildBackend({ type: 'docker', run: recorded.run });
+  const { image } = await backend.build({ serviceName: 'orders', projectDir: '/p/orders', tag: 'b1', log: noLog });
+
+  assert.strictEqual(image, 'orders:b1');
+  assert.strictEqual(backend.pullPolicy, 'Never');
+  assert.deepStrictEqual(recorded.commands, [
+    ['docker', 'build', '-t', 'orders:b1', '/p/orders'],
+    ['minikube', 'image', 'load', 'orders:b1']
+  ]);
+});
+
+test('the registry backend pushes to the registry without a trailing slash', async () => {
+  const recorded = recordingRun();
+  const backend = createBuildBackend({ type: 'registry', registry: 'registry.example.com/team/', run: recorded.run });
+  const { image } = await backend.build({ serviceName: 'orders', projectDir: '/p/orders', tag: 'b2', log: noLog });
+
+  assert.strictEqual(image, 'registry.example.com/team/orders:b2');
+  assert.strictEqual(backend.pullPolicy, 'Always');
+  assert.deepStrictEqual(recorded.commands[1], ['docker', 'push', 'registry.example.com/team/orders:b2']);
+});
+
+test('registry and kaniko backends require a registry; unknown types are rejected', () => {
+  assert.throws(() => createBuildBackend({ type: 'registry' }), /requires BUILD_REGISTRY/);
+  assert.throws(() => createBuildBackend({ type: 'kaniko' }), /requires BUILD_REGISTRY/);
+  assert.throws(() => createBuildBackend({ type: 'buildah' }), /Unknown BUILD_BACKEND 'buildah'/);
+});
+
+// A kube client whose Job finishes with the given status
+function fakeKube(jobStatus) {
+  const calls = [];
+  return {
+    calls,
+    async apply(object, options) {
+      calls.push(['apply', object.kind, object.metadata.name, options.namespace]);
+      return [{ kind: object.kind, name: object.metadata.name, created: true }];
+    },
+    async waitFor(kind, namespace, selector, predicate) {
+      const job = { metadata: { name: selector.fieldSelector.split('=')[1] }, status: jobStatus };
+      assert.ok(predicate(job));
+      return job;
+    },
+    async list() {
+      return { items: [{ metadata: { name: 'build-pod' } }] };
+    },
+    async podLogs() {
+      return 'error building image';
+    },
+    async delete(kind, name) {
+      calls.push(['delete', kind, name]);
+      return true;
+    }
+  };
+}
+
+test('the kaniko backend applies a ConfigMap and Job and cleans both up', async () => {
+  const dir = projectDir();
+  const kube = fakeKube({ succeeded: 1 });
+  try {
+    const backend = createBuildBackend({ type: 'kaniko', registry: 'registry.example.com', namespace: 'builds', kube, run });
+    const { image } = await backend.build({ serviceName: 'orders', projectDir: dir, tag: 'b4', namespace: 'stage', log: noLog });
+
+    assert.strictEqual(image, 'registry.example.com/orders:b4');
+    assert.deepStrictEqual(kube.calls.map(call => call.slice(0, 2)), [
+      ['apply', 'ConfigMap'], ['apply', 'Job'], ['delete', 'Job'], ['delete', 'ConfigMap']
+    ]);
+    assert.ok(kube.calls.slice(0, 2).every(call => call[3] === 'builds'));
+    assert.match(kube.calls[0][2], /^orders-build-[0-9a-f]{6}$/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a failed kaniko build keeps the Job and reports its logs', async () => {
+  const dir = projectDir();
+  const kube = fakeKube({ failed: 1 });
+  try {
+    const backend = createBuildBackend({ type: 'kaniko', registry: 'registry.example.com', kube, run });
+    await assert.rejects(backend.build({ serviceName: 'orders', projectDir: dir, tag: 'b5', namespace: 'stage', log: noLog }), (error) => {
+      assert.ok(error instanceof BuildError);
+      assert.strictEqual(error.backend, 'kaniko');
+      assert.strictEqual(error.logs, 'error building image');
+      return true;
+    });
+    assert.deepStrictEqual(kube.calls.filter(call => call[0] === 'delete').map(call => call[1]), ['ConfigMap']);
+    assert.ok(kube.calls.every(call => call[0] !== 'apply' || call[3] === 'stage'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readLocation } = require('../catalog-locations');
+
+const system = (name) => `apiVersion: backstage.io/v1alpha1\nkind: System\nmetadata:\n  name: ${name}\nspec:\n  owner: team-a\n`;
+const location = (...targets) => `apiVersion: backstage.io/v1alpha1\nkind: Location\nmetadata:\n  name: targets\nspec:\n  targets: [${targets.join(', ')}]\n`;
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+/**
+ * A location directory next to an outside directory holding a catalog file
+ * it must not read, reachable through symlinks inside the location
+ */
+function fixture() {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-location-test-'));
+  const repo = path.join(base, 'repo');
+  write(path.join(base, 'outside', 'catalog-info.yaml'), system('secret'));
+  write(path.join(repo, 'catalog-info.yaml'), location('./team/catalog-info.yaml', './escape/catalog-info.yaml', '../outside/catalog-info.yaml'));
+  write(path.join(repo, 'team', 'catalog-info.yaml'), system('team'));
+  fs.symlinkSync(path.join(base, 'outside'), path.join(repo, 'escape'));
+  fs.mkdirSync(path.join(repo, 'linked'));
+  fs.symlinkSync(path.join(base, 'outside', 'catalog-info.yaml'), path.join(repo, 'linked', 'catalog-info.yaml'));
+  fs.mkdirSync(path.join(repo, 'alias'));
+  // Leads to team/catalog-info.yaml, read once
+  fs.symlinkSync('../team/catalog-info.yaml', path.join(repo, 'alias', 'catalog-info.yaml'));
+  return { base, repo, cleanup: () => fs.rmSync(base, { recursive: true, force: true }) };
+}
+
+const names = (result) => result.entities.map(({ entity }) => entity.metadata.name).sort();
+
+test('directory locations do not follow symlinks out of the directory', async () => {
+  const { repo, cleanup } = fixture();
+  try {
+    const result = await readLocation({ type: 'directory', target: repo });
+
+    assert.deepStrictEqual(names(result), ['targets', 'team']);
+    const messages = result.errors.map(error => error.message);
+    assert.ok(messages.includes('Location target ./escape/catalog-info.yaml links outside its location'), messages.join('\n'));
+    assert.ok(messages.includes('Location target ../outside/catalog-info.yaml is outside its location'), messages.join('\n'));
+    assert.ok(messages.includes(`Catalog file ${path.join(repo, 'linked', 'catalog-info.yaml')} links outside its location`), messages.join('\n'));
+  } finally {
+    cleanup();
+  }
+});
+
+test('git checkouts are confined to the checkout', async () => {
+  const { repo, cleanup } = fixture();
+  // A clone that copies the fixture, symlinks included
+  const run = async (command, args) => {
+    fs.cpSync(repo, args[args.length - 1], { recursive: true, verbatimSymlinks: true });
+    return { stdout: '', stderr: '' };
+  };
+  try {
+    const result = await readLocation({ type: 'git', target: 'https://git.example.com/repo.git' }, { run });
+
+    assert.deepStrictEqual(names(result), ['targets', 'team']);
+    assert.strictEqual(result.errors.length, 3);
+    assert.ok(result.entities.every(({ source }) => source.startsWith('git:https://git.example.com/repo.git#')));
+  } finally {
+    cleanup();
+  }
+});
+
+test('git targets never reach git as options', async () => {
+  const calls = [];
+  const run = async (command, args) => {
+    calls.push(args);
+    const dir = args[args.length - 1];
+    write(path.join(dir, 'catalog-info.yaml'), location('"-uevil@h:"', '"git@example.com:team/repo.git"'));
+    return { stdout: '', stderr: '' };
+  };
+  const result = await readLocation({ type: 'git', target: 'https://git.example.com/repo.git' }, { run });
+
+  assert.strictEqual(calls.length, 2);
+  for (const args of calls) assert.strictEqual(args[args.length - 3], '--');
+  assert.strictEqual(calls[1][calls[1].length - 2], 'git@example.com:team/repo.git');
+  assert.ok(result.errors.some(error => error.message === 'Location target -uevil@h: does not exist'), JSON.stringify(result.errors));
+  await assert.rejects(readLocation({ type: 'git', target: '-uevil@h:' }, { run }), /must not start with '-'/);
+});
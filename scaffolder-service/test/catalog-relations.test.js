@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EntityRefError, toEntityRef, parseEntityRef, entityRelations, inverseRelation } = require('../catalog-relations');
+
+test('entity references parse with default kinds and namespaces', () => {
+  assert.deepStrictEqual(parseEntityRef('team-a', { defaultKind: 'Group' }), { kind: 'group', namespace: 'default', name: 'team-a' });
+  assert.deepStrictEqual(parseEntityRef('API:shop/orders-api'), { kind: 'api', namespace: 'shop', name: 'orders-api' });
+  assert.deepStrictEqual(parseEntityRef('orders', { defaultKind: 'Component', defaultNamespace: 'shop' }), { kind: 'component', namespace: 'shop', name: 'orders' });
+  assert.strictEqual(toEntityRef({ kind: 'Component', name: 'orders' }), 'default/component:orders');
+
+  assert.throws(() => parseEntityRef('orders'), { name: 'EntityRefError', message: "Entity reference 'orders' needs a kind" });
+  for (const ref of ['Team A', 'group:', 'a/b/c', 42]) {
+    assert.throws(() => parseEntityRef(ref, { defaultKind: 'Group' }), EntityRefError, String(ref));
+  }
+});
+
+test('relations come from spec fields and explicit entries, without duplicates', () => {
+  const relations = entityRelations({
+    namespace: 'shop',
+    spec: { owner: 'team-a', system: 'checkout', dependsOn: ['resource:orders-db', 'payments'], providesApis: 'orders-api' },
+    relations: [
+      { type: 'ownedBy', targetRef: 'group:team-a' },
+      { type: 'dependsOn', targetRef: 'default/component:billing' },
+      { type: 'documentedBy', targetRef: 'component:docs' }
+    ]
+  });
+
+  assert.deepStrictEqual(relations, [
+    { type: 'ownedBy', targetRef: 'shop/group:team-a' },
+    { type: 'partOf', targetRef: 'shop/system:checkout' },
+    { type: 'dependsOn', targetRef: 'shop/resource:orders-db' },
+    { type: 'dependsOn', targetRef: 'shop/component:payments' },
+    { type: 'providesApi', targetRef: 'shop/api:orders-api' },
+    { type: 'dependsOn', targetRef: 'default/component:billing' },
+    { type: 'documentedBy', targetRef: 'shop/component:docs' }
+  ]);
+});
+
+test('unparseable spec references and incomplete relations name their field', () => {
+  assert.throws(() => entityRelations({ spec: { owner: 'Team A' } }), (error) => {
+    assert.ok(error instanceof EntityRefError);
+    assert.strictEqual(error.field, 'spec.owner');
+    assert.match(error.message, /^spec\.owner: Invalid entity reference 'Team A'/);
+    return true;
+  });
+  assert.throws(() => entityRelations({ relations: [{ type: 'ownedBy' }] }), { name: 'EntityRefError', field: 'relations' });
+  assert.throws(() => entityRelations({ relations: [{ type: 'ownedBy', targetRef: 'team-a' }] }), /needs a kind/);
+});
+
+test('inverse relations map both ways and fall back to <type>Inverse', () => {
+  assert.strictEqual(inverseRelation('ownedBy'), 'ownerOf');
+  assert.strictEqual(inverseRelation('ownerOf'), 'ownedBy');
+  assert.strictEqual(inverseRelation('dependsOn'), 'dependencyOf');
+  assert.strictEqual(inverseRelation('apiConsumedBy'), 'consumesApi');
+  assert.strictEqual(inverseRelation('partOf'), 'hasPart');
+  assert.strictEqual(inverseRelation('documentedBy'), 'documentedByInverse');
+});
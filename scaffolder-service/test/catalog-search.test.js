@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSearchParams, searchQuery } = require('../catalog-search');
+
+test('search parameters are read as lists of filter values', () => {
+  const search = parseSearchParams({
+    q: '  ordr ', kind: ['Component', 'API'], tag: 'java', owner: 'team-a',
+    'label.team': 'payments', 'annotation.backstage.io/orphan': '', 'label.': 'ignored'
+  });
+
+  assert.strictEqual(search.q, 'ordr');
+  assert.strictEqual(search.limit, 25);
+  assert.deepStrictEqual(search.errors, []);
+  assert.deepStrictEqual(search.filters, {
+    kind: ['Component', 'API'],
+    namespace: [],
+    tag: ['java'],
+    owner: ['team-a'],
+    lifecycle: [],
+    type: [],
+    labels: { team: ['payments'] },
+    annotations: { 'backstage.io/orphan': [''] }
+  });
+});
+
+test('limit must be between 1 and 100', () => {
+  for (const limit of ['0', '101', '2.5', 'ten']) {
+    assert.deepStrictEqual(parseSearchParams({ limit }).errors, [{ field: 'limit', message: 'must be an integer between 1 and 100' }], limit);
+  }
+  assert.strictEqual(parseSearchParams({ limit: '100' }).limit, 100);
+});
+
+test('repeated values match any of them and different filters all have to match', () => {
+  const { where, params, rank } = searchQuery(parseSearchParams({ kind: 'Component', tag: ['java', 'kotlin'], 'label.team': ['a', 'b'] }));
+
+  assert.strictEqual(where, 'WHERE (lower(kind) = lower($1)) ' +
+    'AND (metadata @> $2::jsonb OR metadata @> $3::jsonb) ' +
+    'AND (metadata @> $4::jsonb OR metadata @> $5::jsonb)');
+  assert.deepStrictEqual(params, ['Component', '{"tags":["java"]}', '{"tags":["kotlin"]}', '{"labels":{"team":"a"}}', '{"labels":{"team":"b"}}']);
+  assert.strictEqual(rank, '0');
+});
+
+test('text queries match fuzzily and escape LIKE wildcards', () => {
+  const { where, params, rank } = searchQuery(parseSearchParams({ q: '50%_off' }));
+
+  assert.deepStrictEqual(params, ['50%_off', '%50\\%\\_off%']);
+  assert.match(where, /^WHERE \(name % \$1::text OR /);
+  assert.match(rank, /similarity\(name, \$1::text\)/);
+});
+
+test('a facet query leaves out its own filter and skips rows without the field', () => {
+  const search = parseSearchParams({ owner: 'team-a', lifecycle: 'production', 'annotation.backstage.io/orphan': '' });
+
+  const { where, params } = searchQuery(search, { facet: 'lifecycle' });
+  assert.strictEqual(where, "WHERE (spec @> $1::jsonb) AND (metadata->'annotations' ? $2) AND spec->>'lifecycle' IS NOT NULL");
+  assert.deepStrictEqual(params, ['{"owner":"team-a"}', 'backstage.io/orphan']);
+  assert.deepStrictEqual(searchQuery(parseSearchParams({})), { where: '', params: [], rank: '0' });
+});
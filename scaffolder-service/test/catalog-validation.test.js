@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { entityEnvelope, validateEntity, validateEntityData } = require('../catalog-validation');
+
+const component = (overrides = {}) => ({
+  kind: 'Component',
+  spec: { type: 'service', lifecycle: 'production', owner: 'team-a' },
+  ...overrides
+});
+const entity = (kind, spec, metadata = {}) => ({ apiVersion: 'backstage.io/v1alpha1', kind, metadata: { name: 'orders', ...metadata }, spec });
+const fieldsOf = (value) => validateEntity(value).map(error => error.field);
+
+test('Backstage-shaped entities are named by their metadata', () => {
+  const entityData = component({ metadata: { name: 'orders', namespace: 'shop' } });
+
+  assert.deepStrictEqual(validateEntityData(entityData), []);
+  const { metadata } = entityEnvelope(entityData);
+  assert.strictEqual(metadata.name, 'orders');
+  assert.strictEqual(metadata.namespace, 'shop');
+  assert.strictEqual(entityEnvelope(component({ metadata: { name: 'orders' } })).metadata.namespace, 'default');
+});
+
+test('top-level names and namespaces must agree with metadata', () => {
+  assert.deepStrictEqual(validateEntityData(component({ name: 'orders', metadata: { name: 'orders' } })), []);
+  assert.deepStrictEqual(validateEntityData(component({ name: 'orders', namespace: 'Not_A_Label', metadata: { name: 'orders', namespace: 'default' } })),
+    [{ field: 'namespace', message: 'conflicts with metadata.namespace' }]);
+  assert.deepStrictEqual(validateEntityData(component({ name: 'orders', metadata: { name: 'billing' } })),
+    [{ field: 'name', message: 'conflicts with metadata.name' }]);
+
+  // Without metadata the top-level fields are validated as the entity's names
+  assert.deepStrictEqual(validateEntityData(component({ name: 'orders', namespace: 'Not_A_Label' })).map(error => error.field), ['metadata.namespace']);
+  assert.deepStrictEqual(validateEntityData(component()).map(error => error.field), ['metadata.name']);
+  assert.deepStrictEqual(validateEntityData(component({ metadata: 'orders' })), [{ field: 'metadata', message: 'must be a mapping' }]);
+});
+
+test('each kind has its required and typed spec fields', () => {
+  assert.deepStrictEqual(fieldsOf(entity('Component', { type: 'service', lifecycle: 'production', owner: 'team-a', dependsOn: ['resource:db'] })), []);
+  assert.deepStrictEqual(fieldsOf(entity('Component', {})), ['spec.type', 'spec.lifecycle', 'spec.owner']);
+  assert.deepStrictEqual(fieldsOf(entity('API', { type: 'openapi', lifecycle: 'production', owner: 'team-a' })), ['spec.definition']);
+  assert.deepStrictEqual(fieldsOf(entity('Group', { type: 'team' })), ['spec.children']);
+  assert.deepStrictEqual(fieldsOf(entity('User', { memberOf: 'team-a' })), ['spec.memberOf']);
+  assert.deepStrictEqual(fieldsOf(entity('Location', {})), ['spec.target']);
+  assert.deepStrictEqual(fieldsOf(entity('Location', { targets: ['./a.yaml', ''] })), ['spec.targets[1]']);
+
+  // Known fields are typed and references must parse; unknown fields pass
+  assert.deepStrictEqual(fieldsOf(entity('Component', {
+    type: '', lifecycle: 'production', owner: 'Team A', providesApis: 'orders-api', consumesApis: ['ok-api', 'Bad Api'], custom: { any: 'thing' }
+  })), ['spec.type', 'spec.owner', 'spec.providesApis', 'spec.consumesApis[1]']);
+  assert.deepStrictEqual(fieldsOf(entity('System', { owner: 'team-a', domain: 'shop', extra: 1 })), []);
+});
+
+test('the envelope needs a known apiVersion and kind and mapping spec', () => {
+  assert.deepStrictEqual(fieldsOf({ apiVersion: 'v1', kind: 'Widget', metadata: { name: 'orders' }, spec: [] }), ['apiVersion', 'kind', 'spec']);
+  assert.deepStrictEqual(validateEntity(null), [{ field: '', message: 'must be a mapping' }]);
+  assert.deepStrictEqual(fieldsOf({ ...entity('Domain', { owner: 'team-a' }), apiVersion: 'backstage.io/v1beta1', relations: [{ type: 'ownedBy' }] }),
+    ['relations[0].targetRef']);
+});
+
+test('names and namespaces are DNS labels', () => {
+  for (const name of ['orders', 'a', 'orders-2', 'x'.repeat(63)]) {
+    assert.deepStrictEqual(fieldsOf(entity('Domain', { owner: 'team-a' }, { name })), [], name);
+  }
+  for (const name of ['Orders', 'orders_db', '-orders', 'orders-', 'x'.repeat(64), '', 42]) {
+    assert.deepStrictEqual(fieldsOf(entity('Domain', { owner: 'team-a' }, { name })), ['metadata.name'], String(name));
+  }
+  assert.deepStrictEqual(fieldsOf(entity('Domain', { owner: 'team-a' }, { namespace: 'My.Team' })), ['metadata.namespace']);
+});
+
+test('label and annotation keys are [prefix/]name and label values are bounded', () => {
+  const metadata = {
+    labels: { 'app.kubernetes.io/name': 'orders', team: '', '-team': 'a', 'Example.com/x': 'y', owner: 'team a', size: 'x'.repeat(64) },
+    annotations: { 'backstage.io/source-location': 'url:https://example.com/a b', [`${'a'.repeat(254)}/x`]: 'v', 'x/': 'v', count: 3 },
+    tags: ['java', 'Spring'],
+    links: [{ url: 'https://example.com' }, { title: 'docs' }]
+  };
+  assert.deepStrictEqual(fieldsOf(entity('Domain', { owner: 'team-a' }, metadata)), [
+    'metadata.labels.-team',
+    'metadata.labels.Example.com/x',
+    'metadata.labels.owner',
+    'metadata.labels.size',
+    `metadata.annotations.${'a'.repeat(254)}/x`,
+    'metadata.annotations.x/',
+    'metadata.annotations.count',
+    'metadata.tags[1]',
+    'metadata.links[1].url'
+  ]);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CommandError, formatCommand, run } = require('../command-runner');
+
+// Arguments a shell would expand or split if they ever reached one
+const HOSTILE = [
+  `it's a "quoted" description`,
+  'made by $(touch /tmp/pwned-by-command-runner)',
+  'made by `id`',
+  '$HOME; rm -rf / && echo done | cat'
+];
+
+test('run passes quotes, $() and backticks through untouched', async () => {
+  for (const description of HOSTILE) {
+    const { stdout } = await run('printf', ['%s', description]);
+    assert.strictEqual(stdout, description);
+  }
+});
+
+test('run writes input to stdin', async () => {
+  const { stdout } = await run('cat', [], { input: 'secret-token\n' });
+  assert.strictEqual(stdout, 'secret-token\n');
+});
+
+test('run merges env into the process environment', async () => {
+  const { stdout } = await run('sh', ['-c', 'printf "%s %s" "$GREETING" "$PATH"'], { env: { GREETING: 'hello' } });
+  assert.strictEqual(stdout, `hello ${process.env.PATH}`);
+});
+
+test('run rejects with timedOut when the command outlives its timeout', async () => {
+  await assert.rejects(run('sleep', ['5'], { timeout: 100 }), (error) => {
+    assert.ok(error instanceof CommandError);
+    assert.strictEqual(error.timedOut, true);
+    assert.match(error.message, /timed out after 100ms/);
+    return true;
+  });
+});
+
+test('a missing command fails as not found', async () => {
+  const missing = 'no-such-command-for-command-runner';
+  await assert.rejects(run(missing), { name: 'CommandError', message: `Command not found: ${missing}` });
+});
+
+test('a non-zero exit carries the code, stdout and stderr', async () => {
+  const script = 'echo out; echo err >&2; exit 3';
+  const check = (error) => {
+    assert.ok(error instanceof CommandError);
+    assert.strictEqual(error.code, 3);
+    assert.strictEqual(error.timedOut, false);
+    assert.strictEqual(error.stdout, 'out\n');
+    assert.strictEqual(error.stderr, 'err\n');
+    assert.match(error.message, /\(exit code 3\)\nerr$/);
+    return true;
+  };
+  await assert.rejects(run('sh', ['-c', script]), check);
+});
+
+test('redacted arguments are masked in errors', async () => {
+  await assert.rejects(run('sh', ['-c', 'exit 1', 'ghp_secret'], { redact: ['ghp_secret'] }), (error) => {
+    assert.doesNotMatch(error.message, /ghp_secret/);
+    assert.match(error.message, /\[redacted\]/);
+    return true;
+  });
+});
+
+test('formatCommand quotes arguments and masks redacted ones', () => {
+  assert.strictEqual(formatCommand('git', ['commit', '-m', 'it\'s $(done)']), `git commit -m 'it'\\''s $(done)'`);
+  assert.strictEqual(formatCommand('gh', ['auth', 'login', '--with-token', 'tok'], ['tok']), `gh auth login --with-token '[redacted]'`);
+});
@@ -0,0 +1,241 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFileSync } = require('child_process');
+const { createGitHubClient, GitHubError } = require('../github-client');
+const { createPublisher, INITIAL_BRANCH } = require('../publishers');
+const { TEMPLATE_BRANCH } = require('../template-upgrade');
+
+/**
+ * Start a fake of the GitHub REST API with one organization (acme, team
+ * platform) and one user (alice). Requests are recorded as
+ * { method, path, query, body }.
+ */
+async function fakeGitHub() {
+  const requests = [];
+  const repos = new Map();
+  const pulls = [];
+  const accounts = { acme: 'Organization', alice: 'User' };
+  const teams = new Set(['acme/platform']);
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+      const reply = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+      const route = `${req.method} ${url.pathname}`;
+      let match;
+
+      if ((match = route.match(/^GET \/users\/([^/]+)$/))) {
+        return accounts[match[1]] ? reply(200, { login: match[1], type: accounts[match[1]] }) : reply(404, { message: 'Not Found' });
+      }
+      if ((match = route.match(/^POST \/(?:orgs\/([^/]+)|user)\/repos$/))) {
+        const owner = match[1] || 'alice';
+        const fullName = `${owner}/${body.name}`;
+        if (repos.has(fullName)) return reply(422, { message: 'Repository creation failed.', errors: [{ message: 'name already exists on this account' }] });
+        repos.set(fullName, { ...body, full_name: fullName, html_url: `https://github.test/${fullName}` });
+        return reply(201, repos.get(fullName));
+      }
+      if ((match = route.match(/^(GET|DELETE) \/repos\/([^/]+\/[^/]+)$/))) {
+        if (!repos.has(match[2])) return reply(404, { message: 'Not Found' });
+        if (match[1] === 'DELETE') {
+          repos.delete(match[2]);
+          return reply(204);
+        }
+        return reply(200, repos.get(match[2]));
+      }
+      if ((match = route.match(/^PUT \/repos\/([^/]+\/[^/]+)\/branches\/([^/]+)\/protection$/))) {
+        return repos.has(match[1]) ? reply(200, { url: url.pathname }) : reply(404, { message: 'Branch not found' });
+      }
+      if ((match = route.match(/^GET \/orgs\/([^/]+)\/teams\/([^/]+)$/))) {
+        return teams.has(`${match[1]}/${match[2]}`) ? reply(200, { slug: match[2] }) : reply(404, { message: 'Not Found' });
+      }
+      if ((match = route.match(/^PUT \/orgs\/([^/]+)\/teams\/([^/]+)\/repos\/([^/]+\/[^/]+)$/))) {
+        return reply(204);
+      }
+      if ((match = route.match(/^(GET|POST) \/repos\/([^/]+\/[^/]+)\/pulls$/))) {
+        if (match[1] === 'GET') {
+          return reply(200, pulls.filter(pull => pull.repo === match[2] && `${match[2].split('/')[0]}:${pull.head}` === url.searchParams.get('head')));
+        }
+        const pull = { ...body, repo: match[2], number: pulls.length + 1, html_url: `https://github.test/${match[2]}/pull/${pulls.length + 1}` };
+        pulls.push(pull);
+        return reply(201, pull);
+      }
+      reply(404, { message: `No fake for ${route}` });
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    apiUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    repos,
+    pulls,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('createRepo creates below the organization or the user', async () => {
+  const fake = await fakeGitHub();
+  try {
+    const github = createGitHubClient({ token: 'ghp_test', apiUrl: fake.apiUrl });
+    const orgRepo = await github.createRepo('acme', 'orders', { description: 'Orders', visibility: 'internal' });
+    const userRepo = await github.createRepo('alice', 'billing', { visibility: 'private' });
+
+    assert.strictEqual(orgRepo.html_url, 'https://github.test/acme/orders');
+    assert.strictEqual(userRepo.html_url, 'https://github.test/alice/billing');
+    const creations = fake.requests.filter(req => req.method === 'POST');
+    assert.deepStrictEqual(creations.map(req => req.path), ['/orgs/acme/repos', '/user/repos']);
+    assert.deepStrictEqual(creations[0].body, { name: 'orders', description: 'Orders', visibility: 'internal', private: true, auto_init: false });
+    assert.strictEqual(creations[1].body.private, true);
+  } finally {
+    await fake.close();
+  }
+});
+
+test('createRepo rejects internal repositories of a user and unknown visibilities', async () => {
+  const fake = await fakeGitHub();
+  try {
+    const github = createGitHubClient({ apiUrl: fake.apiUrl });
+    await assert.rejects(github.createRepo('alice', 'orders', { visibility: 'internal' }), /need an organization; alice is a user/);
+    await assert.rejects(github.createRepo('acme', 'orders', { visibility: 'secret' }), /Unknown repository visibility 'secret'/);
+    assert.strictEqual(fake.repos.size, 0);
+  } finally {
+    await fake.close();
+  }
+});
+
+test('API errors become GitHubErrors with their status and details', async () => {
+  const fake = await fakeGitHub();
+  try {
+    const github = createGitHubClient({ apiUrl: fake.apiUrl });
+    await github.createRepo('acme', 'orders');
+    await assert.rejects(github.createRepo('acme', 'orders'), (error) => {
+      assert.ok(error instanceof GitHubError);
+      assert.strictEqual(error.status, 422);
+      assert.match(error.message, /name already exists on this account/);
+      return true;
+    });
+    assert.strictEqual(await github.getRepo('acme', 'missing'), null);
+    assert.strictEqual(await github.deleteRepo('acme', 'missing'), false);
+    assert.strictEqual(await github.deleteRepo('acme', 'orders'), true);
+  } finally {
+    await fake.close();
+  }
+});
+
+test('protectBranch requires reviews, including code owners', async () => {
+  const fake = await fakeGitHub();
+  try {
+    const github = createGitHubClient({ apiUrl: fake.apiUrl });
+    await github.createRepo('acme', 'orders');
+    await github.protectBranch('acme', 'orders', 'main', { requiredReviews: 2 });
+
+    const protection = fake.requests.find(req => req.method === 'PUT');
+    assert.strictEqual(protection.path, '/repos/acme/orders/branches/main/protection');
+    assert.deepStrictEqual(protection.body.required_pull_request_reviews, {
+      required_approving_review_count: 2,
+      require_code_owner_reviews: true,
+      dismiss_stale_reviews: true
+    });
+  } finally {
+    await fake.close();
+  }
+});
+
+test('the publisher resolves team handles and grants team permissions', async () => {
+  const fake = await fakeGitHub();
+  try {
+    const org = createPublisher({ type: 'github', owner: 'acme', apiUrl: fake.apiUrl });
+    const user = createPublisher({ type: 'github', owner: 'alice', apiUrl: fake.apiUrl });
+
+    assert.strictEqual(await org.teamHandle('platform'), '@acme/platform');
+    assert.strictEqual(await org.teamHandle('nobody'), null);
+    assert.strictEqual(await user.teamHandle('platform'), null);
+
+    await org.grantTeam('orders', 'platform', 'maintain');
+    const grant = fake.requests.find(req => req.method === 'PUT');
+    assert.strictEqual(grant.path, '/orgs/acme/teams/platform/repos/acme/orders');
+    assert.deepStrictEqual(grant.body, { permission: 'maintain' });
+  } finally {
+    await fake.close();
+  }
+});
+
+test('openPullRequest reuses an open pull request from the same branch', async () => {
+  const fake = await fakeGitHub();
+  try {
+    const publisher = createPublisher({ type: 'github', owner: 'acme', apiUrl: fake.apiUrl });
+    const pullRequest = { title: 'Initial code', body: '', head: INITIAL_BRANCH, base: 'main' };
+    const first = await publisher.openPullRequest('orders', pullRequest);
+    const second = await publisher.openPullRequest('orders', pullRequest);
+
+    assert.strictEqual(first, 'https://github.test/acme/orders/pull/1');
+    assert.strictEqual(second, first);
+    assert.strictEqual(fake.pulls.length, 1);
+    assert.strictEqual(fake.requests.find(req => req.method === 'GET' && req.path.endsWith('/pulls')).query.head, `acme:${INITIAL_BRANCH}`);
+  } finally {
+    await fake.close();
+  }
+});
+
+// A project directory and a bare repository at <root>/acme/<name>.git, which
+// is where a publisher with url file://<root> pushes
+function gitFixture(name) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'publisher-test-'));
+  const bare = path.join(root, 'acme', `${name}.git`);
+  execFileSync('git', ['init', '--quiet', '--bare', bare]);
+  const projectDir = path.join(root, 'project');
+  fs.mkdirSync(projectDir);
+  fs.writeFileSync(path.join(projectDir, 'README.md'), `# ${name}\n`);
+  const git = (...args) => execFileSync('git', ['--git-dir', bare, ...args], { encoding: 'utf8' }).trim();
+  return { root, projectDir, git, cleanup: () => fs.rmSync(root, { recursive: true, force: true }) };
+}
+
+test('push mode commits to main and marks the render on the template branch', async () => {
+  const fake = await fakeGitHub();
+  const fixture = gitFixture('orders');
+  try {
+    const publisher = createPublisher({ type: 'github', owner: 'acme', url: `file://${fixture.root}`, apiUrl: fake.apiUrl });
+    const result = await publisher.push(fixture.projectDir, 'orders', 'Initial commit', { requestedBy: 'user:default/alice' });
+
+    assert.deepStrictEqual(result, { url: `file://${fixture.root}/acme/orders.git`, pullRequest: null });
+    assert.strictEqual(fixture.git('rev-parse', 'main'), fixture.git('rev-parse', TEMPLATE_BRANCH));
+    assert.strictEqual(fixture.git('log', '-1', '--format=%an <%ae>|%cn', 'main'), 'alice <alice@users.noreply.github.com>|Backstage Scaffolder');
+    assert.strictEqual(fixture.git('show', 'main:README.md'), '# orders');
+    assert.strictEqual(fake.pulls.length, 0);
+  } finally {
+    fixture.cleanup();
+    await fake.close();
+  }
+});
+
+test('pull-request mode leaves main empty and opens a pull request', async () => {
+  const fake = await fakeGitHub();
+  const fixture = gitFixture('orders');
+  try {
+    const publisher = createPublisher({ type: 'github', owner: 'acme', url: `file://${fixture.root}`, apiUrl: fake.apiUrl });
+    const result = await publisher.push(fixture.projectDir, 'orders', 'Initial commit', { mode: 'pull-request' });
+
+    assert.strictEqual(result.pullRequest, 'https://github.test/acme/orders/pull/1');
+    assert.strictEqual(fixture.git('ls-tree', '--name-only', 'main'), '');
+    assert.strictEqual(fixture.git('show', `${INITIAL_BRANCH}:README.md`), '# orders');
+    assert.strictEqual(fixture.git('rev-parse', `${INITIAL_BRANCH}^`), fixture.git('rev-parse', 'main'));
+    assert.strictEqual(fixture.git('rev-parse', INITIAL_BRANCH), fixture.git('rev-parse', TEMPLATE_BRANCH));
+    assert.deepStrictEqual(
+      { head: fake.pulls[0].head, base: fake.pulls[0].base, title: fake.pulls[0].title },
+      { head: INITIAL_BRANCH, base: 'main', title: 'Initial commit' }
+    );
+  } finally {
+    fixture.cleanup();
+    await fake.close();
+  }
+});
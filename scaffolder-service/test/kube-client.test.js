@@ -0,0 +1,269 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createKubeClient, NotFoundError, ForbiddenError, KubernetesError } = require('../kube-client');
+
+/**
+ * Start a fake API server. handle(req, body, res) answers each request;
+ * every request is recorded as { method, path, query, headers, body }.
+ */
+async function fakeApiServer(handle) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const recorded = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body };
+      requests.push(recorded);
+      handle(recorded, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const client = createKubeClient({
+    config: { source: 'test', server: `http://127.0.0.1:${server.address().port}`, token: 'test-token', namespace: 'default' }
+  });
+  return { client, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+function json(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const status = (code, reason, message) => ({ kind: 'Status', apiVersion: 'v1', status: 'Failure', code, reason, message });
+
+test('apply sends a server-side apply patch and reports created objects', async () => {
+  const existing = new Set(['/api/v1/namespaces/team/services/orders']);
+  const fake = await fakeApiServer((req, res) => json(res, existing.has(req.path) ? 200 : 201, JSON.parse(req.body)));
+  try {
+    const created = [];
+    const results = await fake.client.apply(`
+apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: orders
+---
+apiVersion: v1
+kind: Service
+metadata:
+  name: orders
+`, { namespace: 'team', onCreated: object => created.push(object.name) });
+
+    assert.deepStrictEqual(results, [
+      { kind: 'Deployment', resource: 'deployment', name: 'orders', namespace: 'team', created: true },
+      { kind: 'Service', resource: 'service', name: 'orders', namespace: 'team', created: false }
+    ]);
+    assert.deepStrictEqual(created, ['orders']);
+
+    const [deployment] = fake.requests;
+    assert.strictEqual(deployment.method, 'PATCH');
+    assert.strictEqual(deployment.path, '/apis/apps/v1/namespaces/team/deployments/orders');
+    assert.strictEqual(deployment.headers['content-type'], 'application/apply-patch+yaml');
+    assert.strictEqual(deployment.headers.authorization, 'Bearer test-token');
+    assert.deepStrictEqual(deployment.query, { fieldManager: 'scaffolder-service', force: 'true' });
+    assert.strictEqual(JSON.parse(deployment.body).metadata.namespace, 'team');
+  } finally {
+    await fake.close();
+  }
+});
+
+test('apply defaults to the namespace of the object, then of the config', async () => {
+  const fake = await fakeApiServer((req, res) => json(res, 200, {}));
+  try {
+    await fake.client.apply([
+      { apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'a', namespace: 'stage' } },
+      { apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'b' } },
+      { apiVersion: 'v1', kind: 'Namespace', metadata: { name: 'stage' } }
+    ]);
+    assert.deepStrictEqual(fake.requests.map(req => req.path), [
+      '/api/v1/namespaces/stage/configmaps/a',
+      '/api/v1/namespaces/default/configmaps/b',
+      '/api/v1/namespaces/stage'
+    ]);
+  } finally {
+    await fake.close();
+  }
+});
+
+test('NotFound and Forbidden responses become typed errors', async () => {
+  const fake = await fakeApiServer((req, res) => {
+    if (req.path.endsWith('/missing')) return json(res, 404, status(404, 'NotFound', 'deployments.apps "missing" not found'));
+    if (req.path.endsWith('/secret')) return json(res, 403, status(403, 'Forbidden', 'secrets "secret" is forbidden'));
+    json(res, 409, status(409, 'AlreadyExists', 'already exists'));
+  });
+  try {
+    await assert.rejects(fake.client.get('Deployment', 'missing', 'team'), (error) => {
+      assert.ok(error instanceof NotFoundError);
+      assert.strictEqual(error.status, 404);
+      assert.strictEqual(error.reason, 'NotFound');
+      assert.match(error.message, /"missing" not found/);
+      return true;
+    });
+    await assert.rejects(fake.client.get('secret', 'secret', 'team'), (error) => {
+      assert.ok(error instanceof ForbiddenError);
+      assert.strictEqual(error.reason, 'Forbidden');
+      return true;
+    });
+    await assert.rejects(fake.client.get('cm', 'other', 'team'), (error) => {
+      assert.ok(error instanceof KubernetesError && !(error instanceof NotFoundError));
+      assert.strictEqual(error.reason, 'AlreadyExists');
+      return true;
+    });
+
+    assert.strictEqual(await fake.client.exists('Deployment', 'missing', 'team'), false);
+    await assert.rejects(fake.client.exists('Secret', 'secret', 'team'), ForbiddenError);
+    assert.strictEqual(await fake.client.delete('Deployment', 'missing', 'team'), false);
+  } finally {
+    await fake.close();
+  }
+});
+
+test('watch buffers events split across chunks and skips bookmarks', async () => {
+  const pod = (name, phase) => ({ kind: 'Pod', metadata: { name }, status: { phase } });
+  const fake = await fakeApiServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    const lines = [
+      { type: 'ADDED', object: pod('a', 'Pending') },
+      { type: 'BOOKMARK', object: { kind: 'Pod', metadata: { resourceVersion: '7' } } },
+      { type: 'MODIFIED', object: pod('a', 'Running') }
+    ].map(event => `${JSON.stringify(event)}\n`).join('');
+    // Split the stream mid-line, as the API server's chunks may be
+    res.write(lines.slice(0, 25));
+    setTimeout(() => res.write(lines.slice(25, 120)), 10);
+    setTimeout(() => res.end(lines.slice(120)), 20);
+  });
+  try {
+    const events = [];
+    await fake.client.watch('Pod', 'team', { labelSelector: 'app=a' }, event => {
+      events.push(`${event.type} ${event.object.status.phase}`);
+    });
+    assert.deepStrictEqual(events, ['ADDED Pending', 'MODIFIED Running']);
+    assert.strictEqual(fake.requests[0].query.watch, 'true');
+    assert.strictEqual(fake.requests[0].query.labelSelector, 'app=a');
+  } finally {
+    await fake.close();
+  }
+});
+
+test('watch rejects on an ERROR event with its status', async () => {
+  const fake = await fakeApiServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(`${JSON.stringify({ type: 'ERROR', object: status(410, 'Expired', 'too old resource version') })}\n`);
+  });
+  try {
+    await assert.rejects(fake.client.watch('Pod', 'team', {}, () => false), (error) => {
+      assert.ok(error instanceof KubernetesError);
+      assert.strictEqual(error.status, 410);
+      assert.strictEqual(error.reason, 'Expired');
+      return true;
+    });
+  } finally {
+    await fake.close();
+  }
+});
+
+test('waitFor lists again after a 410 and resolves from the new watch', async () => {
+  let lists = 0;
+  const ready = { kind: 'Pod', metadata: { name: 'orders-1' }, status: { phase: 'Running' } };
+  const fake = await fakeApiServer((req, res) => {
+    if (req.query.watch !== 'true') {
+      lists++;
+      return json(res, 200, { items: [{ ...ready, status: { phase: 'Pending' } }], metadata: { resourceVersion: String(lists) } });
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    if (req.query.resourceVersion === '1') {
+      return res.end(`${JSON.stringify({ type: 'ERROR', object: status(410, 'Expired', 'too old resource version') })}\n`);
+    }
+    res.end(`${JSON.stringify({ type: 'MODIFIED', object: ready })}\n`);
+  });
+  try {
+    const phases = [];
+    const pod = await fake.client.waitFor('Pod', 'team', { labelSelector: 'app=orders' },
+      object => object.status.phase === 'Running', { timeoutMs: 5000, onUpdate: object => phases.push(object.status.phase) });
+
+    assert.deepStrictEqual(pod, ready);
+    assert.strictEqual(lists, 2);
+    assert.deepStrictEqual(phases, ['Pending', 'Pending', 'Running']);
+    assert.deepStrictEqual(fake.requests.filter(req => req.query.watch).map(req => req.query.resourceVersion), ['1', '2']);
+  } finally {
+    await fake.close();
+  }
+});
+
+test('waitFor times out when nothing matches', async () => {
+  const fake = await fakeApiServer((req, res) => {
+    if (req.query.watch !== 'true') return json(res, 200, { items: [], metadata: { resourceVersion: '1' } });
+    // Keep the watch open until the client gives up
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+  });
+  try {
+    await assert.rejects(
+      fake.client.waitFor('Pod', 'team', { labelSelector: 'app=none' }, () => true, { timeoutMs: 300 }),
+      { name: 'KubernetesError', reason: 'Timeout' }
+    );
+  } finally {
+    await fake.close();
+  }
+});
+
+test('exec streams stdin to the command over the v5 exec protocol', async () => {
+  const { WebSocketServer } = require('ws');
+  const server = http.createServer();
+  const wss = new WebSocketServer({ server, handleProtocols: protocols => (protocols.has('v5.channel.k8s.io') ? 'v5.channel.k8s.io' : false) });
+  const requests = [];
+  wss.on('connection', (socket, req) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, query: url.searchParams, headers: req.headers });
+    let stdin = '';
+    socket.on('message', (message) => {
+      const data = Buffer.from(message);
+      if (data[0] === 0) stdin += data.subarray(1).toString('utf8');
+      // stdin closed: answer like the command would
+      if (data[0] === 255 && data[1] === 0) {
+        const failed = stdin.includes('fail');
+        socket.send(Buffer.concat([Buffer.from([failed ? 2 : 1]), Buffer.from(failed ? 'ERROR: role does not exist\n' : `read ${stdin}`)]));
+        socket.send(Buffer.concat([Buffer.from([3]), Buffer.from(JSON.stringify(failed
+          ? { status: 'Failure', reason: 'NonZeroExitCode', message: 'command terminated with non-zero exit code: exit status 3' }
+          : { status: 'Success' }))]));
+        socket.close();
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const client = createKubeClient({
+    config: { source: 'test', server: `http://127.0.0.1:${server.address().port}`, token: 'test-token', namespace: 'default' }
+  });
+  try {
+    const result = await client.exec('orders-postgres-0', 'team', ['sh', '-c', 'psql'], { container: 'postgres', input: 'ALTER USER\n' });
+    assert.deepStrictEqual(result, { stdout: 'read ALTER USER\n', stderr: '' });
+    assert.strictEqual(requests[0].path, '/api/v1/namespaces/team/pods/orders-postgres-0/exec');
+    assert.deepStrictEqual(requests[0].query.getAll('command'), ['sh', '-c', 'psql']);
+    assert.strictEqual(requests[0].query.get('container'), 'postgres');
+    assert.strictEqual(requests[0].query.get('stdin'), 'true');
+    assert.strictEqual(requests[0].headers.authorization, 'Bearer test-token');
+
+    await assert.rejects(client.exec('orders-postgres-0', 'team', ['sh'], { input: 'fail\n' }), (error) => {
+      assert.ok(error instanceof KubernetesError);
+      assert.strictEqual(error.reason, 'NonZeroExitCode');
+      assert.match(error.message, /role does not exist/);
+      return true;
+    });
+  } finally {
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('exec reports API errors from the upgrade request', async () => {
+  const fake = await fakeApiServer((req, res) => json(res, 403, status(403, 'Forbidden', 'pods "orders-0" is forbidden: cannot create resource "pods/exec"')));
+  try {
+    await assert.rejects(fake.client.exec('orders-0', 'team', ['true']), (error) => {
+      assert.ok(error instanceof ForbiddenError);
+      assert.match(error.message, /pods\/exec/);
+      return true;
+    });
+  } finally {
+    await fake.close();
+  }
+});
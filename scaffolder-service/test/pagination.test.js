@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePageParams, pageItems } = require('../pagination');
+
+const cursorOf = (...parts) => Buffer.from(JSON.stringify(parts)).toString('base64url');
+const cursorErrors = (query) => parsePageParams(query).errors.filter(error => error.field === 'cursor');
+
+test('cursors round-trip through in-memory pages', () => {
+  const list = ['d', 'a', 'c', 'b'].map(name => ({ name }));
+  const first = pageItems(list, parsePageParams({ orderBy: 'name', limit: '2' }), { valueOf: item => item.name, keyOf: item => item.name });
+  assert.deepStrictEqual(first.items.map(item => item.name), ['a', 'b']);
+
+  const second = pageItems(list, parsePageParams({ orderBy: 'name', limit: '2', cursor: first.nextCursor }), { valueOf: item => item.name, keyOf: item => item.name });
+  assert.deepStrictEqual(second.items.map(item => item.name), ['c', 'd']);
+  assert.strictEqual(second.nextCursor, null);
+});
+
+test('cursors must carry a timestamp when ordered by createdAt or updatedAt', () => {
+  assert.deepStrictEqual(cursorErrors({ cursor: cursorOf('createdAt:desc', '2024-01-31 12:00:00.123456+00', 'default/component:a') }), []);
+  assert.deepStrictEqual(cursorErrors({ orderBy: 'updatedAt', cursor: cursorOf('updatedAt:asc', '2024-01-31T12:00:00.000Z', 'a') }), []);
+
+  for (const value of ['yesterday', 42, null, '1', '2024-13-45 12:00:00+00', { $gt: '' }]) {
+    assert.deepStrictEqual(cursorErrors({ cursor: cursorOf('createdAt:desc', value, 'a') }), [{ field: 'cursor', message: 'is not a valid cursor' }], String(value));
+  }
+});
+
+test('cursors must carry a string when ordered by name or kind', () => {
+  assert.deepStrictEqual(cursorErrors({ orderBy: 'kind', cursor: cursorOf('kind:asc', 'Component', 'a') }), []);
+  assert.strictEqual(cursorErrors({ orderBy: 'name', cursor: cursorOf('name:asc', 7, 'a') }).length, 1);
+  assert.strictEqual(cursorErrors({ orderBy: 'name', cursor: cursorOf('name:asc', ['a'], 'a') }).length, 1);
+});
+
+test('cursors are tied to their order', () => {
+  assert.deepStrictEqual(cursorErrors({ orderBy: 'name', cursor: cursorOf('kind:asc', 'a', 'a') }), [{ field: 'cursor', message: 'was made for orderBy=kind:asc' }]);
+  assert.strictEqual(cursorErrors({ cursor: 'not base64 json' }).length, 1);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTemplateRegistry } = require('../template-registry');
+
+// Write a template directory named name below root
+function writeTemplate(root, name) {
+  const dir = path.join(root, name);
+  fs.mkdirSync(path.join(dir, 'skeleton'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'template.yaml'), `kind: Template\nmetadata:\n  name: ${name}\n`);
+  fs.writeFileSync(path.join(dir, 'skeleton', 'README.md'), '# ${{ values.component_id }}\n');
+}
+
+test('template directories are scanned once per rescan interval', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'template-registry-test-'));
+  try {
+    writeTemplate(root, 'first');
+    const registry = createTemplateRegistry({ directories: [root], rescanIntervalMs: 60 * 1000 });
+    const first = registry.get('first');
+    assert.ok(first);
+
+    writeTemplate(root, 'second');
+    assert.strictEqual(registry.get('second'), null);
+    assert.strictEqual(registry.get('first'), first);
+    assert.deepStrictEqual(registry.list().map(template => template.name), ['first']);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('a zero rescan interval picks up new and edited templates on every lookup', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'template-registry-test-'));
+  try {
+    writeTemplate(root, 'first');
+    const registry = createTemplateRegistry({ directories: [root], rescanIntervalMs: 0 });
+    const { version } = registry.get('first');
+
+    writeTemplate(root, 'second');
+    fs.writeFileSync(path.join(root, 'first', 'skeleton', 'README.md'), '# changed\n');
+    assert.deepStrictEqual(registry.list().map(template => template.name).sort(), ['first', 'second']);
+    assert.notStrictEqual(registry.get('first').version, version);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});